@@ -0,0 +1,27 @@
+-- =====================================================
+-- Activity Feed
+-- Domain events of projects (expense submitted or approved, donation received,
+-- camp completed, permission approved, media uploaded, sponsor added) for the
+-- project and organization activity streams. OrganizationId is copied from the
+-- project when the event is recorded so organization feeds need no join.
+-- =====================================================
+
+USE auth_org_db;
+
+CREATE TABLE IF NOT EXISTS activity_events (
+    ActivityId BIGINT AUTO_INCREMENT PRIMARY KEY,
+    OrganizationId INT NULL,
+    ProjectId INT NOT NULL,
+    EventType VARCHAR(50) NOT NULL,
+    EntityType VARCHAR(50) NOT NULL,
+    EntityId INT NULL,
+    Summary VARCHAR(500) NOT NULL,
+    Metadata JSON NULL,
+    ActorUserId INT NULL,
+    CreatedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (OrganizationId) REFERENCES organizations(OrganizationId),
+    FOREIGN KEY (ProjectId) REFERENCES projects(ProjectId),
+    FOREIGN KEY (ActorUserId) REFERENCES users(UserId),
+    INDEX idx_activity_project (ProjectId, ActivityId),
+    INDEX idx_activity_org (OrganizationId, ActivityId)
+);
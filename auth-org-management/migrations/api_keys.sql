@@ -0,0 +1,35 @@
+-- =====================================================
+-- API Keys
+-- Organization-owned keys for scripts and integrations. Only the SHA-256
+-- hash of a key is stored; KeyPrefix is kept so keys can be told apart.
+-- =====================================================
+
+USE auth_org_db;
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    ApiKeyId INT AUTO_INCREMENT PRIMARY KEY,
+    OrganizationId INT NOT NULL,
+    Name VARCHAR(100) NOT NULL,
+    KeyPrefix VARCHAR(16) NOT NULL,
+    KeyHash VARCHAR(64) NOT NULL UNIQUE,
+    Scopes JSON NOT NULL,
+    ExpiresAt DATETIME NULL,
+    LastUsedAt DATETIME NULL,
+    LastUsedIp VARCHAR(45) NULL,
+    RotatedFromId INT NULL,
+    CreatedBy INT,
+    CreatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    RevokedAt DATETIME NULL,
+    RevokedBy INT NULL,
+    FOREIGN KEY (OrganizationId) REFERENCES organizations(OrganizationId) ON DELETE CASCADE,
+    FOREIGN KEY (RotatedFromId) REFERENCES api_keys(ApiKeyId) ON DELETE SET NULL,
+    FOREIGN KEY (CreatedBy) REFERENCES users(UserId) ON DELETE SET NULL,
+    FOREIGN KEY (RevokedBy) REFERENCES users(UserId) ON DELETE SET NULL,
+    INDEX idx_api_key_org (OrganizationId)
+);
+
+-- Requests made with a key are logged under the key
+ALTER TABLE api_logs
+ADD COLUMN IF NOT EXISTS ApiKeyId INT NULL AFTER UserEmail;
+
+CREATE INDEX IF NOT EXISTS idx_log_api_key ON api_logs(ApiKeyId);
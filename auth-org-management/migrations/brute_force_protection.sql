@@ -0,0 +1,26 @@
+-- =====================================================
+-- Brute-force Protection
+-- Failed attempt counters per account (email) and per IP for the login,
+-- OTP verification and OTP sending endpoints. Crossing the threshold locks
+-- the key; each further lockout doubles its length.
+-- =====================================================
+
+USE auth_org_db;
+
+CREATE TABLE IF NOT EXISTS auth_attempts (
+    Id INT AUTO_INCREMENT PRIMARY KEY,
+    Scope VARCHAR(30) NOT NULL,
+    KeyType ENUM('account', 'ip') NOT NULL,
+    KeyValue VARCHAR(100) NOT NULL,
+    AttemptCount INT NOT NULL DEFAULT 0,
+    WindowStartedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    LockoutCount INT NOT NULL DEFAULT 0,
+    LockedUntil DATETIME NULL,
+    UpdatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_attempt_key (Scope, KeyType, KeyValue),
+    INDEX idx_attempt_updated (UpdatedAt)
+);
+
+-- Wrong guesses against a single OTP
+ALTER TABLE otp_tokens
+ADD COLUMN IF NOT EXISTS Attempts INT NOT NULL DEFAULT 0;
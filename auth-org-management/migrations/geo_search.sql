@@ -0,0 +1,44 @@
+-- =====================================================
+-- Geospatial Search
+-- A spatial point next to Latitude/Longitude on projects and camps, kept in
+-- sync by triggers, so radius and map-area searches can use a SPATIAL index.
+-- The column is INVISIBLE so SELECT * keeps returning plain rows. Rows without
+-- coordinates get POINT(0 0); searches skip them by checking
+-- Latitude/Longitude IS NOT NULL.
+-- =====================================================
+
+USE auth_org_db;
+
+-- Projects
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS GeoPoint POINT NULL SRID 4326 INVISIBLE;
+
+UPDATE projects
+SET GeoPoint = ST_PointFromText(CONCAT('POINT(', COALESCE(Longitude, 0), ' ', COALESCE(Latitude, 0), ')'), 4326, 'axis-order=long-lat');
+
+ALTER TABLE projects MODIFY COLUMN GeoPoint POINT NOT NULL SRID 4326 INVISIBLE;
+CREATE SPATIAL INDEX idx_projects_geo ON projects(GeoPoint);
+
+DROP TRIGGER IF EXISTS trg_projects_geo_insert;
+CREATE TRIGGER trg_projects_geo_insert BEFORE INSERT ON projects FOR EACH ROW
+SET NEW.GeoPoint = ST_PointFromText(CONCAT('POINT(', COALESCE(NEW.Longitude, 0), ' ', COALESCE(NEW.Latitude, 0), ')'), 4326, 'axis-order=long-lat');
+
+DROP TRIGGER IF EXISTS trg_projects_geo_update;
+CREATE TRIGGER trg_projects_geo_update BEFORE UPDATE ON projects FOR EACH ROW
+SET NEW.GeoPoint = ST_PointFromText(CONCAT('POINT(', COALESCE(NEW.Longitude, 0), ' ', COALESCE(NEW.Latitude, 0), ')'), 4326, 'axis-order=long-lat');
+
+-- Camps
+ALTER TABLE camps ADD COLUMN IF NOT EXISTS GeoPoint POINT NULL SRID 4326 INVISIBLE;
+
+UPDATE camps
+SET GeoPoint = ST_PointFromText(CONCAT('POINT(', COALESCE(Longitude, 0), ' ', COALESCE(Latitude, 0), ')'), 4326, 'axis-order=long-lat');
+
+ALTER TABLE camps MODIFY COLUMN GeoPoint POINT NOT NULL SRID 4326 INVISIBLE;
+CREATE SPATIAL INDEX idx_camps_geo ON camps(GeoPoint);
+
+DROP TRIGGER IF EXISTS trg_camps_geo_insert;
+CREATE TRIGGER trg_camps_geo_insert BEFORE INSERT ON camps FOR EACH ROW
+SET NEW.GeoPoint = ST_PointFromText(CONCAT('POINT(', COALESCE(NEW.Longitude, 0), ' ', COALESCE(NEW.Latitude, 0), ')'), 4326, 'axis-order=long-lat');
+
+DROP TRIGGER IF EXISTS trg_camps_geo_update;
+CREATE TRIGGER trg_camps_geo_update BEFORE UPDATE ON camps FOR EACH ROW
+SET NEW.GeoPoint = ST_PointFromText(CONCAT('POINT(', COALESCE(NEW.Longitude, 0), ' ', COALESCE(NEW.Latitude, 0), ')'), 4326, 'axis-order=long-lat');
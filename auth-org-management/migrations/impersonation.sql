@@ -0,0 +1,30 @@
+-- =====================================================
+-- Impersonation
+-- A SUPER_ADMIN can act as another user for a limited time. Each
+-- impersonation gets its own session on the target user's account, and
+-- every request made under it is logged with the impersonator's id.
+-- =====================================================
+
+USE auth_org_db;
+
+CREATE TABLE IF NOT EXISTS impersonations (
+    ImpersonationId INT AUTO_INCREMENT PRIMARY KEY,
+    ImpersonatorId INT NOT NULL,
+    TargetUserId INT NOT NULL,
+    SessionId VARCHAR(36) NOT NULL,
+    Reason VARCHAR(255) NULL,
+    IpAddress VARCHAR(45),
+    StartedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    ExpiresAt DATETIME NOT NULL,
+    EndedAt DATETIME NULL,
+    FOREIGN KEY (ImpersonatorId) REFERENCES users(UserId) ON DELETE CASCADE,
+    FOREIGN KEY (TargetUserId) REFERENCES users(UserId) ON DELETE CASCADE,
+    FOREIGN KEY (SessionId) REFERENCES user_sessions(SessionId) ON DELETE CASCADE,
+    INDEX idx_impersonation_impersonator (ImpersonatorId),
+    INDEX idx_impersonation_target (TargetUserId)
+);
+
+ALTER TABLE api_logs
+ADD COLUMN IF NOT EXISTS ImpersonatorId INT NULL AFTER ApiKeyId;
+
+CREATE INDEX IF NOT EXISTS idx_log_impersonator ON api_logs(ImpersonatorId);
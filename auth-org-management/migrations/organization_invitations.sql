@@ -0,0 +1,32 @@
+-- =====================================================
+-- Organization Invitations
+-- An invitation binds an email to an organization and a role. The emailed
+-- link carries a random token; only its SHA-256 hash is stored.
+-- =====================================================
+
+USE auth_org_db;
+
+CREATE TABLE IF NOT EXISTS organization_invitations (
+    InvitationId INT AUTO_INCREMENT PRIMARY KEY,
+    OrganizationId INT NOT NULL,
+    Email VARCHAR(100) NOT NULL,
+    RoleId INT NOT NULL,
+    TokenHash VARCHAR(64) NOT NULL UNIQUE,
+    Status ENUM('Pending', 'Accepted', 'Revoked') DEFAULT 'Pending',
+    ExpiresAt DATETIME NOT NULL,
+    SentCount INT DEFAULT 1,
+    LastSentAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    InvitedBy INT,
+    AcceptedBy INT NULL,
+    AcceptedAt DATETIME NULL,
+    RevokedBy INT NULL,
+    RevokedAt DATETIME NULL,
+    CreatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (OrganizationId) REFERENCES organizations(OrganizationId) ON DELETE CASCADE,
+    FOREIGN KEY (RoleId) REFERENCES roles(RoleId),
+    FOREIGN KEY (InvitedBy) REFERENCES users(UserId) ON DELETE SET NULL,
+    FOREIGN KEY (AcceptedBy) REFERENCES users(UserId) ON DELETE SET NULL,
+    FOREIGN KEY (RevokedBy) REFERENCES users(UserId) ON DELETE SET NULL,
+    INDEX idx_invitation_org (OrganizationId, Status),
+    INDEX idx_invitation_email (Email)
+);
@@ -0,0 +1,28 @@
+-- =====================================================
+-- Organization Members
+-- Extra organizations a user works for, each with its own role. The home
+-- organization and account role stay on users.OrganizationId / users.RoleId.
+-- A session acts for one organization at a time (ActiveOrganizationId, NULL
+-- for the home organization) and uses that organization's role.
+-- =====================================================
+
+USE auth_org_db;
+
+CREATE TABLE IF NOT EXISTS organization_members (
+    OrganizationMemberId INT AUTO_INCREMENT PRIMARY KEY,
+    OrganizationId INT NOT NULL,
+    UserId INT NOT NULL,
+    RoleId INT NOT NULL,
+    AddedBy INT NULL,
+    AddedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UpdatedDate DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_organization_member (OrganizationId, UserId),
+    FOREIGN KEY (OrganizationId) REFERENCES organizations(OrganizationId) ON DELETE CASCADE,
+    FOREIGN KEY (UserId) REFERENCES users(UserId) ON DELETE CASCADE,
+    FOREIGN KEY (RoleId) REFERENCES roles(RoleId),
+    FOREIGN KEY (AddedBy) REFERENCES users(UserId) ON DELETE SET NULL,
+    INDEX idx_organization_member_user (UserId)
+);
+
+ALTER TABLE user_sessions
+ADD COLUMN IF NOT EXISTS ActiveOrganizationId INT NULL AFTER IpAddress;
@@ -0,0 +1,90 @@
+-- =====================================================
+-- Permissions
+-- Named permissions (e.g. 'spends.approve') granted to roles. Routes check
+-- permissions instead of role codes, so roles created through /api/roles can
+-- be given access. SUPER_ADMIN holds every permission without grants.
+-- =====================================================
+
+USE auth_org_db;
+
+CREATE TABLE IF NOT EXISTS permissions (
+    PermissionId INT AUTO_INCREMENT PRIMARY KEY,
+    PermissionCode VARCHAR(64) NOT NULL UNIQUE,
+    Module VARCHAR(50) NOT NULL,
+    Description VARCHAR(255),
+    CreatedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_permission_module (Module)
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    RoleId INT NOT NULL,
+    PermissionId INT NOT NULL,
+    GrantedBy INT NULL,
+    GrantedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (RoleId, PermissionId),
+    FOREIGN KEY (RoleId) REFERENCES roles(RoleId) ON DELETE CASCADE,
+    FOREIGN KEY (PermissionId) REFERENCES permissions(PermissionId) ON DELETE CASCADE,
+    FOREIGN KEY (GrantedBy) REFERENCES users(UserId) ON DELETE SET NULL
+);
+
+INSERT INTO permissions (PermissionCode, Module, Description) VALUES
+('users.manage', 'users', 'List, create and update users, their roles and sessions'),
+('users.impersonate', 'users', 'Act as another user for support'),
+('roles.view', 'roles', 'View roles'),
+('roles.manage', 'roles', 'Create, update and delete roles'),
+('permissions.manage', 'roles', 'Change the permissions granted to roles'),
+('organizations.view', 'organizations', 'Open the organizations screen in the app'),
+('organizations.manage', 'organizations', 'Create and update organizations'),
+('organizations.delete', 'organizations', 'Delete organizations'),
+('invitations.manage', 'organizations', 'Invite users to an organization'),
+('api_keys.manage', 'organizations', 'Create, rotate and revoke organization API keys'),
+('projects.view', 'projects', 'View projects'),
+('projects.manage', 'projects', 'Create and edit projects in the app'),
+('project_permissions.approve', 'projects', 'Approve or reject ground permissions'),
+('spends.approve', 'projects', 'Approve or reject project expenses'),
+('camps.view', 'camps', 'View camps'),
+('camps.manage', 'camps', 'Create and edit camps in the app'),
+('campaigns.view', 'campaigns', 'View campaigns'),
+('campaigns.manage', 'campaigns', 'Create and edit campaigns in the app'),
+('campaigns.delete', 'campaigns', 'Delete campaigns'),
+('donations.self', 'donations', 'View own donations'),
+('donations.manage', 'donations', 'Record offline donations, edit and delete donations'),
+('logs.view', 'logs', 'View API logs and statistics'),
+('logs.cleanup', 'logs', 'Delete old API logs'),
+('two_factor.policies', 'security', 'Require two-factor authentication per role')
+ON DUPLICATE KEY UPDATE Module = VALUES(Module), Description = VALUES(Description);
+
+-- Default grants matching the previous hard-coded role checks
+
+INSERT IGNORE INTO role_permissions (RoleId, PermissionId)
+SELECT r.RoleId, p.PermissionId
+FROM roles r
+JOIN permissions p ON p.PermissionCode NOT IN ('users.impersonate', 'roles.manage', 'permissions.manage', 'logs.cleanup')
+WHERE r.RoleCode = 'ADMIN';
+
+INSERT IGNORE INTO role_permissions (RoleId, PermissionId)
+SELECT r.RoleId, p.PermissionId
+FROM roles r
+JOIN permissions p ON p.PermissionCode IN (
+    'organizations.view', 'organizations.manage', 'invitations.manage', 'api_keys.manage',
+    'projects.view', 'campaigns.view', 'donations.self'
+)
+WHERE r.RoleCode = 'ORG_ADMIN';
+
+INSERT IGNORE INTO role_permissions (RoleId, PermissionId)
+SELECT r.RoleId, p.PermissionId
+FROM roles r
+JOIN permissions p ON p.PermissionCode IN ('projects.view', 'camps.view', 'campaigns.view')
+WHERE r.RoleCode = 'STAFF';
+
+INSERT IGNORE INTO role_permissions (RoleId, PermissionId)
+SELECT r.RoleId, p.PermissionId
+FROM roles r
+JOIN permissions p ON p.PermissionCode IN ('projects.view', 'campaigns.view')
+WHERE r.RoleCode = 'VOLUNTEER';
+
+INSERT IGNORE INTO role_permissions (RoleId, PermissionId)
+SELECT r.RoleId, p.PermissionId
+FROM roles r
+JOIN permissions p ON p.PermissionCode IN ('projects.view', 'campaigns.view', 'donations.self')
+WHERE r.RoleCode = 'SPONSOR';
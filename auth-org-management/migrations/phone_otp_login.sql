@@ -0,0 +1,30 @@
+-- =====================================================
+-- Phone OTP Login
+-- Users can sign up and log in with their mobile number alone, so Email
+-- becomes optional. OTPs are addressed to either an email or a mobile number.
+-- =====================================================
+
+USE auth_org_db;
+
+ALTER TABLE users
+MODIFY COLUMN Email VARCHAR(100) NULL,
+ADD COLUMN IF NOT EXISTS IsMobileVerified BOOLEAN DEFAULT FALSE;
+
+-- A mobile number logs in to one account only. Where several accounts share
+-- one, it stays with the account that verified it (else the oldest) and is
+-- cleared from the others before the unique index is added.
+UPDATE users u
+JOIN users keeper ON keeper.MobileNumber = u.MobileNumber AND keeper.UserId <> u.UserId
+    AND (COALESCE(keeper.IsMobileVerified, FALSE) > COALESCE(u.IsMobileVerified, FALSE)
+        OR (COALESCE(keeper.IsMobileVerified, FALSE) = COALESCE(u.IsMobileVerified, FALSE) AND keeper.UserId < u.UserId))
+SET u.MobileNumber = NULL, u.IsMobileVerified = FALSE;
+
+DROP INDEX IF EXISTS idx_user_mobile ON users;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_mobile_unique ON users(MobileNumber);
+
+ALTER TABLE otp_tokens
+MODIFY COLUMN Email VARCHAR(100) NULL,
+ADD COLUMN IF NOT EXISTS MobileNumber VARCHAR(15) NULL,
+MODIFY COLUMN Purpose ENUM('email_verification', 'password_reset', 'phone_verification', 'phone_login') DEFAULT 'email_verification';
+
+CREATE INDEX IF NOT EXISTS idx_otp_mobile ON otp_tokens(MobileNumber);
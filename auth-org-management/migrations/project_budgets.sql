@@ -0,0 +1,45 @@
+-- =====================================================
+-- Project Budgets
+-- Budget heads of a project (food, travel, medical supplies, ...) with their
+-- planned amount, every revision of that amount, and the head each expense
+-- is booked against.
+-- =====================================================
+
+USE auth_org_db;
+
+CREATE TABLE IF NOT EXISTS project_budget_heads (
+    BudgetHeadId INT AUTO_INCREMENT PRIMARY KEY,
+    ProjectId INT NOT NULL,
+    HeadName VARCHAR(150) NOT NULL,
+    Description TEXT,
+    PlannedAmount DECIMAL(15, 2) NOT NULL DEFAULT 0,
+    IsDeleted BOOLEAN DEFAULT FALSE,
+    CreatedBy INT,
+    CreatedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UpdatedBy INT,
+    UpdatedDate DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (ProjectId) REFERENCES projects(ProjectId),
+    FOREIGN KEY (CreatedBy) REFERENCES users(UserId),
+    FOREIGN KEY (UpdatedBy) REFERENCES users(UserId),
+    INDEX idx_budget_heads_project (ProjectId)
+);
+
+-- One row per change of a head's planned amount
+CREATE TABLE IF NOT EXISTS project_budget_revisions (
+    BudgetRevisionId INT AUTO_INCREMENT PRIMARY KEY,
+    BudgetHeadId INT NOT NULL,
+    PreviousAmount DECIMAL(15, 2) NOT NULL,
+    NewAmount DECIMAL(15, 2) NOT NULL,
+    Reason VARCHAR(500),
+    RevisedBy INT,
+    RevisedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (BudgetHeadId) REFERENCES project_budget_heads(BudgetHeadId) ON DELETE CASCADE,
+    FOREIGN KEY (RevisedBy) REFERENCES users(UserId),
+    INDEX idx_budget_revisions_head (BudgetHeadId)
+);
+
+ALTER TABLE project_spends
+ADD COLUMN IF NOT EXISTS BudgetHeadId INT NULL AFTER ProjectId,
+ADD CONSTRAINT fk_spend_budget_head FOREIGN KEY (BudgetHeadId) REFERENCES project_budget_heads(BudgetHeadId);
+
+CREATE INDEX IF NOT EXISTS idx_spends_budget_head ON project_spends(BudgetHeadId);
@@ -0,0 +1,47 @@
+-- =====================================================
+-- Project Impact Indicators
+-- Outcomes a project reports to donors and sponsors (children enrolled, meals
+-- served, check-ups done), each with a unit and a target. Manual indicators
+-- collect readings entered by the team; the others are read from completed
+-- camps (attendance) or from distributed beneficiary donations, optionally
+-- narrowed to one camp type or donation type through SourceFilter.
+-- Every reading is what was achieved in that period; progress is their sum.
+-- =====================================================
+
+USE auth_org_db;
+
+CREATE TABLE IF NOT EXISTS project_indicators (
+    IndicatorId INT AUTO_INCREMENT PRIMARY KEY,
+    ProjectId INT NOT NULL,
+    IndicatorName VARCHAR(150) NOT NULL,
+    Description TEXT,
+    Unit VARCHAR(50) NOT NULL,
+    TargetValue DECIMAL(15, 2) DEFAULT 0,
+    Source ENUM('Manual', 'CampAttendance', 'BeneficiaryDistributions') DEFAULT 'Manual',
+    SourceFilter VARCHAR(100) NULL,
+    IsPublic BOOLEAN DEFAULT TRUE,  -- Show on the public microsite
+    DisplayOrder INT DEFAULT 0,
+    IsDeleted BOOLEAN DEFAULT FALSE,
+    CreatedBy INT,
+    CreatedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UpdatedBy INT,
+    UpdatedDate DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (ProjectId) REFERENCES projects(ProjectId),
+    FOREIGN KEY (CreatedBy) REFERENCES users(UserId),
+    FOREIGN KEY (UpdatedBy) REFERENCES users(UserId),
+    INDEX idx_indicators_project (ProjectId)
+);
+
+CREATE TABLE IF NOT EXISTS project_indicator_readings (
+    ReadingId INT AUTO_INCREMENT PRIMARY KEY,
+    IndicatorId INT NOT NULL,
+    ReadingDate DATE NOT NULL,
+    Value DECIMAL(15, 2) NOT NULL,
+    Notes VARCHAR(500),
+    IsDeleted BOOLEAN DEFAULT FALSE,
+    CreatedBy INT,
+    CreatedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (IndicatorId) REFERENCES project_indicators(IndicatorId),
+    FOREIGN KEY (CreatedBy) REFERENCES users(UserId),
+    INDEX idx_indicator_readings (IndicatorId, ReadingDate)
+);
@@ -0,0 +1,29 @@
+-- =====================================================
+-- Project Lifecycle
+-- On Hold, Cancelled and Closed project statuses, and a record of every
+-- status change with who made it, why and when.
+-- =====================================================
+
+USE auth_org_db;
+
+ALTER TABLE projects
+MODIFY COLUMN Status ENUM('Planned', 'Ongoing', 'OnHold', 'Completed', 'Cancelled', 'Closed') DEFAULT 'Planned';
+
+CREATE TABLE IF NOT EXISTS project_status_history (
+    ProjectStatusHistoryId INT AUTO_INCREMENT PRIMARY KEY,
+    ProjectId INT NOT NULL,
+    FromStatus VARCHAR(20),
+    ToStatus VARCHAR(20) NOT NULL,
+    Reason VARCHAR(500),
+    ChangedBy INT,
+    ChangedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (ProjectId) REFERENCES projects(ProjectId) ON DELETE CASCADE,
+    FOREIGN KEY (ChangedBy) REFERENCES users(UserId) ON DELETE SET NULL,
+    INDEX idx_project_status_history_project (ProjectId)
+);
+
+-- Existing projects start their history with the status they have now
+INSERT INTO project_status_history (ProjectId, FromStatus, ToStatus, Reason, ChangedBy, ChangedDate)
+SELECT p.ProjectId, NULL, p.Status, 'Status before lifecycle tracking', p.CreatedBy, p.CreatedDate
+FROM projects p
+WHERE NOT EXISTS (SELECT 1 FROM project_status_history h WHERE h.ProjectId = p.ProjectId);
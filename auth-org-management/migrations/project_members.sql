@@ -0,0 +1,49 @@
+-- =====================================================
+-- Project Members
+-- Users working on a project and their role in it. Members only see the
+-- projects they belong to (and those projects' camps, expenses and ground
+-- permissions); the project role decides what they can change there.
+-- =====================================================
+
+USE auth_org_db;
+
+CREATE TABLE IF NOT EXISTS project_members (
+    ProjectMemberId INT AUTO_INCREMENT PRIMARY KEY,
+    ProjectId INT NOT NULL,
+    UserId INT NOT NULL,
+    ProjectRole ENUM('Lead', 'Treasurer', 'FieldVolunteer', 'Viewer') NOT NULL DEFAULT 'Viewer',
+    AddedBy INT NULL,
+    AddedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UpdatedBy INT NULL,
+    UpdatedDate DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_project_member (ProjectId, UserId),
+    FOREIGN KEY (ProjectId) REFERENCES projects(ProjectId) ON DELETE CASCADE,
+    FOREIGN KEY (UserId) REFERENCES users(UserId) ON DELETE CASCADE,
+    FOREIGN KEY (AddedBy) REFERENCES users(UserId) ON DELETE SET NULL,
+    FOREIGN KEY (UpdatedBy) REFERENCES users(UserId) ON DELETE SET NULL,
+    INDEX idx_project_member_user (UserId)
+);
+
+-- Existing projects are led by whoever created them
+INSERT IGNORE INTO project_members (ProjectId, UserId, ProjectRole)
+SELECT ProjectId, CreatedBy, 'Lead'
+FROM projects
+WHERE CreatedBy IS NOT NULL AND IsDeleted = FALSE;
+
+-- Access to projects without being a member
+INSERT INTO permissions (PermissionCode, Module, Description) VALUES
+('projects.all', 'projects', 'Access every project without being a member'),
+('projects.organization', 'projects', 'Access every project of own organization without being a member')
+ON DUPLICATE KEY UPDATE Module = VALUES(Module), Description = VALUES(Description);
+
+INSERT IGNORE INTO role_permissions (RoleId, PermissionId)
+SELECT r.RoleId, p.PermissionId
+FROM roles r
+JOIN permissions p ON p.PermissionCode = 'projects.all'
+WHERE r.RoleCode = 'ADMIN';
+
+INSERT IGNORE INTO role_permissions (RoleId, PermissionId)
+SELECT r.RoleId, p.PermissionId
+FROM roles r
+JOIN permissions p ON p.PermissionCode = 'projects.organization'
+WHERE r.RoleCode = 'ORG_ADMIN';
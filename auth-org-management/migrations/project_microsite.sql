@@ -0,0 +1,19 @@
+-- =====================================================
+-- Public Project Microsite
+-- A URL slug and a publish switch on projects for GET /api/public/projects/:slug,
+-- and a switch on camp media to pick the photos and videos shown there.
+-- Existing projects get "<name>-<id>" slugs and stay unpublished.
+-- =====================================================
+
+USE auth_org_db;
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS Slug VARCHAR(150) NULL AFTER ProjectTitle;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS IsPublic BOOLEAN DEFAULT FALSE AFTER IsActive;
+
+UPDATE projects
+SET Slug = CONCAT(TRIM(BOTH '-' FROM LEFT(REGEXP_REPLACE(LOWER(ProjectName), '[^a-z0-9]+', '-'), 120)), '-', ProjectId)
+WHERE Slug IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_projects_slug ON projects(Slug);
+
+ALTER TABLE camp_media ADD COLUMN IF NOT EXISTS IsPublic BOOLEAN DEFAULT FALSE AFTER DisplayOrder;
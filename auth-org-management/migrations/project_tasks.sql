@@ -0,0 +1,76 @@
+-- =====================================================
+-- Project Milestones and Tasks
+-- Deliverables of a project: milestones, the tasks under them (assignee, due
+-- date, percent complete), which tasks wait on which, and every status change.
+-- =====================================================
+
+USE auth_org_db;
+
+CREATE TABLE IF NOT EXISTS project_milestones (
+    MilestoneId INT AUTO_INCREMENT PRIMARY KEY,
+    ProjectId INT NOT NULL,
+    Title VARCHAR(255) NOT NULL,
+    Description TEXT,
+    DueDate DATE,
+    Status ENUM('Open', 'Completed') DEFAULT 'Open',
+    IsDeleted BOOLEAN DEFAULT FALSE,
+    CreatedBy INT,
+    CreatedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UpdatedBy INT,
+    UpdatedDate DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (ProjectId) REFERENCES projects(ProjectId),
+    FOREIGN KEY (CreatedBy) REFERENCES users(UserId),
+    FOREIGN KEY (UpdatedBy) REFERENCES users(UserId),
+    INDEX idx_milestones_project (ProjectId)
+);
+
+CREATE TABLE IF NOT EXISTS project_tasks (
+    TaskId INT AUTO_INCREMENT PRIMARY KEY,
+    ProjectId INT NOT NULL,
+    MilestoneId INT NULL,
+    Title VARCHAR(255) NOT NULL,
+    Description TEXT,
+    AssignedToUserId INT NULL,
+    StartDate DATE,
+    DueDate DATE,
+    Status ENUM('Todo', 'InProgress', 'Blocked', 'Done', 'Cancelled') DEFAULT 'Todo',
+    PercentComplete TINYINT UNSIGNED DEFAULT 0,
+    CompletedDate DATETIME,
+    IsDeleted BOOLEAN DEFAULT FALSE,
+    CreatedBy INT,
+    CreatedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UpdatedBy INT,
+    UpdatedDate DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (ProjectId) REFERENCES projects(ProjectId),
+    FOREIGN KEY (MilestoneId) REFERENCES project_milestones(MilestoneId) ON DELETE SET NULL,
+    FOREIGN KEY (AssignedToUserId) REFERENCES users(UserId) ON DELETE SET NULL,
+    FOREIGN KEY (CreatedBy) REFERENCES users(UserId),
+    FOREIGN KEY (UpdatedBy) REFERENCES users(UserId),
+    INDEX idx_tasks_project (ProjectId),
+    INDEX idx_tasks_milestone (MilestoneId),
+    INDEX idx_tasks_assignee (AssignedToUserId),
+    INDEX idx_tasks_due (DueDate)
+);
+
+-- TaskId cannot start before DependsOnTaskId is done
+CREATE TABLE IF NOT EXISTS project_task_dependencies (
+    TaskId INT NOT NULL,
+    DependsOnTaskId INT NOT NULL,
+    PRIMARY KEY (TaskId, DependsOnTaskId),
+    FOREIGN KEY (TaskId) REFERENCES project_tasks(TaskId) ON DELETE CASCADE,
+    FOREIGN KEY (DependsOnTaskId) REFERENCES project_tasks(TaskId) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS project_task_status_history (
+    TaskStatusHistoryId INT AUTO_INCREMENT PRIMARY KEY,
+    TaskId INT NOT NULL,
+    FromStatus VARCHAR(20),
+    ToStatus VARCHAR(20) NOT NULL,
+    PercentComplete TINYINT UNSIGNED,
+    Note VARCHAR(500),
+    ChangedBy INT,
+    ChangedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (TaskId) REFERENCES project_tasks(TaskId) ON DELETE CASCADE,
+    FOREIGN KEY (ChangedBy) REFERENCES users(UserId),
+    INDEX idx_task_history_task (TaskId)
+);
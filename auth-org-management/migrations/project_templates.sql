@@ -0,0 +1,27 @@
+-- =====================================================
+-- Project Templates
+-- Saved plans of recurring projects (winter blanket drives, health camps, ...).
+-- Plan holds the description, budget heads, ground permission checklist,
+-- camp plans and campaign drafts, with dates kept relative to the project start.
+-- =====================================================
+
+USE auth_org_db;
+
+CREATE TABLE IF NOT EXISTS project_templates (
+    ProjectTemplateId INT AUTO_INCREMENT PRIMARY KEY,
+    OrganizationId INT NULL,
+    TemplateName VARCHAR(255) NOT NULL,
+    Description TEXT,
+    SourceProjectId INT NULL,
+    Plan JSON NOT NULL,
+    IsDeleted BOOLEAN DEFAULT FALSE,
+    CreatedBy INT,
+    CreatedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UpdatedBy INT,
+    UpdatedDate DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (OrganizationId) REFERENCES organizations(OrganizationId),
+    FOREIGN KEY (SourceProjectId) REFERENCES projects(ProjectId) ON DELETE SET NULL,
+    FOREIGN KEY (CreatedBy) REFERENCES users(UserId),
+    FOREIGN KEY (UpdatedBy) REFERENCES users(UserId),
+    INDEX idx_project_templates_org (OrganizationId)
+);
@@ -0,0 +1,31 @@
+-- Migration: Rotating refresh tokens
+-- Refresh tokens are stored as SHA-256 hashes. Every token belongs to a family
+-- (one login); rotating a token revokes it and issues the next one in the same
+-- family. Presenting an already-rotated token revokes the whole family.
+
+USE auth_org_db;
+
+ALTER TABLE refresh_tokens
+ADD COLUMN IF NOT EXISTS FamilyId VARCHAR(36) NOT NULL DEFAULT '',
+ADD COLUMN IF NOT EXISTS ReplacedById INT NULL,
+ADD COLUMN IF NOT EXISTS RevokedAt DATETIME NULL,
+ADD COLUMN IF NOT EXISTS RevokedReason ENUM('rotated', 'logout', 'logout_all', 'reuse_detected', 'password_reset') NULL;
+
+-- Tokens issued before this migration were never handed out, drop them
+DELETE FROM refresh_tokens WHERE FamilyId = '';
+
+CREATE INDEX IF NOT EXISTS idx_refresh_family ON refresh_tokens(FamilyId);
+CREATE INDEX IF NOT EXISTS idx_refresh_expiry ON refresh_tokens(ExpiresAt);
+
+-- One-time codes the Google OAuth callback redirects with. The frontend
+-- exchanges a code for tokens once, within a minute.
+CREATE TABLE IF NOT EXISTS oauth_login_codes (
+    Id INT AUTO_INCREMENT PRIMARY KEY,
+    UserId INT NOT NULL,
+    CodeHash VARCHAR(64) NOT NULL,
+    ExpiresAt DATETIME NOT NULL,
+    UsedAt DATETIME NULL,
+    CreatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (UserId) REFERENCES users(UserId) ON DELETE CASCADE,
+    UNIQUE KEY uq_oauth_login_code (CodeHash)
+);
@@ -0,0 +1,89 @@
+-- =====================================================
+-- Reimbursement Batches
+-- Groups a volunteer's approved own-money expenses (PaidWithOwnMoney) into a
+-- batch that finance pays out in one or more payments, each with its payout
+-- mode and reference. Expenses are settled as payments cover them, oldest
+-- first, so a partly paid batch settles some of its expenses.
+-- reimbursement_ledger keeps a running balance per volunteer and
+-- organization: batched expenses add to what is owed (Claim), payments
+-- subtract (Payment) and cancelling a batch takes its claims back (Reversal).
+-- =====================================================
+
+USE auth_org_db;
+
+CREATE TABLE IF NOT EXISTS reimbursement_batches (
+    BatchId INT AUTO_INCREMENT PRIMARY KEY,
+    OrganizationId INT NOT NULL,
+    PayeeUserId INT NOT NULL,
+    Status ENUM('Open', 'PartiallyPaid', 'Paid', 'Cancelled') DEFAULT 'Open',
+    TotalAmount DECIMAL(12, 2) NOT NULL,
+    PaidAmount DECIMAL(12, 2) DEFAULT 0,
+    Notes TEXT,
+    CreatedBy INT,
+    CreatedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    CancelledBy INT NULL,
+    CancelledDate DATETIME NULL,
+    FOREIGN KEY (OrganizationId) REFERENCES organizations(OrganizationId),
+    FOREIGN KEY (PayeeUserId) REFERENCES users(UserId),
+    FOREIGN KEY (CreatedBy) REFERENCES users(UserId),
+    FOREIGN KEY (CancelledBy) REFERENCES users(UserId),
+    INDEX idx_reimbursement_batches_org (OrganizationId, Status),
+    INDEX idx_reimbursement_batches_payee (PayeeUserId)
+);
+
+-- An expense is in at most one batch; cancelling a batch releases its expenses
+CREATE TABLE IF NOT EXISTS reimbursement_batch_spends (
+    BatchId INT NOT NULL,
+    ProjectSpendId INT NOT NULL,
+    Amount DECIMAL(12, 2) NOT NULL,
+    PRIMARY KEY (BatchId, ProjectSpendId),
+    UNIQUE KEY uq_reimbursement_batch_spend (ProjectSpendId),
+    FOREIGN KEY (BatchId) REFERENCES reimbursement_batches(BatchId) ON DELETE CASCADE,
+    FOREIGN KEY (ProjectSpendId) REFERENCES project_spends(ProjectSpendId)
+);
+
+CREATE TABLE IF NOT EXISTS reimbursement_payments (
+    PaymentId INT AUTO_INCREMENT PRIMARY KEY,
+    BatchId INT NOT NULL,
+    Amount DECIMAL(12, 2) NOT NULL,
+    PayoutMode ENUM('Cash', 'Bank Transfer', 'UPI', 'Cheque', 'Other') NOT NULL,
+    PayoutReference VARCHAR(100),  -- Transaction ID, cheque number, ...
+    PaidDate DATE NOT NULL,
+    Notes TEXT,
+    CreatedBy INT,
+    CreatedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (BatchId) REFERENCES reimbursement_batches(BatchId) ON DELETE CASCADE,
+    FOREIGN KEY (CreatedBy) REFERENCES users(UserId),
+    INDEX idx_reimbursement_payments_batch (BatchId)
+);
+
+CREATE TABLE IF NOT EXISTS reimbursement_ledger (
+    LedgerEntryId INT AUTO_INCREMENT PRIMARY KEY,
+    OrganizationId INT NOT NULL,
+    UserId INT NOT NULL,
+    EntryType ENUM('Claim', 'Payment', 'Reversal') NOT NULL,
+    Amount DECIMAL(12, 2) NOT NULL,   -- Positive when more is owed to the volunteer
+    Balance DECIMAL(12, 2) NOT NULL,  -- Owed to the volunteer after this entry
+    BatchId INT NULL,
+    ProjectSpendId INT NULL,
+    PaymentId INT NULL,
+    Description VARCHAR(255),
+    CreatedBy INT,
+    CreatedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (OrganizationId) REFERENCES organizations(OrganizationId),
+    FOREIGN KEY (UserId) REFERENCES users(UserId),
+    FOREIGN KEY (BatchId) REFERENCES reimbursement_batches(BatchId),
+    FOREIGN KEY (ProjectSpendId) REFERENCES project_spends(ProjectSpendId),
+    FOREIGN KEY (PaymentId) REFERENCES reimbursement_payments(PaymentId),
+    INDEX idx_reimbursement_ledger_user (OrganizationId, UserId, LedgerEntryId)
+);
+
+INSERT INTO permissions (PermissionCode, Module, Description) VALUES
+('reimbursements.manage', 'projects', 'Batch and pay out reimbursements of own-money expenses')
+ON DUPLICATE KEY UPDATE Module = VALUES(Module), Description = VALUES(Description);
+
+INSERT IGNORE INTO role_permissions (RoleId, PermissionId)
+SELECT r.RoleId, p.PermissionId
+FROM roles r
+JOIN permissions p ON p.PermissionCode = 'reimbursements.manage'
+WHERE r.RoleCode IN ('ADMIN', 'ORG_ADMIN');
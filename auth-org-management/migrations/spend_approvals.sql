@@ -0,0 +1,43 @@
+-- =====================================================
+-- Spend Approval Chains
+-- The steps an expense goes through before it is Approved, configured per
+-- organization. A step applies to expenses of at least MinAmount and is
+-- decided by a project role (Lead, Treasurer, ...) or by a role held in the
+-- organization (ORG_ADMIN, ...). Organizations without rules keep a single
+-- step any spends.approve holder can decide.
+-- Every expense gets its own copy of the steps that apply to it, decided in
+-- order; reopening it or changing its amount voids them and starts over.
+-- =====================================================
+
+USE auth_org_db;
+
+CREATE TABLE IF NOT EXISTS spend_approval_rules (
+    ApprovalRuleId INT AUTO_INCREMENT PRIMARY KEY,
+    OrganizationId INT NOT NULL,
+    StepOrder INT NOT NULL,
+    ApproverType ENUM('ProjectRole', 'OrganizationRole') NOT NULL,
+    ApproverRole VARCHAR(50) NOT NULL,
+    MinAmount DECIMAL(15, 2) DEFAULT 0,
+    CreatedBy INT,
+    CreatedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (OrganizationId) REFERENCES organizations(OrganizationId) ON DELETE CASCADE,
+    FOREIGN KEY (CreatedBy) REFERENCES users(UserId),
+    UNIQUE KEY uq_spend_approval_rule_step (OrganizationId, StepOrder)
+);
+
+CREATE TABLE IF NOT EXISTS project_spend_approvals (
+    SpendApprovalId INT AUTO_INCREMENT PRIMARY KEY,
+    ProjectSpendId INT NOT NULL,
+    StepOrder INT NOT NULL,
+    ApproverType ENUM('ProjectRole', 'OrganizationRole', 'Permission') NOT NULL,
+    ApproverRole VARCHAR(50) NOT NULL,
+    Decision ENUM('Approved', 'Rejected') NULL,
+    Comment VARCHAR(1000),
+    DecidedBy INT NULL,
+    DecidedDate DATETIME NULL,
+    IsVoid BOOLEAN DEFAULT FALSE,  -- Superseded after a reopen or an amount change
+    CreatedDate DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (ProjectSpendId) REFERENCES project_spends(ProjectSpendId) ON DELETE CASCADE,
+    FOREIGN KEY (DecidedBy) REFERENCES users(UserId),
+    INDEX idx_spend_approvals_spend (ProjectSpendId, IsVoid, StepOrder)
+);
@@ -0,0 +1,102 @@
+-- =====================================================
+-- Trash Bin
+-- Who deleted a record and when, for the soft-deleted projects, camps,
+-- campaigns, donations, expenses, sponsors, beneficiary donations and their
+-- media. Deleted records are listed and restored through /api/trash and
+-- hard-deleted once they have been in the trash for TRASH_RETENTION_DAYS.
+-- Records deleted before this migration count their retention from today.
+-- =====================================================
+
+USE auth_org_db;
+
+ALTER TABLE projects
+ADD COLUMN IF NOT EXISTS DeletedBy INT NULL,
+ADD COLUMN IF NOT EXISTS DeletedDate DATETIME NULL;
+
+ALTER TABLE camps
+ADD COLUMN IF NOT EXISTS DeletedBy INT NULL,
+ADD COLUMN IF NOT EXISTS DeletedDate DATETIME NULL;
+
+ALTER TABLE camp_media
+ADD COLUMN IF NOT EXISTS DeletedBy INT NULL,
+ADD COLUMN IF NOT EXISTS DeletedDate DATETIME NULL;
+
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS DeletedBy INT NULL,
+ADD COLUMN IF NOT EXISTS DeletedDate DATETIME NULL;
+
+ALTER TABLE donations
+ADD COLUMN IF NOT EXISTS DeletedBy INT NULL,
+ADD COLUMN IF NOT EXISTS DeletedDate DATETIME NULL;
+
+ALTER TABLE project_spends
+ADD COLUMN IF NOT EXISTS DeletedBy INT NULL,
+ADD COLUMN IF NOT EXISTS DeletedDate DATETIME NULL;
+
+ALTER TABLE project_sponsors
+ADD COLUMN IF NOT EXISTS DeletedBy INT NULL,
+ADD COLUMN IF NOT EXISTS DeletedDate DATETIME NULL;
+
+ALTER TABLE project_sponsor_media
+ADD COLUMN IF NOT EXISTS DeletedBy INT NULL,
+ADD COLUMN IF NOT EXISTS DeletedDate DATETIME NULL;
+
+ALTER TABLE beneficiary_donations
+ADD COLUMN IF NOT EXISTS DeletedBy INT NULL,
+ADD COLUMN IF NOT EXISTS DeletedDate DATETIME NULL;
+
+ALTER TABLE beneficiary_donation_media
+ADD COLUMN IF NOT EXISTS DeletedBy INT NULL,
+ADD COLUMN IF NOT EXISTS DeletedDate DATETIME NULL;
+
+CREATE INDEX IF NOT EXISTS idx_projects_deleted ON projects(IsDeleted, DeletedDate);
+CREATE INDEX IF NOT EXISTS idx_camps_deleted ON camps(IsDeleted, DeletedDate);
+CREATE INDEX IF NOT EXISTS idx_camp_media_deleted ON camp_media(IsDeleted, DeletedDate);
+CREATE INDEX IF NOT EXISTS idx_campaigns_deleted ON campaigns(IsDeleted, DeletedDate);
+CREATE INDEX IF NOT EXISTS idx_donations_deleted ON donations(IsDeleted, DeletedDate);
+CREATE INDEX IF NOT EXISTS idx_spends_deleted ON project_spends(IsDeleted, DeletedDate);
+CREATE INDEX IF NOT EXISTS idx_sponsors_deleted ON project_sponsors(IsDeleted, DeletedDate);
+CREATE INDEX IF NOT EXISTS idx_sponsor_media_deleted ON project_sponsor_media(IsDeleted, DeletedDate);
+CREATE INDEX IF NOT EXISTS idx_beneficiary_donations_deleted ON beneficiary_donations(IsDeleted, DeletedDate);
+CREATE INDEX IF NOT EXISTS idx_beneficiary_media_deleted ON beneficiary_donation_media(IsDeleted, DeletedDate);
+
+-- Records already in the trash. UpdatedDate is set to itself so it keeps the
+-- date of the last real change.
+UPDATE projects SET DeletedDate = NOW(), DeletedBy = UpdatedBy, UpdatedDate = UpdatedDate
+WHERE IsDeleted = TRUE AND DeletedDate IS NULL;
+
+UPDATE camps SET DeletedDate = NOW(), DeletedBy = UpdatedBy, UpdatedDate = UpdatedDate
+WHERE IsDeleted = TRUE AND DeletedDate IS NULL;
+
+UPDATE campaigns SET DeletedDate = NOW(), DeletedBy = UpdatedBy, UpdatedDate = UpdatedDate
+WHERE IsDeleted = TRUE AND DeletedDate IS NULL;
+
+UPDATE donations SET DeletedDate = NOW(), DeletedBy = UpdatedBy, UpdatedDate = UpdatedDate
+WHERE IsDeleted = TRUE AND DeletedDate IS NULL;
+
+UPDATE project_spends SET DeletedDate = NOW(), DeletedBy = UpdatedBy, UpdatedDate = UpdatedDate
+WHERE IsDeleted = TRUE AND DeletedDate IS NULL;
+
+UPDATE project_sponsors SET DeletedDate = NOW(), DeletedBy = UpdatedBy, UpdatedDate = UpdatedDate
+WHERE IsDeleted = TRUE AND DeletedDate IS NULL;
+
+UPDATE beneficiary_donations SET DeletedDate = NOW(), DeletedBy = UpdatedBy, UpdatedDate = UpdatedDate
+WHERE IsDeleted = TRUE AND DeletedDate IS NULL;
+
+UPDATE camp_media SET DeletedDate = NOW() WHERE IsDeleted = TRUE AND DeletedDate IS NULL;
+
+UPDATE project_sponsor_media SET DeletedDate = NOW() WHERE IsDeleted = TRUE AND DeletedDate IS NULL;
+
+UPDATE beneficiary_donation_media SET DeletedDate = NOW() WHERE IsDeleted = TRUE AND DeletedDate IS NULL;
+
+-- Listing and restoring deleted records; purging ahead of the retention period
+INSERT INTO permissions (PermissionCode, Module, Description) VALUES
+('trash.manage', 'trash', 'List and restore deleted records'),
+('trash.purge', 'trash', 'Permanently delete records from the trash')
+ON DUPLICATE KEY UPDATE Module = VALUES(Module), Description = VALUES(Description);
+
+INSERT IGNORE INTO role_permissions (RoleId, PermissionId)
+SELECT r.RoleId, p.PermissionId
+FROM roles r
+JOIN permissions p ON p.PermissionCode = 'trash.manage'
+WHERE r.RoleCode IN ('ADMIN', 'ORG_ADMIN');
@@ -0,0 +1,36 @@
+-- =====================================================
+-- Two-factor Authentication (TOTP)
+-- Authenticator-app secrets on users, hashed one-time recovery codes,
+-- and a per-role policy saying which roles must use 2FA.
+-- =====================================================
+
+USE auth_org_db;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS TwoFactorSecret VARCHAR(64) NULL,
+ADD COLUMN IF NOT EXISTS TwoFactorEnabled BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS TwoFactorEnabledAt DATETIME NULL,
+ADD COLUMN IF NOT EXISTS TwoFactorLastStep BIGINT NULL;
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    Id INT AUTO_INCREMENT PRIMARY KEY,
+    UserId INT NOT NULL,
+    CodeHash VARCHAR(64) NOT NULL,
+    UsedAt DATETIME NULL,
+    CreatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (UserId) REFERENCES users(UserId) ON DELETE CASCADE,
+    INDEX idx_recovery_user (UserId)
+);
+
+CREATE TABLE IF NOT EXISTS two_factor_policies (
+    RoleCode VARCHAR(50) PRIMARY KEY,
+    IsRequired BOOLEAN DEFAULT FALSE,
+    UpdatedBy INT NULL,
+    UpdatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (UpdatedBy) REFERENCES users(UserId) ON DELETE SET NULL
+);
+
+-- Admin roles must use 2FA by default
+INSERT IGNORE INTO two_factor_policies (RoleCode, IsRequired) VALUES
+('SUPER_ADMIN', TRUE),
+('ADMIN', TRUE);
@@ -0,0 +1,34 @@
+-- =====================================================
+-- User Sessions Table
+-- One row per signed-in device. A session is the refresh token family
+-- created at login; access tokens carry its id in the `sid` claim.
+-- =====================================================
+
+USE auth_org_db;
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    SessionId VARCHAR(36) PRIMARY KEY,
+    UserId INT NOT NULL,
+    DeviceName VARCHAR(100),
+    UserAgent VARCHAR(500),
+    IpAddress VARCHAR(45),
+    CreatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    LastSeenAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    RevokedAt DATETIME NULL,
+    RevokedBy INT NULL,
+    RevokedReason VARCHAR(30) NULL,
+    FOREIGN KEY (UserId) REFERENCES users(UserId) ON DELETE CASCADE,
+    FOREIGN KEY (RevokedBy) REFERENCES users(UserId) ON DELETE SET NULL,
+    INDEX idx_session_user (UserId),
+    INDEX idx_session_active (UserId, RevokedAt)
+);
+
+ALTER TABLE refresh_tokens
+MODIFY COLUMN RevokedReason ENUM('rotated', 'logout', 'logout_all', 'reuse_detected', 'password_reset', 'session_revoked') NULL;
+
+-- Backfill sessions for refresh token families issued before this migration
+INSERT IGNORE INTO user_sessions (SessionId, UserId, CreatedAt, LastSeenAt, RevokedAt)
+SELECT FamilyId, UserId, MIN(CreatedAt), MAX(CreatedAt),
+       CASE WHEN SUM(RevokedAt IS NULL) = 0 THEN MAX(RevokedAt) END
+FROM refresh_tokens
+GROUP BY FamilyId, UserId;
@@ -1,6 +1,8 @@
 require('dotenv').config();
 const app = require('./src/app');
 const { testConnection } = require('./src/config/database');
+const { assertSigningConfig } = require('./src/services/jwtKeyService');
+const { startPurgeJob } = require('./src/services/trashService');
 const config = require('./src/config');
 
 const PORT = config.server.port;
@@ -8,6 +10,9 @@ const PORT = config.server.port;
 // Start server
 const startServer = async () => {
     try {
+        // Refuse to run with an unsafe or missing token signing setup
+        assertSigningConfig();
+
         // Test database connection
         const dbConnected = await testConnection();
 
@@ -17,6 +22,9 @@ const startServer = async () => {
             process.exit(1);
         }
 
+        // Remove records that have been in the trash past the retention period
+        startPurgeJob();
+
         // Start Express server
         app.listen(PORT, () => {
             console.log('🚀 ================================');
@@ -26,6 +34,7 @@ const startServer = async () => {
             console.log('');
             console.log('📍 API Endpoints:');
             console.log(`   Health Check: http://localhost:${PORT}/health`);
+            console.log(`   JWKS:         http://localhost:${PORT}/.well-known/jwks.json`);
             console.log(`   Auth:         http://localhost:${PORT}/api/auth`);
             console.log(`   Users:        http://localhost:${PORT}/api/users`);
             console.log(`   Roles:        http://localhost:${PORT}/api/roles`);
@@ -38,6 +47,10 @@ const startServer = async () => {
             console.log('   GET  /api/auth/google          - Google OAuth login');
             console.log('   POST /api/auth/forgot-password - Request password reset');
             console.log('   POST /api/auth/reset-password  - Reset password with OTP');
+            console.log('   POST /api/auth/refresh         - Rotate refresh token');
+            console.log('   POST /api/auth/logout          - Logout this device');
+            console.log('   POST /api/auth/logout-all      - Logout every device');
+            console.log('   GET  /api/auth/sessions        - List own devices');
         });
     } catch (error) {
         console.error('❌ Failed to start server:', error);
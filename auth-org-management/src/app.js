@@ -3,16 +3,22 @@ const cors = require('cors');
 const passport = require('./config/passport');
 const swaggerUi = require('swagger-ui-express');
 const getSwaggerSpec = require('./config/swagger');
+const config = require('./config');
 
 // Import middleware
 const apiLogger = require('./middleware/apiLogger');
+const { getJwks } = require('./services/jwtKeyService');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
+const twoFactorRoutes = require('./routes/twoFactorRoutes');
 const userRoutes = require('./routes/userRoutes');
 const roleRoutes = require('./routes/roleRoutes');
+const permissionRoutes = require('./routes/permissionRoutes');
 const orgRoutes = require('./routes/orgRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
 const projectRoutes = require('./routes/projectRoutes');
+const projectTemplateRoutes = require('./routes/projectTemplateRoutes');
 const projectSpendRoutes = require('./routes/projectSpendRoutes');
 const projectPermissionRoutes = require('./routes/projectPermissionRoutes');
 const campaignRoutes = require('./routes/campaignRoutes');
@@ -21,9 +27,15 @@ const campRoutes = require('./routes/campRoutes');
 const beneficiaryDonationRoutes = require('./routes/beneficiaryDonationRoutes');
 const projectSponsorRoutes = require('./routes/projectSponsorRoutes');
 const apiLogRoutes = require('./routes/apiLogRoutes');
+const publicRoutes = require('./routes/publicRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const reimbursementRoutes = require('./routes/reimbursementRoutes');
 
 const app = express();
 
+// Which proxies may set X-Forwarded-For, for req.ip
+app.set('trust proxy', config.server.trustProxy);
+
 // Middleware
 // CORS configuration - allows mobile apps and multiple origins
 app.use(cors({
@@ -72,6 +84,12 @@ app.get('/api-docs.json', (req, res) => {
     res.send(getSwaggerSpec());
 });
 
+// Public keys for verifying access tokens in other services
+app.get('/.well-known/jwks.json', (req, res) => {
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.json(getJwks());
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({
@@ -82,11 +100,15 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/roles', roleRoutes);
+app.use('/api/permissions', permissionRoutes);
 app.use('/api/organizations', orgRoutes);
+app.use('/api/invitations', invitationRoutes);
 app.use('/api/projects', projectRoutes);
+app.use('/api/project-templates', projectTemplateRoutes);
 app.use('/api/project-spends', projectSpendRoutes);
 app.use('/api/project-permissions', projectPermissionRoutes);
 app.use('/api/campaigns', campaignRoutes);
@@ -95,6 +117,9 @@ app.use('/api/camps', campRoutes);
 app.use('/api/beneficiary-donations', beneficiaryDonationRoutes);
 app.use('/api/project-sponsors', projectSponsorRoutes);
 app.use('/api/logs', apiLogRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/reimbursements', reimbursementRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -1,5 +1,14 @@
 require('dotenv').config();
 
+// Express 'trust proxy': unset or false trusts no proxy, a number trusts that
+// many hops, anything else is passed on (e.g. 'loopback' or a list of addresses)
+const parseTrustProxy = (value) => {
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return parseInt(value);
+    return value;
+};
+
 module.exports = {
     db: {
         host: process.env.DB_HOST || 'localhost',
@@ -13,16 +22,21 @@ module.exports = {
     },
     server: {
         port: parseInt(process.env.PORT) || 3001,
-        nodeEnv: process.env.NODE_ENV || 'development'
+        nodeEnv: process.env.NODE_ENV || 'development',
+        trustProxy: parseTrustProxy(process.env.TRUST_PROXY)
     },
     jwt: {
         secret: process.env.JWT_SECRET || 'default-secret-change-me',
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+        keysDir: process.env.JWT_KEYS_DIR || 'keys/jwt',
+        activeKid: process.env.JWT_ACTIVE_KID,
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+        refreshExpiresDays: parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS) || 30
     },
     google: {
         clientId: process.env.GOOGLE_CLIENT_ID,
         clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-        callbackUrl: process.env.GOOGLE_CALLBACK_URL || 'http://localhost:3000/api/auth/google/callback'
+        callbackUrl: process.env.GOOGLE_CALLBACK_URL || 'http://localhost:3000/api/auth/google/callback',
+        loginCodeExpiresSeconds: 60
     },
     email: {
         host: process.env.SMTP_HOST || 'smtp.gmail.com',
@@ -32,7 +46,39 @@ module.exports = {
         from: process.env.EMAIL_FROM || 'noreply@yourapp.com'
     },
     otp: {
-        expiryMinutes: parseInt(process.env.OTP_EXPIRY_MINUTES) || 10
+        expiryMinutes: parseInt(process.env.OTP_EXPIRY_MINUTES) || 10,
+        maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+        resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60
+    },
+    sms: {
+        provider: process.env.SMS_PROVIDER || 'console',
+        filePath: process.env.SMS_FILE_PATH || 'logs/sms-outbox.log',
+        senderId: process.env.SMS_SENDER_ID || 'DEEPAP'
+    },
+    bruteForce: {
+        maxAccountAttempts: parseInt(process.env.BRUTE_FORCE_MAX_ACCOUNT_ATTEMPTS) || 5,
+        maxIpAttempts: parseInt(process.env.BRUTE_FORCE_MAX_IP_ATTEMPTS) || 20,
+        windowMinutes: parseInt(process.env.BRUTE_FORCE_WINDOW_MINUTES) || 15,
+        lockoutMinutes: parseInt(process.env.BRUTE_FORCE_LOCKOUT_MINUTES) || 5,
+        maxLockoutMinutes: parseInt(process.env.BRUTE_FORCE_MAX_LOCKOUT_MINUTES) || 1440
+    },
+    impersonation: {
+        expiresMinutes: parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES) || 30
+    },
+    apiKeys: {
+        rotationGraceHours: parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24
+    },
+    invitations: {
+        expiryDays: parseInt(process.env.INVITATION_EXPIRY_DAYS) || 7
+    },
+    trash: {
+        retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+        purgeIntervalHours: parseInt(process.env.TRASH_PURGE_INTERVAL_HOURS) || 24
+    },
+    twoFactor: {
+        issuer: process.env.TOTP_ISSUER || 'Deep',
+        challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+        recoveryCodeCount: 10
     },
     frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173'
 };
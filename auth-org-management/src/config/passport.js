@@ -29,11 +29,19 @@ passport.use(new GoogleStrategy({
             );
 
             if (user) {
-                // Link Google account to existing user
+                // Link Google account to existing user. Google has verified the
+                // email, which activates a signup still waiting for its OTP.
                 await query(
-                    'UPDATE users SET GoogleId = ?, IsEmailVerified = TRUE WHERE UserId = ?',
+                    `UPDATE users
+                     SET GoogleId = ?,
+                         Status = IF(Status = 'Inactive' AND IsEmailVerified = FALSE, 'Active', Status),
+                         IsEmailVerified = TRUE
+                     WHERE UserId = ?`,
                     [googleId, user.UserId]
                 );
+                if (user.Status === 'Inactive' && !user.IsEmailVerified) {
+                    user.Status = 'Active';
+                }
                 user.GoogleId = googleId;
                 user.IsEmailVerified = true;
             } else {
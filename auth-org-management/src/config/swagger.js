@@ -27,6 +27,8 @@ Include the token in requests:
 Authorization: Bearer <your-jwt-token>
 \`\`\`
 
+Access tokens are short-lived. Use the \`refreshToken\` returned at login with \`POST /api/auth/refresh\` to get a new pair.
+
 ## Roles
 - **Super Admin**: Full system access
 - **Admin**: Manage users, roles, organizations
@@ -147,9 +149,15 @@ Authorization: Bearer <your-jwt-token>
             },
             tags: [
                 { name: 'Authentication', description: 'User authentication endpoints' },
+                { name: 'Two-Factor Authentication', description: 'Authenticator-app (TOTP) second factor and per-role enforcement' },
                 { name: 'Users', description: 'User management (Admin only)' },
                 { name: 'Roles', description: 'Role management (Admin/Super Admin)' },
-                { name: 'Organizations', description: 'Organization management' }
+                { name: 'Permissions', description: 'Permissions and the roles they are granted to' },
+                { name: 'Organizations', description: 'Organization management' },
+                { name: 'Invitations', description: 'Accepting organization invitations (public)' },
+                { name: 'Public', description: 'Published project microsites (no auth)' },
+                { name: 'Trash', description: 'Listing, restoring and purging deleted records' },
+                { name: 'Reimbursements', description: 'Batching and paying out own-money expenses, with per-volunteer balances' }
             ]
         },
         apis: ['./src/routes/*.js']
@@ -0,0 +1,81 @@
+const { validationResult } = require('express-validator');
+const Project = require('../models/Project');
+const ActivityEvent = require('../models/ActivityEvent');
+const { queryOne } = require('../config/database');
+const { getProjectScope, denyProjectAccess } = require('../services/projectAccessService');
+
+const MAX_PAGE_SIZE = 100;
+
+// Read one page of events; fetches one extra row to know whether another page follows
+const getActivityPage = async (req, filters) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_PAGE_SIZE);
+    const eventTypes = req.query.eventTypes ? String(req.query.eventTypes).split(',').filter(Boolean) : undefined;
+
+    const rows = await ActivityEvent.findAll({
+        ...filters,
+        eventTypes,
+        cursor: req.query.cursor,
+        limit: limit + 1
+    });
+
+    const activities = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? String(activities[activities.length - 1].ActivityId) : null;
+
+    return { activities, count: activities.length, nextCursor };
+};
+
+// Get the activity feed of a project
+exports.getProjectActivity = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const project = await Project.findById(req.params.id);
+        if (!project) {
+            return res.status(404).json({ success: false, message: 'Project not found' });
+        }
+
+        if (await denyProjectAccess(req, res, project.ProjectId, 'view')) return;
+
+        const page = await getActivityPage(req, {
+            projectId: project.ProjectId,
+            scope: await getProjectScope(req.user)
+        });
+
+        res.json({
+            success: true,
+            data: page
+        });
+    } catch (error) {
+        console.error('Get project activity error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch activity' });
+    }
+};
+
+// Get the activity feed of an organization, limited to the projects the user can see
+exports.getOrganizationActivity = async (req, res) => {
+    try {
+        const organization = await queryOne(
+            'SELECT OrganizationId FROM organizations WHERE OrganizationId = ? AND IsDeleted = FALSE',
+            [req.params.id]
+        );
+        if (!organization) {
+            return res.status(404).json({ success: false, message: 'Organization not found.' });
+        }
+
+        const page = await getActivityPage(req, {
+            organizationId: organization.OrganizationId,
+            scope: await getProjectScope(req.user)
+        });
+
+        res.json({
+            success: true,
+            data: page
+        });
+    } catch (error) {
+        console.error('Get organization activity error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch activity.' });
+    }
+};
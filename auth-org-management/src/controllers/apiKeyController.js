@@ -0,0 +1,169 @@
+const { queryOne } = require('../config/database');
+const {
+    API_KEY_SCOPES,
+    createApiKey,
+    listApiKeys,
+    findApiKey,
+    revokeApiKey,
+    rotateApiKey
+} = require('../services/apiKeyService');
+const { canAccessOrganization } = require('../services/permissionService');
+
+// Only the organization's own members, or holders of projects.all, manage its keys
+const denyOtherOrganization = async (req, res) => {
+    if (!(await canAccessOrganization(req.user, req.params.id))) {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied. You can only manage API keys for your own organization.'
+        });
+        return true;
+    }
+    return false;
+};
+
+// Get the scopes a key can be granted
+const getScopes = async (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(API_KEY_SCOPES).map(([scope, rule]) => ({
+            scope,
+            methods: rule.methods,
+            paths: rule.paths
+        }))
+    });
+};
+
+// Create an API key for an organization
+const createKey = async (req, res) => {
+    try {
+        if (await denyOtherOrganization(req, res)) return;
+
+        const { id } = req.params;
+        const { name, scopes, expiresAt } = req.body;
+
+        const organization = await queryOne(
+            'SELECT OrganizationId FROM organizations WHERE OrganizationId = ? AND IsDeleted = FALSE',
+            [id]
+        );
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found.'
+            });
+        }
+
+        const created = await createApiKey(id, { name, scopes, expiresAt }, req.user.UserId);
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now; it will not be shown again.',
+            data: {
+                apiKeyId: created.apiKeyId,
+                name,
+                key: created.key,
+                keyPrefix: created.keyPrefix,
+                scopes,
+                expiresAt: expiresAt || null
+            }
+        });
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create API key.'
+        });
+    }
+};
+
+// List an organization's API keys (never the keys themselves)
+const getKeys = async (req, res) => {
+    try {
+        if (await denyOtherOrganization(req, res)) return;
+
+        const keys = await listApiKeys(req.params.id);
+
+        res.json({
+            success: true,
+            data: keys
+        });
+    } catch (error) {
+        console.error('Get API keys error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch API keys.'
+        });
+    }
+};
+
+// Issue a replacement key; the old one expires after a grace period
+const rotateKey = async (req, res) => {
+    try {
+        if (await denyOtherOrganization(req, res)) return;
+
+        const { id, keyId } = req.params;
+
+        const apiKey = await findApiKey(keyId, id);
+
+        if (!apiKey || apiKey.RevokedAt || (apiKey.ExpiresAt && apiKey.ExpiresAt <= new Date())) {
+            return res.status(404).json({
+                success: false,
+                message: 'Active API key not found.'
+            });
+        }
+
+        const rotated = await rotateApiKey(apiKey, req.user.UserId);
+
+        res.json({
+            success: true,
+            message: 'API key rotated. Copy the new key now; it will not be shown again.',
+            data: {
+                apiKeyId: rotated.apiKeyId,
+                key: rotated.key,
+                keyPrefix: rotated.keyPrefix,
+                previousKeyExpiresAt: rotated.previousKeyExpiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Rotate API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to rotate API key.'
+        });
+    }
+};
+
+// Revoke an API key immediately
+const revokeKey = async (req, res) => {
+    try {
+        if (await denyOtherOrganization(req, res)) return;
+
+        const revoked = await revokeApiKey(req.params.keyId, req.params.id, req.user.UserId);
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'Active API key not found.'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'API key revoked successfully.'
+        });
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke API key.'
+        });
+    }
+};
+
+module.exports = {
+    getScopes,
+    createKey,
+    getKeys,
+    rotateKey,
+    revokeKey
+};
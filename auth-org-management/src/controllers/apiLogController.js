@@ -5,6 +5,8 @@ const getLogs = async (req, res) => {
     try {
         const filters = {
             userId: req.query.userId,
+            apiKeyId: req.query.apiKeyId,
+            impersonated: req.query.impersonated === 'true',
             method: req.query.method,
             statusCode: req.query.statusCode ? parseInt(req.query.statusCode) : null,
             endpoint: req.query.endpoint,
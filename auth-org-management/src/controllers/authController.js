@@ -1,11 +1,32 @@
 const bcrypt = require('bcryptjs');
 const { query, queryOne } = require('../config/database');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, createLoginCode, redeemLoginCode } = require('../services/tokenService');
+const { listUserOrganizations, applyActiveOrganization, setActiveOrganization } = require('../services/organizationMemberService');
 const { generateToken } = require('../middleware/auth');
-const { createOTP, verifyOTP } = require('../services/otpService');
+const { listSessions, revokeSession, revokeAllSessions } = require('../services/sessionService');
+const { createOTP, verifyOTP, getResendCooldown } = require('../services/otpService');
+const { recordAttempt, clearAttempts } = require('../services/bruteForceService');
+const { sendLockout } = require('../middleware/bruteForce');
+const { getLoginChallenge } = require('../services/twoFactorService');
 const { sendOTPEmail, sendWelcomeEmail } = require('../services/emailService');
+const { sendOTPSMS } = require('../services/smsService');
+const { verifyGoogleIdToken } = require('../services/googleService');
 const config = require('../config');
-const { OAuth2Client } = require('google-auth-library');
-const client = new OAuth2Client(config.google.clientId);
+
+// Second login step for users with 2FA enabled or required by their role
+const sendTwoFactorChallenge = (res, challenge) => {
+    return res.json({
+        success: true,
+        message: challenge.requiresTwoFactor
+            ? 'Enter the code from your authenticator app.'
+            : 'Two-factor authentication is required for your role. Please set it up to continue.',
+        requiresTwoFactor: !!challenge.requiresTwoFactor,
+        requiresTwoFactorSetup: !!challenge.requiresTwoFactorSetup,
+        data: {
+            challengeToken: challenge.challengeToken
+        }
+    });
+};
 
 // Signup with email/password
 const signup = async (req, res) => {
@@ -33,6 +54,21 @@ const signup = async (req, res) => {
             }
         }
 
+        // A mobile number logs in to one account only
+        if (mobileNumber) {
+            const mobileTaken = await queryOne(
+                'SELECT UserId FROM users WHERE MobileNumber = ?',
+                [mobileNumber]
+            );
+
+            if (mobileTaken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Mobile number already registered to another account.'
+                });
+            }
+        }
+
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 12);
 
@@ -78,12 +114,20 @@ const verifyEmailOTP = async (req, res) => {
         const result = await verifyOTP(email, otp, 'email_verification');
 
         if (!result.valid) {
+            const lockedFor = await recordAttempt('otp_verify', req);
+            if (lockedFor) {
+                return sendLockout(res, lockedFor);
+            }
+
             return res.status(400).json({
                 success: false,
-                message: result.message
+                message: result.message,
+                attemptsExceeded: result.attemptsExceeded
             });
         }
 
+        await clearAttempts('otp_verify', req);
+
         // Update user status and email verification
         const updateResult = await query(
             "UPDATE users SET IsEmailVerified = TRUE, Status = 'Active' WHERE Email = ?",
@@ -106,17 +150,24 @@ const verifyEmailOTP = async (req, res) => {
             [email]
         );
 
-        // Generate token
-        const token = generateToken(user);
-
         // Send welcome email
         await sendWelcomeEmail(email, user.FullName);
 
+        // Verifying logs the user in, so 2FA applies as with any other login
+        const challenge = await getLoginChallenge(user);
+        if (challenge) {
+            return sendTwoFactorChallenge(res, challenge);
+        }
+
+        // Generate tokens
+        const { token, refreshToken } = await issueTokens(user, req);
+
         res.json({
             success: true,
             message: 'Email verified successfully.',
             data: {
                 token,
+                refreshToken,
                 user: {
                     userId: user.UserId,
                     email: user.Email,
@@ -139,6 +190,8 @@ const resendOTP = async (req, res) => {
     try {
         const { email } = req.body;
 
+        await recordAttempt('otp_send', req);
+
         // Check if user exists
         const user = await queryOne(
             'SELECT * FROM users WHERE Email = ?',
@@ -159,6 +212,16 @@ const resendOTP = async (req, res) => {
             });
         }
 
+        const cooldown = await getResendCooldown(email, 'email_verification');
+        if (cooldown > 0) {
+            res.set('Retry-After', String(cooldown));
+            return res.status(429).json({
+                success: false,
+                message: `Please wait ${cooldown} seconds before requesting another OTP.`,
+                retryAfter: cooldown
+            });
+        }
+
         // Generate and send new OTP
         const otp = await createOTP(email, 'email_verification');
         await sendOTPEmail(email, otp, 'email_verification');
@@ -191,6 +254,11 @@ const login = async (req, res) => {
         );
 
         if (!user) {
+            const lockedFor = await recordAttempt('login', req);
+            if (lockedFor) {
+                return sendLockout(res, lockedFor);
+            }
+
             return res.status(401).json({
                 success: false,
                 message: 'Invalid email or password.'
@@ -209,12 +277,19 @@ const login = async (req, res) => {
         const isPasswordValid = await bcrypt.compare(password, user.Password);
 
         if (!isPasswordValid) {
+            const lockedFor = await recordAttempt('login', req);
+            if (lockedFor) {
+                return sendLockout(res, lockedFor);
+            }
+
             return res.status(401).json({
                 success: false,
                 message: 'Invalid email or password.'
             });
         }
 
+        await clearAttempts('login', req);
+
         // Check user status
         if (user.Status === 'Blocked') {
             return res.status(403).json({
@@ -225,9 +300,11 @@ const login = async (req, res) => {
 
         // Check email verification
         if (!user.IsEmailVerified) {
-            // Resend OTP
-            const otp = await createOTP(email, 'email_verification');
-            await sendOTPEmail(email, otp, 'email_verification');
+            // Resend OTP unless one was sent moments ago
+            if (await getResendCooldown(email, 'email_verification') === 0) {
+                const otp = await createOTP(email, 'email_verification');
+                await sendOTPEmail(email, otp, 'email_verification');
+            }
 
             return res.status(403).json({
                 success: false,
@@ -236,20 +313,26 @@ const login = async (req, res) => {
             });
         }
 
+        const challenge = await getLoginChallenge(user);
+        if (challenge) {
+            return sendTwoFactorChallenge(res, challenge);
+        }
+
         // Update last login
         await query(
             'UPDATE users SET LastLogin = NOW() WHERE UserId = ?',
             [user.UserId]
         );
 
-        // Generate token
-        const token = generateToken(user);
+        // Generate tokens
+        const { token, refreshToken } = await issueTokens(user, req);
 
         res.json({
             success: true,
             message: 'Login successful.',
             data: {
                 token,
+                refreshToken,
                 user: {
                     userId: user.UserId,
                     email: user.Email,
@@ -283,16 +366,7 @@ const googleLogin = async (req, res) => {
         }
 
         // Verify Google Token
-        const ticket = await client.verifyIdToken({
-            idToken: token,
-            audience: [
-                config.google.clientId,
-                process.env.GOOGLE_ANDROID_CLIENT_ID,
-                process.env.GOOGLE_IOS_CLIENT_ID,
-                process.env.GOOGLE_WEB_CLIENT_ID
-            ]
-        });
-        const payload = ticket.getPayload();
+        const payload = await verifyGoogleIdToken(token);
         const { email, name, sub: googleId, picture } = payload;
 
         // Check if user exists
@@ -343,12 +417,6 @@ const googleLogin = async (req, res) => {
             });
         }
 
-        // Update last login
-        await query(
-            'UPDATE users SET LastLogin = NOW() WHERE UserId = ?',
-            [user.UserId]
-        );
-
         // Get full user details with role
         const fullUser = await queryOne(
             `SELECT u.*, r.RoleName, r.RoleCode 
@@ -358,14 +426,26 @@ const googleLogin = async (req, res) => {
             [user.UserId]
         );
 
-        // Generate token
-        const jwtToken = generateToken(fullUser);
+        const challenge = await getLoginChallenge(fullUser);
+        if (challenge) {
+            return sendTwoFactorChallenge(res, challenge);
+        }
+
+        // Update last login
+        await query(
+            'UPDATE users SET LastLogin = NOW() WHERE UserId = ?',
+            [user.UserId]
+        );
+
+        // Generate tokens
+        const { token: jwtToken, refreshToken } = await issueTokens(fullUser, req);
 
         res.json({
             success: true,
             message: 'Google login successful.',
             data: {
                 token: jwtToken,
+                refreshToken,
                 user: {
                     userId: fullUser.UserId,
                     email: fullUser.Email,
@@ -388,7 +468,8 @@ const googleLogin = async (req, res) => {
     }
 };
 
-// Google OAuth callback handler
+// Google OAuth callback handler. Redirects to the frontend with a one-time
+// code, exchanged at POST /api/auth/google/exchange for tokens or a 2FA challenge.
 const googleCallback = async (req, res) => {
     try {
         const user = req.user;
@@ -397,23 +478,287 @@ const googleCallback = async (req, res) => {
             return res.redirect(`${config.frontendUrl}/login?error=google_auth_failed`);
         }
 
+        const code = await createLoginCode(user.UserId);
+
+        res.redirect(`${config.frontendUrl}/auth/callback?code=${code}`);
+    } catch (error) {
+        console.error('Google callback error:', error);
+        res.redirect(`${config.frontendUrl}/login?error=google_auth_failed`);
+    }
+};
+
+// Exchange the code from the Google OAuth redirect for tokens
+const exchangeGoogleCode = async (req, res) => {
+    try {
+        const userId = await redeemLoginCode(req.body.code);
+
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login code is invalid or expired. Please sign in with Google again.'
+            });
+        }
+
         // Get user with role info
         const fullUser = await queryOne(
             `SELECT u.*, r.RoleName, r.RoleCode 
              FROM users u 
              LEFT JOIN roles r ON u.RoleId = r.RoleId 
              WHERE u.UserId = ?`,
+            [userId]
+        );
+
+        if (!fullUser) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login code is invalid or expired. Please sign in with Google again.'
+            });
+        }
+
+        // The account may have been blocked or deactivated since the redirect
+        if (fullUser.Status === 'Blocked') {
+            return res.status(403).json({
+                success: false,
+                message: 'Your account has been blocked. Please contact support.'
+            });
+        }
+
+        if (fullUser.Status === 'Inactive') {
+            return res.status(403).json({
+                success: false,
+                message: 'Your account is inactive. Please contact support.'
+            });
+        }
+
+        const challenge = await getLoginChallenge(fullUser);
+        if (challenge) {
+            return sendTwoFactorChallenge(res, challenge);
+        }
+
+        const { token, refreshToken } = await issueTokens(fullUser, req);
+
+        res.json({
+            success: true,
+            message: 'Google login successful.',
+            data: {
+                token,
+                refreshToken,
+                user: {
+                    userId: fullUser.UserId,
+                    email: fullUser.Email,
+                    fullName: fullUser.FullName,
+                    username: fullUser.Username,
+                    role: fullUser.RoleName,
+                    roleCode: fullUser.RoleCode,
+                    organizationId: fullUser.OrganizationId
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Google code exchange error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Google login failed. Please try again.'
+        });
+    }
+};
+
+// Signup with mobile number only (no email or password)
+const phoneSignup = async (req, res) => {
+    try {
+        const { mobileNumber, fullName } = req.body;
+
+        await recordAttempt('otp_send', req);
+
+        const existingUser = await queryOne(
+            'SELECT UserId FROM users WHERE MobileNumber = ?',
+            [mobileNumber]
+        );
+
+        if (existingUser) {
+            return res.status(400).json({
+                success: false,
+                message: 'Mobile number already registered. Please login with OTP.'
+            });
+        }
+
+        // Get default role (Staff)
+        const defaultRole = await queryOne(
+            "SELECT RoleId FROM roles WHERE RoleCode = 'STAFF' AND IsActive = TRUE"
+        );
+
+        const result = await query(
+            `INSERT INTO users (FullName, MobileNumber, RoleId, Status, CreatedDate) 
+             VALUES (?, ?, ?, 'Inactive', NOW())`,
+            [fullName, mobileNumber, defaultRole?.RoleId || null]
+        );
+
+        const otp = await createOTP(mobileNumber, 'phone_verification');
+        await sendOTPSMS(mobileNumber, otp, 'phone_verification');
+
+        res.status(201).json({
+            success: true,
+            message: 'Registration successful. Please verify your mobile number with the OTP sent via SMS.',
+            data: {
+                userId: result.insertId,
+                mobileNumber
+            }
+        });
+    } catch (error) {
+        console.error('Phone signup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Registration failed. Please try again.'
+        });
+    }
+};
+
+// Find the single account registered with a mobile number.
+// A number shared by several accounts cannot be used to log in.
+const findUserByMobile = async (mobileNumber) => {
+    const users = await query(
+        `SELECT u.*, r.RoleName, r.RoleCode 
+         FROM users u 
+         LEFT JOIN roles r ON u.RoleId = r.RoleId 
+         WHERE u.MobileNumber = ?`,
+        [mobileNumber]
+    );
+
+    if (users.length > 1) {
+        console.warn(`Phone login refused: ${users.length} accounts share mobile number ${mobileNumber}`);
+        return null;
+    }
+
+    return users[0] || null;
+};
+
+// Unverified numbers get a verification OTP, verified ones a login OTP
+const phoneOTPPurpose = (user) => {
+    return user.IsMobileVerified ? 'phone_login' : 'phone_verification';
+};
+
+// Request login OTP via SMS
+const requestPhoneOTP = async (req, res) => {
+    try {
+        const { mobileNumber } = req.body;
+
+        await recordAttempt('otp_send', req);
+
+        const user = await findUserByMobile(mobileNumber);
+
+        // Don't reveal if user exists (or that an OTP was sent moments ago)
+        if (user && user.Status !== 'Blocked') {
+            const purpose = phoneOTPPurpose(user);
+
+            if (await getResendCooldown(mobileNumber, purpose) === 0) {
+                const otp = await createOTP(mobileNumber, purpose);
+                await sendOTPSMS(mobileNumber, otp, purpose);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists with this mobile number, an OTP will be sent.'
+        });
+    } catch (error) {
+        console.error('Request phone OTP error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send OTP. Please try again.'
+        });
+    }
+};
+
+// Login (and verify the number on first use) with an SMS OTP
+const verifyPhoneOTP = async (req, res) => {
+    try {
+        const { mobileNumber, otp } = req.body;
+
+        const user = await findUserByMobile(mobileNumber);
+        const result = user
+            ? await verifyOTP(mobileNumber, otp, phoneOTPPurpose(user))
+            : { valid: false, message: 'Invalid or expired OTP' };
+
+        if (!result.valid) {
+            const lockedFor = await recordAttempt('otp_verify', req);
+            if (lockedFor) {
+                return sendLockout(res, lockedFor);
+            }
+
+            return res.status(400).json({
+                success: false,
+                message: result.message,
+                attemptsExceeded: result.attemptsExceeded
+            });
+        }
+
+        await clearAttempts('otp_verify', req);
+
+        if (user.Status === 'Blocked') {
+            return res.status(403).json({
+                success: false,
+                message: 'Your account has been blocked. Please contact support.'
+            });
+        }
+
+        // Signups stay Inactive until their number or email is verified; an
+        // account deactivated by an admin stays that way
+        const isPendingSignup = user.Status === 'Inactive' && !user.IsMobileVerified && !user.IsEmailVerified;
+
+        if (user.Status === 'Inactive' && !isPendingSignup) {
+            return res.status(403).json({
+                success: false,
+                message: 'Your account is inactive. Please contact support.'
+            });
+        }
+
+        if (!user.IsMobileVerified) {
+            await query(
+                "UPDATE users SET IsMobileVerified = TRUE, Status = 'Active' WHERE UserId = ?",
+                [user.UserId]
+            );
+            user.IsMobileVerified = true;
+            user.Status = 'Active';
+        }
+
+        const challenge = await getLoginChallenge(user);
+        if (challenge) {
+            return sendTwoFactorChallenge(res, challenge);
+        }
+
+        // Update last login
+        await query(
+            'UPDATE users SET LastLogin = NOW() WHERE UserId = ?',
             [user.UserId]
         );
 
-        // Generate token
-        const token = generateToken(fullUser);
+        // Generate tokens
+        const { token, refreshToken } = await issueTokens(user, req);
 
-        // Redirect to frontend with token
-        res.redirect(`${config.frontendUrl}/auth/callback?token=${token}`);
+        res.json({
+            success: true,
+            message: 'Login successful.',
+            data: {
+                token,
+                refreshToken,
+                user: {
+                    userId: user.UserId,
+                    email: user.Email,
+                    mobileNumber: user.MobileNumber,
+                    fullName: user.FullName,
+                    username: user.Username,
+                    role: user.RoleName,
+                    roleCode: user.RoleCode,
+                    organizationId: user.OrganizationId
+                }
+            }
+        });
     } catch (error) {
-        console.error('Google callback error:', error);
-        res.redirect(`${config.frontendUrl}/login?error=google_auth_failed`);
+        console.error('Verify phone OTP error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Verification failed. Please try again.'
+        });
     }
 };
 
@@ -424,14 +769,18 @@ const getProfile = async (req, res) => {
             `SELECT u.UserId, u.FullName, u.Email, u.Username, u.MobileNumber, 
                     u.Status, u.IsEmailVerified, u.LastLogin, u.CreatedDate,
                     r.RoleName, r.RoleCode,
-                    o.OrganizationName, o.OrganizationType
+                    o.OrganizationId, o.OrganizationName, o.OrganizationType
              FROM users u 
-             LEFT JOIN roles r ON u.RoleId = r.RoleId 
-             LEFT JOIN organizations o ON u.OrganizationId = o.OrganizationId
+             LEFT JOIN roles r ON r.RoleId = ?
+             LEFT JOIN organizations o ON o.OrganizationId = ?
              WHERE u.UserId = ?`,
-            [req.user.UserId]
+            [req.user.RoleId, req.user.OrganizationId, req.user.UserId]
         );
 
+        if (req.impersonator) {
+            user.ImpersonatedBy = req.impersonator;
+        }
+
         res.json({
             success: true,
             data: user
@@ -450,13 +799,15 @@ const forgotPassword = async (req, res) => {
     try {
         const { email } = req.body;
 
+        await recordAttempt('otp_send', req);
+
         const user = await queryOne(
             'SELECT * FROM users WHERE Email = ?',
             [email]
         );
 
-        if (!user) {
-            // Don't reveal if user exists
+        // Don't reveal if user exists (or that an OTP was sent moments ago)
+        if (!user || await getResendCooldown(email, 'password_reset') > 0) {
             return res.json({
                 success: true,
                 message: 'If an account exists with this email, an OTP will be sent.'
@@ -488,12 +839,20 @@ const resetPassword = async (req, res) => {
         const result = await verifyOTP(email, otp, 'password_reset');
 
         if (!result.valid) {
+            const lockedFor = await recordAttempt('otp_verify', req);
+            if (lockedFor) {
+                return sendLockout(res, lockedFor);
+            }
+
             return res.status(400).json({
                 success: false,
-                message: result.message
+                message: result.message,
+                attemptsExceeded: result.attemptsExceeded
             });
         }
 
+        await clearAttempts('otp_verify', req);
+
         // Hash new password
         const hashedPassword = await bcrypt.hash(newPassword, 12);
 
@@ -503,6 +862,12 @@ const resetPassword = async (req, res) => {
             [hashedPassword, email]
         );
 
+        // Sign out every device that still holds a refresh token
+        const user = await queryOne('SELECT UserId FROM users WHERE Email = ?', [email]);
+        if (user) {
+            await revokeAllSessions(user.UserId, 'password_reset');
+        }
+
         res.json({
             success: true,
             message: 'Password reset successful. Please login with your new password.'
@@ -516,6 +881,201 @@ const resetPassword = async (req, res) => {
     }
 };
 
+// Exchange a refresh token for a new token pair
+const refreshToken = async (req, res) => {
+    try {
+        const result = await rotateRefreshToken(req.body.refreshToken, req);
+
+        if (!result.valid) {
+            return res.status(401).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Token refreshed successfully.',
+            data: {
+                token: result.token,
+                refreshToken: result.refreshToken
+            }
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refresh token. Please try again.'
+        });
+    }
+};
+
+// Logout from the current device
+const logout = async (req, res) => {
+    try {
+        await revokeRefreshToken(req.body.refreshToken, 'logout');
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully.'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Logout failed. Please try again.'
+        });
+    }
+};
+
+// Logout from every device
+const logoutAll = async (req, res) => {
+    try {
+        const revoked = await revokeAllSessions(req.user.UserId, 'logout_all');
+
+        res.json({
+            success: true,
+            message: 'Logged out from all devices.',
+            data: { revokedSessions: revoked }
+        });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Logout failed. Please try again.'
+        });
+    }
+};
+
+// Get own sessions (one per logged-in device)
+const getMySessions = async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user.UserId);
+
+        res.json({
+            success: true,
+            data: sessions.map((session) => ({
+                ...session,
+                IsCurrent: session.SessionId === req.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get sessions.'
+        });
+    }
+};
+
+// Sign out one of own devices
+const revokeMySession = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const session = await queryOne(
+            'SELECT SessionId FROM user_sessions WHERE SessionId = ? AND UserId = ? AND RevokedAt IS NULL',
+            [sessionId, req.user.UserId]
+        );
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found.'
+            });
+        }
+
+        await revokeSession(sessionId, 'session_revoked', req.user.UserId);
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully.'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke session.'
+        });
+    }
+};
+
+// Get the organizations the user can switch between
+const getMyOrganizations = async (req, res) => {
+    try {
+        const organizations = await listUserOrganizations(req.user.UserId);
+
+        res.json({
+            success: true,
+            data: organizations.map((organization) => ({
+                ...organization,
+                IsHome: !!organization.IsHome,
+                IsActive: organization.OrganizationId === req.user.OrganizationId
+            }))
+        });
+    } catch (error) {
+        console.error('Get my organizations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get organizations.'
+        });
+    }
+};
+
+// Act for another of the user's organizations on this device.
+// The session remembers the choice, so refreshed tokens keep it.
+const switchOrganization = async (req, res) => {
+    try {
+        const organizationId = parseInt(req.body.organizationId);
+
+        const organizations = await listUserOrganizations(req.user.UserId);
+        const organization = organizations.find((o) => o.OrganizationId === organizationId);
+
+        if (!organization) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a member of this organization.'
+            });
+        }
+
+        await setActiveOrganization(req.sessionId, organization.IsHome ? null : organizationId);
+
+        const account = await queryOne(
+            `SELECT u.*, r.RoleName, r.RoleCode
+             FROM users u
+             LEFT JOIN roles r ON u.RoleId = r.RoleId
+             WHERE u.UserId = ?`,
+            [req.user.UserId]
+        );
+        const user = await applyActiveOrganization(account, organizationId);
+
+        res.json({
+            success: true,
+            message: `Switched to ${organization.OrganizationName}.`,
+            data: {
+                token: generateToken(user, req.sessionId),
+                user: {
+                    userId: user.UserId,
+                    email: user.Email,
+                    fullName: user.FullName,
+                    username: user.Username,
+                    mobileNumber: user.MobileNumber,
+                    role: user.RoleName,
+                    roleCode: user.RoleCode,
+                    organizationId: user.OrganizationId,
+                    organizationName: organization.OrganizationName
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Switch organization error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to switch organization.'
+        });
+    }
+};
+
 module.exports = {
     signup,
     verifyEmailOTP,
@@ -523,7 +1083,19 @@ module.exports = {
     login,
     googleLogin,
     googleCallback,
+    exchangeGoogleCode,
+    phoneSignup,
+    requestPhoneOTP,
+    verifyPhoneOTP,
     getProfile,
     forgotPassword,
-    resetPassword
+    resetPassword,
+    refreshToken,
+    logout,
+    logoutAll,
+    getMySessions,
+    revokeMySession,
+    getMyOrganizations,
+    switchOrganization,
+    sendTwoFactorChallenge
 };
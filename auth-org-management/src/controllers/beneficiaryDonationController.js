@@ -1,12 +1,30 @@
 const BeneficiaryDonation = require('../models/BeneficiaryDonation');
 const { validationResult } = require('express-validator');
+const { getProjectScope, denyProjectAccess } = require('../services/projectAccessService');
+const { POLICIES, denyByPolicy } = require('../services/editPolicyService');
+const { ACTIVITY_EVENTS, recordActivity } = require('../services/activityService');
+
+// Find a beneficiary donation and check the user can see its project; sends the error response and returns null otherwise
+const findBeneficiaryDonationWithAccess = async (req, res) => {
+    const donation = await BeneficiaryDonation.findById(req.params.id);
+    if (!donation) {
+        res.status(404).json({ success: false, message: 'Not found' });
+        return null;
+    }
+
+    if (await denyProjectAccess(req, res, donation.ProjectId, 'view', 'Not found')) return null;
+
+    return donation;
+};
 
 exports.create = async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
 
-        const id = await BeneficiaryDonation.create({ ...req.body, createdBy: req.user.userId });
+        if (await denyProjectAccess(req, res, req.body.projectId, 'view')) return;
+
+        const id = await BeneficiaryDonation.create({ ...req.body, createdBy: req.user.UserId });
         const donation = await BeneficiaryDonation.findById(id);
         res.status(201).json({ success: true, message: 'Beneficiary donation created', data: { donation } });
     } catch (error) {
@@ -26,7 +44,8 @@ exports.getAll = async (req, res) => {
             dateFrom: req.query.dateFrom,
             dateTo: req.query.dateTo,
             limit: req.query.limit || 50,
-            offset: req.query.offset || 0
+            offset: req.query.offset || 0,
+            scope: await getProjectScope(req.user)
         });
         res.json({ success: true, data: { donations, count: donations.length } });
     } catch (error) {
@@ -37,8 +56,8 @@ exports.getAll = async (req, res) => {
 
 exports.getById = async (req, res) => {
     try {
-        const donation = await BeneficiaryDonation.findById(req.params.id);
-        if (!donation) return res.status(404).json({ success: false, message: 'Not found' });
+        const donation = await findBeneficiaryDonationWithAccess(req, res);
+        if (!donation) return;
 
         const images = await BeneficiaryDonation.getMedia(req.params.id, 'IMAGE');
         const videos = await BeneficiaryDonation.getMedia(req.params.id, 'VIDEO');
@@ -51,10 +70,12 @@ exports.getById = async (req, res) => {
 
 exports.update = async (req, res) => {
     try {
-        const donation = await BeneficiaryDonation.findById(req.params.id);
-        if (!donation) return res.status(404).json({ success: false, message: 'Not found' });
+        const donation = await findBeneficiaryDonationWithAccess(req, res);
+        if (!donation) return;
+
+        if (await denyByPolicy(req, res, 'beneficiaryDonation', 'edit', donation)) return;
 
-        await BeneficiaryDonation.update(req.params.id, req.body, req.user.userId);
+        await BeneficiaryDonation.update(req.params.id, req.body, req.user.UserId);
         const updated = await BeneficiaryDonation.findById(req.params.id);
         res.json({ success: true, message: 'Updated successfully', data: { donation: updated } });
     } catch (error) {
@@ -65,10 +86,12 @@ exports.update = async (req, res) => {
 
 exports.delete = async (req, res) => {
     try {
-        const donation = await BeneficiaryDonation.findById(req.params.id);
-        if (!donation) return res.status(404).json({ success: false, message: 'Not found' });
+        const donation = await findBeneficiaryDonationWithAccess(req, res);
+        if (!donation) return;
 
-        await BeneficiaryDonation.delete(req.params.id, req.user.userId);
+        if (await denyByPolicy(req, res, 'beneficiaryDonation', 'delete', donation)) return;
+
+        await BeneficiaryDonation.delete(req.params.id, req.user.UserId);
         res.json({ success: true, message: 'Deleted successfully' });
     } catch (error) {
         console.error('Delete beneficiary donation error:', error);
@@ -76,12 +99,31 @@ exports.delete = async (req, res) => {
     }
 };
 
+// Reopen a distributed, completed or cancelled donation (approvers)
+exports.reopen = async (req, res) => {
+    try {
+        const donation = await findBeneficiaryDonationWithAccess(req, res);
+        if (!donation) return;
+
+        if (await denyByPolicy(req, res, 'beneficiaryDonation', 'reopen', donation)) return;
+
+        await BeneficiaryDonation.update(req.params.id, { status: POLICIES.beneficiaryDonation.reopenStatus }, req.user.UserId);
+        const updated = await BeneficiaryDonation.findById(req.params.id);
+        res.json({ success: true, message: 'Reopened', data: { donation: updated } });
+    } catch (error) {
+        console.error('Reopen beneficiary donation error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reopen' });
+    }
+};
+
 exports.uploadImages = async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) return res.status(400).json({ success: false, message: 'No images' });
 
-        const donation = await BeneficiaryDonation.findById(req.params.id);
-        if (!donation) return res.status(404).json({ success: false, message: 'Not found' });
+        const donation = await findBeneficiaryDonationWithAccess(req, res);
+        if (!donation) return;
+
+        if (await denyByPolicy(req, res, 'beneficiaryDonation', 'edit', donation)) return;
 
         const uploaded = [];
         for (const file of req.files) {
@@ -93,10 +135,19 @@ exports.uploadImages = async (req, res) => {
                 fileSize: file.size,
                 mimeType: file.mimetype,
                 caption: req.body.caption,
-                uploadedBy: req.user.userId
+                uploadedBy: req.user.UserId
             });
             uploaded.push({ mediaId, url: `/uploads/beneficiary/${file.filename}` });
         }
+        await recordActivity({
+            projectId: donation.ProjectId,
+            eventType: ACTIVITY_EVENTS.MEDIA_UPLOADED,
+            entityType: 'beneficiary_donation',
+            entityId: donation.BeneficiaryDonationId,
+            summary: `${uploaded.length} image(s) added to "${donation.Title}"`,
+            metadata: { mediaType: 'IMAGE', count: uploaded.length },
+            actor: req.user
+        });
         res.status(201).json({ success: true, message: `${uploaded.length} image(s) uploaded`, data: { uploaded } });
     } catch (error) {
         console.error('Upload images error:', error);
@@ -108,8 +159,10 @@ exports.uploadVideos = async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) return res.status(400).json({ success: false, message: 'No videos' });
 
-        const donation = await BeneficiaryDonation.findById(req.params.id);
-        if (!donation) return res.status(404).json({ success: false, message: 'Not found' });
+        const donation = await findBeneficiaryDonationWithAccess(req, res);
+        if (!donation) return;
+
+        if (await denyByPolicy(req, res, 'beneficiaryDonation', 'edit', donation)) return;
 
         const uploaded = [];
         for (const file of req.files) {
@@ -121,10 +174,19 @@ exports.uploadVideos = async (req, res) => {
                 fileSize: file.size,
                 mimeType: file.mimetype,
                 caption: req.body.caption,
-                uploadedBy: req.user.userId
+                uploadedBy: req.user.UserId
             });
             uploaded.push({ mediaId, url: `/uploads/beneficiary/${file.filename}` });
         }
+        await recordActivity({
+            projectId: donation.ProjectId,
+            eventType: ACTIVITY_EVENTS.MEDIA_UPLOADED,
+            entityType: 'beneficiary_donation',
+            entityId: donation.BeneficiaryDonationId,
+            summary: `${uploaded.length} video(s) added to "${donation.Title}"`,
+            metadata: { mediaType: 'VIDEO', count: uploaded.length },
+            actor: req.user
+        });
         res.status(201).json({ success: true, message: `${uploaded.length} video(s) uploaded`, data: { uploaded } });
     } catch (error) {
         console.error('Upload videos error:', error);
@@ -134,6 +196,8 @@ exports.uploadVideos = async (req, res) => {
 
 exports.getMedia = async (req, res) => {
     try {
+        if (!await findBeneficiaryDonationWithAccess(req, res)) return;
+
         const media = await BeneficiaryDonation.getMedia(req.params.id);
         res.json({ success: true, data: { media } });
     } catch (error) {
@@ -144,7 +208,12 @@ exports.getMedia = async (req, res) => {
 
 exports.deleteMedia = async (req, res) => {
     try {
-        await BeneficiaryDonation.deleteMedia(req.params.mediaId);
+        const donation = await findBeneficiaryDonationWithAccess(req, res);
+        if (!donation) return;
+
+        if (await denyByPolicy(req, res, 'beneficiaryDonation', 'edit', donation)) return;
+
+        await BeneficiaryDonation.deleteMedia(req.params.mediaId, req.params.id, req.user.UserId);
         res.json({ success: true, message: 'Media deleted' });
     } catch (error) {
         console.error('Delete media error:', error);
@@ -154,6 +223,8 @@ exports.deleteMedia = async (req, res) => {
 
 exports.getSummary = async (req, res) => {
     try {
+        if (await denyProjectAccess(req, res, req.params.projectId, 'view')) return;
+
         const summary = await BeneficiaryDonation.getSummary(req.params.projectId);
         res.json({ success: true, data: { summary } });
     } catch (error) {
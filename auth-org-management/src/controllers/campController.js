@@ -1,6 +1,23 @@
 const Camp = require('../models/Camp');
 const Project = require('../models/Project');
 const { validationResult } = require('express-validator');
+const { getProjectScope, denyProjectAccess } = require('../services/projectAccessService');
+const { POLICIES, denyByPolicy } = require('../services/editPolicyService');
+const { nearbyQuery, areaQuery } = require('../services/geoService');
+const { ACTIVITY_EVENTS, recordActivity } = require('../services/activityService');
+
+// Find a camp and check the user's access to its project; sends the error response and returns null otherwise
+const findCampWithAccess = async (req, res, action) => {
+    const camp = await Camp.findById(req.params.id);
+    if (!camp) {
+        res.status(404).json({ success: false, message: 'Camp not found' });
+        return null;
+    }
+
+    if (await denyProjectAccess(req, res, camp.ProjectId, action, 'Camp not found')) return null;
+
+    return camp;
+};
 
 // ==================== Camp CRUD ====================
 
@@ -18,9 +35,11 @@ exports.createCamp = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Project not found' });
         }
 
+        if (await denyProjectAccess(req, res, project.ProjectId, 'camps')) return;
+
         const campId = await Camp.create({
             ...req.body,
-            createdBy: req.user.userId
+            createdBy: req.user.UserId
         });
 
         const camp = await Camp.findById(campId);
@@ -47,6 +66,7 @@ exports.getAllCamps = async (req, res) => {
             dateFrom: req.query.dateFrom,
             dateTo: req.query.dateTo,
             search: req.query.search,
+            scope: await getProjectScope(req.user),
             limit: req.query.limit || 50,
             offset: req.query.offset || 0
         };
@@ -66,9 +86,44 @@ exports.getAllCamps = async (req, res) => {
     }
 };
 
+// Search camps by location, nearest first; only upcoming camps unless upcoming=false
+const sendCampsByLocation = async (req, res, geo) => {
+    try {
+        const camps = await Camp.findAll({
+            geo,
+            upcoming: req.query.upcoming !== 'false',
+            campType: req.query.campType,
+            scope: await getProjectScope(req.user),
+            limit: req.query.limit || 50,
+            offset: req.query.offset || 0
+        });
+
+        res.json({
+            success: true,
+            data: {
+                camps,
+                count: camps.length,
+                area: geo.area,
+                radiusKm: geo.radiusKm
+            }
+        });
+    } catch (error) {
+        console.error('Get camps by location error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch camps' });
+    }
+};
+
+// Get camps within radiusKm of a point
+exports.getNearbyCamps = (req, res) => sendCampsByLocation(req, res, nearbyQuery(req.query));
+
+// Get camps inside a map area
+exports.getCampsInArea = (req, res) => sendCampsByLocation(req, res, areaQuery(req.query));
+
 // Get camps by project
 exports.getCampsByProject = async (req, res) => {
     try {
+        if (await denyProjectAccess(req, res, req.params.projectId, 'view')) return;
+
         const camps = await Camp.findByProjectId(req.params.projectId, {
             campStatus: req.query.campStatus,
             limit: req.query.limit,
@@ -94,11 +149,8 @@ exports.getCampsByProject = async (req, res) => {
 // Get camp by ID with media
 exports.getCampById = async (req, res) => {
     try {
-        const camp = await Camp.findById(req.params.id);
-
-        if (!camp) {
-            return res.status(404).json({ success: false, message: 'Camp not found' });
-        }
+        const camp = await findCampWithAccess(req, res, 'view');
+        if (!camp) return;
 
         // Get media
         const images = await Camp.getImages(req.params.id);
@@ -121,12 +173,12 @@ exports.getCampById = async (req, res) => {
 // Update camp
 exports.updateCamp = async (req, res) => {
     try {
-        const camp = await Camp.findById(req.params.id);
-        if (!camp) {
-            return res.status(404).json({ success: false, message: 'Camp not found' });
-        }
+        const camp = await findCampWithAccess(req, res, 'camps');
+        if (!camp) return;
+
+        if (await denyByPolicy(req, res, 'camp', 'edit', camp)) return;
 
-        const updated = await Camp.update(req.params.id, req.body, req.user.userId);
+        const updated = await Camp.update(req.params.id, req.body, req.user.UserId);
 
         if (!updated) {
             return res.status(400).json({ success: false, message: 'No changes made' });
@@ -134,6 +186,18 @@ exports.updateCamp = async (req, res) => {
 
         const updatedCamp = await Camp.findById(req.params.id);
 
+        if (camp.CampStatus !== 'Completed' && updatedCamp.CampStatus === 'Completed') {
+            await recordActivity({
+                projectId: camp.ProjectId,
+                eventType: ACTIVITY_EVENTS.CAMP_COMPLETED,
+                entityType: 'camp',
+                entityId: camp.CampId,
+                summary: `Camp "${camp.CampName}" completed with ${updatedCamp.PeopleAttended || 0} attendees`,
+                metadata: { peopleAttended: updatedCamp.PeopleAttended || 0 },
+                actor: req.user
+            });
+        }
+
         res.json({
             success: true,
             message: 'Camp updated successfully',
@@ -154,12 +218,12 @@ exports.updateAttendance = async (req, res) => {
             return res.status(400).json({ success: false, message: 'peopleAttended is required' });
         }
 
-        const camp = await Camp.findById(req.params.id);
-        if (!camp) {
-            return res.status(404).json({ success: false, message: 'Camp not found' });
-        }
+        const camp = await findCampWithAccess(req, res, 'camps');
+        if (!camp) return;
 
-        await Camp.updateAttendance(req.params.id, peopleAttended, req.user.userId);
+        if (await denyByPolicy(req, res, 'camp', 'attendance', camp)) return;
+
+        await Camp.updateAttendance(req.params.id, peopleAttended, req.user.UserId);
 
         const updatedCamp = await Camp.findById(req.params.id);
 
@@ -177,12 +241,12 @@ exports.updateAttendance = async (req, res) => {
 // Delete camp
 exports.deleteCamp = async (req, res) => {
     try {
-        const camp = await Camp.findById(req.params.id);
-        if (!camp) {
-            return res.status(404).json({ success: false, message: 'Camp not found' });
-        }
+        const camp = await findCampWithAccess(req, res, 'camps');
+        if (!camp) return;
+
+        if (await denyByPolicy(req, res, 'camp', 'delete', camp)) return;
 
-        await Camp.delete(req.params.id, req.user.userId);
+        await Camp.delete(req.params.id, req.user.UserId);
 
         res.json({
             success: true,
@@ -194,6 +258,29 @@ exports.deleteCamp = async (req, res) => {
     }
 };
 
+// Reopen a completed or cancelled camp (approvers)
+exports.reopenCamp = async (req, res) => {
+    try {
+        const camp = await findCampWithAccess(req, res, 'view');
+        if (!camp) return;
+
+        if (await denyByPolicy(req, res, 'camp', 'reopen', camp)) return;
+
+        await Camp.update(req.params.id, { campStatus: POLICIES.camp.reopenStatus }, req.user.UserId);
+
+        const updatedCamp = await Camp.findById(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Camp reopened',
+            data: { camp: updatedCamp }
+        });
+    } catch (error) {
+        console.error('Reopen camp error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reopen camp' });
+    }
+};
+
 // ==================== Media Operations ====================
 
 // Upload image(s)
@@ -203,10 +290,10 @@ exports.uploadImages = async (req, res) => {
             return res.status(400).json({ success: false, message: 'No images uploaded' });
         }
 
-        const camp = await Camp.findById(req.params.id);
-        if (!camp) {
-            return res.status(404).json({ success: false, message: 'Camp not found' });
-        }
+        const camp = await findCampWithAccess(req, res, 'camps');
+        if (!camp) return;
+
+        if (await denyByPolicy(req, res, 'camp', 'edit', camp)) return;
 
         const uploadedMedia = [];
         for (const file of req.files) {
@@ -218,11 +305,21 @@ exports.uploadImages = async (req, res) => {
                 fileSize: file.size,
                 mimeType: file.mimetype,
                 caption: req.body.caption,
-                uploadedBy: req.user.userId
+                uploadedBy: req.user.UserId
             });
             uploadedMedia.push({ mediaId, url: `/uploads/camps/${file.filename}` });
         }
 
+        await recordActivity({
+            projectId: camp.ProjectId,
+            eventType: ACTIVITY_EVENTS.MEDIA_UPLOADED,
+            entityType: 'camp',
+            entityId: camp.CampId,
+            summary: `${uploadedMedia.length} image(s) added to camp "${camp.CampName}"`,
+            metadata: { mediaType: 'IMAGE', count: uploadedMedia.length },
+            actor: req.user
+        });
+
         res.status(201).json({
             success: true,
             message: `${uploadedMedia.length} image(s) uploaded successfully`,
@@ -241,10 +338,10 @@ exports.uploadVideos = async (req, res) => {
             return res.status(400).json({ success: false, message: 'No videos uploaded' });
         }
 
-        const camp = await Camp.findById(req.params.id);
-        if (!camp) {
-            return res.status(404).json({ success: false, message: 'Camp not found' });
-        }
+        const camp = await findCampWithAccess(req, res, 'camps');
+        if (!camp) return;
+
+        if (await denyByPolicy(req, res, 'camp', 'edit', camp)) return;
 
         const uploadedMedia = [];
         for (const file of req.files) {
@@ -256,11 +353,21 @@ exports.uploadVideos = async (req, res) => {
                 fileSize: file.size,
                 mimeType: file.mimetype,
                 caption: req.body.caption,
-                uploadedBy: req.user.userId
+                uploadedBy: req.user.UserId
             });
             uploadedMedia.push({ mediaId, url: `/uploads/camps/${file.filename}` });
         }
 
+        await recordActivity({
+            projectId: camp.ProjectId,
+            eventType: ACTIVITY_EVENTS.MEDIA_UPLOADED,
+            entityType: 'camp',
+            entityId: camp.CampId,
+            summary: `${uploadedMedia.length} video(s) added to camp "${camp.CampName}"`,
+            metadata: { mediaType: 'VIDEO', count: uploadedMedia.length },
+            actor: req.user
+        });
+
         res.status(201).json({
             success: true,
             message: `${uploadedMedia.length} video(s) uploaded successfully`,
@@ -275,6 +382,8 @@ exports.uploadVideos = async (req, res) => {
 // Get all media for a camp
 exports.getMedia = async (req, res) => {
     try {
+        if (!await findCampWithAccess(req, res, 'view')) return;
+
         const media = await Camp.getMedia(req.params.id);
 
         res.json({
@@ -293,6 +402,8 @@ exports.getMedia = async (req, res) => {
 // Get images only
 exports.getImages = async (req, res) => {
     try {
+        if (!await findCampWithAccess(req, res, 'view')) return;
+
         const images = await Camp.getImages(req.params.id);
 
         res.json({
@@ -308,6 +419,8 @@ exports.getImages = async (req, res) => {
 // Get videos only
 exports.getVideos = async (req, res) => {
     try {
+        if (!await findCampWithAccess(req, res, 'view')) return;
+
         const videos = await Camp.getVideos(req.params.id);
 
         res.json({
@@ -323,7 +436,12 @@ exports.getVideos = async (req, res) => {
 // Update media (caption, order)
 exports.updateMedia = async (req, res) => {
     try {
-        const updated = await Camp.updateMedia(req.params.mediaId, req.body);
+        const camp = await findCampWithAccess(req, res, 'camps');
+        if (!camp) return;
+
+        if (await denyByPolicy(req, res, 'camp', 'mediaDetails', camp)) return;
+
+        const updated = await Camp.updateMedia(req.params.mediaId, req.params.id, req.body);
 
         if (!updated) {
             return res.status(400).json({ success: false, message: 'No changes made or media not found' });
@@ -342,7 +460,12 @@ exports.updateMedia = async (req, res) => {
 // Delete media
 exports.deleteMedia = async (req, res) => {
     try {
-        await Camp.deleteMedia(req.params.mediaId);
+        const camp = await findCampWithAccess(req, res, 'camps');
+        if (!camp) return;
+
+        if (await denyByPolicy(req, res, 'camp', 'edit', camp)) return;
+
+        await Camp.deleteMedia(req.params.mediaId, req.params.id, req.user.UserId);
 
         res.json({
             success: true,
@@ -357,6 +480,8 @@ exports.deleteMedia = async (req, res) => {
 // Get project camp statistics
 exports.getProjectStats = async (req, res) => {
     try {
+        if (await denyProjectAccess(req, res, req.params.projectId, 'view')) return;
+
         const stats = await Camp.getProjectStats(req.params.projectId);
 
         res.json({
@@ -1,6 +1,20 @@
 const Campaign = require('../models/Campaign');
 const Project = require('../models/Project');
 const { validationResult } = require('express-validator');
+const { getProjectScope, denyProjectAccess } = require('../services/projectAccessService');
+
+// Find a campaign and check the user's access to its project; sends the error response and returns null otherwise
+const findCampaignWithAccess = async (req, res, action) => {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+        res.status(404).json({ success: false, message: 'Campaign not found' });
+        return null;
+    }
+
+    if (await denyProjectAccess(req, res, campaign.ProjectId, action, 'Campaign not found')) return null;
+
+    return campaign;
+};
 
 // Create campaign
 exports.createCampaign = async (req, res) => {
@@ -16,9 +30,11 @@ exports.createCampaign = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Project not found' });
         }
 
+        if (await denyProjectAccess(req, res, project.ProjectId, 'edit')) return;
+
         const campaignId = await Campaign.create({
             ...req.body,
-            createdBy: req.user.userId
+            createdBy: req.user.UserId
         });
 
         const campaign = await Campaign.findById(campaignId);
@@ -43,7 +59,8 @@ exports.getAllCampaigns = async (req, res) => {
             campaignStatus: req.query.campaignStatus,
             search: req.query.search,
             limit: req.query.limit || 50,
-            offset: req.query.offset || 0
+            offset: req.query.offset || 0,
+            scope: await getProjectScope(req.user)
         };
 
         const campaigns = await Campaign.findAll(filters);
@@ -84,11 +101,8 @@ exports.getPublicCampaigns = async (req, res) => {
 // Get campaign by ID
 exports.getCampaignById = async (req, res) => {
     try {
-        const campaign = await Campaign.findById(req.params.id);
-
-        if (!campaign) {
-            return res.status(404).json({ success: false, message: 'Campaign not found' });
-        }
+        const campaign = await findCampaignWithAccess(req, res, 'view');
+        if (!campaign) return;
 
         // Get statistics
         const stats = await Campaign.getStats(req.params.id);
@@ -183,12 +197,10 @@ exports.getCampaignByCode = async (req, res) => {
 // Update campaign
 exports.updateCampaign = async (req, res) => {
     try {
-        const campaign = await Campaign.findById(req.params.id);
-        if (!campaign) {
-            return res.status(404).json({ success: false, message: 'Campaign not found' });
-        }
+        const campaign = await findCampaignWithAccess(req, res, 'edit');
+        if (!campaign) return;
 
-        const updated = await Campaign.update(req.params.id, req.body, req.user.userId);
+        const updated = await Campaign.update(req.params.id, req.body, req.user.UserId);
 
         if (!updated) {
             return res.status(400).json({ success: false, message: 'No changes made' });
@@ -210,12 +222,10 @@ exports.updateCampaign = async (req, res) => {
 // Delete campaign
 exports.deleteCampaign = async (req, res) => {
     try {
-        const campaign = await Campaign.findById(req.params.id);
-        if (!campaign) {
-            return res.status(404).json({ success: false, message: 'Campaign not found' });
-        }
+        const campaign = await findCampaignWithAccess(req, res, 'edit');
+        if (!campaign) return;
 
-        await Campaign.delete(req.params.id, req.user.userId);
+        await Campaign.delete(req.params.id, req.user.UserId);
 
         res.json({
             success: true,
@@ -230,10 +240,8 @@ exports.deleteCampaign = async (req, res) => {
 // Get campaign statistics
 exports.getCampaignStats = async (req, res) => {
     try {
-        const campaign = await Campaign.findById(req.params.id);
-        if (!campaign) {
-            return res.status(404).json({ success: false, message: 'Campaign not found' });
-        }
+        const campaign = await findCampaignWithAccess(req, res, 'view');
+        if (!campaign) return;
 
         const stats = await Campaign.getStats(req.params.id);
 
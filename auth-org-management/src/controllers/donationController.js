@@ -2,6 +2,46 @@ const Donation = require('../models/Donation');
 const Campaign = require('../models/Campaign');
 const razorpayService = require('../services/razorpayService');
 const { validationResult } = require('express-validator');
+const { getProjectScope, denyProjectAccess } = require('../services/projectAccessService');
+const { ACTIVITY_EVENTS, formatAmount, recordActivity } = require('../services/activityService');
+
+// Feed entry for a completed donation
+const recordDonationReceived = (donation, actor) => recordActivity({
+    projectId: donation.ProjectId || donation.CampaignProjectId,
+    eventType: ACTIVITY_EVENTS.DONATION_RECEIVED,
+    entityType: 'donation',
+    entityId: donation.DonationId,
+    summary: `Donation of ${formatAmount(donation.Amount)} from ${donation.DonorName} to ${donation.CampaignName}`,
+    metadata: { amount: Number(donation.Amount), campaignId: donation.CampaignId, donationType: donation.DonationType },
+    actor
+});
+
+// Find a donation and check the user can see its project; sends the error response and returns null otherwise
+const findDonationWithAccess = async (req, res) => {
+    const donation = await Donation.findById(req.params.id);
+    if (!donation) {
+        res.status(404).json({ success: false, message: 'Donation not found' });
+        return null;
+    }
+
+    const projectId = donation.ProjectId || donation.CampaignProjectId;
+    if (await denyProjectAccess(req, res, projectId, 'view', 'Donation not found')) return null;
+
+    return donation;
+};
+
+// Find a campaign and check the user can see its project; sends the error response and returns null otherwise
+const findCampaignWithAccess = async (req, res, campaignId) => {
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) {
+        res.status(404).json({ success: false, message: 'Campaign not found' });
+        return null;
+    }
+
+    if (await denyProjectAccess(req, res, campaign.ProjectId, 'view', 'Campaign not found')) return null;
+
+    return campaign;
+};
 
 // ==================== Razorpay Integration ====================
 
@@ -119,6 +159,7 @@ exports.verifyRazorpayPayment = async (req, res) => {
         await Campaign.updateCollectedAmount(donation.CampaignId, donation.Amount);
 
         const completedDonation = await Donation.findById(donation.DonationId);
+        await recordDonationReceived(completedDonation, req.user);
 
         res.json({
             success: true,
@@ -148,10 +189,8 @@ exports.createOfflineDonation = async (req, res) => {
             return res.status(400).json({ success: false, errors: errors.array() });
         }
 
-        const campaign = await Campaign.findById(req.body.campaignId);
-        if (!campaign) {
-            return res.status(404).json({ success: false, message: 'Campaign not found' });
-        }
+        const campaign = await findCampaignWithAccess(req, res, req.body.campaignId);
+        if (!campaign) return;
 
         // Validate donation type for offline
         const validOfflineTypes = ['CASH', 'BANK', 'UPI', 'CHEQUE', 'IN_KIND'];
@@ -167,13 +206,14 @@ exports.createOfflineDonation = async (req, res) => {
             projectId: campaign.ProjectId,
             paymentMode: 'Offline',
             status: 'Completed', // Offline donations are immediately marked as completed
-            createdBy: req.user.userId
+            createdBy: req.user.UserId
         });
 
         // Update campaign collected amount
         await Campaign.updateCollectedAmount(req.body.campaignId, req.body.amount);
 
         const donation = await Donation.findById(donationId);
+        await recordDonationReceived(donation, req.user);
 
         res.status(201).json({
             success: true,
@@ -202,7 +242,8 @@ exports.getAllDonations = async (req, res) => {
             search: req.query.search,
             isOffline: req.query.isOffline === 'true',
             limit: req.query.limit || 50,
-            offset: req.query.offset || 0
+            offset: req.query.offset || 0,
+            scope: await getProjectScope(req.user)
         };
 
         const donations = await Donation.findAll(filters);
@@ -223,6 +264,9 @@ exports.getAllDonations = async (req, res) => {
 // Get donations by campaign
 exports.getDonationsByCampaign = async (req, res) => {
     try {
+        const campaign = await findCampaignWithAccess(req, res, req.params.campaignId);
+        if (!campaign) return;
+
         const donations = await Donation.findByCampaignId(req.params.campaignId, {
             status: req.query.status,
             donationType: req.query.donationType,
@@ -249,11 +293,8 @@ exports.getDonationsByCampaign = async (req, res) => {
 // Get donation by ID
 exports.getDonationById = async (req, res) => {
     try {
-        const donation = await Donation.findById(req.params.id);
-
-        if (!donation) {
-            return res.status(404).json({ success: false, message: 'Donation not found' });
-        }
+        const donation = await findDonationWithAccess(req, res);
+        if (!donation) return;
 
         res.json({
             success: true,
@@ -268,12 +309,10 @@ exports.getDonationById = async (req, res) => {
 // Update donation (admin only)
 exports.updateDonation = async (req, res) => {
     try {
-        const donation = await Donation.findById(req.params.id);
-        if (!donation) {
-            return res.status(404).json({ success: false, message: 'Donation not found' });
-        }
+        const donation = await findDonationWithAccess(req, res);
+        if (!donation) return;
 
-        const updated = await Donation.update(req.params.id, req.body, req.user.userId);
+        const updated = await Donation.update(req.params.id, req.body, req.user.UserId);
 
         if (!updated) {
             return res.status(400).json({ success: false, message: 'No changes made' });
@@ -295,17 +334,15 @@ exports.updateDonation = async (req, res) => {
 // Delete donation (admin only)
 exports.deleteDonation = async (req, res) => {
     try {
-        const donation = await Donation.findById(req.params.id);
-        if (!donation) {
-            return res.status(404).json({ success: false, message: 'Donation not found' });
-        }
+        const donation = await findDonationWithAccess(req, res);
+        if (!donation) return;
 
         // If completed, reduce campaign amount
         if (donation.Status === 'Completed') {
             await Campaign.updateCollectedAmount(donation.CampaignId, -donation.Amount);
         }
 
-        await Donation.delete(req.params.id, req.user.userId);
+        await Donation.delete(req.params.id, req.user.UserId);
 
         res.json({
             success: true,
@@ -345,6 +382,9 @@ exports.getRecentDonations = async (req, res) => {
 // Get donation summary
 exports.getDonationSummary = async (req, res) => {
     try {
+        const campaign = await findCampaignWithAccess(req, res, req.params.campaignId);
+        if (!campaign) return;
+
         const summary = await Donation.getSummaryByCampaign(req.params.campaignId);
 
         res.json({
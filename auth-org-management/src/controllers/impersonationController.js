@@ -0,0 +1,166 @@
+const { queryOne } = require('../config/database');
+const {
+    startImpersonation,
+    findActiveImpersonation,
+    endImpersonation,
+    listImpersonations
+} = require('../services/impersonationService');
+const { sendImpersonationNoticeEmail } = require('../services/emailService');
+const { sendSMS } = require('../services/smsService');
+
+// Let the impersonated user know, by email or else by SMS
+const notifyTarget = async (target, impersonator, reason, expiresAt) => {
+    if (target.Email) {
+        return sendImpersonationNoticeEmail(target.Email, {
+            impersonatorName: impersonator.FullName,
+            reason,
+            expiresAt
+        });
+    }
+
+    if (target.MobileNumber) {
+        return sendSMS(
+            target.MobileNumber,
+            `${impersonator.FullName} from support has signed in to your account until ${expiresAt.toUTCString()}.`
+        );
+    }
+};
+
+// Start acting as another user (Super Admin)
+const impersonate = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const reason = req.body.reason;
+
+        if (parseInt(userId) === req.user.UserId) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot impersonate yourself.'
+            });
+        }
+
+        const target = await queryOne(
+            `SELECT u.*, r.RoleName, r.RoleCode
+             FROM users u
+             LEFT JOIN roles r ON u.RoleId = r.RoleId
+             WHERE u.UserId = ?`,
+            [userId]
+        );
+
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+
+        if (target.Status !== 'Active') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only active users can be impersonated.'
+            });
+        }
+
+        if (target.RoleCode === 'SUPER_ADMIN') {
+            return res.status(403).json({
+                success: false,
+                message: 'Super Admins cannot be impersonated.'
+            });
+        }
+
+        const { impersonationId, token, expiresAt } = await startImpersonation(req.user, target, reason, req);
+
+        notifyTarget(target, req.user, reason, expiresAt).catch((error) => {
+            console.error('Impersonation notice error:', error.message);
+        });
+
+        res.json({
+            success: true,
+            message: `You are now viewing the app as ${target.FullName}.`,
+            data: {
+                impersonationId,
+                token,
+                expiresAt,
+                user: {
+                    userId: target.UserId,
+                    email: target.Email,
+                    mobileNumber: target.MobileNumber,
+                    fullName: target.FullName,
+                    username: target.Username,
+                    role: target.RoleName,
+                    roleCode: target.RoleCode,
+                    organizationId: target.OrganizationId
+                },
+                impersonator: {
+                    userId: req.user.UserId,
+                    fullName: req.user.FullName,
+                    email: req.user.Email
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Impersonate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start impersonation.'
+        });
+    }
+};
+
+// End the current impersonation (called with the impersonation token)
+const stopImpersonation = async (req, res) => {
+    try {
+        if (!req.impersonator) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are not impersonating anyone.'
+            });
+        }
+
+        const impersonation = await findActiveImpersonation(req.impersonationId, req.impersonator.UserId);
+
+        if (impersonation) {
+            await endImpersonation(impersonation);
+        }
+
+        res.json({
+            success: true,
+            message: 'Impersonation ended.'
+        });
+    } catch (error) {
+        console.error('Stop impersonation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to end impersonation.'
+        });
+    }
+};
+
+// Impersonation audit trail (Super Admin)
+const getImpersonations = async (req, res) => {
+    try {
+        const impersonations = await listImpersonations({
+            impersonatorId: req.query.impersonatorId,
+            targetUserId: req.query.userId,
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
+
+        res.json({
+            success: true,
+            data: impersonations
+        });
+    } catch (error) {
+        console.error('Get impersonations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch impersonations.'
+        });
+    }
+};
+
+module.exports = {
+    impersonate,
+    stopImpersonation,
+    getImpersonations
+};
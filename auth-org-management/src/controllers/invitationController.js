@@ -0,0 +1,559 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { query, queryOne, transaction } = require('../config/database');
+const { hashToken, issueTokens } = require('../services/tokenService');
+const { verifyGoogleIdToken } = require('../services/googleService');
+const { getLoginChallenge } = require('../services/twoFactorService');
+const { getLockout, recordAttempt, clearAttempts } = require('../services/bruteForceService');
+const { sendInvitationEmail } = require('../services/emailService');
+const { sendLockout } = require('../middleware/bruteForce');
+const { roleHierarchy } = require('../middleware/rbac');
+const { canAccessOrganization, holdsRolePermissions } = require('../services/permissionService');
+const { sendTwoFactorChallenge } = require('./authController');
+const config = require('../config');
+
+// Invitations past ExpiresAt are still stored as Pending; report them as Expired
+const STATUS_SQL = `CASE WHEN i.Status = 'Pending' AND i.ExpiresAt <= NOW() THEN 'Expired' ELSE i.Status END`;
+
+const invitationExpiry = () => {
+    return new Date(Date.now() + config.invitations.expiryDays * 24 * 60 * 60 * 1000);
+};
+
+const invitationLink = (token) => {
+    return `${config.frontendUrl}/invitations/accept?token=${token}`;
+};
+
+// Only the organization's own members, or holders of projects.all, manage its invitations
+const denyOtherOrganization = async (req, res) => {
+    if (!(await canAccessOrganization(req.user, req.params.id))) {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied. You can only manage invitations for your own organization.'
+        });
+        return true;
+    }
+    return false;
+};
+
+// Pending, unexpired invitation for a link token (with organization and role)
+const findOpenInvitation = (token) => {
+    return queryOne(
+        `SELECT i.*, o.OrganizationName, r.RoleName, r.RoleCode, inviter.FullName as InvitedByName
+         FROM organization_invitations i
+         JOIN organizations o ON i.OrganizationId = o.OrganizationId
+         JOIN roles r ON i.RoleId = r.RoleId
+         LEFT JOIN users inviter ON i.InvitedBy = inviter.UserId
+         WHERE i.TokenHash = ? AND i.Status = 'Pending' AND i.ExpiresAt > NOW()
+               AND o.IsDeleted = FALSE`,
+        [hashToken(token || '')]
+    );
+};
+
+const emailInvitation = (invitation, token, inviterName) => {
+    return sendInvitationEmail(invitation.Email, {
+        organizationName: invitation.OrganizationName,
+        roleName: invitation.RoleName,
+        inviterName,
+        link: invitationLink(token)
+    });
+};
+
+// Invite someone to an organization with a pre-assigned role
+const createInvitation = async (req, res) => {
+    try {
+        if (await denyOtherOrganization(req, res)) return;
+
+        const { id } = req.params;
+        const email = req.body.email;
+        const roleId = parseInt(req.body.roleId);
+
+        const organization = await queryOne(
+            'SELECT OrganizationId, OrganizationName FROM organizations WHERE OrganizationId = ? AND IsDeleted = FALSE',
+            [id]
+        );
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found.'
+            });
+        }
+
+        const role = await queryOne(
+            'SELECT RoleId, RoleName, RoleCode FROM roles WHERE RoleId = ? AND IsActive = TRUE',
+            [roleId]
+        );
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found.'
+            });
+        }
+
+        // No inviting anyone above yourself
+        if ((roleHierarchy[role.RoleCode] || 0) > (roleHierarchy[req.user.RoleCode] || 0)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot invite users to a role higher than your own.'
+            });
+        }
+
+        // Custom roles have no rank; they must not grant what the inviter lacks
+        if (!(await holdsRolePermissions(req.user, role.RoleId))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot invite users to a role with permissions you do not hold.'
+            });
+        }
+
+        const member = await queryOne(
+            `SELECT u.UserId
+             FROM users u
+             LEFT JOIN organization_members om ON om.UserId = u.UserId AND om.OrganizationId = ?
+             WHERE u.Email = ? AND (u.OrganizationId = ? OR om.OrganizationMemberId IS NOT NULL)`,
+            [id, email, id]
+        );
+
+        if (member) {
+            return res.status(400).json({
+                success: false,
+                message: 'This user is already a member of the organization.'
+            });
+        }
+
+        const pending = await queryOne(
+            `SELECT InvitationId FROM organization_invitations
+             WHERE OrganizationId = ? AND Email = ? AND Status = 'Pending' AND ExpiresAt > NOW()`,
+            [id, email]
+        );
+
+        if (pending) {
+            return res.status(400).json({
+                success: false,
+                message: 'A pending invitation already exists for this email. Resend it instead.'
+            });
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = invitationExpiry();
+
+        const result = await query(
+            `INSERT INTO organization_invitations (OrganizationId, Email, RoleId, TokenHash, ExpiresAt, InvitedBy)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [id, email, role.RoleId, hashToken(token), expiresAt, req.user.UserId]
+        );
+
+        await emailInvitation(
+            { Email: email, OrganizationName: organization.OrganizationName, RoleName: role.RoleName },
+            token,
+            req.user.FullName
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Invitation sent successfully.',
+            data: {
+                invitationId: result.insertId,
+                email,
+                role: role.RoleName,
+                expiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Create invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send invitation.'
+        });
+    }
+};
+
+// List an organization's invitations
+const getInvitations = async (req, res) => {
+    try {
+        if (await denyOtherOrganization(req, res)) return;
+
+        let whereClause = 'WHERE i.OrganizationId = ?';
+        const params = [req.params.id];
+
+        if (req.query.status) {
+            whereClause += ` AND ${STATUS_SQL} = ?`;
+            params.push(req.query.status);
+        }
+
+        const invitations = await query(
+            `SELECT i.InvitationId, i.Email, i.RoleId, r.RoleName, r.RoleCode,
+                    ${STATUS_SQL} as Status, i.ExpiresAt, i.SentCount, i.LastSentAt,
+                    i.InvitedBy, inviter.FullName as InvitedByName,
+                    i.AcceptedBy, i.AcceptedAt, i.RevokedAt, i.CreatedAt
+             FROM organization_invitations i
+             JOIN roles r ON i.RoleId = r.RoleId
+             LEFT JOIN users inviter ON i.InvitedBy = inviter.UserId
+             ${whereClause}
+             ORDER BY i.CreatedAt DESC`,
+            params
+        );
+
+        res.json({
+            success: true,
+            data: invitations
+        });
+    } catch (error) {
+        console.error('Get invitations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch invitations.'
+        });
+    }
+};
+
+// Email a pending (or expired) invitation again with a fresh link
+const resendInvitation = async (req, res) => {
+    try {
+        if (await denyOtherOrganization(req, res)) return;
+
+        const { id, invitationId } = req.params;
+
+        const invitation = await queryOne(
+            `SELECT i.*, o.OrganizationName, r.RoleName
+             FROM organization_invitations i
+             JOIN organizations o ON i.OrganizationId = o.OrganizationId
+             JOIN roles r ON i.RoleId = r.RoleId
+             WHERE i.InvitationId = ? AND i.OrganizationId = ?`,
+            [invitationId, id]
+        );
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation not found.'
+            });
+        }
+
+        if (invitation.Status !== 'Pending') {
+            return res.status(400).json({
+                success: false,
+                message: `Invitation has already been ${invitation.Status.toLowerCase()}.`
+            });
+        }
+
+        // Rotating the token invalidates the previously emailed link
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = invitationExpiry();
+
+        await query(
+            `UPDATE organization_invitations
+             SET TokenHash = ?, ExpiresAt = ?, SentCount = SentCount + 1, LastSentAt = NOW()
+             WHERE InvitationId = ?`,
+            [hashToken(token), expiresAt, invitation.InvitationId]
+        );
+
+        await emailInvitation(invitation, token, req.user.FullName);
+
+        res.json({
+            success: true,
+            message: 'Invitation resent successfully.',
+            data: { expiresAt }
+        });
+    } catch (error) {
+        console.error('Resend invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to resend invitation.'
+        });
+    }
+};
+
+// Revoke a pending invitation
+const revokeInvitation = async (req, res) => {
+    try {
+        if (await denyOtherOrganization(req, res)) return;
+
+        const { id, invitationId } = req.params;
+
+        const result = await query(
+            `UPDATE organization_invitations
+             SET Status = 'Revoked', RevokedBy = ?, RevokedAt = NOW()
+             WHERE InvitationId = ? AND OrganizationId = ? AND Status = 'Pending'`,
+            [req.user.UserId, invitationId, id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pending invitation not found.'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Invitation revoked successfully.'
+        });
+    } catch (error) {
+        console.error('Revoke invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke invitation.'
+        });
+    }
+};
+
+// Public: what an invitation link is for
+const getInvitationByToken = async (req, res) => {
+    try {
+        const invitation = await findOpenInvitation(req.params.token);
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation is invalid or has expired.'
+            });
+        }
+
+        const existingUser = await queryOne(
+            'SELECT UserId FROM users WHERE Email = ?',
+            [invitation.Email]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                email: invitation.Email,
+                organizationId: invitation.OrganizationId,
+                organizationName: invitation.OrganizationName,
+                role: invitation.RoleName,
+                invitedBy: invitation.InvitedByName,
+                expiresAt: invitation.ExpiresAt,
+                accountExists: !!existingUser
+            }
+        });
+    } catch (error) {
+        console.error('Get invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch invitation.'
+        });
+    }
+};
+
+// Public: accept an invitation by setting a password (new account), entering
+// the existing password, or signing in with Google as the invited email.
+const acceptInvitation = async (req, res) => {
+    try {
+        const { fullName, password, googleToken } = req.body;
+
+        const invitation = await findOpenInvitation(req.params.token);
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation is invalid or has expired.'
+            });
+        }
+
+        let user = await queryOne('SELECT * FROM users WHERE Email = ?', [invitation.Email]);
+        let google = null;
+
+        if (googleToken) {
+            google = await verifyGoogleIdToken(googleToken).catch(() => null);
+
+            if (!google || !google.email_verified ||
+                google.email.toLowerCase() !== invitation.Email.toLowerCase()) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Please sign in with the Google account for the invited email.'
+                });
+            }
+        } else if (!password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password or Google sign-in is required.'
+            });
+        } else if (user) {
+            if (!user.Password) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This account uses Google login. Please accept with Google.'
+                });
+            }
+
+            req.attemptAccount = user.Email;
+
+            const lockedFor = await getLockout('login', req);
+            if (lockedFor) {
+                return sendLockout(res, lockedFor);
+            }
+
+            if (!await bcrypt.compare(password, user.Password)) {
+                const lockedNow = await recordAttempt('login', req);
+                if (lockedNow) {
+                    return sendLockout(res, lockedNow);
+                }
+
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid password.'
+                });
+            }
+
+            await clearAttempts('login', req);
+        } else if (!fullName) {
+            return res.status(400).json({
+                success: false,
+                message: 'Full name is required to create your account.'
+            });
+        }
+
+        if (user && user.Status === 'Blocked') {
+            return res.status(403).json({
+                success: false,
+                message: 'Your account has been blocked. Please contact support.'
+            });
+        }
+
+        // Accepting activates a signup that was never verified, not an account
+        // an admin deactivated
+        if (user && user.Status === 'Inactive' && (user.IsEmailVerified || user.IsMobileVerified)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Your account is inactive. Please contact support.'
+            });
+        }
+
+        // Users of another organization join this one as an extra membership
+        const joinAsMember = !!(user && user.OrganizationId && user.OrganizationId !== invitation.OrganizationId);
+
+        // An invitation never demotes an existing user
+        let keepRole = false;
+        if (user && user.RoleId && !joinAsMember) {
+            const currentRole = await queryOne('SELECT RoleCode FROM roles WHERE RoleId = ?', [user.RoleId]);
+            keepRole = !!currentRole &&
+                (roleHierarchy[currentRole.RoleCode] || 0) > (roleHierarchy[invitation.RoleCode] || 0);
+        }
+
+        const hashedPassword = !user && password ? await bcrypt.hash(password, 12) : null;
+
+        const userId = await transaction(async (conn) => {
+            // Claim the invitation first so a link can only be used once
+            const [claimed] = await conn.query(
+                `UPDATE organization_invitations SET Status = 'Accepted', AcceptedAt = NOW()
+                 WHERE InvitationId = ? AND Status = 'Pending'`,
+                [invitation.InvitationId]
+            );
+
+            if (claimed.affectedRows === 0) {
+                return null;
+            }
+
+            let acceptedUserId;
+
+            if (user && joinAsMember) {
+                await conn.query(
+                    `UPDATE users SET GoogleId = COALESCE(GoogleId, ?), IsEmailVerified = TRUE, Status = 'Active'
+                     WHERE UserId = ?`,
+                    [google ? google.sub : null, user.UserId]
+                );
+                await conn.query(
+                    `INSERT INTO organization_members (OrganizationId, UserId, RoleId, AddedBy)
+                     VALUES (?, ?, ?, ?)
+                     ON DUPLICATE KEY UPDATE RoleId = VALUES(RoleId)`,
+                    [invitation.OrganizationId, user.UserId, invitation.RoleId, invitation.InvitedBy]
+                );
+                acceptedUserId = user.UserId;
+            } else if (user) {
+                await conn.query(
+                    `UPDATE users SET OrganizationId = ?, RoleId = ?, GoogleId = COALESCE(GoogleId, ?),
+                                      IsEmailVerified = TRUE, Status = 'Active'
+                     WHERE UserId = ?`,
+                    [
+                        invitation.OrganizationId,
+                        keepRole ? user.RoleId : invitation.RoleId,
+                        google ? google.sub : null,
+                        user.UserId
+                    ]
+                );
+                acceptedUserId = user.UserId;
+            } else {
+                const [created] = await conn.query(
+                    `INSERT INTO users (FullName, Email, Password, GoogleId, RoleId, OrganizationId,
+                                        Status, IsEmailVerified, CreatedDate)
+                     VALUES (?, ?, ?, ?, ?, ?, 'Active', TRUE, NOW())`,
+                    [
+                        fullName || google.name,
+                        invitation.Email,
+                        hashedPassword,
+                        google ? google.sub : null,
+                        invitation.RoleId,
+                        invitation.OrganizationId
+                    ]
+                );
+                acceptedUserId = created.insertId;
+            }
+
+            await conn.query(
+                'UPDATE organization_invitations SET AcceptedBy = ? WHERE InvitationId = ?',
+                [acceptedUserId, invitation.InvitationId]
+            );
+
+            return acceptedUserId;
+        });
+
+        if (!userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation is invalid or has expired.'
+            });
+        }
+
+        user = await queryOne(
+            `SELECT u.*, r.RoleName, r.RoleCode
+             FROM users u
+             LEFT JOIN roles r ON u.RoleId = r.RoleId
+             WHERE u.UserId = ?`,
+            [userId]
+        );
+
+        const challenge = await getLoginChallenge(user);
+        if (challenge) {
+            return sendTwoFactorChallenge(res, challenge);
+        }
+
+        await query('UPDATE users SET LastLogin = NOW() WHERE UserId = ?', [user.UserId]);
+
+        const { token, refreshToken } = await issueTokens(user, req);
+
+        res.json({
+            success: true,
+            message: `Welcome to ${invitation.OrganizationName}.`,
+            data: {
+                token,
+                refreshToken,
+                user: {
+                    userId: user.UserId,
+                    email: user.Email,
+                    fullName: user.FullName,
+                    username: user.Username,
+                    role: user.RoleName,
+                    roleCode: user.RoleCode,
+                    organizationId: user.OrganizationId
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to accept invitation.'
+        });
+    }
+};
+
+module.exports = {
+    createInvitation,
+    getInvitations,
+    resendInvitation,
+    revokeInvitation,
+    getInvitationByToken,
+    acceptInvitation
+};
@@ -1,4 +1,11 @@
 const { query, queryOne } = require('../config/database');
+const { roleHierarchy } = require('../middleware/rbac');
+const { addMember, removeMember } = require('../services/organizationMemberService');
+const {
+    canAccessAllOrganizations,
+    canAccessOrganization,
+    holdsRolePermissions
+} = require('../services/permissionService');
 
 // Get all organizations (with pagination and filters)
 const getAllOrganizations = async (req, res) => {
@@ -13,8 +20,8 @@ const getAllOrganizations = async (req, res) => {
         let whereClause = 'WHERE IsDeleted = FALSE';
         const params = [];
 
-        // For Organization Admin, only show their own organization
-        if (req.user.RoleCode === 'ORG_ADMIN') {
+        // Without projects.all, only show their own organization
+        if (!(await canAccessAllOrganizations(req.user))) {
             if (!req.user.OrganizationId) {
                 return res.json({
                     success: true,
@@ -85,8 +92,8 @@ const getOrganizationById = async (req, res) => {
     try {
         const { id } = req.params;
 
-        // For Org Admin, verify access to this organization
-        if (req.user.RoleCode === 'ORG_ADMIN' && req.user.OrganizationId !== parseInt(id)) {
+        // Without projects.all, verify access to this organization
+        if (!(await canAccessOrganization(req.user, id))) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied. You can only view your own organization.'
@@ -151,8 +158,8 @@ const createOrganization = async (req, res) => {
             ]
         );
 
-        // If Org Admin creates org and has no org assigned, assign them to this new org
-        if (req.user.RoleCode === 'ORG_ADMIN' && !req.user.OrganizationId) {
+        // A user limited to their own organization who has none is assigned to the new one
+        if (!req.user.OrganizationId && !(await canAccessAllOrganizations(req.user))) {
             await query(
                 'UPDATE users SET OrganizationId = ? WHERE UserId = ?',
                 [result.insertId, req.user.UserId]
@@ -178,8 +185,8 @@ const updateOrganization = async (req, res) => {
     try {
         const { id } = req.params;
 
-        // For Org Admin, verify access
-        if (req.user.RoleCode === 'ORG_ADMIN' && req.user.OrganizationId !== parseInt(id)) {
+        // Without projects.all, verify access
+        if (!(await canAccessOrganization(req.user, id))) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied. You can only update your own organization.'
@@ -295,22 +302,30 @@ const getOrganizationMembers = async (req, res) => {
     try {
         const { id } = req.params;
 
-        // For Org Admin, verify access
-        if (req.user.RoleCode === 'ORG_ADMIN' && req.user.OrganizationId !== parseInt(id)) {
+        // Without projects.all, verify access
+        if (!(await canAccessOrganization(req.user, id))) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied. You can only view your own organization members.'
             });
         }
 
+        // Users whose home organization this is, and extra members with their role here
         const members = await query(
             `SELECT u.UserId, u.FullName, u.Email, u.MobileNumber, u.Status,
-                    r.RoleName, r.RoleCode
+                    r.RoleName, r.RoleCode, TRUE as IsHome
              FROM users u
              LEFT JOIN roles r ON u.RoleId = r.RoleId
              WHERE u.OrganizationId = ?
-             ORDER BY u.FullName`,
-            [id]
+             UNION ALL
+             SELECT u.UserId, u.FullName, u.Email, u.MobileNumber, u.Status,
+                    r.RoleName, r.RoleCode, FALSE as IsHome
+             FROM organization_members om
+             JOIN users u ON om.UserId = u.UserId
+             JOIN roles r ON om.RoleId = r.RoleId
+             WHERE om.OrganizationId = ? AND NOT (u.OrganizationId <=> om.OrganizationId)
+             ORDER BY FullName`,
+            [id, id]
         );
 
         res.json({
@@ -326,6 +341,127 @@ const getOrganizationMembers = async (req, res) => {
     }
 };
 
+// Add an existing user to the organization with a role held there
+// (their home organization and account role stay as they are)
+const addOrganizationMember = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = parseInt(req.body.userId);
+        const roleId = parseInt(req.body.roleId);
+
+        if (!(await canAccessOrganization(req.user, id))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only manage your own organization members.'
+            });
+        }
+
+        const organization = await queryOne(
+            'SELECT OrganizationId, OrganizationName FROM organizations WHERE OrganizationId = ? AND IsDeleted = FALSE',
+            [id]
+        );
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found.'
+            });
+        }
+
+        const role = await queryOne(
+            'SELECT RoleId, RoleCode FROM roles WHERE RoleId = ? AND IsActive = TRUE',
+            [roleId]
+        );
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found.'
+            });
+        }
+
+        if ((roleHierarchy[role.RoleCode] || 0) > (roleHierarchy[req.user.RoleCode] || 0)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot assign a role higher than your own.'
+            });
+        }
+
+        if (!(await holdsRolePermissions(req.user, role.RoleId))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot assign a role with permissions you do not hold.'
+            });
+        }
+
+        const user = await queryOne(
+            `SELECT UserId, OrganizationId FROM users WHERE UserId = ? AND Status = 'Active'`,
+            [userId]
+        );
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+
+        if (user.OrganizationId === organization.OrganizationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'This is the user\'s home organization.'
+            });
+        }
+
+        await addMember(organization.OrganizationId, user.UserId, role.RoleId, req.user.UserId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Member added successfully.'
+        });
+    } catch (error) {
+        console.error('Add organization member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add organization member.'
+        });
+    }
+};
+
+// Remove an extra member from the organization
+const removeOrganizationMember = async (req, res) => {
+    try {
+        const { id, userId } = req.params;
+
+        if (!(await canAccessOrganization(req.user, id))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only manage your own organization members.'
+            });
+        }
+
+        const removed = await removeMember(id, userId);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found.'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Member removed successfully.'
+        });
+    } catch (error) {
+        console.error('Remove organization member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove organization member.'
+        });
+    }
+};
+
 // Get organization types
 const getOrganizationTypes = async (req, res) => {
     res.json({
@@ -341,5 +477,7 @@ module.exports = {
     updateOrganization,
     deleteOrganization,
     getOrganizationMembers,
+    addOrganizationMember,
+    removeOrganizationMember,
     getOrganizationTypes
 };
@@ -0,0 +1,155 @@
+const { queryOne } = require('../config/database');
+const {
+    listPermissions,
+    getUserPermissions,
+    getPermissionMatrix,
+    getRolePermissions,
+    setRolePermissions
+} = require('../services/permissionService');
+
+// Get all permissions that can be granted
+const getPermissions = async (req, res) => {
+    try {
+        const permissions = await listPermissions();
+
+        res.json({
+            success: true,
+            data: permissions
+        });
+    } catch (error) {
+        console.error('Get permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch permissions.'
+        });
+    }
+};
+
+// Get the permissions of every role
+const getMatrix = async (req, res) => {
+    try {
+        const matrix = await getPermissionMatrix();
+
+        res.json({
+            success: true,
+            data: matrix
+        });
+    } catch (error) {
+        console.error('Get permission matrix error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch permission matrix.'
+        });
+    }
+};
+
+// Get own permissions (used by the app to decide what to show)
+const getMyPermissions = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                roleCode: req.user.RoleCode,
+                permissions: await getUserPermissions(req.user)
+            }
+        });
+    } catch (error) {
+        console.error('Get my permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch permissions.'
+        });
+    }
+};
+
+// Get the permissions granted to a role
+const getRolePermissionList = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const role = await queryOne(
+            'SELECT RoleId, RoleName, RoleCode FROM roles WHERE RoleId = ? AND IsDeleted = FALSE',
+            [id]
+        );
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found.'
+            });
+        }
+
+        const permissions = role.RoleCode === 'SUPER_ADMIN'
+            ? (await listPermissions()).map((permission) => permission.PermissionCode)
+            : [...await getRolePermissions(role.RoleId)];
+
+        res.json({
+            success: true,
+            data: {
+                ...role,
+                permissions
+            }
+        });
+    } catch (error) {
+        console.error('Get role permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch role permissions.'
+        });
+    }
+};
+
+// Replace the permissions granted to a role
+const updateRolePermissions = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { permissions } = req.body;
+
+        const role = await queryOne(
+            'SELECT RoleId, RoleCode FROM roles WHERE RoleId = ? AND IsDeleted = FALSE',
+            [id]
+        );
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found.'
+            });
+        }
+
+        if (role.RoleCode === 'SUPER_ADMIN') {
+            return res.status(400).json({
+                success: false,
+                message: 'Super Admin always has every permission.'
+            });
+        }
+
+        const { unknownCodes } = await setRolePermissions(role.RoleId, permissions, req.user.UserId);
+
+        if (unknownCodes.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown permission(s): ${unknownCodes.join(', ')}.`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Role permissions updated successfully.'
+        });
+    } catch (error) {
+        console.error('Update role permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update role permissions.'
+        });
+    }
+};
+
+module.exports = {
+    getPermissions,
+    getMatrix,
+    getMyPermissions,
+    getRolePermissionList,
+    updateRolePermissions
+};
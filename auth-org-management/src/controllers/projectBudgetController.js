@@ -0,0 +1,167 @@
+const Project = require('../models/Project');
+const ProjectBudget = require('../models/ProjectBudget');
+const { validationResult } = require('express-validator');
+const { denyProjectAccess } = require('../services/projectAccessService');
+
+// Find the project and check the user's access to it; sends the error response and returns null otherwise
+const findProjectWithAccess = async (req, res, action) => {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+        res.status(404).json({ success: false, message: 'Project not found' });
+        return null;
+    }
+
+    if (await denyProjectAccess(req, res, project.ProjectId, action)) return null;
+
+    return project;
+};
+
+// Find a budget head of the project; sends the error response and returns null otherwise
+const findHeadWithAccess = async (req, res, action) => {
+    const project = await findProjectWithAccess(req, res, action);
+    if (!project) return null;
+
+    const head = await ProjectBudget.findHead(project.ProjectId, req.params.headId);
+    if (!head) {
+        res.status(404).json({ success: false, message: 'Budget head not found' });
+        return null;
+    }
+
+    return head;
+};
+
+// Get the budget vs actual report of a project
+exports.getBudget = async (req, res) => {
+    try {
+        const project = await findProjectWithAccess(req, res, 'view');
+        if (!project) return;
+
+        const report = await ProjectBudget.getReport(project.ProjectId);
+
+        const warnings = report.heads
+            .filter(head => head.IsOverBudget)
+            .map(head => `${head.HeadName} is over budget by ${Math.abs(head.RemainingAmount).toFixed(2)}`);
+        if (report.heads.length > 0 && report.unallocated.ExpenseCount > 0) {
+            warnings.push(`${report.unallocated.ExpenseCount} expense(s) are not tagged to a budget head`);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                projectId: project.ProjectId,
+                ...report,
+                warnings
+            }
+        });
+    } catch (error) {
+        console.error('Get project budget error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch project budget' });
+    }
+};
+
+// Add a budget head
+exports.createHead = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const project = await findProjectWithAccess(req, res, 'edit');
+        if (!project) return;
+
+        if (await ProjectBudget.findHeadByName(project.ProjectId, req.body.headName)) {
+            return res.status(400).json({ success: false, message: 'A budget head with this name already exists' });
+        }
+
+        const budgetHeadId = await ProjectBudget.createHead({
+            ...req.body,
+            projectId: project.ProjectId,
+            createdBy: req.user.UserId
+        });
+
+        const head = await ProjectBudget.getHeadStatus(budgetHeadId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Budget head added successfully',
+            data: { head }
+        });
+    } catch (error) {
+        console.error('Create budget head error:', error);
+        res.status(500).json({ success: false, message: 'Failed to add budget head' });
+    }
+};
+
+// Update a budget head; changing the planned amount records a revision
+exports.updateHead = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const head = await findHeadWithAccess(req, res, 'edit');
+        if (!head) return;
+
+        if (req.body.headName && req.body.headName !== head.HeadName) {
+            const existing = await ProjectBudget.findHeadByName(head.ProjectId, req.body.headName);
+            if (existing) {
+                return res.status(400).json({ success: false, message: 'A budget head with this name already exists' });
+            }
+        }
+
+        await ProjectBudget.updateHead(head.BudgetHeadId, req.body, req.user.UserId);
+
+        const updatedHead = await ProjectBudget.getHeadStatus(head.BudgetHeadId);
+
+        res.json({
+            success: true,
+            message: 'Budget head updated successfully',
+            data: { head: updatedHead }
+        });
+    } catch (error) {
+        console.error('Update budget head error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update budget head' });
+    }
+};
+
+// Delete a budget head; its expenses become unallocated
+exports.deleteHead = async (req, res) => {
+    try {
+        const head = await findHeadWithAccess(req, res, 'edit');
+        if (!head) return;
+
+        await ProjectBudget.deleteHead(head.BudgetHeadId, req.user.UserId);
+
+        res.json({
+            success: true,
+            message: 'Budget head deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete budget head error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete budget head' });
+    }
+};
+
+// Get the revisions of a budget head's planned amount
+exports.getRevisions = async (req, res) => {
+    try {
+        const head = await findHeadWithAccess(req, res, 'view');
+        if (!head) return;
+
+        const revisions = await ProjectBudget.getRevisions(head.BudgetHeadId);
+
+        res.json({
+            success: true,
+            data: {
+                head,
+                revisions,
+                count: revisions.length
+            }
+        });
+    } catch (error) {
+        console.error('Get budget revisions error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch budget revisions' });
+    }
+};
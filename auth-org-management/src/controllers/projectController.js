@@ -1,6 +1,14 @@
+const { queryOne, transaction } = require('../config/database');
 const Project = require('../models/Project');
+const { getProjectScope, denyProjectAccess } = require('../services/projectAccessService');
+const { canAccessAllOrganizations } = require('../services/permissionService');
+const { PROJECT_TRANSITIONS, checkTransition } = require('../services/projectLifecycleService');
+const { nearbyQuery, areaQuery } = require('../services/geoService');
 const { validationResult } = require('express-validator');
 
+// Another transition went through between the check and the update
+const STATUS_CONFLICT_MESSAGE = 'Project status was changed by someone else. Reload and try again';
+
 // Create a new project
 exports.createProject = async (req, res) => {
     try {
@@ -9,9 +17,35 @@ exports.createProject = async (req, res) => {
             return res.status(400).json({ success: false, errors: errors.array() });
         }
 
+        // Projects belong to the creator's organization. Holders of projects.all
+        // work across organizations, so they name the one the project is for.
+        let organizationId = req.user.OrganizationId;
+
+        if (await canAccessAllOrganizations(req.user)) {
+            organizationId = parseInt(req.body.organizationId);
+
+            if (!organizationId) {
+                return res.status(400).json({ success: false, message: 'organizationId is required' });
+            }
+
+            const organization = await queryOne(
+                'SELECT OrganizationId FROM organizations WHERE OrganizationId = ? AND IsDeleted = FALSE',
+                [organizationId]
+            );
+            if (!organization) {
+                return res.status(404).json({ success: false, message: 'Organization not found' });
+            }
+        } else if (req.body.organizationId && parseInt(req.body.organizationId) !== organizationId) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only create projects in your own organization'
+            });
+        }
+
         const projectId = await Project.create({
             ...req.body,
-            createdBy: req.user.userId
+            organizationId,
+            createdBy: req.user.UserId
         });
 
         const project = await Project.findById(projectId);
@@ -36,6 +70,7 @@ exports.getAllProjects = async (req, res) => {
             startDateFrom: req.query.startDateFrom,
             startDateTo: req.query.startDateTo,
             isActive: req.query.isActive !== undefined ? req.query.isActive === 'true' : undefined,
+            scope: await getProjectScope(req.user),
             limit: req.query.limit || 50,
             offset: req.query.offset || 0
         };
@@ -55,6 +90,38 @@ exports.getAllProjects = async (req, res) => {
     }
 };
 
+// Search projects by location, nearest first
+const sendProjectsByLocation = async (req, res, geo) => {
+    try {
+        const projects = await Project.findAll({
+            geo,
+            status: req.query.status,
+            scope: await getProjectScope(req.user),
+            limit: req.query.limit || 50,
+            offset: req.query.offset || 0
+        });
+
+        res.json({
+            success: true,
+            data: {
+                projects,
+                count: projects.length,
+                area: geo.area,
+                radiusKm: geo.radiusKm
+            }
+        });
+    } catch (error) {
+        console.error('Get projects by location error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch projects' });
+    }
+};
+
+// Get projects within radiusKm of a point
+exports.getNearbyProjects = (req, res) => sendProjectsByLocation(req, res, nearbyQuery(req.query));
+
+// Get projects inside a map area
+exports.getProjectsInArea = (req, res) => sendProjectsByLocation(req, res, areaQuery(req.query));
+
 // Get project by ID
 exports.getProjectById = async (req, res) => {
     try {
@@ -64,6 +131,10 @@ exports.getProjectById = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Project not found' });
         }
 
+        if (await denyProjectAccess(req, res, project.ProjectId, 'view')) return;
+
+        project.AllowedStatuses = PROJECT_TRANSITIONS[project.Status] || [];
+
         res.json({
             success: true,
             data: { project }
@@ -87,11 +158,47 @@ exports.updateProject = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Project not found' });
         }
 
+        if (await denyProjectAccess(req, res, project.ProjectId, 'edit')) return;
+
+        if (req.body.slug && req.body.slug !== project.Slug) {
+            const taken = await Project.findBySlug(req.body.slug);
+            if (taken) {
+                return res.status(400).json({ success: false, message: 'Slug is already in use' });
+            }
+        }
 
+        // A new status follows the same transition rules as POST /:id/status
+        const { status, statusReason } = req.body;
+        const changesStatus = status !== undefined && status !== project.Status;
+        if (changesStatus) {
+            const denial = await checkTransition(project, status, statusReason);
+            if (denial) {
+                return res.status(400).json({ success: false, ...denial });
+            }
+        }
 
-        const updated = await Project.update(req.params.id, req.body, req.user.userId);
+        // Status and details change together, so a failing update (such as a
+        // slug taken since the check above) leaves the status as it was
+        let outcome;
+        try {
+            outcome = await transaction(async (conn) => {
+                if (changesStatus && !(await Project.setStatus(project, status, statusReason, req.user.UserId, conn))) {
+                    return 'conflict';
+                }
+                const updated = await Project.update(req.params.id, req.body, req.user.UserId, conn);
+                return updated ? 'updated' : 'unchanged';
+            });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(400).json({ success: false, message: 'Slug is already in use' });
+            }
+            throw error;
+        }
 
-        if (!updated) {
+        if (outcome === 'conflict') {
+            return res.status(409).json({ success: false, message: STATUS_CONFLICT_MESSAGE });
+        }
+        if (!changesStatus && outcome === 'unchanged') {
             return res.status(400).json({ success: false, message: 'No changes made' });
         }
 
@@ -108,6 +215,73 @@ exports.updateProject = async (req, res) => {
     }
 };
 
+// Move a project to another status
+exports.changeStatus = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const project = await Project.findById(req.params.id);
+        if (!project) {
+            return res.status(404).json({ success: false, message: 'Project not found' });
+        }
+
+        if (await denyProjectAccess(req, res, project.ProjectId, 'edit')) return;
+
+        const { status, reason } = req.body;
+
+        const denial = await checkTransition(project, status, reason);
+        if (denial) {
+            return res.status(400).json({ success: false, ...denial });
+        }
+
+        if (!(await Project.setStatus(project, status, reason, req.user.UserId))) {
+            return res.status(409).json({ success: false, message: STATUS_CONFLICT_MESSAGE });
+        }
+
+        const updatedProject = await Project.findById(project.ProjectId);
+        updatedProject.AllowedStatuses = PROJECT_TRANSITIONS[updatedProject.Status] || [];
+
+        res.json({
+            success: true,
+            message: `Project moved to ${status}`,
+            data: { project: updatedProject }
+        });
+    } catch (error) {
+        console.error('Change project status error:', error);
+        res.status(500).json({ success: false, message: 'Failed to change project status' });
+    }
+};
+
+// Get the status transitions of a project
+exports.getStatusHistory = async (req, res) => {
+    try {
+        const project = await Project.findById(req.params.id);
+        if (!project) {
+            return res.status(404).json({ success: false, message: 'Project not found' });
+        }
+
+        if (await denyProjectAccess(req, res, project.ProjectId, 'view')) return;
+
+        const history = await Project.getStatusHistory(project.ProjectId);
+
+        res.json({
+            success: true,
+            data: {
+                status: project.Status,
+                allowedStatuses: PROJECT_TRANSITIONS[project.Status] || [],
+                history,
+                count: history.length
+            }
+        });
+    } catch (error) {
+        console.error('Get project status history error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch project status history' });
+    }
+};
+
 // Delete project
 exports.deleteProject = async (req, res) => {
     try {
@@ -116,9 +290,9 @@ exports.deleteProject = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Project not found' });
         }
 
+        if (await denyProjectAccess(req, res, project.ProjectId, 'edit')) return;
 
-
-        await Project.delete(req.params.id, req.user.userId);
+        await Project.delete(req.params.id, req.user.UserId);
 
         res.json({
             success: true,
@@ -133,7 +307,7 @@ exports.deleteProject = async (req, res) => {
 // Get project statistics
 exports.getProjectStats = async (req, res) => {
     try {
-        const stats = await Project.getStats();
+        const stats = await Project.getStats(await getProjectScope(req.user));
 
         res.json({
             success: true,
@@ -157,10 +331,12 @@ exports.uploadBanner = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Project not found' });
         }
 
+        if (await denyProjectAccess(req, res, project.ProjectId, 'edit')) return;
+
         // For now, store locally. In production, upload to Azure Blob
         const bannerUrl = `/uploads/banners/${req.file.filename}`;
 
-        await Project.update(req.params.id, { bannerUrl }, req.user.userId);
+        await Project.update(req.params.id, { bannerUrl }, req.user.UserId);
 
         res.json({
             success: true,
@@ -0,0 +1,280 @@
+const Project = require('../models/Project');
+const ProjectIndicator = require('../models/ProjectIndicator');
+const { validationResult } = require('express-validator');
+const { denyProjectAccess } = require('../services/projectAccessService');
+const { buildIndicatorReport } = require('../services/impactService');
+
+// Find the project and check the user's access to it; sends the error response and returns null otherwise
+const findProjectWithAccess = async (req, res, action) => {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+        res.status(404).json({ success: false, message: 'Project not found' });
+        return null;
+    }
+
+    if (await denyProjectAccess(req, res, project.ProjectId, action)) return null;
+
+    return project;
+};
+
+// Find an indicator of the project; sends the error response and returns null otherwise
+const findIndicatorWithAccess = async (req, res, action) => {
+    const project = await findProjectWithAccess(req, res, action);
+    if (!project) return null;
+
+    const indicator = await ProjectIndicator.findById(project.ProjectId, req.params.indicatorId);
+    if (!indicator) {
+        res.status(404).json({ success: false, message: 'Indicator not found' });
+        return null;
+    }
+
+    return indicator;
+};
+
+// ==================== Indicators ====================
+
+// Get the indicators of a project with their progress so far
+exports.getIndicators = async (req, res) => {
+    try {
+        const project = await findProjectWithAccess(req, res, 'view');
+        if (!project) return;
+
+        const indicators = await ProjectIndicator.findByProjectId(project.ProjectId);
+
+        const withProgress = [];
+        for (const indicator of indicators) {
+            const { series, ...progress } = buildIndicatorReport(indicator, await ProjectIndicator.getReadings(indicator));
+            withProgress.push({ ...indicator, ...progress });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                indicators: withProgress,
+                count: withProgress.length
+            }
+        });
+    } catch (error) {
+        console.error('Get indicators error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch indicators' });
+    }
+};
+
+// Add an indicator
+exports.createIndicator = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const project = await findProjectWithAccess(req, res, 'edit');
+        if (!project) return;
+
+        if (await ProjectIndicator.findByName(project.ProjectId, req.body.indicatorName)) {
+            return res.status(400).json({ success: false, message: 'An indicator with this name already exists' });
+        }
+
+        const indicatorId = await ProjectIndicator.create({
+            ...req.body,
+            projectId: project.ProjectId,
+            createdBy: req.user.UserId
+        });
+
+        const indicator = await ProjectIndicator.findById(project.ProjectId, indicatorId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Indicator created successfully',
+            data: { indicator }
+        });
+    } catch (error) {
+        console.error('Create indicator error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create indicator' });
+    }
+};
+
+// Update an indicator
+exports.updateIndicator = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const indicator = await findIndicatorWithAccess(req, res, 'edit');
+        if (!indicator) return;
+
+        const { indicatorName } = req.body;
+        if (indicatorName && indicatorName !== indicator.IndicatorName) {
+            if (await ProjectIndicator.findByName(indicator.ProjectId, indicatorName)) {
+                return res.status(400).json({ success: false, message: 'An indicator with this name already exists' });
+            }
+        }
+
+        const updated = await ProjectIndicator.update(indicator.IndicatorId, req.body, req.user.UserId);
+        if (!updated) {
+            return res.status(400).json({ success: false, message: 'No changes made' });
+        }
+
+        const updatedIndicator = await ProjectIndicator.findById(indicator.ProjectId, indicator.IndicatorId);
+
+        res.json({
+            success: true,
+            message: 'Indicator updated successfully',
+            data: { indicator: updatedIndicator }
+        });
+    } catch (error) {
+        console.error('Update indicator error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update indicator' });
+    }
+};
+
+// Delete an indicator
+exports.deleteIndicator = async (req, res) => {
+    try {
+        const indicator = await findIndicatorWithAccess(req, res, 'edit');
+        if (!indicator) return;
+
+        await ProjectIndicator.delete(indicator.IndicatorId, req.user.UserId);
+
+        res.json({
+            success: true,
+            message: 'Indicator deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete indicator error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete indicator' });
+    }
+};
+
+// ==================== Readings ====================
+
+// Get the readings of an indicator, entered or derived from camps and beneficiary donations
+exports.getReadings = async (req, res) => {
+    try {
+        const indicator = await findIndicatorWithAccess(req, res, 'view');
+        if (!indicator) return;
+
+        const readings = await ProjectIndicator.getReadings(indicator, { from: req.query.from, to: req.query.to });
+
+        res.json({
+            success: true,
+            data: {
+                indicator,
+                readings,
+                count: readings.length
+            }
+        });
+    } catch (error) {
+        console.error('Get indicator readings error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch readings' });
+    }
+};
+
+// Record a reading of a manual indicator
+exports.addReading = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const indicator = await findIndicatorWithAccess(req, res, 'impact');
+        if (!indicator) return;
+
+        if (indicator.Source !== 'Manual') {
+            return res.status(400).json({
+                success: false,
+                message: 'Readings of this indicator come from camps or beneficiary donations and cannot be entered'
+            });
+        }
+
+        const readingId = await ProjectIndicator.addReading({
+            ...req.body,
+            indicatorId: indicator.IndicatorId,
+            createdBy: req.user.UserId
+        });
+
+        const reading = await ProjectIndicator.findReading(indicator.IndicatorId, readingId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Reading recorded successfully',
+            data: { reading }
+        });
+    } catch (error) {
+        console.error('Add indicator reading error:', error);
+        res.status(500).json({ success: false, message: 'Failed to record reading' });
+    }
+};
+
+// Delete a reading; whoever entered it or the project lead
+exports.deleteReading = async (req, res) => {
+    try {
+        const indicator = await findIndicatorWithAccess(req, res, 'impact');
+        if (!indicator) return;
+
+        const reading = await ProjectIndicator.findReading(indicator.IndicatorId, req.params.readingId);
+        if (!reading) {
+            return res.status(404).json({ success: false, message: 'Reading not found' });
+        }
+
+        if (reading.CreatedBy !== req.user.UserId
+            && await denyProjectAccess(req, res, indicator.ProjectId, 'edit')) return;
+
+        await ProjectIndicator.deleteReading(reading.ReadingId);
+
+        res.json({
+            success: true,
+            message: 'Reading deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete indicator reading error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete reading' });
+    }
+};
+
+// ==================== Report ====================
+
+// Progress of every indicator against its target, per week, month, quarter or year
+exports.getImpactReport = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const project = await findProjectWithAccess(req, res, 'view');
+        if (!project) return;
+
+        const interval = req.query.interval || 'month';
+        const { from, to } = req.query;
+
+        const indicators = await ProjectIndicator.findByProjectId(project.ProjectId);
+
+        const report = [];
+        for (const indicator of indicators) {
+            const readings = await ProjectIndicator.getReadings(indicator, { to });
+            report.push(buildIndicatorReport(indicator, readings, { interval, from }));
+        }
+
+        res.json({
+            success: true,
+            data: {
+                project: {
+                    ProjectId: project.ProjectId,
+                    ProjectName: project.ProjectName,
+                    Status: project.Status
+                },
+                interval,
+                from: from || null,
+                to: to || null,
+                indicators: report
+            }
+        });
+    } catch (error) {
+        console.error('Get impact report error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch impact report' });
+    }
+};
@@ -0,0 +1,160 @@
+const Project = require('../models/Project');
+const ProjectMember = require('../models/ProjectMember');
+const { queryOne } = require('../config/database');
+const { validationResult } = require('express-validator');
+const { PROJECT_ROLES, denyProjectAccess } = require('../services/projectAccessService');
+
+// Find the project and check the user's access to it; sends the error response and returns null otherwise
+const findProjectWithAccess = async (req, res, action) => {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+        res.status(404).json({ success: false, message: 'Project not found' });
+        return null;
+    }
+
+    if (await denyProjectAccess(req, res, project.ProjectId, action)) return null;
+
+    return project;
+};
+
+// A project must keep at least one lead
+const isLastLead = async (projectId, member) => {
+    return member.ProjectRole === 'Lead' && await ProjectMember.countLeads(projectId) <= 1;
+};
+
+// Get project roles and what they allow
+exports.getProjectRoles = async (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(PROJECT_ROLES).map(([projectRole, actions]) => ({ projectRole, actions }))
+    });
+};
+
+// Get project members
+exports.getMembers = async (req, res) => {
+    try {
+        const project = await findProjectWithAccess(req, res, 'view');
+        if (!project) return;
+
+        const members = await ProjectMember.findByProjectId(project.ProjectId);
+
+        res.json({
+            success: true,
+            data: {
+                members,
+                count: members.length
+            }
+        });
+    } catch (error) {
+        console.error('Get project members error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch project members' });
+    }
+};
+
+// Add a member (or change the role of an existing one)
+exports.addMember = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const project = await findProjectWithAccess(req, res, 'members');
+        if (!project) return;
+
+        const { userId, projectRole } = req.body;
+
+        const user = await queryOne(
+            `SELECT UserId FROM users WHERE UserId = ? AND Status = 'Active'`,
+            [userId]
+        );
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const existing = await ProjectMember.find(project.ProjectId, userId);
+        if (existing && projectRole !== 'Lead' && await isLastLead(project.ProjectId, existing)) {
+            return res.status(400).json({ success: false, message: 'A project must have at least one lead' });
+        }
+
+        await ProjectMember.add({
+            projectId: project.ProjectId,
+            userId,
+            projectRole,
+            addedBy: req.user.UserId
+        });
+
+        const member = await ProjectMember.find(project.ProjectId, userId);
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            message: existing ? 'Member role updated successfully' : 'Member added successfully',
+            data: { member }
+        });
+    } catch (error) {
+        console.error('Add project member error:', error);
+        res.status(500).json({ success: false, message: 'Failed to add project member' });
+    }
+};
+
+// Change a member's project role
+exports.updateMember = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const project = await findProjectWithAccess(req, res, 'members');
+        if (!project) return;
+
+        const member = await ProjectMember.find(project.ProjectId, req.params.userId);
+        if (!member) {
+            return res.status(404).json({ success: false, message: 'Member not found' });
+        }
+
+        if (req.body.projectRole !== 'Lead' && await isLastLead(project.ProjectId, member)) {
+            return res.status(400).json({ success: false, message: 'A project must have at least one lead' });
+        }
+
+        await ProjectMember.updateRole(project.ProjectId, member.UserId, req.body.projectRole, req.user.UserId);
+
+        const updatedMember = await ProjectMember.find(project.ProjectId, member.UserId);
+
+        res.json({
+            success: true,
+            message: 'Member role updated successfully',
+            data: { member: updatedMember }
+        });
+    } catch (error) {
+        console.error('Update project member error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update project member' });
+    }
+};
+
+// Remove a member
+exports.removeMember = async (req, res) => {
+    try {
+        const project = await findProjectWithAccess(req, res, 'members');
+        if (!project) return;
+
+        const member = await ProjectMember.find(project.ProjectId, req.params.userId);
+        if (!member) {
+            return res.status(404).json({ success: false, message: 'Member not found' });
+        }
+
+        if (await isLastLead(project.ProjectId, member)) {
+            return res.status(400).json({ success: false, message: 'A project must have at least one lead' });
+        }
+
+        await ProjectMember.remove(project.ProjectId, member.UserId);
+
+        res.json({
+            success: true,
+            message: 'Member removed successfully'
+        });
+    } catch (error) {
+        console.error('Remove project member error:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove project member' });
+    }
+};
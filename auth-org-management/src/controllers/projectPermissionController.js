@@ -1,6 +1,21 @@
 const ProjectGroundPermission = require('../models/ProjectGroundPermission');
 const Project = require('../models/Project');
 const { validationResult } = require('express-validator');
+const { getProjectScope, denyProjectAccess } = require('../services/projectAccessService');
+const { ACTIVITY_EVENTS, recordActivity } = require('../services/activityService');
+
+// Find a permission and check the user's access to its project; sends the error response and returns null otherwise
+const findPermissionWithAccess = async (req, res, action) => {
+    const permission = await ProjectGroundPermission.findById(req.params.id);
+    if (!permission) {
+        res.status(404).json({ success: false, message: 'Permission not found' });
+        return null;
+    }
+
+    if (await denyProjectAccess(req, res, permission.ProjectId, action, 'Permission not found')) return null;
+
+    return permission;
+};
 
 // ==================== Permissions ====================
 
@@ -18,9 +33,11 @@ exports.createPermission = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Project not found' });
         }
 
+        if (await denyProjectAccess(req, res, project.ProjectId, 'ground_permissions')) return;
+
         const permissionId = await ProjectGroundPermission.create({
             ...req.body,
-            createdBy: req.user.userId
+            createdBy: req.user.UserId
         });
 
         const permission = await ProjectGroundPermission.findById(permissionId);
@@ -46,6 +63,7 @@ exports.getAllPermissions = async (req, res) => {
             permissionType: req.query.permissionType,
             dueDateFrom: req.query.dueDateFrom,
             dueDateTo: req.query.dueDateTo,
+            scope: await getProjectScope(req.user),
             limit: req.query.limit || 50,
             offset: req.query.offset || 0
         };
@@ -68,6 +86,8 @@ exports.getAllPermissions = async (req, res) => {
 // Get permissions by project
 exports.getPermissionsByProject = async (req, res) => {
     try {
+        if (await denyProjectAccess(req, res, req.params.projectId, 'view')) return;
+
         const permissions = await ProjectGroundPermission.findByProjectId(req.params.projectId, {
             status: req.query.status
         });
@@ -88,11 +108,8 @@ exports.getPermissionsByProject = async (req, res) => {
 // Get permission by ID
 exports.getPermissionById = async (req, res) => {
     try {
-        const permission = await ProjectGroundPermission.findById(req.params.id);
-
-        if (!permission) {
-            return res.status(404).json({ success: false, message: 'Permission not found' });
-        }
+        const permission = await findPermissionWithAccess(req, res, 'view');
+        if (!permission) return;
 
         // Get related data
         const documents = await ProjectGroundPermission.getDocuments(req.params.id);
@@ -117,12 +134,10 @@ exports.getPermissionById = async (req, res) => {
 // Update permission
 exports.updatePermission = async (req, res) => {
     try {
-        const permission = await ProjectGroundPermission.findById(req.params.id);
-        if (!permission) {
-            return res.status(404).json({ success: false, message: 'Permission not found' });
-        }
+        const permission = await findPermissionWithAccess(req, res, 'ground_permissions');
+        if (!permission) return;
 
-        const updated = await ProjectGroundPermission.update(req.params.id, req.body, req.user.userId);
+        const updated = await ProjectGroundPermission.update(req.params.id, req.body, req.user.UserId);
 
         if (!updated) {
             return res.status(400).json({ success: false, message: 'No changes made' });
@@ -144,10 +159,8 @@ exports.updatePermission = async (req, res) => {
 // Submit permission
 exports.submitPermission = async (req, res) => {
     try {
-        const permission = await ProjectGroundPermission.findById(req.params.id);
-        if (!permission) {
-            return res.status(404).json({ success: false, message: 'Permission not found' });
-        }
+        const permission = await findPermissionWithAccess(req, res, 'ground_permissions');
+        if (!permission) return;
 
         if (permission.Status !== 'Pending' && permission.Status !== 'InProgress') {
             return res.status(400).json({
@@ -156,7 +169,7 @@ exports.submitPermission = async (req, res) => {
             });
         }
 
-        await ProjectGroundPermission.submit(req.params.id, req.user.userId);
+        await ProjectGroundPermission.submit(req.params.id, req.user.UserId);
 
         const updatedPermission = await ProjectGroundPermission.findById(req.params.id);
 
@@ -174,10 +187,8 @@ exports.submitPermission = async (req, res) => {
 // Approve permission
 exports.approvePermission = async (req, res) => {
     try {
-        const permission = await ProjectGroundPermission.findById(req.params.id);
-        if (!permission) {
-            return res.status(404).json({ success: false, message: 'Permission not found' });
-        }
+        const permission = await findPermissionWithAccess(req, res, 'view');
+        if (!permission) return;
 
         if (permission.Status !== 'Submitted') {
             return res.status(400).json({
@@ -186,10 +197,20 @@ exports.approvePermission = async (req, res) => {
             });
         }
 
-        await ProjectGroundPermission.approve(req.params.id, req.user.userId);
+        await ProjectGroundPermission.approve(req.params.id, req.user.UserId);
 
         const updatedPermission = await ProjectGroundPermission.findById(req.params.id);
 
+        await recordActivity({
+            projectId: permission.ProjectId,
+            eventType: ACTIVITY_EVENTS.PERMISSION_APPROVED,
+            entityType: 'permission',
+            entityId: permission.ProjectPermissionId,
+            summary: `${permission.PermissionType} permission approved`,
+            metadata: { permissionType: permission.PermissionType },
+            actor: req.user
+        });
+
         res.json({
             success: true,
             message: 'Permission approved successfully',
@@ -204,10 +225,8 @@ exports.approvePermission = async (req, res) => {
 // Reject permission
 exports.rejectPermission = async (req, res) => {
     try {
-        const permission = await ProjectGroundPermission.findById(req.params.id);
-        if (!permission) {
-            return res.status(404).json({ success: false, message: 'Permission not found' });
-        }
+        const permission = await findPermissionWithAccess(req, res, 'view');
+        if (!permission) return;
 
         if (permission.Status !== 'Submitted') {
             return res.status(400).json({
@@ -216,7 +235,7 @@ exports.rejectPermission = async (req, res) => {
             });
         }
 
-        await ProjectGroundPermission.reject(req.params.id, req.user.userId);
+        await ProjectGroundPermission.reject(req.params.id, req.user.UserId);
 
         const updatedPermission = await ProjectGroundPermission.findById(req.params.id);
 
@@ -234,12 +253,10 @@ exports.rejectPermission = async (req, res) => {
 // Delete permission
 exports.deletePermission = async (req, res) => {
     try {
-        const permission = await ProjectGroundPermission.findById(req.params.id);
-        if (!permission) {
-            return res.status(404).json({ success: false, message: 'Permission not found' });
-        }
+        const permission = await findPermissionWithAccess(req, res, 'ground_permissions');
+        if (!permission) return;
 
-        await ProjectGroundPermission.delete(req.params.id, req.user.userId);
+        await ProjectGroundPermission.delete(req.params.id, req.user.UserId);
 
         res.json({
             success: true,
@@ -260,10 +277,8 @@ exports.uploadDocument = async (req, res) => {
             return res.status(400).json({ success: false, message: 'No file uploaded' });
         }
 
-        const permission = await ProjectGroundPermission.findById(req.params.id);
-        if (!permission) {
-            return res.status(404).json({ success: false, message: 'Permission not found' });
-        }
+        const permission = await findPermissionWithAccess(req, res, 'ground_permissions');
+        if (!permission) return;
 
         const fileUrl = `/uploads/documents/${req.file.filename}`;
 
@@ -275,7 +290,7 @@ exports.uploadDocument = async (req, res) => {
             documentType: req.body.documentType || 'General',
             fileSize: req.file.size,
             mimeType: req.file.mimetype,
-            uploadedBy: req.user.userId
+            uploadedBy: req.user.UserId
         });
 
         res.status(201).json({
@@ -292,6 +307,8 @@ exports.uploadDocument = async (req, res) => {
 // Get documents
 exports.getDocuments = async (req, res) => {
     try {
+        if (!await findPermissionWithAccess(req, res, 'view')) return;
+
         const documents = await ProjectGroundPermission.getDocuments(req.params.id);
 
         res.json({
@@ -307,6 +324,8 @@ exports.getDocuments = async (req, res) => {
 // Delete document
 exports.deleteDocument = async (req, res) => {
     try {
+        if (!await findPermissionWithAccess(req, res, 'ground_permissions')) return;
+
         await ProjectGroundPermission.deleteDocument(req.params.documentId);
 
         res.json({
@@ -329,16 +348,14 @@ exports.addComment = async (req, res) => {
             return res.status(400).json({ success: false, errors: errors.array() });
         }
 
-        const permission = await ProjectGroundPermission.findById(req.params.id);
-        if (!permission) {
-            return res.status(404).json({ success: false, message: 'Permission not found' });
-        }
+        const permission = await findPermissionWithAccess(req, res, 'view');
+        if (!permission) return;
 
         const commentId = await ProjectGroundPermission.addComment({
             projectPermissionId: req.params.id,
             commentText: req.body.commentText,
-            commentedByUserId: req.user.userId,
-            commentedByRole: req.user.roleCode,
+            commentedByUserId: req.user.UserId,
+            commentedByRole: req.user.RoleCode,
             parentCommentId: req.body.parentCommentId
         });
 
@@ -356,6 +373,8 @@ exports.addComment = async (req, res) => {
 // Get comments
 exports.getComments = async (req, res) => {
     try {
+        if (!await findPermissionWithAccess(req, res, 'view')) return;
+
         const comments = await ProjectGroundPermission.getComments(req.params.id);
 
         res.json({
@@ -371,7 +390,9 @@ exports.getComments = async (req, res) => {
 // Delete comment
 exports.deleteComment = async (req, res) => {
     try {
-        await ProjectGroundPermission.deleteComment(req.params.commentId, req.user.userId);
+        if (!await findPermissionWithAccess(req, res, 'view')) return;
+
+        await ProjectGroundPermission.deleteComment(req.params.commentId, req.user.UserId);
 
         res.json({
             success: true,
@@ -393,16 +414,14 @@ exports.assignUser = async (req, res) => {
             return res.status(400).json({ success: false, errors: errors.array() });
         }
 
-        const permission = await ProjectGroundPermission.findById(req.params.id);
-        if (!permission) {
-            return res.status(404).json({ success: false, message: 'Permission not found' });
-        }
+        const permission = await findPermissionWithAccess(req, res, 'ground_permissions');
+        if (!permission) return;
 
         await ProjectGroundPermission.assignUser({
             userId: req.body.userId,
             projectPermissionId: req.params.id,
             projectId: permission.ProjectId,
-            assignedBy: req.user.userId
+            assignedBy: req.user.UserId
         });
 
         const assignedUsers = await ProjectGroundPermission.getAssignedUsers(req.params.id);
@@ -421,6 +440,8 @@ exports.assignUser = async (req, res) => {
 // Get assigned users
 exports.getAssignedUsers = async (req, res) => {
     try {
+        if (!await findPermissionWithAccess(req, res, 'view')) return;
+
         const assignedUsers = await ProjectGroundPermission.getAssignedUsers(req.params.id);
 
         res.json({
@@ -436,6 +457,8 @@ exports.getAssignedUsers = async (req, res) => {
 // Unassign user
 exports.unassignUser = async (req, res) => {
     try {
+        if (!await findPermissionWithAccess(req, res, 'ground_permissions')) return;
+
         await ProjectGroundPermission.unassignUser(req.params.userId, req.params.id);
 
         res.json({
@@ -451,7 +474,7 @@ exports.unassignUser = async (req, res) => {
 // Get my assigned permissions
 exports.getMyPermissions = async (req, res) => {
     try {
-        const permissions = await ProjectGroundPermission.getPermissionsByUser(req.user.userId);
+        const permissions = await ProjectGroundPermission.getPermissionsByUser(req.user.UserId);
 
         res.json({
             success: true,
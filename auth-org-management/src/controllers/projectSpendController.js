@@ -1,6 +1,52 @@
 const ProjectSpend = require('../models/ProjectSpend');
 const Project = require('../models/Project');
+const ProjectBudget = require('../models/ProjectBudget');
 const { validationResult } = require('express-validator');
+const { getProjectScope, denyProjectAccess } = require('../services/projectAccessService');
+const { denyByPolicy } = require('../services/editPolicyService');
+const { hasAnyPermission } = require('../services/permissionService');
+const { ACTIVITY_EVENTS, formatAmount, recordActivity } = require('../services/activityService');
+const spendApprovalService = require('../services/spendApprovalService');
+
+// Find a spend and check the user's access to its project; sends the error response and returns null otherwise
+const findSpendWithAccess = async (req, res, action) => {
+    const spend = await ProjectSpend.findById(req.params.id);
+    if (!spend) {
+        res.status(404).json({ success: false, message: 'Expense not found' });
+        return null;
+    }
+
+    if (await denyProjectAccess(req, res, spend.ProjectId, action, 'Expense not found')) return null;
+
+    return spend;
+};
+
+// Check a budget head given in the body belongs to the project; sends the error response and returns true otherwise
+const denyBudgetHead = async (req, res, projectId) => {
+    const { budgetHeadId } = req.body;
+    if (budgetHeadId === undefined || budgetHeadId === null) return false;
+
+    const head = await ProjectBudget.findHead(projectId, budgetHeadId);
+    if (!head) {
+        res.status(400).json({ success: false, message: 'Budget head not found in this project' });
+        return true;
+    }
+    return false;
+};
+
+// Warnings about the project budget after an expense was recorded
+const getBudgetWarnings = async (spend) => {
+    if (!spend.BudgetHeadId) {
+        return await ProjectBudget.countHeads(spend.ProjectId) > 0
+            ? ['Expense is not tagged to a budget head']
+            : [];
+    }
+
+    const head = await ProjectBudget.getHeadStatus(spend.BudgetHeadId);
+    if (!head.IsOverBudget) return [];
+
+    return [`${head.HeadName} is over budget by ${Math.abs(head.RemainingAmount).toFixed(2)} (planned ${head.PlannedAmount.toFixed(2)})`];
+};
 
 // Create a new spend
 exports.createSpend = async (req, res) => {
@@ -16,24 +62,35 @@ exports.createSpend = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Project not found' });
         }
 
-        // Check access for non-admins
-        // if (req.user.RoleCode !== 'SUPER_ADMIN' && req.user.RoleCode !== 'ADMIN') {
-        //     if (project.OrganizationId !== req.user.OrganizationId) {
-        //         return res.status(403).json({ success: false, message: 'Access denied' });
-        //     }
-        // }
+        if (await denyProjectAccess(req, res, project.ProjectId, 'spends')) return;
+
+        if (await denyBudgetHead(req, res, project.ProjectId)) return;
 
         const spendId = await ProjectSpend.create({
             ...req.body,
-            createdBy: req.user.userId
+            createdBy: req.user.UserId
         });
 
         const spend = await ProjectSpend.findById(spendId);
+        const warnings = await getBudgetWarnings(spend);
+
+        await spendApprovalService.restartChain(spend);
+        const approvals = await ProjectSpend.getApprovalSteps(spendId);
+
+        await recordActivity({
+            projectId: spend.ProjectId,
+            eventType: ACTIVITY_EVENTS.SPEND_SUBMITTED,
+            entityType: 'spend',
+            entityId: spend.ProjectSpendId,
+            summary: `Expense "${spend.ExpenseName}" of ${formatAmount(spend.Amount)} submitted`,
+            metadata: { amount: Number(spend.Amount), budgetHeadId: spend.BudgetHeadId || null },
+            actor: req.user
+        });
 
         res.status(201).json({
             success: true,
             message: 'Expense recorded successfully',
-            data: { spend }
+            data: { spend, warnings, approvals }
         });
     } catch (error) {
         console.error('Create spend error:', error);
@@ -53,10 +110,8 @@ exports.getAllSpends = async (req, res) => {
             offset: req.query.offset || 0
         };
 
-        // If not admin, filter by user's organization
-        if (req.user.RoleCode !== 'SUPER_ADMIN' && req.user.RoleCode !== 'ADMIN') {
-            filters.organizationId = req.user.OrganizationId;
-        }
+        // Only projects the user can access
+        filters.scope = await getProjectScope(req.user);
 
         const spends = await ProjectSpend.findAll(filters);
 
@@ -81,15 +136,11 @@ exports.getSpendsByProject = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Project not found' });
         }
 
-        // Check access for non-admins
-        if (req.user.RoleCode !== 'SUPER_ADMIN' && req.user.RoleCode !== 'ADMIN') {
-            if (project.OrganizationId !== req.user.OrganizationId) {
-                return res.status(403).json({ success: false, message: 'Access denied' });
-            }
-        }
+        if (await denyProjectAccess(req, res, project.ProjectId, 'view')) return;
 
         const filters = {
             status: req.query.status,
+            budgetHeadId: req.query.budgetHeadId,
             paymentMode: req.query.paymentMode,
             dateFrom: req.query.dateFrom,
             dateTo: req.query.dateTo
@@ -117,15 +168,14 @@ exports.getSpendsByProject = async (req, res) => {
 // Get spend by ID
 exports.getSpendById = async (req, res) => {
     try {
-        const spend = await ProjectSpend.findById(req.params.id);
+        const spend = await findSpendWithAccess(req, res, 'view');
+        if (!spend) return;
 
-        if (!spend) {
-            return res.status(404).json({ success: false, message: 'Expense not found' });
-        }
+        const approvals = await spendApprovalService.getChain(spend);
 
         res.json({
             success: true,
-            data: { spend }
+            data: { spend, approvals }
         });
     } catch (error) {
         console.error('Get spend error:', error);
@@ -141,20 +191,14 @@ exports.updateSpend = async (req, res) => {
             return res.status(400).json({ success: false, errors: errors.array() });
         }
 
-        const spend = await ProjectSpend.findById(req.params.id);
-        if (!spend) {
-            return res.status(404).json({ success: false, message: 'Expense not found' });
-        }
+        const spend = await findSpendWithAccess(req, res, 'spends');
+        if (!spend) return;
 
-        // Cannot update approved/rejected spends
-        if (spend.Status !== 'Pending') {
-            return res.status(400).json({
-                success: false,
-                message: 'Cannot update an approved or rejected expense'
-            });
-        }
+        if (await denyByPolicy(req, res, 'spend', 'edit', spend)) return;
 
-        const updated = await ProjectSpend.update(req.params.id, req.body, req.user.userId);
+        if (await denyBudgetHead(req, res, spend.ProjectId)) return;
+
+        const updated = await ProjectSpend.update(req.params.id, req.body, req.user.UserId);
 
         if (!updated) {
             return res.status(400).json({ success: false, message: 'No changes made' });
@@ -162,6 +206,11 @@ exports.updateSpend = async (req, res) => {
 
         const updatedSpend = await ProjectSpend.findById(req.params.id);
 
+        // Earlier approvals were for another amount
+        if (updatedSpend.Status === 'Pending' && Number(updatedSpend.Amount) !== Number(spend.Amount)) {
+            await spendApprovalService.restartChain(updatedSpend);
+        }
+
         res.json({
             success: true,
             message: 'Expense updated successfully',
@@ -173,30 +222,63 @@ exports.updateSpend = async (req, res) => {
     }
 };
 
-// Approve spend
-exports.approveSpend = async (req, res) => {
-    try {
-        const spend = await ProjectSpend.findById(req.params.id);
-        if (!spend) {
-            return res.status(404).json({ success: false, message: 'Expense not found' });
-        }
+// Decide the next approval step of a spend; the spend becomes Approved with the last step
+const decideSpend = async (req, res, decision) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
 
-        if (spend.Status !== 'Pending') {
-            return res.status(400).json({
-                success: false,
-                message: 'Expense has already been processed'
-            });
-        }
+    const spend = await findSpendWithAccess(req, res, 'view');
+    if (!spend) return;
 
-        await ProjectSpend.approve(req.params.id, req.user.userId);
+    const steps = await spendApprovalService.getChain(spend);
 
-        const updatedSpend = await ProjectSpend.findById(req.params.id);
+    const denial = await spendApprovalService.checkDecision(req.user, spend, steps);
+    if (denial) {
+        return res.status(denial.status).json({ success: false, message: denial.message });
+    }
 
-        res.json({
-            success: true,
-            message: 'Expense approved successfully',
-            data: { spend: updatedSpend }
+    const status = await spendApprovalService.decide(req.user, spend, steps, decision, req.body.comment);
+    if (!status) {
+        return res.status(409).json({ success: false, message: 'This step was decided by someone else meanwhile' });
+    }
+
+    const updatedSpend = await ProjectSpend.findById(req.params.id);
+    const approvals = await ProjectSpend.getApprovalSteps(req.params.id);
+
+    if (status !== 'Pending') {
+        await recordActivity({
+            projectId: spend.ProjectId,
+            eventType: status === 'Approved' ? ACTIVITY_EVENTS.SPEND_APPROVED : ACTIVITY_EVENTS.SPEND_REJECTED,
+            entityType: 'spend',
+            entityId: spend.ProjectSpendId,
+            summary: `Expense "${spend.ExpenseName}" of ${formatAmount(spend.Amount)} ${status.toLowerCase()}`,
+            metadata: { amount: Number(spend.Amount), steps: approvals.length },
+            actor: req.user
         });
+    }
+
+    const nextStep = status === 'Pending' ? await spendApprovalService.currentApprover(updatedSpend, approvals) : null;
+    const messages = {
+        Approved: 'Expense approved successfully',
+        Rejected: 'Expense rejected',
+        Pending: nextStep
+            ? `Approval recorded. Waiting for ${spendApprovalService.describeApprover(nextStep)}`
+            : 'Approval recorded'
+    };
+
+    res.json({
+        success: true,
+        message: messages[status],
+        data: { spend: updatedSpend, approvals }
+    });
+};
+
+// Approve spend
+exports.approveSpend = async (req, res) => {
+    try {
+        await decideSpend(req, res, 'Approved');
     } catch (error) {
         console.error('Approve spend error:', error);
         res.status(500).json({ success: false, message: 'Failed to approve expense' });
@@ -206,42 +288,46 @@ exports.approveSpend = async (req, res) => {
 // Reject spend
 exports.rejectSpend = async (req, res) => {
     try {
-        const spend = await ProjectSpend.findById(req.params.id);
-        if (!spend) {
-            return res.status(404).json({ success: false, message: 'Expense not found' });
-        }
+        await decideSpend(req, res, 'Rejected');
+    } catch (error) {
+        console.error('Reject spend error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reject expense' });
+    }
+};
 
-        if (spend.Status !== 'Pending') {
-            return res.status(400).json({
-                success: false,
-                message: 'Expense has already been processed'
-            });
-        }
+// Reopen an approved or rejected spend for changes (approvers)
+exports.reopenSpend = async (req, res) => {
+    try {
+        const spend = await findSpendWithAccess(req, res, 'view');
+        if (!spend) return;
 
-        await ProjectSpend.reject(req.params.id, req.user.userId);
+        if (await denyByPolicy(req, res, 'spend', 'reopen', spend)) return;
+
+        await ProjectSpend.reopen(req.params.id, req.user.UserId);
 
         const updatedSpend = await ProjectSpend.findById(req.params.id);
+        await spendApprovalService.restartChain(updatedSpend);
 
         res.json({
             success: true,
-            message: 'Expense rejected',
+            message: 'Expense reopened',
             data: { spend: updatedSpend }
         });
     } catch (error) {
-        console.error('Reject spend error:', error);
-        res.status(500).json({ success: false, message: 'Failed to reject expense' });
+        console.error('Reopen spend error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reopen expense' });
     }
 };
 
 // Delete spend
 exports.deleteSpend = async (req, res) => {
     try {
-        const spend = await ProjectSpend.findById(req.params.id);
-        if (!spend) {
-            return res.status(404).json({ success: false, message: 'Expense not found' });
-        }
+        const spend = await findSpendWithAccess(req, res, 'spends');
+        if (!spend) return;
 
-        await ProjectSpend.delete(req.params.id, req.user.userId);
+        if (await denyByPolicy(req, res, 'spend', 'delete', spend)) return;
+
+        await ProjectSpend.delete(req.params.id, req.user.UserId);
 
         res.json({
             success: true,
@@ -260,15 +346,15 @@ exports.uploadBillImage = async (req, res) => {
             return res.status(400).json({ success: false, message: 'No file uploaded' });
         }
 
-        const spend = await ProjectSpend.findById(req.params.id);
-        if (!spend) {
-            return res.status(404).json({ success: false, message: 'Expense not found' });
-        }
+        const spend = await findSpendWithAccess(req, res, 'spends');
+        if (!spend) return;
+
+        if (await denyByPolicy(req, res, 'spend', 'edit', spend)) return;
 
         // For now, store locally. In production, upload to Azure Blob
         const billImageUrl = `/uploads/bills/${req.file.filename}`;
 
-        await ProjectSpend.update(req.params.id, { billImageUrl }, req.user.userId);
+        await ProjectSpend.update(req.params.id, { billImageUrl }, req.user.UserId);
 
         res.json({
             success: true,
@@ -284,10 +370,8 @@ exports.uploadBillImage = async (req, res) => {
 // Settle a spend (reimburse own money expense)
 exports.settleSpend = async (req, res) => {
     try {
-        const spend = await ProjectSpend.findById(req.params.id);
-        if (!spend) {
-            return res.status(404).json({ success: false, message: 'Expense not found' });
-        }
+        const spend = await findSpendWithAccess(req, res, 'spends');
+        if (!spend) return;
 
         if (!spend.PaidWithOwnMoney) {
             return res.status(400).json({
@@ -303,11 +387,18 @@ exports.settleSpend = async (req, res) => {
             });
         }
 
-        // Admin/SuperAdmin can settle any expense, or creator can settle their own
-        const isAdmin = req.user.RoleCode === 'SUPER_ADMIN' || req.user.RoleCode === 'ADMIN';
+        if (spend.ReimbursementBatchId) {
+            return res.status(400).json({
+                success: false,
+                message: `This expense is settled through reimbursement batch #${spend.ReimbursementBatchId}`
+            });
+        }
+
+        // Approvers and finance can settle any expense, or creator can settle their own
+        const canSettleAny = await hasAnyPermission(req.user, ['spends.approve', 'reimbursements.manage']);
         const isCreator = spend.CreatedBy === req.user.UserId;
 
-        if (!isAdmin && !isCreator) {
+        if (!canSettleAny && !isCreator) {
             return res.status(403).json({
                 success: false,
                 message: 'You can only settle your own expenses'
@@ -336,7 +427,7 @@ exports.settleSpend = async (req, res) => {
 exports.getUnsettledSpends = async (req, res) => {
     try {
         const projectId = req.query.projectId || null;
-        const spends = await ProjectSpend.getUnsettled(projectId);
+        const spends = await ProjectSpend.getUnsettled(projectId, await getProjectScope(req.user));
 
         res.json({
             success: true,
@@ -1,13 +1,41 @@
 const ProjectSponsor = require('../models/ProjectSponsor');
 const { validationResult } = require('express-validator');
+const { getProjectScope, denyProjectAccess } = require('../services/projectAccessService');
+const { ACTIVITY_EVENTS, recordActivity } = require('../services/activityService');
+
+const sponsorName = (sponsor) => sponsor.SponsorName || sponsor.OrganizationName || sponsor.SponsorUserName || 'Sponsor';
+
+// Find a sponsor and check the user can see its project; sends the error response and returns null otherwise
+const findProjectSponsorWithAccess = async (req, res) => {
+    const sponsor = await ProjectSponsor.findById(req.params.id);
+    if (!sponsor) {
+        res.status(404).json({ success: false, message: 'Not found' });
+        return null;
+    }
+
+    if (await denyProjectAccess(req, res, sponsor.ProjectId, 'view', 'Not found')) return null;
+
+    return sponsor;
+};
 
 exports.create = async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
 
-        const id = await ProjectSponsor.create({ ...req.body, createdBy: req.user.userId });
+        if (await denyProjectAccess(req, res, req.body.projectId, 'view')) return;
+
+        const id = await ProjectSponsor.create({ ...req.body, createdBy: req.user.UserId });
         const sponsor = await ProjectSponsor.findById(id);
+        await recordActivity({
+            projectId: sponsor.ProjectId,
+            eventType: ACTIVITY_EVENTS.SPONSOR_ADDED,
+            entityType: 'sponsor',
+            entityId: sponsor.ProjectSponsorId,
+            summary: `${sponsorName(sponsor)} added as a ${sponsor.SponsorshipType.toLowerCase().replace('_', '-')} sponsor`,
+            metadata: { sponsorshipType: sponsor.SponsorshipType, amount: Number(sponsor.Amount || 0) },
+            actor: req.user
+        });
         res.status(201).json({ success: true, message: 'Sponsor created', data: { sponsor } });
     } catch (error) {
         console.error('Create sponsor error:', error);
@@ -24,7 +52,8 @@ exports.getAll = async (req, res) => {
             status: req.query.status,
             search: req.query.search,
             limit: req.query.limit || 50,
-            offset: req.query.offset || 0
+            offset: req.query.offset || 0,
+            scope: await getProjectScope(req.user)
         });
         res.json({ success: true, data: { sponsors, count: sponsors.length } });
     } catch (error) {
@@ -45,8 +74,8 @@ exports.getPublic = async (req, res) => {
 
 exports.getById = async (req, res) => {
     try {
-        const sponsor = await ProjectSponsor.findById(req.params.id);
-        if (!sponsor) return res.status(404).json({ success: false, message: 'Not found' });
+        const sponsor = await findProjectSponsorWithAccess(req, res);
+        if (!sponsor) return;
 
         const images = await ProjectSponsor.getMedia(req.params.id, 'IMAGE');
         const videos = await ProjectSponsor.getMedia(req.params.id, 'VIDEO');
@@ -59,10 +88,10 @@ exports.getById = async (req, res) => {
 
 exports.update = async (req, res) => {
     try {
-        const sponsor = await ProjectSponsor.findById(req.params.id);
-        if (!sponsor) return res.status(404).json({ success: false, message: 'Not found' });
+        const sponsor = await findProjectSponsorWithAccess(req, res);
+        if (!sponsor) return;
 
-        await ProjectSponsor.update(req.params.id, req.body, req.user.userId);
+        await ProjectSponsor.update(req.params.id, req.body, req.user.UserId);
         const updated = await ProjectSponsor.findById(req.params.id);
         res.json({ success: true, message: 'Updated successfully', data: { sponsor: updated } });
     } catch (error) {
@@ -73,10 +102,10 @@ exports.update = async (req, res) => {
 
 exports.delete = async (req, res) => {
     try {
-        const sponsor = await ProjectSponsor.findById(req.params.id);
-        if (!sponsor) return res.status(404).json({ success: false, message: 'Not found' });
+        const sponsor = await findProjectSponsorWithAccess(req, res);
+        if (!sponsor) return;
 
-        await ProjectSponsor.delete(req.params.id, req.user.userId);
+        await ProjectSponsor.delete(req.params.id, req.user.UserId);
         res.json({ success: true, message: 'Deleted successfully' });
     } catch (error) {
         console.error('Delete sponsor error:', error);
@@ -88,8 +117,8 @@ exports.uploadImages = async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) return res.status(400).json({ success: false, message: 'No images' });
 
-        const sponsor = await ProjectSponsor.findById(req.params.id);
-        if (!sponsor) return res.status(404).json({ success: false, message: 'Not found' });
+        const sponsor = await findProjectSponsorWithAccess(req, res);
+        if (!sponsor) return;
 
         const uploaded = [];
         for (const file of req.files) {
@@ -101,10 +130,19 @@ exports.uploadImages = async (req, res) => {
                 fileSize: file.size,
                 mimeType: file.mimetype,
                 caption: req.body.caption,
-                uploadedBy: req.user.userId
+                uploadedBy: req.user.UserId
             });
             uploaded.push({ mediaId, url: `/uploads/sponsors/${file.filename}` });
         }
+        await recordActivity({
+            projectId: sponsor.ProjectId,
+            eventType: ACTIVITY_EVENTS.MEDIA_UPLOADED,
+            entityType: 'sponsor',
+            entityId: sponsor.ProjectSponsorId,
+            summary: `${uploaded.length} image(s) added to sponsor ${sponsorName(sponsor)}`,
+            metadata: { mediaType: 'IMAGE', count: uploaded.length },
+            actor: req.user
+        });
         res.status(201).json({ success: true, message: `${uploaded.length} image(s) uploaded`, data: { uploaded } });
     } catch (error) {
         console.error('Upload images error:', error);
@@ -116,8 +154,8 @@ exports.uploadVideos = async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) return res.status(400).json({ success: false, message: 'No videos' });
 
-        const sponsor = await ProjectSponsor.findById(req.params.id);
-        if (!sponsor) return res.status(404).json({ success: false, message: 'Not found' });
+        const sponsor = await findProjectSponsorWithAccess(req, res);
+        if (!sponsor) return;
 
         const uploaded = [];
         for (const file of req.files) {
@@ -129,10 +167,19 @@ exports.uploadVideos = async (req, res) => {
                 fileSize: file.size,
                 mimeType: file.mimetype,
                 caption: req.body.caption,
-                uploadedBy: req.user.userId
+                uploadedBy: req.user.UserId
             });
             uploaded.push({ mediaId, url: `/uploads/sponsors/${file.filename}` });
         }
+        await recordActivity({
+            projectId: sponsor.ProjectId,
+            eventType: ACTIVITY_EVENTS.MEDIA_UPLOADED,
+            entityType: 'sponsor',
+            entityId: sponsor.ProjectSponsorId,
+            summary: `${uploaded.length} video(s) added to sponsor ${sponsorName(sponsor)}`,
+            metadata: { mediaType: 'VIDEO', count: uploaded.length },
+            actor: req.user
+        });
         res.status(201).json({ success: true, message: `${uploaded.length} video(s) uploaded`, data: { uploaded } });
     } catch (error) {
         console.error('Upload videos error:', error);
@@ -142,6 +189,8 @@ exports.uploadVideos = async (req, res) => {
 
 exports.getMedia = async (req, res) => {
     try {
+        if (!await findProjectSponsorWithAccess(req, res)) return;
+
         const media = await ProjectSponsor.getMedia(req.params.id);
         res.json({ success: true, data: { media } });
     } catch (error) {
@@ -152,7 +201,9 @@ exports.getMedia = async (req, res) => {
 
 exports.deleteMedia = async (req, res) => {
     try {
-        await ProjectSponsor.deleteMedia(req.params.mediaId);
+        if (!await findProjectSponsorWithAccess(req, res)) return;
+
+        await ProjectSponsor.deleteMedia(req.params.mediaId, req.params.id, req.user.UserId);
         res.json({ success: true, message: 'Media deleted' });
     } catch (error) {
         console.error('Delete media error:', error);
@@ -162,6 +213,8 @@ exports.deleteMedia = async (req, res) => {
 
 exports.getSummary = async (req, res) => {
     try {
+        if (await denyProjectAccess(req, res, req.params.projectId, 'view')) return;
+
         const summary = await ProjectSponsor.getSummary(req.params.projectId);
         res.json({ success: true, data: { summary } });
     } catch (error) {
@@ -0,0 +1,431 @@
+const Project = require('../models/Project');
+const ProjectMember = require('../models/ProjectMember');
+const ProjectMilestone = require('../models/ProjectMilestone');
+const ProjectTask = require('../models/ProjectTask');
+const { validationResult } = require('express-validator');
+const { denyProjectAccess } = require('../services/projectAccessService');
+
+// Statuses a task only reaches once everything it waits on is done
+const STARTED_STATUSES = ['InProgress', 'Done'];
+const RESOLVED_STATUSES = ['Done', 'Cancelled'];
+
+// Find the project and check the user's access to it; sends the error response and returns null otherwise
+const findProjectWithAccess = async (req, res, action) => {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+        res.status(404).json({ success: false, message: 'Project not found' });
+        return null;
+    }
+
+    if (await denyProjectAccess(req, res, project.ProjectId, action)) return null;
+
+    return project;
+};
+
+// Find a task of the project; sends the error response and returns null otherwise
+const findTaskWithAccess = async (req, res, action) => {
+    const project = await findProjectWithAccess(req, res, action);
+    if (!project) return null;
+
+    const task = await ProjectTask.findById(project.ProjectId, req.params.taskId);
+    if (!task) {
+        res.status(404).json({ success: false, message: 'Task not found' });
+        return null;
+    }
+
+    return task;
+};
+
+// Check the milestone and assignee given in the body; sends the error response and returns true otherwise
+const denyTaskReferences = async (req, res, projectId) => {
+    const { milestoneId, assignedToUserId } = req.body;
+
+    if (milestoneId && !await ProjectMilestone.findById(projectId, milestoneId)) {
+        res.status(400).json({ success: false, message: 'Milestone not found in this project' });
+        return true;
+    }
+
+    if (assignedToUserId && !await ProjectMember.find(projectId, assignedToUserId)) {
+        res.status(400).json({ success: false, message: 'Assignee must be a member of the project' });
+        return true;
+    }
+
+    return false;
+};
+
+// Check the tasks a task should wait on: same project, not itself, no cycle.
+// Sends the error response and returns true otherwise.
+const denyDependencies = async (res, projectId, taskId, dependsOn) => {
+    const ids = [...new Set(dependsOn.map(Number))];
+
+    if (taskId && ids.includes(Number(taskId))) {
+        res.status(400).json({ success: false, message: 'A task cannot depend on itself' });
+        return true;
+    }
+
+    const tasks = await ProjectTask.findByProjectId(projectId);
+    const taskIds = new Set(tasks.map(task => task.TaskId));
+    if (ids.some(id => !taskIds.has(id))) {
+        res.status(400).json({ success: false, message: 'Dependencies must be tasks of the same project' });
+        return true;
+    }
+
+    if (!taskId) return false;
+
+    // Walk what the new dependencies wait on; reaching the task itself is a cycle
+    const edges = await ProjectTask.getDependencyEdges(projectId);
+    const waitsOn = new Map();
+    for (const edge of edges) {
+        if (edge.TaskId === Number(taskId)) continue;
+        if (!waitsOn.has(edge.TaskId)) waitsOn.set(edge.TaskId, []);
+        waitsOn.get(edge.TaskId).push(edge.DependsOnTaskId);
+    }
+
+    const seen = new Set();
+    const stack = [...ids];
+    while (stack.length > 0) {
+        const id = stack.pop();
+        if (id === Number(taskId)) {
+            res.status(400).json({ success: false, message: 'Dependencies would create a cycle' });
+            return true;
+        }
+        if (seen.has(id)) continue;
+        seen.add(id);
+        stack.push(...(waitsOn.get(id) || []));
+    }
+
+    return false;
+};
+
+// A task with its dependencies and status history
+const getTaskDetails = async (projectId, taskId) => {
+    const task = await ProjectTask.findById(projectId, taskId);
+    task.dependencies = await ProjectTask.getDependencies(taskId);
+    task.history = await ProjectTask.getHistory(taskId);
+    return task;
+};
+
+// ==================== Milestones ====================
+
+// Get the milestones of a project
+exports.getMilestones = async (req, res) => {
+    try {
+        const project = await findProjectWithAccess(req, res, 'view');
+        if (!project) return;
+
+        const milestones = await ProjectMilestone.findByProjectId(project.ProjectId);
+
+        res.json({
+            success: true,
+            data: {
+                milestones,
+                count: milestones.length
+            }
+        });
+    } catch (error) {
+        console.error('Get milestones error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch milestones' });
+    }
+};
+
+// Add a milestone
+exports.createMilestone = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const project = await findProjectWithAccess(req, res, 'edit');
+        if (!project) return;
+
+        const milestoneId = await ProjectMilestone.create({
+            ...req.body,
+            projectId: project.ProjectId,
+            createdBy: req.user.UserId
+        });
+
+        const milestone = await ProjectMilestone.findById(project.ProjectId, milestoneId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Milestone added successfully',
+            data: { milestone }
+        });
+    } catch (error) {
+        console.error('Create milestone error:', error);
+        res.status(500).json({ success: false, message: 'Failed to add milestone' });
+    }
+};
+
+// Update a milestone
+exports.updateMilestone = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const project = await findProjectWithAccess(req, res, 'edit');
+        if (!project) return;
+
+        const milestone = await ProjectMilestone.findById(project.ProjectId, req.params.milestoneId);
+        if (!milestone) {
+            return res.status(404).json({ success: false, message: 'Milestone not found' });
+        }
+
+        const updated = await ProjectMilestone.update(milestone.MilestoneId, req.body, req.user.UserId);
+        if (!updated) {
+            return res.status(400).json({ success: false, message: 'No changes made' });
+        }
+
+        const updatedMilestone = await ProjectMilestone.findById(project.ProjectId, milestone.MilestoneId);
+
+        res.json({
+            success: true,
+            message: 'Milestone updated successfully',
+            data: { milestone: updatedMilestone }
+        });
+    } catch (error) {
+        console.error('Update milestone error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update milestone' });
+    }
+};
+
+// Delete a milestone; its tasks stay on the project
+exports.deleteMilestone = async (req, res) => {
+    try {
+        const project = await findProjectWithAccess(req, res, 'edit');
+        if (!project) return;
+
+        const milestone = await ProjectMilestone.findById(project.ProjectId, req.params.milestoneId);
+        if (!milestone) {
+            return res.status(404).json({ success: false, message: 'Milestone not found' });
+        }
+
+        await ProjectMilestone.delete(milestone.MilestoneId, req.user.UserId);
+
+        res.json({
+            success: true,
+            message: 'Milestone deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete milestone error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete milestone' });
+    }
+};
+
+// ==================== Tasks ====================
+
+// Get the tasks of a project
+exports.getTasks = async (req, res) => {
+    try {
+        const project = await findProjectWithAccess(req, res, 'view');
+        if (!project) return;
+
+        const tasks = await ProjectTask.findByProjectId(project.ProjectId, {
+            milestoneId: req.query.milestoneId,
+            status: req.query.status,
+            assignedTo: req.query.assignedTo
+        });
+
+        res.json({
+            success: true,
+            data: {
+                tasks,
+                count: tasks.length
+            }
+        });
+    } catch (error) {
+        console.error('Get tasks error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch tasks' });
+    }
+};
+
+// Get a task with its dependencies and status history
+exports.getTaskById = async (req, res) => {
+    try {
+        const task = await findTaskWithAccess(req, res, 'view');
+        if (!task) return;
+
+        res.json({
+            success: true,
+            data: { task: await getTaskDetails(task.ProjectId, task.TaskId) }
+        });
+    } catch (error) {
+        console.error('Get task error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch task' });
+    }
+};
+
+// Add a task
+exports.createTask = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const project = await findProjectWithAccess(req, res, 'edit');
+        if (!project) return;
+
+        if (await denyTaskReferences(req, res, project.ProjectId)) return;
+
+        const dependsOn = req.body.dependsOn || [];
+        if (await denyDependencies(res, project.ProjectId, null, dependsOn)) return;
+
+        const taskId = await ProjectTask.create({
+            ...req.body,
+            projectId: project.ProjectId,
+            createdBy: req.user.UserId
+        });
+
+        if (dependsOn.length > 0) {
+            await ProjectTask.setDependencies(taskId, [...new Set(dependsOn.map(Number))]);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Task added successfully',
+            data: { task: await getTaskDetails(project.ProjectId, taskId) }
+        });
+    } catch (error) {
+        console.error('Create task error:', error);
+        res.status(500).json({ success: false, message: 'Failed to add task' });
+    }
+};
+
+// Update a task's details and dependencies
+exports.updateTask = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const task = await findTaskWithAccess(req, res, 'edit');
+        if (!task) return;
+
+        if (await denyTaskReferences(req, res, task.ProjectId)) return;
+
+        const { dependsOn } = req.body;
+        if (dependsOn && await denyDependencies(res, task.ProjectId, task.TaskId, dependsOn)) return;
+
+        const updated = await ProjectTask.update(task.TaskId, req.body, req.user.UserId);
+
+        if (dependsOn) {
+            await ProjectTask.setDependencies(task.TaskId, [...new Set(dependsOn.map(Number))]);
+        } else if (!updated) {
+            return res.status(400).json({ success: false, message: 'No changes made' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Task updated successfully',
+            data: { task: await getTaskDetails(task.ProjectId, task.TaskId) }
+        });
+    } catch (error) {
+        console.error('Update task error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update task' });
+    }
+};
+
+// Change a task's status and progress (assignee or project lead)
+exports.updateTaskStatus = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const task = await findTaskWithAccess(req, res, 'view');
+        if (!task) return;
+
+        if (task.AssignedToUserId !== req.user.UserId
+            && await denyProjectAccess(req, res, task.ProjectId, 'edit')) return;
+
+        const status = req.body.status || task.Status;
+        let percentComplete = req.body.percentComplete !== undefined
+            ? parseInt(req.body.percentComplete)
+            : task.PercentComplete;
+        if (status === 'Done') percentComplete = 100;
+
+        if (STARTED_STATUSES.includes(status) && !STARTED_STATUSES.includes(task.Status)) {
+            const dependencies = await ProjectTask.getDependencies(task.TaskId);
+            const waiting = dependencies.filter(dependency => !RESOLVED_STATUSES.includes(dependency.Status));
+            if (waiting.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Waiting on: ${waiting.map(dependency => dependency.Title).join(', ')}`
+                });
+            }
+        }
+
+        await ProjectTask.setStatus(task, { status, percentComplete, note: req.body.note }, req.user.UserId);
+
+        res.json({
+            success: true,
+            message: 'Task status updated successfully',
+            data: { task: await getTaskDetails(task.ProjectId, task.TaskId) }
+        });
+    } catch (error) {
+        console.error('Update task status error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update task status' });
+    }
+};
+
+// Delete a task
+exports.deleteTask = async (req, res) => {
+    try {
+        const task = await findTaskWithAccess(req, res, 'edit');
+        if (!task) return;
+
+        await ProjectTask.delete(task.TaskId, req.user.UserId);
+
+        res.json({
+            success: true,
+            message: 'Task deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete task error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete task' });
+    }
+};
+
+// ==================== Timeline ====================
+
+// Get the project's schedule: milestones, tasks, camps, campaigns and ground permission due dates
+exports.getTimeline = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const project = await findProjectWithAccess(req, res, 'view');
+        if (!project) return;
+
+        const items = await Project.getTimeline(project.ProjectId, {
+            from: req.query.from,
+            to: req.query.to
+        });
+
+        res.json({
+            success: true,
+            data: {
+                project: {
+                    ProjectId: project.ProjectId,
+                    ProjectName: project.ProjectName,
+                    StartDate: project.StartDate,
+                    EndDate: project.EndDate,
+                    Status: project.Status
+                },
+                items,
+                count: items.length
+            }
+        });
+    } catch (error) {
+        console.error('Get project timeline error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch project timeline' });
+    }
+};
@@ -0,0 +1,247 @@
+const Project = require('../models/Project');
+const ProjectTemplate = require('../models/ProjectTemplate');
+const { validationResult } = require('express-validator');
+const { getProjectScope, denyProjectAccess } = require('../services/projectAccessService');
+const { hasAnyPermission } = require('../services/permissionService');
+const { buildPlan, createProjectFromPlan, summarizePlan } = require('../services/projectTemplateService');
+
+// Find the project and check the user's access to it; sends the error response and returns null otherwise
+const findProjectWithAccess = async (req, res, action) => {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+        res.status(404).json({ success: false, message: 'Project not found' });
+        return null;
+    }
+
+    if (await denyProjectAccess(req, res, project.ProjectId, action)) return null;
+
+    return project;
+};
+
+// Find a template of the user's organization; sends the error response and returns null otherwise
+const findTemplateWithAccess = async (req, res) => {
+    const template = await ProjectTemplate.findById(req.params.templateId);
+    const scope = await getProjectScope(req.user);
+
+    if (!template || (!scope.unscoped && template.OrganizationId !== scope.organizationId)) {
+        res.status(404).json({ success: false, message: 'Template not found' });
+        return null;
+    }
+
+    return template;
+};
+
+// Templates are changed by whoever saved them or by those who manage every project of the organization
+const canManageTemplate = async (user, template) => {
+    return template.CreatedBy === user.UserId
+        || hasAnyPermission(user, ['projects.all', 'projects.organization']);
+};
+
+// ==================== From a project ====================
+
+// Clone a project: description, budget heads, ground permission checklist,
+// camp plans and campaign drafts, with dates shifted to the new start date
+exports.cloneProject = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const source = await findProjectWithAccess(req, res, 'view');
+        if (!source) return;
+
+        const plan = await buildPlan(source.ProjectId);
+
+        const projectId = await createProjectFromPlan(plan, {
+            projectName: req.body.projectName || `${source.ProjectName} (copy)`,
+            startDate: req.body.startDate,
+            organizationId: req.user.OrganizationId,
+            createdBy: req.user.UserId,
+            reason: `Cloned from project ${source.ProjectId}`
+        });
+
+        const project = await Project.findById(projectId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Project cloned successfully',
+            data: {
+                project,
+                copied: summarizePlan(plan)
+            }
+        });
+    } catch (error) {
+        console.error('Clone project error:', error);
+        res.status(500).json({ success: false, message: 'Failed to clone project' });
+    }
+};
+
+// Save a project's plan as a template of its organization
+exports.saveAsTemplate = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const project = await findProjectWithAccess(req, res, 'edit');
+        if (!project) return;
+
+        const plan = await buildPlan(project.ProjectId);
+
+        const templateId = await ProjectTemplate.create({
+            organizationId: project.OrganizationId,
+            templateName: req.body.templateName,
+            description: req.body.description,
+            sourceProjectId: project.ProjectId,
+            plan,
+            createdBy: req.user.UserId
+        });
+
+        const template = await ProjectTemplate.findById(templateId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Template saved successfully',
+            data: { template }
+        });
+    } catch (error) {
+        console.error('Save project template error:', error);
+        res.status(500).json({ success: false, message: 'Failed to save template' });
+    }
+};
+
+// ==================== Templates ====================
+
+// Get the templates of the user's organization
+exports.getTemplates = async (req, res) => {
+    try {
+        const scope = await getProjectScope(req.user);
+        if (!scope.unscoped && !scope.organizationId) {
+            return res.json({ success: true, data: { templates: [], count: 0 } });
+        }
+
+        const templates = await ProjectTemplate.findAll({
+            organizationId: scope.unscoped ? req.query.organizationId : scope.organizationId,
+            search: req.query.search
+        });
+
+        res.json({
+            success: true,
+            data: {
+                templates: templates.map(({ Plan, ...template }) => ({ ...template, contents: summarizePlan(Plan) })),
+                count: templates.length
+            }
+        });
+    } catch (error) {
+        console.error('Get project templates error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch templates' });
+    }
+};
+
+// Get a template with its plan
+exports.getTemplateById = async (req, res) => {
+    try {
+        const template = await findTemplateWithAccess(req, res);
+        if (!template) return;
+
+        res.json({
+            success: true,
+            data: { template }
+        });
+    } catch (error) {
+        console.error('Get project template error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch template' });
+    }
+};
+
+// Rename or describe a template
+exports.updateTemplate = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const template = await findTemplateWithAccess(req, res);
+        if (!template) return;
+
+        if (!await canManageTemplate(req.user, template)) {
+            return res.status(403).json({ success: false, message: 'Only the creator or an organization admin can change this template' });
+        }
+
+        const updated = await ProjectTemplate.update(template.ProjectTemplateId, req.body, req.user.UserId);
+        if (!updated) {
+            return res.status(400).json({ success: false, message: 'No changes made' });
+        }
+
+        const updatedTemplate = await ProjectTemplate.findById(template.ProjectTemplateId);
+
+        res.json({
+            success: true,
+            message: 'Template updated successfully',
+            data: { template: updatedTemplate }
+        });
+    } catch (error) {
+        console.error('Update project template error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update template' });
+    }
+};
+
+// Delete a template
+exports.deleteTemplate = async (req, res) => {
+    try {
+        const template = await findTemplateWithAccess(req, res);
+        if (!template) return;
+
+        if (!await canManageTemplate(req.user, template)) {
+            return res.status(403).json({ success: false, message: 'Only the creator or an organization admin can delete this template' });
+        }
+
+        await ProjectTemplate.delete(template.ProjectTemplateId, req.user.UserId);
+
+        res.json({
+            success: true,
+            message: 'Template deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete project template error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete template' });
+    }
+};
+
+// Start a new project from a template
+exports.createProjectFromTemplate = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const template = await findTemplateWithAccess(req, res);
+        if (!template) return;
+
+        const projectId = await createProjectFromPlan(template.Plan, {
+            projectName: req.body.projectName,
+            startDate: req.body.startDate,
+            organizationId: req.user.OrganizationId,
+            createdBy: req.user.UserId,
+            reason: `Created from template ${template.TemplateName}`
+        });
+
+        const project = await Project.findById(projectId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Project created successfully',
+            data: {
+                project,
+                copied: summarizePlan(template.Plan)
+            }
+        });
+    } catch (error) {
+        console.error('Create project from template error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create project from template' });
+    }
+};
@@ -0,0 +1,25 @@
+const Project = require('../models/Project');
+const { buildMicrosite } = require('../services/publicProjectService');
+
+// Get the public microsite of a published project (no auth required)
+exports.getProjectMicrosite = async (req, res) => {
+    try {
+        const project = await Project.findPublicBySlug(req.params.slug);
+
+        if (!project) {
+            return res.status(404).json({ success: false, message: 'Project not found' });
+        }
+
+        const microsite = await buildMicrosite(project);
+
+        // Same for every visitor; Express adds an ETag so unchanged pages answer 304
+        res.setHeader('Cache-Control', 'public, max-age=300');
+        res.json({
+            success: true,
+            data: microsite
+        });
+    } catch (error) {
+        console.error('Get project microsite error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch project' });
+    }
+};
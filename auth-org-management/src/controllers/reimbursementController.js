@@ -0,0 +1,311 @@
+const ReimbursementBatch = require('../models/ReimbursementBatch');
+const ReimbursementLedger = require('../models/ReimbursementLedger');
+const { canManageOrganization, resolveOrganization } = require('../services/reimbursementService');
+
+const emptyBalance = (userId) => ({
+    UserId: userId,
+    BatchedBalance: 0,
+    UnbatchedAmount: 0,
+    UnbatchedCount: 0,
+    TotalOwed: 0
+});
+
+// Find a batch of an organization the user manages; sends the error response and returns null otherwise
+const findBatchWithAccess = async (req, res) => {
+    const batch = await ReimbursementBatch.findById(req.params.id);
+    if (!batch || !(await canManageOrganization(req.user, batch.OrganizationId))) {
+        res.status(404).json({ success: false, message: 'Reimbursement batch not found' });
+        return null;
+    }
+    return batch;
+};
+
+// What the organization owes each volunteer
+exports.getBalances = async (req, res) => {
+    try {
+        const organizationId = await resolveOrganization(req, res, req.query.organizationId);
+        if (!organizationId) return;
+
+        const balances = await ReimbursementLedger.getBalances(organizationId);
+        const totalOwed = balances.reduce((sum, row) => sum + Number(row.TotalOwed), 0);
+
+        res.json({
+            success: true,
+            data: {
+                balances,
+                count: balances.length,
+                totalOwed: totalOwed.toFixed(2)
+            }
+        });
+    } catch (error) {
+        console.error('Get reimbursement balances error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch reimbursement balances' });
+    }
+};
+
+// A volunteer's balance and ledger entries
+exports.getLedger = async (req, res) => {
+    try {
+        const organizationId = await resolveOrganization(req, res, req.query.organizationId);
+        if (!organizationId) return;
+
+        const userId = parseInt(req.params.userId);
+        const [balance] = await ReimbursementLedger.getBalances(organizationId, userId);
+        const entries = await ReimbursementLedger.getEntries(organizationId, userId, {
+            limit: req.query.limit || 50,
+            offset: req.query.offset || 0
+        });
+
+        res.json({
+            success: true,
+            data: {
+                balance: balance || emptyBalance(userId),
+                entries,
+                count: entries.length
+            }
+        });
+    } catch (error) {
+        console.error('Get reimbursement ledger error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch reimbursement ledger' });
+    }
+};
+
+// The signed-in volunteer's own balances, per organization, with recent entries
+exports.getMyReimbursements = async (req, res) => {
+    try {
+        const userId = req.user.UserId;
+        const organizations = await ReimbursementLedger.getOrganizationsOfUser(userId);
+
+        const results = [];
+        for (const organization of organizations) {
+            const [balance] = await ReimbursementLedger.getBalances(organization.OrganizationId, userId);
+            results.push({
+                ...organization,
+                balance: balance || emptyBalance(userId),
+                entries: await ReimbursementLedger.getEntries(organization.OrganizationId, userId, { limit: 20 })
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { organizations: results }
+        });
+    } catch (error) {
+        console.error('Get own reimbursements error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch reimbursements' });
+    }
+};
+
+// Expenses of a volunteer that can go into a new batch
+exports.getEligibleSpends = async (req, res) => {
+    try {
+        const organizationId = await resolveOrganization(req, res, req.query.organizationId);
+        if (!organizationId) return;
+
+        const spends = await ReimbursementBatch.findEligibleSpends(organizationId, req.query.payeeUserId);
+        const totalAmount = spends.reduce((sum, spend) => sum + Number(spend.Amount), 0);
+
+        res.json({
+            success: true,
+            data: {
+                spends,
+                count: spends.length,
+                totalAmount: totalAmount.toFixed(2)
+            }
+        });
+    } catch (error) {
+        console.error('Get eligible spends error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch expenses to reimburse' });
+    }
+};
+
+// Get batches
+exports.getBatches = async (req, res) => {
+    try {
+        const organizationId = await resolveOrganization(req, res, req.query.organizationId);
+        if (!organizationId) return;
+
+        const batches = await ReimbursementBatch.findAll({
+            organizationId,
+            payeeUserId: req.query.payeeUserId,
+            status: req.query.status,
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
+
+        res.json({
+            success: true,
+            data: {
+                batches,
+                count: batches.length
+            }
+        });
+    } catch (error) {
+        console.error('Get reimbursement batches error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch reimbursement batches' });
+    }
+};
+
+// Create a batch from a volunteer's approved own-money expenses; all of them
+// when spendIds is not given
+exports.createBatch = async (req, res) => {
+    try {
+        const organizationId = await resolveOrganization(req, res, req.body.organizationId);
+        if (!organizationId) return;
+
+        const { payeeUserId, spendIds, notes } = req.body;
+
+        const eligible = await ReimbursementBatch.findEligibleSpends(organizationId, payeeUserId);
+        let spends = eligible;
+
+        if (spendIds) {
+            const requested = spendIds.map(Number);
+            spends = eligible.filter(spend => requested.includes(spend.ProjectSpendId));
+
+            const missing = requested.filter(id => !spends.some(spend => spend.ProjectSpendId === id));
+            if (missing.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Expenses ${missing.join(', ')} are not approved own-money expenses of this volunteer waiting for reimbursement`
+                });
+            }
+        }
+
+        if (spends.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This volunteer has no approved own-money expenses waiting for reimbursement'
+            });
+        }
+
+        let batchId;
+        try {
+            batchId = await ReimbursementBatch.create({
+                organizationId,
+                payeeUserId,
+                spends,
+                notes,
+                createdBy: req.user.UserId
+            });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Some of these expenses were added to another batch meanwhile'
+                });
+            }
+            throw error;
+        }
+
+        const batch = await ReimbursementBatch.findById(batchId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Reimbursement batch created successfully',
+            data: {
+                batch,
+                spends: await ReimbursementBatch.getSpends(batchId)
+            }
+        });
+    } catch (error) {
+        console.error('Create reimbursement batch error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create reimbursement batch' });
+    }
+};
+
+// Get batch by ID with its expenses and payments
+exports.getBatchById = async (req, res) => {
+    try {
+        const batch = await findBatchWithAccess(req, res);
+        if (!batch) return;
+
+        res.json({
+            success: true,
+            data: {
+                batch,
+                spends: await ReimbursementBatch.getSpends(batch.BatchId),
+                payments: await ReimbursementBatch.getPayments(batch.BatchId)
+            }
+        });
+    } catch (error) {
+        console.error('Get reimbursement batch error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch reimbursement batch' });
+    }
+};
+
+// Record a payout against a batch; less than the outstanding amount leaves it PartiallyPaid
+exports.addPayment = async (req, res) => {
+    try {
+        const batch = await findBatchWithAccess(req, res);
+        if (!batch) return;
+
+        if (batch.PayeeUserId === req.user.UserId) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot record payouts to yourself'
+            });
+        }
+
+        const result = await ReimbursementBatch.addPayment(batch.BatchId, {
+            amount: req.body.amount,
+            payoutMode: req.body.payoutMode,
+            payoutReference: req.body.payoutReference,
+            paidDate: req.body.paidDate,
+            notes: req.body.notes,
+            createdBy: req.user.UserId
+        });
+
+        if (!result) {
+            const current = await ReimbursementBatch.findById(batch.BatchId);
+            return res.status(400).json({
+                success: false,
+                message: ['Open', 'PartiallyPaid'].includes(current.Status)
+                    ? `Payment is more than the ${current.OutstandingAmount} still owed on this batch`
+                    : `Batch is ${current.Status}`
+            });
+        }
+
+        const updatedBatch = await ReimbursementBatch.findById(batch.BatchId);
+
+        res.status(201).json({
+            success: true,
+            message: updatedBatch.Status === 'Paid'
+                ? 'Payment recorded. The batch is paid in full'
+                : `Payment recorded. ${updatedBatch.OutstandingAmount} still owed`,
+            data: {
+                batch: updatedBatch,
+                settledSpendIds: result.settledSpendIds,
+                spends: await ReimbursementBatch.getSpends(batch.BatchId),
+                payments: await ReimbursementBatch.getPayments(batch.BatchId)
+            }
+        });
+    } catch (error) {
+        console.error('Add reimbursement payment error:', error);
+        res.status(500).json({ success: false, message: 'Failed to record payment' });
+    }
+};
+
+// Cancel a batch nothing was paid on yet
+exports.cancelBatch = async (req, res) => {
+    try {
+        const batch = await findBatchWithAccess(req, res);
+        if (!batch) return;
+
+        const cancelled = await ReimbursementBatch.cancel(batch.BatchId, req.user.UserId);
+        if (!cancelled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only batches without payments can be cancelled'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Reimbursement batch cancelled',
+            data: { batch: await ReimbursementBatch.findById(batch.BatchId) }
+        });
+    } catch (error) {
+        console.error('Cancel reimbursement batch error:', error);
+        res.status(500).json({ success: false, message: 'Failed to cancel reimbursement batch' });
+    }
+};
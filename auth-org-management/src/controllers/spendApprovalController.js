@@ -0,0 +1,93 @@
+const { queryOne } = require('../config/database');
+const SpendApprovalRule = require('../models/SpendApprovalRule');
+const { checkRules } = require('../services/spendApprovalService');
+const { canAccessOrganization } = require('../services/permissionService');
+
+// Only the organization's own members, or holders of projects.all, manage its approval chain
+const denyOtherOrganization = async (req, res) => {
+    if (!(await canAccessOrganization(req.user, req.params.id))) {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied. You can only manage approval rules for your own organization.'
+        });
+        return true;
+    }
+    return false;
+};
+
+const findOrganization = (id) => queryOne(
+    'SELECT OrganizationId FROM organizations WHERE OrganizationId = ? AND IsDeleted = FALSE',
+    [id]
+);
+
+// Get the organization's expense approval steps
+const getRules = async (req, res) => {
+    try {
+        if (await denyOtherOrganization(req, res)) return;
+
+        if (!(await findOrganization(req.params.id))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found.'
+            });
+        }
+
+        const rules = await SpendApprovalRule.findByOrganization(req.params.id);
+
+        res.json({
+            success: true,
+            data: { rules, usesDefault: rules.length === 0 }
+        });
+    } catch (error) {
+        console.error('Get spend approval rules error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch approval rules.'
+        });
+    }
+};
+
+// Replace the organization's expense approval steps; an empty list goes back
+// to the single spends.approve step
+const replaceRules = async (req, res) => {
+    try {
+        if (await denyOtherOrganization(req, res)) return;
+
+        if (!(await findOrganization(req.params.id))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found.'
+            });
+        }
+
+        const { steps } = req.body;
+
+        const problem = await checkRules(steps);
+        if (problem) {
+            return res.status(400).json({
+                success: false,
+                message: `${problem}.`
+            });
+        }
+
+        await SpendApprovalRule.replaceForOrganization(req.params.id, steps, req.user.UserId);
+        const rules = await SpendApprovalRule.findByOrganization(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Approval rules saved. They apply to expenses recorded or reopened from now on.',
+            data: { rules, usesDefault: rules.length === 0 }
+        });
+    } catch (error) {
+        console.error('Replace spend approval rules error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save approval rules.'
+        });
+    }
+};
+
+module.exports = {
+    getRules,
+    replaceRules
+};
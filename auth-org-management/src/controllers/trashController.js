@@ -0,0 +1,92 @@
+const config = require('../config');
+const { getProjectScope } = require('../services/projectAccessService');
+const trashService = require('../services/trashService');
+
+// Get deleted records
+exports.getTrash = async (req, res) => {
+    try {
+        const { records, total } = await trashService.listTrash({
+            type: req.query.type,
+            organizationId: req.query.organizationId,
+            projectId: req.query.projectId,
+            scope: await getProjectScope(req.user),
+            limit: req.query.limit || 50,
+            offset: req.query.offset || 0
+        });
+
+        res.json({
+            success: true,
+            data: {
+                records,
+                count: records.length,
+                total,
+                retentionDays: config.trash.retentionDays
+            }
+        });
+    } catch (error) {
+        console.error('Get trash error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch deleted records' });
+    }
+};
+
+// Preview what restoring a record brings back
+exports.getRestorePreview = async (req, res) => {
+    try {
+        const plan = await trashService.buildRestorePlan(
+            req.params.type, req.params.id, await getProjectScope(req.user)
+        );
+        if (!plan) {
+            return res.status(404).json({ success: false, message: 'Deleted record not found' });
+        }
+
+        res.json({
+            success: true,
+            data: trashService.describeRestorePlan(plan)
+        });
+    } catch (error) {
+        console.error('Get restore preview error:', error);
+        res.status(500).json({ success: false, message: 'Failed to preview restore' });
+    }
+};
+
+// Restore a record together with the deleted records it belongs to
+exports.restoreRecord = async (req, res) => {
+    try {
+        const plan = await trashService.buildRestorePlan(
+            req.params.type, req.params.id, await getProjectScope(req.user)
+        );
+        if (!plan) {
+            return res.status(404).json({ success: false, message: 'Deleted record not found' });
+        }
+
+        await trashService.restore(plan, req.user.UserId);
+
+        res.json({
+            success: true,
+            message: plan.records.length > 1
+                ? `Record restored along with ${plan.records.length - 1} record(s) it belongs to`
+                : 'Record restored',
+            data: trashService.describeRestorePlan(plan)
+        });
+    } catch (error) {
+        console.error('Restore record error:', error);
+        res.status(500).json({ success: false, message: 'Failed to restore record' });
+    }
+};
+
+// Permanently delete records that have been in the trash for longer than `days`
+exports.purgeTrash = async (req, res) => {
+    try {
+        const days = req.query.days !== undefined ? parseInt(req.query.days) : config.trash.retentionDays;
+        const { purged, kept, purgedCount } = await trashService.purgeExpiredTrash(days);
+
+        res.json({
+            success: true,
+            message: `Purged ${purgedCount} record(s) deleted more than ${days} days ago`,
+            data: { purged, kept }
+        });
+    } catch (error) {
+        console.error('Purge trash error:', error);
+        res.status(500).json({ success: false, message: 'Failed to purge trash' });
+    }
+};
@@ -0,0 +1,364 @@
+const { query, queryOne } = require('../config/database');
+const { issueTokens } = require('../services/tokenService');
+const { generateSecret, buildOtpAuthUri } = require('../services/totpService');
+const {
+    verifyChallengeToken,
+    isTwoFactorRequired,
+    verifyTotpForUser,
+    verifySecondFactor,
+    generateRecoveryCodes,
+    countRecoveryCodes,
+    listPolicies,
+    setPolicy
+} = require('../services/twoFactorService');
+const { getLockout, recordAttempt, clearAttempts } = require('../services/bruteForceService');
+const { sendLockout } = require('../middleware/bruteForce');
+const { roleHierarchy } = require('../middleware/rbac');
+const config = require('../config');
+
+// Same user payload as a password login
+const loginResponseUser = (user) => ({
+    userId: user.UserId,
+    email: user.Email,
+    mobileNumber: user.MobileNumber,
+    fullName: user.FullName,
+    username: user.Username,
+    role: user.RoleName,
+    roleCode: user.RoleCode,
+    organizationId: user.OrganizationId
+});
+
+// Get own 2FA status
+const getStatus = async (req, res) => {
+    try {
+        const enabled = !!req.user.TwoFactorEnabled;
+
+        res.json({
+            success: true,
+            data: {
+                enabled,
+                required: await isTwoFactorRequired(req.user.RoleCode),
+                recoveryCodesRemaining: enabled ? await countRecoveryCodes(req.user.UserId) : 0
+            }
+        });
+    } catch (error) {
+        console.error('Get 2FA status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get two-factor status.'
+        });
+    }
+};
+
+// Start enrollment: create a secret and return its provisioning URI
+const setup = async (req, res) => {
+    try {
+        if (req.user.TwoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled.'
+            });
+        }
+
+        const secret = generateSecret();
+
+        await query(
+            'UPDATE users SET TwoFactorSecret = ?, TwoFactorLastStep = NULL WHERE UserId = ?',
+            [secret, req.user.UserId]
+        );
+
+        res.json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code.',
+            data: {
+                secret,
+                otpauthUri: buildOtpAuthUri(secret, req.user.Email || req.user.MobileNumber, config.twoFactor.issuer)
+            }
+        });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start two-factor setup.'
+        });
+    }
+};
+
+// Finish enrollment with a code from the app; returns the recovery codes once.
+// When reached through a setup challenge this also completes the login.
+const enable = async (req, res) => {
+    try {
+        const user = req.user;
+
+        if (user.TwoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled.'
+            });
+        }
+
+        if (!user.TwoFactorSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start two-factor setup first.'
+            });
+        }
+
+        if (!await verifyTotpForUser(user, req.body.code)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code.'
+            });
+        }
+
+        await query(
+            'UPDATE users SET TwoFactorEnabled = TRUE, TwoFactorEnabledAt = NOW() WHERE UserId = ?',
+            [user.UserId]
+        );
+
+        const recoveryCodes = await generateRecoveryCodes(user.UserId);
+        const data = { recoveryCodes };
+
+        if (req.twoFactorSetupChallenge) {
+            await query('UPDATE users SET LastLogin = NOW() WHERE UserId = ?', [user.UserId]);
+
+            const { token, refreshToken } = await issueTokens(user, req);
+            data.token = token;
+            data.refreshToken = refreshToken;
+            data.user = loginResponseUser(user);
+        }
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+            data
+        });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to enable two-factor authentication.'
+        });
+    }
+};
+
+// Second login step: exchange a challenge token and a code for tokens
+const verifyLogin = async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+
+        const decoded = verifyChallengeToken(challengeToken, 'login');
+        if (!decoded) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired challenge. Please login again.'
+            });
+        }
+
+        const user = await queryOne(
+            `SELECT u.*, r.RoleName, r.RoleCode
+             FROM users u
+             LEFT JOIN roles r ON u.RoleId = r.RoleId
+             WHERE u.UserId = ? AND u.Status = 'Active'`,
+            [decoded.userId]
+        );
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'User not found or inactive.'
+            });
+        }
+
+        req.attemptAccount = user.Email || user.MobileNumber;
+
+        const lockedFor = await getLockout('2fa_verify', req);
+        if (lockedFor) {
+            return sendLockout(res, lockedFor);
+        }
+
+        const result = await verifySecondFactor(user, code);
+
+        if (!result.valid) {
+            const lockedNow = await recordAttempt('2fa_verify', req);
+            if (lockedNow) {
+                return sendLockout(res, lockedNow);
+            }
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code.'
+            });
+        }
+
+        await clearAttempts('2fa_verify', req);
+
+        await query('UPDATE users SET LastLogin = NOW() WHERE UserId = ?', [user.UserId]);
+
+        const { token, refreshToken } = await issueTokens(user, req);
+
+        const data = {
+            token,
+            refreshToken,
+            user: loginResponseUser(user)
+        };
+
+        if (result.method === 'recovery_code') {
+            data.recoveryCodesRemaining = await countRecoveryCodes(user.UserId);
+        }
+
+        res.json({
+            success: true,
+            message: 'Login successful.',
+            data
+        });
+    } catch (error) {
+        console.error('2FA verify error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Verification failed. Please try again.'
+        });
+    }
+};
+
+// Turn off 2FA (not allowed when the user's role requires it)
+const disable = async (req, res) => {
+    try {
+        const user = req.user;
+
+        if (!user.TwoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled.'
+            });
+        }
+
+        if (await isTwoFactorRequired(user.RoleCode)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is required for your role.'
+            });
+        }
+
+        const result = await verifySecondFactor(user, req.body.code);
+        if (!result.valid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code.'
+            });
+        }
+
+        await query(
+            `UPDATE users SET TwoFactorEnabled = FALSE, TwoFactorSecret = NULL,
+                              TwoFactorEnabledAt = NULL, TwoFactorLastStep = NULL
+             WHERE UserId = ?`,
+            [user.UserId]
+        );
+        await query('DELETE FROM two_factor_recovery_codes WHERE UserId = ?', [user.UserId]);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled.'
+        });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to disable two-factor authentication.'
+        });
+    }
+};
+
+// Replace recovery codes (requires a current authenticator code)
+const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const user = req.user;
+
+        if (!user.TwoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled.'
+            });
+        }
+
+        if (!await verifyTotpForUser(user, req.body.code)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code.'
+            });
+        }
+
+        const recoveryCodes = await generateRecoveryCodes(user.UserId);
+
+        res.json({
+            success: true,
+            message: 'New recovery codes generated. Previous codes no longer work.',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate recovery codes.'
+        });
+    }
+};
+
+// Get 2FA enforcement per role (Admin)
+const getPolicies = async (req, res) => {
+    try {
+        const policies = await listPolicies();
+
+        res.json({
+            success: true,
+            data: policies
+        });
+    } catch (error) {
+        console.error('Get 2FA policies error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get two-factor policies.'
+        });
+    }
+};
+
+// Require or stop requiring 2FA for a role (Admin)
+const updatePolicy = async (req, res) => {
+    try {
+        const { roleCode } = req.params;
+        const { required } = req.body;
+
+        if (!(roleCode in roleHierarchy)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found.'
+            });
+        }
+
+        await setPolicy(roleCode, required, req.user.UserId);
+
+        res.json({
+            success: true,
+            message: required
+                ? `Two-factor authentication is now required for ${roleCode}.`
+                : `Two-factor authentication is no longer required for ${roleCode}.`
+        });
+    } catch (error) {
+        console.error('Update 2FA policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update two-factor policy.'
+        });
+    }
+};
+
+module.exports = {
+    getStatus,
+    setup,
+    enable,
+    verifyLogin,
+    disable,
+    regenerateRecoveryCodes,
+    getPolicies,
+    updatePolicy
+};
@@ -1,5 +1,6 @@
 const bcrypt = require('bcryptjs');
 const { query, queryOne } = require('../config/database');
+const { listSessions, revokeSession } = require('../services/sessionService');
 
 // Get all users (with pagination)
 const getAllUsers = async (req, res) => {
@@ -260,13 +261,29 @@ const updateProfile = async (req, res) => {
             }
         }
 
+        // Mobile numbers are a login identifier, so they must stay unique
+        if (mobileNumber) {
+            const existingUser = await queryOne(
+                'SELECT UserId FROM users WHERE MobileNumber = ? AND UserId != ?',
+                [mobileNumber, userId]
+            );
+            if (existingUser) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Mobile number already registered to another account.'
+                });
+            }
+        }
+
+        // A changed number has to be verified again before it can be used to log in
         await query(
             `UPDATE users SET 
                 FullName = COALESCE(?, FullName),
+                IsMobileVerified = IF(? IS NULL OR ? = MobileNumber, IsMobileVerified, FALSE),
                 MobileNumber = COALESCE(?, MobileNumber),
                 Username = COALESCE(?, Username)
              WHERE UserId = ?`,
-            [fullName, mobileNumber, username, userId]
+            [fullName, mobileNumber || null, mobileNumber || null, mobileNumber || null, username, userId]
         );
 
         res.json({
@@ -339,6 +356,20 @@ const createUser = async (req, res) => {
             });
         }
 
+        if (mobileNumber) {
+            const mobileTaken = await queryOne(
+                'SELECT UserId FROM users WHERE MobileNumber = ?',
+                [mobileNumber]
+            );
+
+            if (mobileTaken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Mobile number already registered to another account.'
+                });
+            }
+        }
+
         const hashedPassword = await bcrypt.hash(password, 12);
 
         const result = await query(
@@ -411,6 +442,67 @@ const searchUserByPhone = async (req, res) => {
     }
 };
 
+// Get a user's sessions (Admin)
+const getUserSessions = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const includeRevoked = req.query.includeRevoked === 'true';
+
+        const user = await queryOne('SELECT UserId FROM users WHERE UserId = ?', [id]);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+
+        const sessions = await listSessions(id, { includeRevoked });
+
+        res.json({
+            success: true,
+            data: sessions
+        });
+    } catch (error) {
+        console.error('Get user sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get user sessions.'
+        });
+    }
+};
+
+// Revoke one of a user's sessions (Admin)
+const revokeUserSession = async (req, res) => {
+    try {
+        const { id, sessionId } = req.params;
+
+        const session = await queryOne(
+            'SELECT SessionId FROM user_sessions WHERE SessionId = ? AND UserId = ? AND RevokedAt IS NULL',
+            [sessionId, id]
+        );
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found.'
+            });
+        }
+
+        await revokeSession(sessionId, 'session_revoked', req.user.UserId);
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully.'
+        });
+    } catch (error) {
+        console.error('Revoke user session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke session.'
+        });
+    }
+};
+
 module.exports = {
     getAllUsers,
     getUserById,
@@ -420,5 +512,7 @@ module.exports = {
     updateProfile,
     changePassword,
     createUser,
-    searchUserByPhone
+    searchUserByPhone,
+    getUserSessions,
+    revokeUserSession
 };
@@ -1,8 +1,12 @@
 const { v4: uuidv4 } = require('uuid');
 const ApiLog = require('../models/ApiLog');
 
-// Sensitive fields to exclude from logging
-const SENSITIVE_FIELDS = ['password', 'token', 'refreshToken', 'otp', 'secret', 'authorization'];
+// Sensitive fields to exclude from logging. code, challengeToken and the
+// recovery fields carry live 2FA challenges and single-use recovery codes.
+const SENSITIVE_FIELDS = [
+    'password', 'token', 'refreshToken', 'otp', 'secret', 'authorization',
+    'challengeToken', 'code', 'recoveryCode', 'recoveryCodes'
+];
 
 // Endpoints to exclude from logging
 const EXCLUDED_ENDPOINTS = ['/health', '/api-docs', '/favicon.ico'];
@@ -22,11 +26,10 @@ const sanitizeBody = (body) => {
     return sanitized;
 };
 
-// Get client IP address
+// Get client IP address. req.ip only reads X-Forwarded-For from the proxies
+// trusted through TRUST_PROXY, so clients cannot pick their own address.
 const getClientIp = (req) => {
-    return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-        req.headers['x-real-ip'] ||
-        req.connection?.remoteAddress ||
+    return req.ip ||
         req.socket?.remoteAddress ||
         'unknown';
 };
@@ -82,6 +85,8 @@ const apiLogger = (options = {}) => {
                     responseTime,
                     userId: req.user?.UserId || null,
                     userEmail: req.user?.Email || null,
+                    apiKeyId: req.apiKey?.ApiKeyId || null,
+                    impersonatorId: req.impersonator?.UserId || null,
                     ipAddress: getClientIp(req),
                     userAgent: req.headers['user-agent']?.substring(0, 500) || null,
                     requestBody: Object.keys(req.body || {}).length > 0
@@ -118,3 +123,4 @@ const apiLogger = (options = {}) => {
 };
 
 module.exports = apiLogger;
+module.exports.getClientIp = getClientIp;
@@ -1,12 +1,48 @@
-const jwt = require('jsonwebtoken');
 const config = require('../config');
 const { queryOne } = require('../config/database');
+const { findActiveSession, touchSession } = require('../services/sessionService');
+const { signToken, verifyToken } = require('../services/jwtKeyService');
+const { findActiveImpersonation } = require('../services/impersonationService');
+const { applyActiveOrganization } = require('../services/organizationMemberService');
+const { isApiKey, hasScopeFor, findActiveApiKey, touchApiKey, buildKeyPrincipal } = require('../services/apiKeyService');
+
+// Requests from scripts send an org API key instead of a user's JWT
+const authenticateApiKey = async (key, req, res, next) => {
+    const apiKey = await findActiveApiKey(key);
+
+    if (!apiKey) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid, expired or revoked API key.'
+        });
+    }
+
+    if (!hasScopeFor(apiKey.Scopes, req)) {
+        return res.status(403).json({
+            success: false,
+            message: 'API key does not have the required scope.'
+        });
+    }
+
+    req.user = buildKeyPrincipal(apiKey);
+    req.apiKey = apiKey;
+
+    touchApiKey(apiKey.ApiKeyId, req).catch((error) => {
+        console.error('API key touch error:', error.message);
+    });
+
+    next();
+};
 
 // Verify JWT token middleware
 const authenticate = async (req, res, next) => {
     try {
         const authHeader = req.headers.authorization;
 
+        if (req.headers['x-api-key']) {
+            return authenticateApiKey(req.headers['x-api-key'], req, res, next);
+        }
+
         if (!authHeader || !authHeader.startsWith('Bearer ')) {
             return res.status(401).json({
                 success: false,
@@ -16,8 +52,25 @@ const authenticate = async (req, res, next) => {
 
         const token = authHeader.split(' ')[1];
 
+        if (isApiKey(token)) {
+            return authenticateApiKey(token, req, res, next);
+        }
+
         try {
-            const decoded = jwt.verify(token, config.jwt.secret);
+            const decoded = verifyToken(token);
+
+            // Every access token belongs to a session that can be revoked remotely
+            const session = decoded.sid
+                ? await findActiveSession(decoded.sid, decoded.userId)
+                : null;
+
+            if (!session) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has been revoked. Please login again.',
+                    sessionRevoked: true
+                });
+            }
 
             // Fetch user from database
             const user = await queryOne(
@@ -35,7 +88,36 @@ const authenticate = async (req, res, next) => {
                 });
             }
 
-            req.user = user;
+            // Impersonation tokens stay valid only while the impersonation is live
+            if (decoded.act) {
+                const impersonation = decoded.imp
+                    ? await findActiveImpersonation(decoded.imp, decoded.act.sub)
+                    : null;
+
+                if (!impersonation) {
+                    return res.status(401).json({
+                        success: false,
+                        message: 'Impersonation has ended.',
+                        sessionRevoked: true
+                    });
+                }
+
+                req.impersonator = {
+                    UserId: impersonation.UserId,
+                    FullName: impersonation.FullName,
+                    Email: impersonation.Email
+                };
+                req.impersonationId = impersonation.ImpersonationId;
+            }
+
+            // Act for the organization chosen on this session
+            req.user = await applyActiveOrganization(user, session.ActiveOrganizationId);
+            req.sessionId = session.SessionId;
+
+            touchSession(session.SessionId, req).catch((error) => {
+                console.error('Session touch error:', error.message);
+            });
+
             next();
         } catch (jwtError) {
             if (jwtError.name === 'TokenExpiredError') {
@@ -66,7 +148,16 @@ const optionalAuth = async (req, res, next) => {
         if (authHeader && authHeader.startsWith('Bearer ')) {
             const token = authHeader.split(' ')[1];
             try {
-                const decoded = jwt.verify(token, config.jwt.secret);
+                const decoded = verifyToken(token);
+                const session = decoded.sid
+                    ? await findActiveSession(decoded.sid, decoded.userId)
+                    : null;
+                if (!session) {
+                    return next();
+                }
+                if (decoded.act && !(decoded.imp && await findActiveImpersonation(decoded.imp, decoded.act.sub))) {
+                    return next();
+                }
                 const user = await queryOne(
                     `SELECT u.*, r.RoleName, r.RoleCode 
                      FROM users u 
@@ -74,7 +165,8 @@ const optionalAuth = async (req, res, next) => {
                      WHERE u.UserId = ? AND u.Status = 'Active'`,
                     [decoded.userId]
                 );
-                req.user = user;
+                req.user = user && await applyActiveOrganization(user, session.ActiveOrganizationId);
+                req.sessionId = session.SessionId;
             } catch (error) {
                 // Token invalid, continue without user
             }
@@ -85,16 +177,28 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
-// Generate JWT token
-const generateToken = (user) => {
-    return jwt.sign(
+// Block account-security changes while a SUPER_ADMIN is impersonating
+const denyImpersonation = (req, res, next) => {
+    if (req.impersonator) {
+        return res.status(403).json({
+            success: false,
+            message: 'This action is not allowed while impersonating a user.'
+        });
+    }
+    next();
+};
+
+// Generate JWT token bound to a session
+const generateToken = (user, sessionId) => {
+    return signToken(
         {
             userId: user.UserId,
             email: user.Email,
             roleId: user.RoleId,
-            roleCode: user.RoleCode
+            roleCode: user.RoleCode,
+            orgId: user.OrganizationId || null,
+            sid: sessionId
         },
-        config.jwt.secret,
         { expiresIn: config.jwt.expiresIn }
     );
 };
@@ -102,5 +206,6 @@ const generateToken = (user) => {
 module.exports = {
     authenticate,
     optionalAuth,
+    denyImpersonation,
     generateToken
 };
@@ -0,0 +1,40 @@
+const { getLockout } = require('../services/bruteForceService');
+
+// Respond with a lockout error the app can tell apart from bad credentials
+const sendLockout = (res, retryAfter) => {
+    const minutes = Math.ceil(retryAfter / 60);
+
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: `Too many failed attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+        locked: true,
+        retryAfter
+    });
+};
+
+// Reject requests from a locked account or IP for the given scope
+const checkLockout = (scope) => {
+    return async (req, res, next) => {
+        try {
+            const retryAfter = await getLockout(scope, req);
+
+            if (retryAfter > 0) {
+                return sendLockout(res, retryAfter);
+            }
+
+            next();
+        } catch (error) {
+            console.error('Lockout check error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Authentication error.'
+            });
+        }
+    };
+};
+
+module.exports = {
+    checkLockout,
+    sendLockout
+};
@@ -1,6 +1,8 @@
 // Role-based access control middleware
+const { hasAnyPermission } = require('../services/permissionService');
 
-// Role hierarchy for permission inheritance
+// Role ranking, used where one role must not outrank another (e.g. invitations).
+// Access to routes is granted by permissions, see requirePermission.
 const roleHierarchy = {
     'SUPER_ADMIN': 100,
     'ADMIN': 80,
@@ -71,7 +73,38 @@ const requireMinRole = (minRoleCode) => {
     };
 };
 
-// Organization Admin can only access their own organization
+// Check if user's role is granted one of the permissions (Super Admin has all)
+const requirePermission = (...permissionCodes) => {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required.'
+            });
+        }
+
+        try {
+            if (await hasAnyPermission(req.user, permissionCodes)) {
+                return next();
+            }
+        } catch (error) {
+            console.error('Permission check error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to check permissions.'
+            });
+        }
+
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied. Insufficient permissions.'
+        });
+    };
+};
+
+// Organization Admin can only access their own organization. For users of
+// several organizations this is the one the session switched to, since
+// authenticate puts it (and the role held there) on req.user.
 const requireOrgAccess = (req, res, next) => {
     if (!req.user) {
         return res.status(401).json({
@@ -85,7 +118,7 @@ const requireOrgAccess = (req, res, next) => {
         return next();
     }
 
-    // Organization Admin can only access their own organization
+    // Organization Admin can only access their active organization
     if (req.user.RoleCode === 'ORG_ADMIN') {
         const requestedOrgId = parseInt(req.params.organizationId || req.body.organizationId);
 
@@ -99,7 +132,7 @@ const requireOrgAccess = (req, res, next) => {
         if (requestedOrgId && requestedOrgId !== req.user.OrganizationId) {
             return res.status(403).json({
                 success: false,
-                message: 'Access denied. You can only access your own organization.'
+                message: 'Access denied. You can only access your active organization.'
             });
         }
 
@@ -129,6 +162,7 @@ const requireOrgManager = requireRole('SUPER_ADMIN', 'ADMIN', 'ORG_ADMIN');
 module.exports = {
     requireRole,
     requireMinRole,
+    requirePermission,
     requireOrgAccess,
     requireAdmin,
     requireSuperAdmin,
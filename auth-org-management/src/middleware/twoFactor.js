@@ -0,0 +1,53 @@
+const { queryOne } = require('../config/database');
+const { authenticate } = require('./auth');
+const { verifyChallengeToken } = require('../services/twoFactorService');
+
+// Enrollment is reachable with a normal access token, or with the setup
+// challenge handed out when a user's role requires 2FA they have not set up.
+const authenticateOrSetupChallenge = async (req, res, next) => {
+    const challengeToken = req.body?.challengeToken;
+
+    if (!challengeToken) {
+        return authenticate(req, res, next);
+    }
+
+    try {
+        const decoded = verifyChallengeToken(challengeToken, 'setup');
+
+        if (!decoded) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired challenge. Please login again.'
+            });
+        }
+
+        const user = await queryOne(
+            `SELECT u.*, r.RoleName, r.RoleCode
+             FROM users u
+             LEFT JOIN roles r ON u.RoleId = r.RoleId
+             WHERE u.UserId = ? AND u.Status = 'Active'`,
+            [decoded.userId]
+        );
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'User not found or inactive.'
+            });
+        }
+
+        req.user = user;
+        req.twoFactorSetupChallenge = true;
+        next();
+    } catch (error) {
+        console.error('Two-factor challenge error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Authentication error.'
+        });
+    }
+};
+
+module.exports = {
+    authenticateOrSetupChallenge
+};
@@ -1,4 +1,4 @@
-const { validationResult, body, param } = require('express-validator');
+const { validationResult, body, param, query } = require('express-validator');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -136,6 +136,46 @@ const idParamValidation = [
     handleValidationErrors
 ];
 
+// Radius search: a point and an optional radius in km
+const nearbyValidation = [
+    query('latitude')
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude must be between -90 and 90'),
+    query('longitude')
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude must be between -180 and 180'),
+    query('radiusKm')
+        .optional()
+        .isFloat({ gt: 0, max: 500 })
+        .withMessage('Radius must be between 0 and 500 km'),
+    handleValidationErrors
+];
+
+// Map-area search: the edges of a bounding box, plus an optional point to sort by distance from
+const areaValidation = [
+    query(['north', 'south'])
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('North and south must be latitudes between -90 and 90'),
+    query(['east', 'west'])
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('East and west must be longitudes between -180 and 180'),
+    query('north')
+        .custom((north, { req }) => parseFloat(north) >= parseFloat(req.query.south))
+        .withMessage('North must not be below south'),
+    query('east')
+        .custom((east, { req }) => parseFloat(east) >= parseFloat(req.query.west))
+        .withMessage('East must not be west of west'),
+    query('latitude')
+        .optional()
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude must be between -90 and 90'),
+    query('longitude')
+        .optional()
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude must be between -180 and 180'),
+    handleValidationErrors
+];
+
 module.exports = {
     handleValidationErrors,
     signupValidation,
@@ -143,5 +183,7 @@ module.exports = {
     otpValidation,
     roleValidation,
     organizationValidation,
-    idParamValidation
+    idParamValidation,
+    nearbyValidation,
+    areaValidation
 };
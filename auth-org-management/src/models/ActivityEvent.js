@@ -0,0 +1,70 @@
+const db = require('../config/database');
+const { projectScopeClause } = require('../services/projectAccessService');
+
+const parseMetadata = (event) => {
+    if (event && typeof event.Metadata === 'string') {
+        event.Metadata = JSON.parse(event.Metadata);
+    }
+    return event;
+};
+
+class ActivityEvent {
+    // Record an event; the organization is taken from the project
+    static async create({ projectId, eventType, entityType, entityId, summary, metadata, actorUserId }) {
+        const [result] = await db.execute(
+            `INSERT INTO activity_events (OrganizationId, ProjectId, EventType, EntityType, EntityId, Summary, Metadata, ActorUserId)
+             SELECT p.OrganizationId, p.ProjectId, ?, ?, ?, ?, ?, ?
+             FROM projects p WHERE p.ProjectId = ?`,
+            [
+                eventType, entityType, entityId || null, summary,
+                metadata ? JSON.stringify(metadata) : null, actorUserId || null, projectId
+            ]
+        );
+        return result.insertId;
+    }
+
+    // Newest events first, of a project or an organization. Pages are cut by
+    // cursor: the ActivityId of the last event already shown.
+    static async findAll(filters = {}) {
+        let query = `
+            SELECT a.*, p.ProjectName, u.FullName as ActorName
+            FROM activity_events a
+            JOIN projects p ON a.ProjectId = p.ProjectId
+            LEFT JOIN users u ON a.ActorUserId = u.UserId
+            WHERE p.IsDeleted = FALSE
+        `;
+        const params = [];
+
+        const scope = projectScopeClause(filters.scope, 'a.ProjectId');
+        query += scope.sql;
+        params.push(...scope.params);
+
+        if (filters.projectId) {
+            query += ' AND a.ProjectId = ?';
+            params.push(filters.projectId);
+        }
+
+        if (filters.organizationId) {
+            query += ' AND a.OrganizationId = ?';
+            params.push(filters.organizationId);
+        }
+
+        if (filters.eventTypes && filters.eventTypes.length > 0) {
+            query += ` AND a.EventType IN (${filters.eventTypes.map(() => '?').join(', ')})`;
+            params.push(...filters.eventTypes);
+        }
+
+        if (filters.cursor) {
+            query += ' AND a.ActivityId < ?';
+            params.push(filters.cursor);
+        }
+
+        query += ' ORDER BY a.ActivityId DESC LIMIT ?';
+        params.push(parseInt(filters.limit) || 20);
+
+        const [rows] = await db.execute(query, params);
+        return rows.map(parseMetadata);
+    }
+}
+
+module.exports = ActivityEvent;
@@ -5,19 +5,19 @@ class ApiLog {
     static async create(logData) {
         const {
             requestId, method, endpoint, statusCode, responseTime,
-            userId, userEmail, ipAddress, userAgent,
+            userId, userEmail, apiKeyId, impersonatorId, ipAddress, userAgent,
             requestBody, responseBody, errorMessage
         } = logData;
 
         const [result] = await db.pool.execute(
             `INSERT INTO api_logs (
                 RequestId, Method, Endpoint, StatusCode, ResponseTime,
-                UserId, UserEmail, IpAddress, UserAgent,
+                UserId, UserEmail, ApiKeyId, ImpersonatorId, IpAddress, UserAgent,
                 RequestBody, ResponseBody, ErrorMessage
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
                 requestId, method, endpoint, statusCode, responseTime,
-                userId || null, userEmail || null, ipAddress, userAgent,
+                userId || null, userEmail || null, apiKeyId || null, impersonatorId || null, ipAddress, userAgent,
                 requestBody ? JSON.stringify(requestBody) : null,
                 responseBody ? JSON.stringify(responseBody) : null,
                 errorMessage || null
@@ -31,7 +31,7 @@ class ApiLog {
         let query = `
             SELECT 
                 LogId, RequestId, Method, Endpoint, StatusCode, ResponseTime,
-                UserId, UserEmail, IpAddress, UserAgent, ErrorMessage, CreatedAt
+                UserId, UserEmail, ApiKeyId, ImpersonatorId, IpAddress, UserAgent, ErrorMessage, CreatedAt
             FROM api_logs
             WHERE 1=1
         `;
@@ -42,6 +42,15 @@ class ApiLog {
             params.push(filters.userId);
         }
 
+        if (filters.apiKeyId) {
+            query += ' AND ApiKeyId = ?';
+            params.push(filters.apiKeyId);
+        }
+
+        if (filters.impersonated) {
+            query += ' AND ImpersonatorId IS NOT NULL';
+        }
+
         if (filters.method) {
             query += ' AND Method = ?';
             params.push(filters.method);
@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const { projectScopeClause } = require('../services/projectAccessService');
 
 class BeneficiaryDonation {
     // Create a new beneficiary donation
@@ -57,6 +58,10 @@ class BeneficiaryDonation {
         `;
         const params = [];
 
+        const scope = projectScopeClause(filters.scope, 'bd.ProjectId');
+        query += scope.sql;
+        params.push(...scope.params);
+
         if (filters.projectId) {
             query += ' AND bd.ProjectId = ?';
             params.push(filters.projectId);
@@ -133,8 +138,8 @@ class BeneficiaryDonation {
     // Delete (soft)
     static async delete(id, deletedBy) {
         const [result] = await db.execute(
-            `UPDATE beneficiary_donations SET IsDeleted = TRUE, UpdatedBy = ? WHERE BeneficiaryDonationId = ?`,
-            [deletedBy, id]
+            `UPDATE beneficiary_donations SET IsDeleted = TRUE, DeletedBy = ?, DeletedDate = NOW(), UpdatedBy = ? WHERE BeneficiaryDonationId = ?`,
+            [deletedBy, deletedBy, id]
         );
         return result.affectedRows > 0;
     }
@@ -162,8 +167,8 @@ class BeneficiaryDonation {
         return rows;
     }
 
-    static async deleteMedia(mediaId) {
-        const [result] = await db.execute(`UPDATE beneficiary_donation_media SET IsDeleted = TRUE WHERE MediaId = ?`, [mediaId]);
+    static async deleteMedia(mediaId, beneficiaryDonationId, deletedBy) {
+        const [result] = await db.execute(`UPDATE beneficiary_donation_media SET IsDeleted = TRUE, DeletedBy = ?, DeletedDate = NOW() WHERE MediaId = ? AND BeneficiaryDonationId = ?`, [deletedBy, mediaId, beneficiaryDonationId]);
         return result.affectedRows > 0;
     }
 
@@ -180,6 +185,19 @@ class BeneficiaryDonation {
         );
         return rows[0];
     }
+
+    // What reached beneficiaries (Distributed or Completed), per donation type
+    static async getDistributionTotals(projectId) {
+        const [rows] = await db.execute(
+            `SELECT DonationType, COUNT(*) as DonationCount, COALESCE(SUM(Amount), 0) as TotalAmount
+             FROM beneficiary_donations
+             WHERE ProjectId = ? AND Status IN ('Distributed', 'Completed') AND IsDeleted = FALSE
+             GROUP BY DonationType
+             ORDER BY TotalAmount DESC`,
+            [projectId]
+        );
+        return rows;
+    }
 }
 
 module.exports = BeneficiaryDonation;
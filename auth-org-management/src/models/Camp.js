@@ -1,4 +1,6 @@
 const db = require('../config/database');
+const { projectScopeClause } = require('../services/projectAccessService');
+const { areaClause, distanceColumn } = require('../services/geoService');
 
 class Camp {
     // Create a new camp
@@ -45,16 +47,24 @@ class Camp {
 
     // Find all camps with filters
     static async findAll(filters = {}) {
+        // With a geo filter (geoService.nearbyQuery / areaQuery) camps are sorted by distance from its point
+        const distance = filters.geo && filters.geo.point ? distanceColumn(filters.geo.point, 'c') : null;
+
         let query = `
             SELECT c.*,
                    p.ProjectName,
                    (SELECT COUNT(*) FROM camp_media WHERE CampId = c.CampId AND MediaType = 'IMAGE' AND IsDeleted = FALSE) as ImageCount,
                    (SELECT COUNT(*) FROM camp_media WHERE CampId = c.CampId AND MediaType = 'VIDEO' AND IsDeleted = FALSE) as VideoCount
+                   ${distance ? `, ${distance.sql} as DistanceKm` : ''}
             FROM camps c
             LEFT JOIN projects p ON c.ProjectId = p.ProjectId
             WHERE c.IsDeleted = FALSE
         `;
-        const params = [];
+        const params = distance ? [...distance.params] : [];
+
+        const scope = projectScopeClause(filters.scope, 'c.ProjectId');
+        query += scope.sql;
+        params.push(...scope.params);
 
         if (filters.projectId) {
             query += ' AND c.ProjectId = ?';
@@ -92,7 +102,23 @@ class Camp {
             params.push(searchTerm, searchTerm, searchTerm);
         }
 
-        query += ' ORDER BY c.CampStartDate DESC';
+        // Camps still to come: not finished, cancelled or past their last day
+        if (filters.upcoming) {
+            query += ` AND c.CampStatus IN ('Planned', 'Ongoing') AND COALESCE(c.CampEndDate, c.CampStartDate) >= NOW()`;
+        }
+
+        if (filters.geo) {
+            const area = areaClause(filters.geo.area, 'c');
+            query += area.sql;
+            params.push(...area.params);
+
+            if (distance && filters.geo.radiusKm) {
+                query += ` AND ${distance.sql} <= ?`;
+                params.push(...distance.params, filters.geo.radiusKm);
+            }
+        }
+
+        query += distance ? ' ORDER BY DistanceKm ASC, c.CampStartDate ASC' : ' ORDER BY c.CampStartDate DESC';
 
         if (filters.limit) {
             query += ' LIMIT ?';
@@ -157,8 +183,8 @@ class Camp {
     // Soft delete
     static async delete(campId, deletedBy) {
         const [result] = await db.execute(
-            `UPDATE camps SET IsDeleted = TRUE, UpdatedBy = ? WHERE CampId = ?`,
-            [deletedBy, campId]
+            `UPDATE camps SET IsDeleted = TRUE, DeletedBy = ?, DeletedDate = NOW(), UpdatedBy = ? WHERE CampId = ?`,
+            [deletedBy, deletedBy, campId]
         );
         return result.affectedRows > 0;
     }
@@ -217,8 +243,8 @@ class Camp {
     }
 
     // Update media
-    static async updateMedia(mediaId, updateData) {
-        const { caption, displayOrder } = updateData;
+    static async updateMedia(mediaId, campId, updateData) {
+        const { caption, displayOrder, isPublic } = updateData;
         const updates = [];
         const params = [];
 
@@ -230,23 +256,41 @@ class Camp {
             updates.push('DisplayOrder = ?');
             params.push(displayOrder);
         }
+        if (isPublic !== undefined) {
+            updates.push('IsPublic = ?');
+            params.push(isPublic);
+        }
 
         if (updates.length === 0) return false;
 
-        params.push(mediaId);
+        params.push(mediaId, campId);
 
         const [result] = await db.execute(
-            `UPDATE camp_media SET ${updates.join(', ')} WHERE MediaId = ? AND IsDeleted = FALSE`,
+            `UPDATE camp_media SET ${updates.join(', ')} WHERE MediaId = ? AND CampId = ? AND IsDeleted = FALSE`,
             params
         );
         return result.affectedRows > 0;
     }
 
+    // Media picked for the public microsite, from a project's completed camps
+    static async getPublicMedia(projectId) {
+        const [rows] = await db.execute(
+            `SELECT m.*
+             FROM camp_media m
+             JOIN camps c ON m.CampId = c.CampId
+             WHERE c.ProjectId = ? AND c.CampStatus = 'Completed' AND c.IsDeleted = FALSE
+               AND m.IsPublic = TRUE AND m.IsDeleted = FALSE
+             ORDER BY m.DisplayOrder ASC, m.UploadedDate DESC`,
+            [projectId]
+        );
+        return rows;
+    }
+
     // Delete media
-    static async deleteMedia(mediaId) {
+    static async deleteMedia(mediaId, campId, deletedBy) {
         const [result] = await db.execute(
-            `UPDATE camp_media SET IsDeleted = TRUE WHERE MediaId = ?`,
-            [mediaId]
+            `UPDATE camp_media SET IsDeleted = TRUE, DeletedBy = ?, DeletedDate = NOW() WHERE MediaId = ? AND CampId = ?`,
+            [deletedBy, mediaId, campId]
         );
         return result.affectedRows > 0;
     }
@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const { projectScopeClause } = require('../services/projectAccessService');
 
 class Campaign {
     // Create a new campaign
@@ -76,6 +77,10 @@ class Campaign {
         `;
         const params = [];
 
+        const scope = projectScopeClause(filters.scope, 'c.ProjectId');
+        query += scope.sql;
+        params.push(...scope.params);
+
         if (filters.projectId) {
             query += ' AND c.ProjectId = ?';
             params.push(filters.projectId);
@@ -174,8 +179,8 @@ class Campaign {
     // Soft delete
     static async delete(campaignId, deletedBy) {
         const [result] = await db.execute(
-            `UPDATE campaigns SET IsDeleted = TRUE, UpdatedBy = ? WHERE CampaignId = ?`,
-            [deletedBy, campaignId]
+            `UPDATE campaigns SET IsDeleted = TRUE, DeletedBy = ?, DeletedDate = NOW(), UpdatedBy = ? WHERE CampaignId = ?`,
+            [deletedBy, deletedBy, campaignId]
         );
         return result.affectedRows > 0;
     }
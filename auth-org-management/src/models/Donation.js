@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const { projectScopeClause } = require('../services/projectAccessService');
 
 class Donation {
     // Create a new donation
@@ -37,7 +38,7 @@ class Donation {
     static async findById(donationId) {
         const [rows] = await db.execute(
             `SELECT d.*,
-                    c.CampaignName, c.CampaignCode,
+                    c.CampaignName, c.CampaignCode, c.ProjectId as CampaignProjectId,
                     p.ProjectName,
                     u.FullName as CreatedByName
              FROM donations d
@@ -72,6 +73,10 @@ class Donation {
         `;
         const params = [];
 
+        const scope = projectScopeClause(filters.scope, 'COALESCE(d.ProjectId, c.ProjectId)');
+        query += scope.sql;
+        params.push(...scope.params);
+
         if (filters.campaignId) {
             query += ' AND d.CampaignId = ?';
             params.push(filters.campaignId);
@@ -198,8 +203,8 @@ class Donation {
     // Soft delete
     static async delete(donationId, deletedBy) {
         const [result] = await db.execute(
-            `UPDATE donations SET IsDeleted = TRUE, UpdatedBy = ? WHERE DonationId = ?`,
-            [deletedBy, donationId]
+            `UPDATE donations SET IsDeleted = TRUE, DeletedBy = ?, DeletedDate = NOW(), UpdatedBy = ? WHERE DonationId = ?`,
+            [deletedBy, deletedBy, donationId]
         );
         return result.affectedRows > 0;
     }
@@ -1,27 +1,46 @@
 const db = require('../config/database');
+const { projectScopeClause } = require('../services/projectAccessService');
+const { areaClause, distanceColumn } = require('../services/geoService');
+const { assignProjectSlug } = require('../services/publicProjectService');
 
 class Project {
-    // Create a new project
+    // Create a new project with its slug, status history and the creator as Lead
     static async create(projectData) {
         const {
             projectName, projectTitle, projectDescription, objective,
             bannerUrl, startDate, startTime, endDate, endTime,
-            location, latitude, longitude, status, createdBy
+            location, latitude, longitude, status, organizationId, createdBy
         } = projectData;
 
-        const [result] = await db.execute(
-            `INSERT INTO projects (
-                ProjectName, ProjectTitle, ProjectDescription, Objective,
-                BannerUrl, StartDate, StartTime, EndDate, EndTime,
-                Location, Latitude, Longitude, Status, CreatedBy
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                projectName, projectTitle, projectDescription, objective,
-                bannerUrl, startDate, startTime, endDate, endTime,
-                location, latitude, longitude, status || 'Planned', createdBy
-            ]
-        );
-        return result.insertId;
+        return db.transaction(async (conn) => {
+            const [result] = await conn.query(
+                `INSERT INTO projects (
+                    ProjectName, ProjectTitle, ProjectDescription, Objective,
+                    BannerUrl, StartDate, StartTime, EndDate, EndTime,
+                    Location, Latitude, Longitude, Status, OrganizationId, CreatedBy
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    projectName, projectTitle, projectDescription, objective,
+                    bannerUrl, startDate, startTime, endDate, endTime,
+                    location, latitude, longitude, status || 'Planned', organizationId || null, createdBy
+                ]
+            );
+            const projectId = result.insertId;
+
+            await assignProjectSlug(conn, projectName, projectId);
+
+            await conn.query(
+                `INSERT INTO project_status_history (ProjectId, ToStatus, ChangedBy) VALUES (?, ?, ?)`,
+                [projectId, status || 'Planned', createdBy]
+            );
+
+            await conn.query(
+                `INSERT INTO project_members (ProjectId, UserId, ProjectRole, AddedBy) VALUES (?, ?, 'Lead', ?)`,
+                [projectId, createdBy, createdBy]
+            );
+
+            return projectId;
+        });
     }
 
     // Find project by ID
@@ -39,18 +58,48 @@ class Project {
         return rows[0];
     }
 
+    // Find a published project by its slug, for the public microsite
+    static async findPublicBySlug(slug) {
+        const [rows] = await db.execute(
+            `SELECT p.*, o.OrganizationName, o.OrganizationType, o.City as OrganizationCity
+             FROM projects p
+             LEFT JOIN organizations o ON p.OrganizationId = o.OrganizationId
+             WHERE p.Slug = ? AND p.IsPublic = TRUE AND p.IsActive = TRUE AND p.IsDeleted = FALSE`,
+            [slug]
+        );
+        return rows[0];
+    }
+
+    // Find a project by slug, published or not. Deleted projects keep their
+    // slug while in the trash, so they are included.
+    static async findBySlug(slug) {
+        const [rows] = await db.execute(
+            'SELECT ProjectId, Slug, IsDeleted FROM projects WHERE Slug = ?',
+            [slug]
+        );
+        return rows[0];
+    }
+
     // Find all projects with filters
     static async findAll(filters = {}) {
+        // With a geo filter (geoService.nearbyQuery / areaQuery) projects are sorted by distance from its point
+        const distance = filters.geo && filters.geo.point ? distanceColumn(filters.geo.point, 'p') : null;
+
         let query = `
             SELECT p.*,
                    u.FullName as CreatedByName,
                    (SELECT COUNT(*) FROM project_spends ps WHERE ps.ProjectId = p.ProjectId AND ps.IsDeleted = FALSE) as TotalSpends,
                    (SELECT COALESCE(SUM(Amount), 0) FROM project_spends ps WHERE ps.ProjectId = p.ProjectId AND ps.IsDeleted = FALSE) as TotalAmount
+                   ${distance ? `, ${distance.sql} as DistanceKm` : ''}
             FROM projects p
             LEFT JOIN users u ON p.CreatedBy = u.UserId
             WHERE p.IsDeleted = FALSE
         `;
-        const params = [];
+        const params = distance ? [...distance.params] : [];
+
+        const scope = projectScopeClause(filters.scope);
+        query += scope.sql;
+        params.push(...scope.params);
 
         if (filters.status) {
             query += ' AND p.Status = ?';
@@ -78,7 +127,18 @@ class Project {
             params.push(filters.isActive);
         }
 
-        query += ' ORDER BY p.CreatedDate DESC';
+        if (filters.geo) {
+            const area = areaClause(filters.geo.area, 'p');
+            query += area.sql;
+            params.push(...area.params);
+
+            if (distance && filters.geo.radiusKm) {
+                query += ` AND ${distance.sql} <= ?`;
+                params.push(...distance.params, filters.geo.radiusKm);
+            }
+        }
+
+        query += distance ? ' ORDER BY DistanceKm ASC, p.CreatedDate DESC' : ' ORDER BY p.CreatedDate DESC';
 
         if (filters.limit) {
             query += ' LIMIT ?';
@@ -93,12 +153,13 @@ class Project {
         return rows;
     }
 
-    // Update project
-    static async update(projectId, updateData, updatedBy) {
+    // Update project details (the status goes through setStatus). Runs on
+    // conn when given, as part of the caller's transaction.
+    static async update(projectId, updateData, updatedBy, conn = null) {
         const allowedFields = [
             'ProjectName', 'ProjectTitle', 'ProjectDescription', 'Objective',
             'BannerUrl', 'StartDate', 'StartTime', 'EndDate', 'EndTime',
-            'Location', 'Latitude', 'Longitude', 'Status', 'IsActive'
+            'Location', 'Latitude', 'Longitude', 'IsActive', 'Slug', 'IsPublic'
         ];
 
         const updates = [];
@@ -118,37 +179,135 @@ class Project {
         params.push(updatedBy);
         params.push(projectId);
 
-        const [result] = await db.execute(
-            `UPDATE projects SET ${updates.join(', ')} WHERE ProjectId = ? AND IsDeleted = FALSE`,
-            params
-        );
+        const sql = `UPDATE projects SET ${updates.join(', ')} WHERE ProjectId = ? AND IsDeleted = FALSE`;
+        const [result] = conn ? await conn.query(sql, params) : await db.execute(sql, params);
         return result.affectedRows > 0;
     }
 
+    // Move the project to another status and record the transition. The move
+    // only happens from project.Status, the status it was checked against;
+    // returns false when the project has moved on meanwhile. Runs on conn
+    // when given, as part of the caller's transaction.
+    static async setStatus(project, toStatus, reason, changedBy, conn = null) {
+        if (!conn) {
+            return db.transaction((newConn) => Project.setStatus(project, toStatus, reason, changedBy, newConn));
+        }
+
+        const [result] = await conn.query(
+            `UPDATE projects SET Status = ?, UpdatedBy = ?
+             WHERE ProjectId = ? AND Status = ? AND IsDeleted = FALSE`,
+            [toStatus, changedBy, project.ProjectId, project.Status]
+        );
+        if (result.affectedRows === 0) {
+            return false;
+        }
+
+        await conn.query(
+            `INSERT INTO project_status_history (ProjectId, FromStatus, ToStatus, Reason, ChangedBy)
+             VALUES (?, ?, ?, ?, ?)`,
+            [project.ProjectId, project.Status, toStatus, reason || null, changedBy]
+        );
+        return true;
+    }
+
+    // Status transitions of a project, newest first
+    static async getStatusHistory(projectId) {
+        const [rows] = await db.execute(
+            `SELECT h.*, u.FullName as ChangedByName
+             FROM project_status_history h
+             LEFT JOIN users u ON h.ChangedBy = u.UserId
+             WHERE h.ProjectId = ?
+             ORDER BY h.ChangedDate DESC, h.ProjectStatusHistoryId DESC`,
+            [projectId]
+        );
+        return rows;
+    }
+
     // Soft delete project
     static async delete(projectId, deletedBy) {
         const [result] = await db.execute(
-            `UPDATE projects SET IsDeleted = TRUE, UpdatedBy = ? WHERE ProjectId = ?`,
-            [deletedBy, projectId]
+            `UPDATE projects SET IsDeleted = TRUE, DeletedBy = ?, DeletedDate = NOW(), UpdatedBy = ? WHERE ProjectId = ?`,
+            [deletedBy, deletedBy, projectId]
         );
         return result.affectedRows > 0;
     }
 
-    // Get project statistics
-    static async getStats() {
+    // Get project statistics within a project scope
+    static async getStats(scope) {
+        const scopeClause = projectScopeClause(scope);
         const query = `
             SELECT 
                 COUNT(*) as total,
-                SUM(CASE WHEN Status = 'Planned' THEN 1 ELSE 0 END) as planned,
-                SUM(CASE WHEN Status = 'Ongoing' THEN 1 ELSE 0 END) as ongoing,
-                SUM(CASE WHEN Status = 'Completed' THEN 1 ELSE 0 END) as completed
-            FROM projects
-            WHERE IsDeleted = FALSE
+                SUM(CASE WHEN p.Status = 'Planned' THEN 1 ELSE 0 END) as planned,
+                SUM(CASE WHEN p.Status = 'Ongoing' THEN 1 ELSE 0 END) as ongoing,
+                SUM(CASE WHEN p.Status = 'OnHold' THEN 1 ELSE 0 END) as onHold,
+                SUM(CASE WHEN p.Status = 'Completed' THEN 1 ELSE 0 END) as completed,
+                SUM(CASE WHEN p.Status = 'Cancelled' THEN 1 ELSE 0 END) as cancelled,
+                SUM(CASE WHEN p.Status = 'Closed' THEN 1 ELSE 0 END) as closed
+            FROM projects p
+            WHERE p.IsDeleted = FALSE${scopeClause.sql}
         `;
 
-        const [rows] = await db.execute(query, []);
+        const [rows] = await db.execute(query, scopeClause.params);
         return rows[0];
     }
+
+    // One schedule of a project: milestones, tasks, camps, campaigns and
+    // ground permission due dates, optionally limited to items touching a date range
+    static async getTimeline(projectId, filters = {}) {
+        let query = `
+            SELECT * FROM (
+                SELECT 'milestone' as ItemType, MilestoneId as ItemId, Title,
+                       DueDate as StartDate, DueDate as EndDate, Status,
+                       NULL as PercentComplete, NULL as AssignedToName
+                FROM project_milestones
+                WHERE ProjectId = ? AND IsDeleted = FALSE
+                UNION ALL
+                SELECT 'task', t.TaskId, t.Title,
+                       COALESCE(t.StartDate, t.DueDate), t.DueDate, t.Status,
+                       t.PercentComplete, u.FullName
+                FROM project_tasks t
+                LEFT JOIN users u ON t.AssignedToUserId = u.UserId
+                WHERE t.ProjectId = ? AND t.IsDeleted = FALSE
+                UNION ALL
+                SELECT 'camp', CampId, CampName,
+                       DATE(CampStartDate), DATE(COALESCE(CampEndDate, CampStartDate)), CampStatus,
+                       NULL, NULL
+                FROM camps
+                WHERE ProjectId = ? AND IsDeleted = FALSE
+                UNION ALL
+                SELECT 'campaign', CampaignId, CampaignName,
+                       StartDate, COALESCE(EndDate, StartDate), CampaignStatus,
+                       NULL, NULL
+                FROM campaigns
+                WHERE ProjectId = ? AND IsDeleted = FALSE
+                UNION ALL
+                SELECT 'ground_permission', pgp.ProjectPermissionId, pgp.PermissionType,
+                       pgp.DueDate, pgp.DueDate, pgp.Status,
+                       NULL, u.FullName
+                FROM project_ground_permissions pgp
+                LEFT JOIN users u ON pgp.AssignedToUserId = u.UserId
+                WHERE pgp.ProjectId = ? AND pgp.IsDeleted = FALSE
+            ) timeline
+            WHERE 1 = 1
+        `;
+        const params = [projectId, projectId, projectId, projectId, projectId];
+
+        if (filters.from) {
+            query += ' AND (EndDate IS NULL OR EndDate >= ?)';
+            params.push(filters.from);
+        }
+
+        if (filters.to) {
+            query += ' AND (StartDate IS NULL OR StartDate <= ?)';
+            params.push(filters.to);
+        }
+
+        query += ' ORDER BY StartDate IS NULL, StartDate, EndDate, ItemType, ItemId';
+
+        const [rows] = await db.execute(query, params);
+        return rows;
+    }
 }
 
 module.exports = Project;
@@ -0,0 +1,197 @@
+const db = require('../config/database');
+
+// Sums of a project's expenses per budget head; Rejected expenses do not count
+const SPEND_TOTALS = `
+    COALESCE(SUM(CASE WHEN ps.Status = 'Pending' THEN ps.Amount ELSE 0 END), 0) as CommittedAmount,
+    COALESCE(SUM(CASE WHEN ps.Status = 'Approved' THEN ps.Amount ELSE 0 END), 0) as ApprovedAmount,
+    COUNT(ps.ProjectSpendId) as ExpenseCount
+`;
+
+const toAmount = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+// Planned, committed (pending), approved and remaining amounts of a budget line
+const withRemaining = (row) => {
+    const plannedAmount = toAmount(row.PlannedAmount);
+    const committedAmount = toAmount(row.CommittedAmount);
+    const approvedAmount = toAmount(row.ApprovedAmount);
+    const remainingAmount = toAmount(plannedAmount - committedAmount - approvedAmount);
+
+    return {
+        ...row,
+        PlannedAmount: plannedAmount,
+        CommittedAmount: committedAmount,
+        ApprovedAmount: approvedAmount,
+        RemainingAmount: remainingAmount,
+        ExpenseCount: Number(row.ExpenseCount || 0),
+        IsOverBudget: remainingAmount < 0
+    };
+};
+
+class ProjectBudget {
+    // Create a budget head
+    static async createHead({ projectId, headName, description, plannedAmount, createdBy }) {
+        const [result] = await db.execute(
+            `INSERT INTO project_budget_heads (ProjectId, HeadName, Description, PlannedAmount, CreatedBy)
+             VALUES (?, ?, ?, ?, ?)`,
+            [projectId, headName, description || null, plannedAmount || 0, createdBy]
+        );
+        return result.insertId;
+    }
+
+    // Find a budget head of a project
+    static async findHead(projectId, budgetHeadId) {
+        const [rows] = await db.execute(
+            `SELECT * FROM project_budget_heads
+             WHERE BudgetHeadId = ? AND ProjectId = ? AND IsDeleted = FALSE`,
+            [budgetHeadId, projectId]
+        );
+        return rows[0];
+    }
+
+    // Find a budget head of a project by name
+    static async findHeadByName(projectId, headName) {
+        const [rows] = await db.execute(
+            `SELECT * FROM project_budget_heads
+             WHERE ProjectId = ? AND HeadName = ? AND IsDeleted = FALSE`,
+            [projectId, headName]
+        );
+        return rows[0];
+    }
+
+    // Count the budget heads of a project
+    static async countHeads(projectId) {
+        const [rows] = await db.execute(
+            `SELECT COUNT(*) as count FROM project_budget_heads WHERE ProjectId = ? AND IsDeleted = FALSE`,
+            [projectId]
+        );
+        return rows[0].count;
+    }
+
+    // Rename or describe a head; a new planned amount is recorded as a revision
+    static async updateHead(budgetHeadId, updateData, updatedBy) {
+        const { headName, description, plannedAmount, reason } = updateData;
+
+        return db.transaction(async (conn) => {
+            const [rows] = await conn.query(
+                `SELECT PlannedAmount FROM project_budget_heads
+                 WHERE BudgetHeadId = ? AND IsDeleted = FALSE FOR UPDATE`,
+                [budgetHeadId]
+            );
+            if (!rows[0]) return false;
+
+            const updates = ['UpdatedBy = ?'];
+            const params = [updatedBy];
+
+            if (headName !== undefined) {
+                updates.push('HeadName = ?');
+                params.push(headName);
+            }
+
+            if (description !== undefined) {
+                updates.push('Description = ?');
+                params.push(description);
+            }
+
+            const previousAmount = toAmount(rows[0].PlannedAmount);
+            if (plannedAmount !== undefined && toAmount(plannedAmount) !== previousAmount) {
+                updates.push('PlannedAmount = ?');
+                params.push(plannedAmount);
+
+                await conn.query(
+                    `INSERT INTO project_budget_revisions (BudgetHeadId, PreviousAmount, NewAmount, Reason, RevisedBy)
+                     VALUES (?, ?, ?, ?, ?)`,
+                    [budgetHeadId, previousAmount, plannedAmount, reason || null, updatedBy]
+                );
+            }
+
+            params.push(budgetHeadId);
+            await conn.query(
+                `UPDATE project_budget_heads SET ${updates.join(', ')} WHERE BudgetHeadId = ?`,
+                params
+            );
+            return true;
+        });
+    }
+
+    // Soft delete a head; its expenses become unallocated
+    static async deleteHead(budgetHeadId, deletedBy) {
+        return db.transaction(async (conn) => {
+            const [result] = await conn.query(
+                `UPDATE project_budget_heads SET IsDeleted = TRUE, UpdatedBy = ? WHERE BudgetHeadId = ?`,
+                [deletedBy, budgetHeadId]
+            );
+            await conn.query(
+                `UPDATE project_spends SET BudgetHeadId = NULL WHERE BudgetHeadId = ?`,
+                [budgetHeadId]
+            );
+            return result.affectedRows > 0;
+        });
+    }
+
+    // Revisions of a head's planned amount, newest first
+    static async getRevisions(budgetHeadId) {
+        const [rows] = await db.execute(
+            `SELECT br.*, u.FullName as RevisedByName
+             FROM project_budget_revisions br
+             LEFT JOIN users u ON br.RevisedBy = u.UserId
+             WHERE br.BudgetHeadId = ?
+             ORDER BY br.RevisedDate DESC, br.BudgetRevisionId DESC`,
+            [budgetHeadId]
+        );
+        return rows;
+    }
+
+    // Budget vs actual for one head
+    static async getHeadStatus(budgetHeadId) {
+        const [rows] = await db.execute(
+            `SELECT bh.BudgetHeadId, bh.HeadName, bh.PlannedAmount, ${SPEND_TOTALS}
+             FROM project_budget_heads bh
+             LEFT JOIN project_spends ps ON ps.BudgetHeadId = bh.BudgetHeadId AND ps.IsDeleted = FALSE
+             WHERE bh.BudgetHeadId = ?
+             GROUP BY bh.BudgetHeadId`,
+            [budgetHeadId]
+        );
+        return rows[0] ? withRemaining(rows[0]) : null;
+    }
+
+    // Budget vs actual report of a project: one line per head, the expenses
+    // not tagged to any head, and the project totals
+    static async getReport(projectId) {
+        const [heads] = await db.execute(
+            `SELECT bh.BudgetHeadId, bh.HeadName, bh.Description, bh.PlannedAmount, bh.UpdatedDate,
+                    (SELECT COUNT(*) FROM project_budget_revisions br WHERE br.BudgetHeadId = bh.BudgetHeadId) as RevisionCount,
+                    ${SPEND_TOTALS}
+             FROM project_budget_heads bh
+             LEFT JOIN project_spends ps ON ps.BudgetHeadId = bh.BudgetHeadId AND ps.IsDeleted = FALSE
+             WHERE bh.ProjectId = ? AND bh.IsDeleted = FALSE
+             GROUP BY bh.BudgetHeadId
+             ORDER BY bh.HeadName`,
+            [projectId]
+        );
+
+        const [unallocatedRows] = await db.execute(
+            `SELECT ${SPEND_TOTALS}
+             FROM project_spends ps
+             WHERE ps.ProjectId = ? AND ps.BudgetHeadId IS NULL AND ps.IsDeleted = FALSE`,
+            [projectId]
+        );
+
+        const lines = heads.map(withRemaining);
+        const unallocated = {
+            CommittedAmount: toAmount(unallocatedRows[0].CommittedAmount),
+            ApprovedAmount: toAmount(unallocatedRows[0].ApprovedAmount),
+            ExpenseCount: Number(unallocatedRows[0].ExpenseCount || 0)
+        };
+
+        const totals = withRemaining([...lines, { PlannedAmount: 0, ...unallocated }].reduce((sum, line) => ({
+            PlannedAmount: sum.PlannedAmount + line.PlannedAmount,
+            CommittedAmount: sum.CommittedAmount + line.CommittedAmount,
+            ApprovedAmount: sum.ApprovedAmount + line.ApprovedAmount,
+            ExpenseCount: sum.ExpenseCount + line.ExpenseCount
+        }), { PlannedAmount: 0, CommittedAmount: 0, ApprovedAmount: 0, ExpenseCount: 0 }));
+
+        return { heads: lines, unallocated, totals };
+    }
+}
+
+module.exports = ProjectBudget;
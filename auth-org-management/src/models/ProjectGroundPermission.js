@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const { projectScopeClause } = require('../services/projectAccessService');
 
 class ProjectGroundPermission {
     // Create a new permission
@@ -52,6 +53,10 @@ class ProjectGroundPermission {
         `;
         const params = [];
 
+        const scope = projectScopeClause(filters.scope, 'pgp.ProjectId');
+        query += scope.sql;
+        params.push(...scope.params);
+
         if (filters.projectId) {
             query += ' AND pgp.ProjectId = ?';
             params.push(filters.projectId);
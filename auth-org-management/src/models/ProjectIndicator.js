@@ -0,0 +1,190 @@
+const db = require('../config/database');
+
+class ProjectIndicator {
+    // Create an indicator
+    static async create({ projectId, indicatorName, description, unit, targetValue, source, sourceFilter, isPublic, displayOrder, createdBy }) {
+        const [result] = await db.execute(
+            `INSERT INTO project_indicators (
+                ProjectId, IndicatorName, Description, Unit, TargetValue,
+                Source, SourceFilter, IsPublic, DisplayOrder, CreatedBy
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                projectId, indicatorName, description || null, unit, targetValue || 0,
+                source || 'Manual', sourceFilter || null, isPublic !== undefined ? isPublic : true,
+                displayOrder || 0, createdBy
+            ]
+        );
+        return result.insertId;
+    }
+
+    // Find an indicator of a project
+    static async findById(projectId, indicatorId) {
+        const [rows] = await db.execute(
+            `SELECT * FROM project_indicators WHERE IndicatorId = ? AND ProjectId = ? AND IsDeleted = FALSE`,
+            [indicatorId, projectId]
+        );
+        return rows[0];
+    }
+
+    // Find an indicator of a project by name
+    static async findByName(projectId, indicatorName) {
+        const [rows] = await db.execute(
+            `SELECT * FROM project_indicators WHERE ProjectId = ? AND IndicatorName = ? AND IsDeleted = FALSE`,
+            [projectId, indicatorName]
+        );
+        return rows[0];
+    }
+
+    // Get the indicators of a project
+    static async findByProjectId(projectId, filters = {}) {
+        let query = `SELECT * FROM project_indicators WHERE ProjectId = ? AND IsDeleted = FALSE`;
+        const params = [projectId];
+
+        if (filters.isPublic !== undefined) {
+            query += ' AND IsPublic = ?';
+            params.push(filters.isPublic);
+        }
+
+        query += ' ORDER BY DisplayOrder, IndicatorName';
+
+        const [rows] = await db.execute(query, params);
+        return rows;
+    }
+
+    // Update an indicator
+    static async update(indicatorId, updateData, updatedBy) {
+        const allowedFields = [
+            'IndicatorName', 'Description', 'Unit', 'TargetValue',
+            'Source', 'SourceFilter', 'IsPublic', 'DisplayOrder'
+        ];
+
+        const updates = [];
+        const params = [];
+
+        for (const [key, value] of Object.entries(updateData)) {
+            const dbField = key.charAt(0).toUpperCase() + key.slice(1);
+            if (allowedFields.includes(dbField) && value !== undefined) {
+                updates.push(`${dbField} = ?`);
+                params.push(value);
+            }
+        }
+
+        if (updates.length === 0) return false;
+
+        updates.push('UpdatedBy = ?');
+        params.push(updatedBy);
+        params.push(indicatorId);
+
+        const [result] = await db.execute(
+            `UPDATE project_indicators SET ${updates.join(', ')} WHERE IndicatorId = ? AND IsDeleted = FALSE`,
+            params
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Soft delete an indicator
+    static async delete(indicatorId, deletedBy) {
+        const [result] = await db.execute(
+            `UPDATE project_indicators SET IsDeleted = TRUE, UpdatedBy = ? WHERE IndicatorId = ?`,
+            [deletedBy, indicatorId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    // ==================== Readings ====================
+
+    // Record a manual reading
+    static async addReading({ indicatorId, readingDate, value, notes, createdBy }) {
+        const [result] = await db.execute(
+            `INSERT INTO project_indicator_readings (IndicatorId, ReadingDate, Value, Notes, CreatedBy)
+             VALUES (?, ?, ?, ?, ?)`,
+            [indicatorId, readingDate, value, notes || null, createdBy]
+        );
+        return result.insertId;
+    }
+
+    // Find a manual reading of an indicator
+    static async findReading(indicatorId, readingId) {
+        const [rows] = await db.execute(
+            `SELECT * FROM project_indicator_readings WHERE ReadingId = ? AND IndicatorId = ? AND IsDeleted = FALSE`,
+            [readingId, indicatorId]
+        );
+        return rows[0];
+    }
+
+    // Soft delete a manual reading
+    static async deleteReading(readingId) {
+        const [result] = await db.execute(
+            `UPDATE project_indicator_readings SET IsDeleted = TRUE WHERE ReadingId = ?`,
+            [readingId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    // The readings of an indicator in date order: entered ones for Manual indicators,
+    // otherwise one per completed camp (its attendance) or per distributed beneficiary donation
+    static async getReadings(indicator, { from, to } = {}) {
+        let query;
+        const params = [];
+
+        if (indicator.Source === 'CampAttendance') {
+            query = `
+                SELECT NULL as ReadingId, c.CampId as SourceId,
+                       DATE_FORMAT(COALESCE(c.CampEndDate, c.CampStartDate), '%Y-%m-%d') as ReadingDate,
+                       COALESCE(c.PeopleAttended, 0) as Value, c.CampName as Notes, NULL as CreatedByName
+                FROM camps c
+                WHERE c.ProjectId = ? AND c.CampStatus = 'Completed' AND c.IsDeleted = FALSE
+                  AND COALESCE(c.CampEndDate, c.CampStartDate) IS NOT NULL
+            `;
+            params.push(indicator.ProjectId);
+
+            if (indicator.SourceFilter) {
+                query += ' AND c.CampType = ?';
+                params.push(indicator.SourceFilter);
+            }
+        } else if (indicator.Source === 'BeneficiaryDistributions') {
+            query = `
+                SELECT NULL as ReadingId, bd.BeneficiaryDonationId as SourceId,
+                       DATE_FORMAT(bd.DonationDate, '%Y-%m-%d') as ReadingDate,
+                       1 as Value, bd.Title as Notes, NULL as CreatedByName
+                FROM beneficiary_donations bd
+                WHERE bd.ProjectId = ? AND bd.Status IN ('Distributed', 'Completed') AND bd.IsDeleted = FALSE
+            `;
+            params.push(indicator.ProjectId);
+
+            if (indicator.SourceFilter) {
+                query += ' AND bd.DonationType = ?';
+                params.push(indicator.SourceFilter);
+            }
+        } else {
+            query = `
+                SELECT r.ReadingId, NULL as SourceId, DATE_FORMAT(r.ReadingDate, '%Y-%m-%d') as ReadingDate,
+                       r.Value, r.Notes, u.FullName as CreatedByName
+                FROM project_indicator_readings r
+                LEFT JOIN users u ON r.CreatedBy = u.UserId
+                WHERE r.IndicatorId = ? AND r.IsDeleted = FALSE
+            `;
+            params.push(indicator.IndicatorId);
+        }
+
+        // Wrapped so the date range applies to ReadingDate whatever the source
+        query = `SELECT * FROM (${query}) readings WHERE 1 = 1`;
+
+        if (from) {
+            query += ' AND readings.ReadingDate >= ?';
+            params.push(from);
+        }
+
+        if (to) {
+            query += ' AND readings.ReadingDate <= ?';
+            params.push(to);
+        }
+
+        query += ' ORDER BY readings.ReadingDate, readings.ReadingId, readings.SourceId';
+
+        const [rows] = await db.execute(query, params);
+        return rows.map(row => ({ ...row, Value: Number(row.Value) }));
+    }
+}
+
+module.exports = ProjectIndicator;
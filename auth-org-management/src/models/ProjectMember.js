@@ -0,0 +1,70 @@
+const db = require('../config/database');
+
+class ProjectMember {
+    // Add a member, or change the role of an existing one
+    static async add({ projectId, userId, projectRole, addedBy }) {
+        await db.execute(
+            `INSERT INTO project_members (ProjectId, UserId, ProjectRole, AddedBy)
+             VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE ProjectRole = VALUES(ProjectRole), UpdatedBy = VALUES(AddedBy)`,
+            [projectId, userId, projectRole, addedBy]
+        );
+    }
+
+    // Find a user's membership of a project
+    static async find(projectId, userId) {
+        const [rows] = await db.execute(
+            `SELECT pm.*, u.FullName, u.Email, u.MobileNumber
+             FROM project_members pm
+             JOIN users u ON pm.UserId = u.UserId
+             WHERE pm.ProjectId = ? AND pm.UserId = ?`,
+            [projectId, userId]
+        );
+        return rows[0];
+    }
+
+    // Get all members of a project
+    static async findByProjectId(projectId) {
+        const [rows] = await db.execute(
+            `SELECT pm.ProjectMemberId, pm.ProjectId, pm.UserId, pm.ProjectRole, pm.AddedDate,
+                    u.FullName, u.Email, u.MobileNumber,
+                    u2.FullName as AddedByName
+             FROM project_members pm
+             JOIN users u ON pm.UserId = u.UserId
+             LEFT JOIN users u2 ON pm.AddedBy = u2.UserId
+             WHERE pm.ProjectId = ?
+             ORDER BY FIELD(pm.ProjectRole, 'Lead', 'Treasurer', 'FieldVolunteer', 'Viewer'), u.FullName`,
+            [projectId]
+        );
+        return rows;
+    }
+
+    // Update a member's project role
+    static async updateRole(projectId, userId, projectRole, updatedBy) {
+        const [result] = await db.execute(
+            `UPDATE project_members SET ProjectRole = ?, UpdatedBy = ? WHERE ProjectId = ? AND UserId = ?`,
+            [projectRole, updatedBy, projectId, userId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Remove a member
+    static async remove(projectId, userId) {
+        const [result] = await db.execute(
+            `DELETE FROM project_members WHERE ProjectId = ? AND UserId = ?`,
+            [projectId, userId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Count the leads of a project
+    static async countLeads(projectId) {
+        const [rows] = await db.execute(
+            `SELECT COUNT(*) as count FROM project_members WHERE ProjectId = ? AND ProjectRole = 'Lead'`,
+            [projectId]
+        );
+        return rows[0].count;
+    }
+}
+
+module.exports = ProjectMember;
@@ -0,0 +1,93 @@
+const db = require('../config/database');
+
+class ProjectMilestone {
+    // Create a milestone
+    static async create({ projectId, title, description, dueDate, createdBy }) {
+        const [result] = await db.execute(
+            `INSERT INTO project_milestones (ProjectId, Title, Description, DueDate, CreatedBy)
+             VALUES (?, ?, ?, ?, ?)`,
+            [projectId, title, description || null, dueDate || null, createdBy]
+        );
+        return result.insertId;
+    }
+
+    // Find a milestone of a project, with the progress of its tasks
+    static async findById(projectId, milestoneId) {
+        const [rows] = await db.execute(
+            `SELECT m.*,
+                    COUNT(t.TaskId) as TaskCount,
+                    COALESCE(SUM(t.Status = 'Done'), 0) as DoneCount,
+                    COALESCE(ROUND(AVG(t.PercentComplete)), 0) as PercentComplete
+             FROM project_milestones m
+             LEFT JOIN project_tasks t ON t.MilestoneId = m.MilestoneId
+                AND t.IsDeleted = FALSE AND t.Status != 'Cancelled'
+             WHERE m.MilestoneId = ? AND m.ProjectId = ? AND m.IsDeleted = FALSE
+             GROUP BY m.MilestoneId`,
+            [milestoneId, projectId]
+        );
+        return rows[0];
+    }
+
+    // Get the milestones of a project in due date order
+    static async findByProjectId(projectId) {
+        const [rows] = await db.execute(
+            `SELECT m.*,
+                    COUNT(t.TaskId) as TaskCount,
+                    COALESCE(SUM(t.Status = 'Done'), 0) as DoneCount,
+                    COALESCE(ROUND(AVG(t.PercentComplete)), 0) as PercentComplete
+             FROM project_milestones m
+             LEFT JOIN project_tasks t ON t.MilestoneId = m.MilestoneId
+                AND t.IsDeleted = FALSE AND t.Status != 'Cancelled'
+             WHERE m.ProjectId = ? AND m.IsDeleted = FALSE
+             GROUP BY m.MilestoneId
+             ORDER BY m.DueDate IS NULL, m.DueDate, m.MilestoneId`,
+            [projectId]
+        );
+        return rows;
+    }
+
+    // Update a milestone
+    static async update(milestoneId, updateData, updatedBy) {
+        const allowedFields = ['Title', 'Description', 'DueDate', 'Status'];
+
+        const updates = [];
+        const params = [];
+
+        for (const [key, value] of Object.entries(updateData)) {
+            const dbField = key.charAt(0).toUpperCase() + key.slice(1);
+            if (allowedFields.includes(dbField) && value !== undefined) {
+                updates.push(`${dbField} = ?`);
+                params.push(value);
+            }
+        }
+
+        if (updates.length === 0) return false;
+
+        updates.push('UpdatedBy = ?');
+        params.push(updatedBy);
+        params.push(milestoneId);
+
+        const [result] = await db.execute(
+            `UPDATE project_milestones SET ${updates.join(', ')} WHERE MilestoneId = ? AND IsDeleted = FALSE`,
+            params
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Soft delete a milestone; its tasks stay on the project without one
+    static async delete(milestoneId, deletedBy) {
+        return db.transaction(async (conn) => {
+            const [result] = await conn.query(
+                `UPDATE project_milestones SET IsDeleted = TRUE, UpdatedBy = ? WHERE MilestoneId = ?`,
+                [deletedBy, milestoneId]
+            );
+            await conn.query(
+                `UPDATE project_tasks SET MilestoneId = NULL WHERE MilestoneId = ?`,
+                [milestoneId]
+            );
+            return result.affectedRows > 0;
+        });
+    }
+}
+
+module.exports = ProjectMilestone;
@@ -1,22 +1,23 @@
 const db = require('../config/database');
+const { projectScopeClause } = require('../services/projectAccessService');
 
 class ProjectSpend {
     // Create a new project spend
     static async create(spendData) {
         const {
-            projectId, expenseName, expenseDescription, amount,
+            projectId, budgetHeadId, expenseName, expenseDescription, amount,
             paidWithTrustAmount, paidWithOwnMoney, paymentMode, paidTo, billImageUrl,
             billDate, spentDate, createdBy
         } = spendData;
 
         const [result] = await db.execute(
             `INSERT INTO project_spends (
-                ProjectId, ExpenseName, ExpenseDescription, Amount,
+                ProjectId, BudgetHeadId, ExpenseName, ExpenseDescription, Amount,
                 PaidWithTrustAmount, PaidWithOwnMoney, PaymentMode, PaidTo, BillImageUrl,
                 BillDate, SpentDate, CreatedBy
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
-                projectId, expenseName, expenseDescription, amount,
+                projectId, budgetHeadId || null, expenseName, expenseDescription, amount,
                 paidWithTrustAmount || false, paidWithOwnMoney || false, paymentMode || 'Cash', paidTo, billImageUrl,
                 billDate, spentDate, createdBy
             ]
@@ -28,15 +29,19 @@ class ProjectSpend {
     static async findById(spendId) {
         const [rows] = await db.execute(
             `SELECT ps.*,
-                    p.ProjectName,
+                    p.ProjectName, p.OrganizationId,
                     u.FullName as CreatedByName,
                     u2.FullName as ApprovedByName,
-                    u3.FullName as SettledByName
+                    u3.FullName as SettledByName,
+                    bh.HeadName as BudgetHeadName,
+                    rbs.BatchId as ReimbursementBatchId
              FROM project_spends ps
              LEFT JOIN projects p ON ps.ProjectId = p.ProjectId
              LEFT JOIN users u ON ps.CreatedBy = u.UserId
              LEFT JOIN users u2 ON ps.ApprovedBy = u2.UserId
              LEFT JOIN users u3 ON ps.SettledBy = u3.UserId
+             LEFT JOIN project_budget_heads bh ON ps.BudgetHeadId = bh.BudgetHeadId
+             LEFT JOIN reimbursement_batch_spends rbs ON rbs.ProjectSpendId = ps.ProjectSpendId
              WHERE ps.ProjectSpendId = ? AND ps.IsDeleted = FALSE`,
             [spendId]
         );
@@ -50,16 +55,23 @@ class ProjectSpend {
                    p.ProjectName,
                    u.FullName as CreatedByName,
                    u2.FullName as ApprovedByName,
-                   u3.FullName as SettledByName
+                   u3.FullName as SettledByName,
+                   bh.HeadName as BudgetHeadName
             FROM project_spends ps
             LEFT JOIN projects p ON ps.ProjectId = p.ProjectId
             LEFT JOIN users u ON ps.CreatedBy = u.UserId
             LEFT JOIN users u2 ON ps.ApprovedBy = u2.UserId
             LEFT JOIN users u3 ON ps.SettledBy = u3.UserId
+            LEFT JOIN project_budget_heads bh ON ps.BudgetHeadId = bh.BudgetHeadId
             WHERE ps.ProjectId = ? AND ps.IsDeleted = FALSE
         `;
         const params = [projectId];
 
+        if (filters.budgetHeadId) {
+            query += ' AND ps.BudgetHeadId = ?';
+            params.push(filters.budgetHeadId);
+        }
+
         if (filters.status) {
             query += ' AND ps.Status = ?';
             params.push(filters.status);
@@ -113,6 +125,10 @@ class ProjectSpend {
             params.push(filters.organizationId);
         }
 
+        const scope = projectScopeClause(filters.scope, 'ps.ProjectId');
+        query += scope.sql;
+        params.push(...scope.params);
+
         if (filters.status) {
             query += ' AND ps.Status = ?';
             params.push(filters.status);
@@ -135,14 +151,14 @@ class ProjectSpend {
             }
         }
 
-        const [rows] = await db.query(query, params);
+        const [rows] = await db.execute(query, params);
         return rows;
     }
 
     // Update spend
     static async update(spendId, updateData, updatedBy) {
         const allowedFields = [
-            'ExpenseName', 'ExpenseDescription', 'Amount',
+            'BudgetHeadId', 'ExpenseName', 'ExpenseDescription', 'Amount',
             'PaidWithTrustAmount', 'PaymentMode', 'PaidTo', 'BillImageUrl',
             'BillDate', 'SpentDate'
         ];
@@ -171,24 +187,69 @@ class ProjectSpend {
         return result.affectedRows > 0;
     }
 
-    // Approve spend
-    static async approve(spendId, approvedBy) {
-        const [result] = await db.execute(
-            `UPDATE project_spends 
-             SET Status = 'Approved', ApprovedBy = ?, ApprovedDate = NOW(), UpdatedBy = ?
-             WHERE ProjectSpendId = ? AND IsDeleted = FALSE`,
-            [approvedBy, approvedBy, spendId]
+    // ==================== Approval steps ====================
+
+    // The current approval steps of a spend, in order
+    static async getApprovalSteps(spendId) {
+        const [rows] = await db.execute(
+            `SELECT sa.*, u.FullName as DecidedByName
+             FROM project_spend_approvals sa
+             LEFT JOIN users u ON sa.DecidedBy = u.UserId
+             WHERE sa.ProjectSpendId = ? AND sa.IsVoid = FALSE
+             ORDER BY sa.StepOrder`,
+            [spendId]
         );
-        return result.affectedRows > 0;
+        return rows;
+    }
+
+    // Give a spend a fresh set of approval steps, voiding any earlier ones
+    static async startApprovalSteps(spendId, steps) {
+        return db.transaction(async (conn) => {
+            await conn.query(
+                `UPDATE project_spend_approvals SET IsVoid = TRUE WHERE ProjectSpendId = ? AND IsVoid = FALSE`,
+                [spendId]
+            );
+            for (const step of steps) {
+                await conn.query(
+                    `INSERT INTO project_spend_approvals (ProjectSpendId, StepOrder, ApproverType, ApproverRole)
+                     VALUES (?, ?, ?, ?)`,
+                    [spendId, step.stepOrder, step.approverType, step.approverRole]
+                );
+            }
+        });
+    }
+
+    // Record the decision on a step. A rejection rejects the spend, and the
+    // approval of the last step approves it. False when the step was decided meanwhile.
+    static async decideApprovalStep(step, { decision, comment, decidedBy, isLastStep }) {
+        return db.transaction(async (conn) => {
+            const [result] = await conn.query(
+                `UPDATE project_spend_approvals
+                 SET Decision = ?, Comment = ?, DecidedBy = ?, DecidedDate = NOW()
+                 WHERE SpendApprovalId = ? AND Decision IS NULL AND IsVoid = FALSE`,
+                [decision, comment || null, decidedBy, step.SpendApprovalId]
+            );
+            if (result.affectedRows === 0) return false;
+
+            if (decision === 'Rejected' || isLastStep) {
+                await conn.query(
+                    `UPDATE project_spends
+                     SET Status = ?, ApprovedBy = ?, ApprovedDate = NOW(), UpdatedBy = ?
+                     WHERE ProjectSpendId = ? AND Status = 'Pending' AND IsDeleted = FALSE`,
+                    [decision, decidedBy, decidedBy, step.ProjectSpendId]
+                );
+            }
+            return true;
+        });
     }
 
-    // Reject spend
-    static async reject(spendId, rejectedBy) {
+    // Send an approved or rejected spend back to Pending
+    static async reopen(spendId, reopenedBy) {
         const [result] = await db.execute(
             `UPDATE project_spends 
-             SET Status = 'Rejected', ApprovedBy = ?, ApprovedDate = NOW(), UpdatedBy = ?
+             SET Status = 'Pending', ApprovedBy = NULL, ApprovedDate = NULL, UpdatedBy = ?
              WHERE ProjectSpendId = ? AND IsDeleted = FALSE`,
-            [rejectedBy, rejectedBy, spendId]
+            [reopenedBy, spendId]
         );
         return result.affectedRows > 0;
     }
@@ -196,8 +257,8 @@ class ProjectSpend {
     // Soft delete spend
     static async delete(spendId, deletedBy) {
         const [result] = await db.execute(
-            `UPDATE project_spends SET IsDeleted = TRUE, UpdatedBy = ? WHERE ProjectSpendId = ?`,
-            [deletedBy, spendId]
+            `UPDATE project_spends SET IsDeleted = TRUE, DeletedBy = ?, DeletedDate = NOW(), UpdatedBy = ? WHERE ProjectSpendId = ?`,
+            [deletedBy, deletedBy, spendId]
         );
         return result.affectedRows > 0;
     }
@@ -247,14 +308,16 @@ class ProjectSpend {
     }
 
     // Get unsettled spends (own money expenses that need reimbursement)
-    static async getUnsettled(projectId = null) {
+    static async getUnsettled(projectId, scope) {
         let query = `
             SELECT ps.*,
                    p.ProjectName,
-                   u.FullName as CreatedByName
+                   u.FullName as CreatedByName,
+                   rbs.BatchId as ReimbursementBatchId
             FROM project_spends ps
             LEFT JOIN projects p ON ps.ProjectId = p.ProjectId
             LEFT JOIN users u ON ps.CreatedBy = u.UserId
+            LEFT JOIN reimbursement_batch_spends rbs ON rbs.ProjectSpendId = ps.ProjectSpendId
             WHERE ps.IsDeleted = FALSE 
               AND ps.PaidWithOwnMoney = TRUE 
               AND ps.IsSettled = FALSE
@@ -266,9 +329,13 @@ class ProjectSpend {
             params.push(projectId);
         }
 
+        const scopeClause = projectScopeClause(scope, 'ps.ProjectId');
+        query += scopeClause.sql;
+        params.push(...scopeClause.params);
+
         query += ' ORDER BY ps.SpentDate DESC';
 
-        const [rows] = await db.query(query, params);
+        const [rows] = await db.execute(query, params);
         return rows;
     }
 }
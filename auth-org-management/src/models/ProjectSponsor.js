@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const { projectScopeClause } = require('../services/projectAccessService');
 
 class ProjectSponsor {
     // Create sponsor
@@ -64,6 +65,10 @@ class ProjectSponsor {
         `;
         const params = [];
 
+        const scope = projectScopeClause(filters.scope, 'ps.ProjectId');
+        query += scope.sql;
+        params.push(...scope.params);
+
         if (filters.projectId) { query += ' AND ps.ProjectId = ?'; params.push(filters.projectId); }
         if (filters.sponsorType) { query += ' AND ps.SponsorType = ?'; params.push(filters.sponsorType); }
         if (filters.sponsorshipType) { query += ' AND ps.SponsorshipType = ?'; params.push(filters.sponsorshipType); }
@@ -124,8 +129,8 @@ class ProjectSponsor {
     // Delete (soft)
     static async delete(id, deletedBy) {
         const [result] = await db.execute(
-            `UPDATE project_sponsors SET IsDeleted = TRUE, UpdatedBy = ? WHERE ProjectSponsorId = ?`,
-            [deletedBy, id]
+            `UPDATE project_sponsors SET IsDeleted = TRUE, DeletedBy = ?, DeletedDate = NOW(), UpdatedBy = ? WHERE ProjectSponsorId = ?`,
+            [deletedBy, deletedBy, id]
         );
         return result.affectedRows > 0;
     }
@@ -150,8 +155,8 @@ class ProjectSponsor {
         return rows;
     }
 
-    static async deleteMedia(mediaId) {
-        const [result] = await db.execute(`UPDATE project_sponsor_media SET IsDeleted = TRUE WHERE MediaId = ?`, [mediaId]);
+    static async deleteMedia(mediaId, sponsorId, deletedBy) {
+        const [result] = await db.execute(`UPDATE project_sponsor_media SET IsDeleted = TRUE, DeletedBy = ?, DeletedDate = NOW() WHERE MediaId = ? AND ProjectSponsorId = ?`, [deletedBy, mediaId, sponsorId]);
         return result.affectedRows > 0;
     }
 
@@ -0,0 +1,195 @@
+const db = require('../config/database');
+
+const TASK_SELECT = `
+    SELECT t.*,
+           m.Title as MilestoneTitle,
+           u.FullName as AssignedToName,
+           u2.FullName as CreatedByName
+    FROM project_tasks t
+    LEFT JOIN project_milestones m ON t.MilestoneId = m.MilestoneId AND m.IsDeleted = FALSE
+    LEFT JOIN users u ON t.AssignedToUserId = u.UserId
+    LEFT JOIN users u2 ON t.CreatedBy = u2.UserId
+`;
+
+class ProjectTask {
+    // Create a task and record its first status
+    static async create(taskData) {
+        const {
+            projectId, milestoneId, title, description, assignedToUserId,
+            startDate, dueDate, createdBy
+        } = taskData;
+
+        return db.transaction(async (conn) => {
+            const [result] = await conn.query(
+                `INSERT INTO project_tasks (
+                    ProjectId, MilestoneId, Title, Description, AssignedToUserId,
+                    StartDate, DueDate, CreatedBy
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    projectId, milestoneId || null, title, description || null, assignedToUserId || null,
+                    startDate || null, dueDate || null, createdBy
+                ]
+            );
+
+            await conn.query(
+                `INSERT INTO project_task_status_history (TaskId, ToStatus, PercentComplete, ChangedBy)
+                 VALUES (?, 'Todo', 0, ?)`,
+                [result.insertId, createdBy]
+            );
+
+            return result.insertId;
+        });
+    }
+
+    // Find a task of a project
+    static async findById(projectId, taskId) {
+        const [rows] = await db.execute(
+            `${TASK_SELECT} WHERE t.TaskId = ? AND t.ProjectId = ? AND t.IsDeleted = FALSE`,
+            [taskId, projectId]
+        );
+        return rows[0];
+    }
+
+    // Get the tasks of a project
+    static async findByProjectId(projectId, filters = {}) {
+        let query = `${TASK_SELECT} WHERE t.ProjectId = ? AND t.IsDeleted = FALSE`;
+        const params = [projectId];
+
+        if (filters.milestoneId) {
+            query += ' AND t.MilestoneId = ?';
+            params.push(filters.milestoneId);
+        }
+
+        if (filters.status) {
+            query += ' AND t.Status = ?';
+            params.push(filters.status);
+        }
+
+        if (filters.assignedTo) {
+            query += ' AND t.AssignedToUserId = ?';
+            params.push(filters.assignedTo);
+        }
+
+        query += ' ORDER BY t.DueDate IS NULL, t.DueDate, t.TaskId';
+
+        const [rows] = await db.execute(query, params);
+        return rows;
+    }
+
+    // Update the details of a task (status goes through setStatus)
+    static async update(taskId, updateData, updatedBy) {
+        const allowedFields = ['MilestoneId', 'Title', 'Description', 'AssignedToUserId', 'StartDate', 'DueDate'];
+
+        const updates = [];
+        const params = [];
+
+        for (const [key, value] of Object.entries(updateData)) {
+            const dbField = key.charAt(0).toUpperCase() + key.slice(1);
+            if (allowedFields.includes(dbField) && value !== undefined) {
+                updates.push(`${dbField} = ?`);
+                params.push(value);
+            }
+        }
+
+        if (updates.length === 0) return false;
+
+        updates.push('UpdatedBy = ?');
+        params.push(updatedBy);
+        params.push(taskId);
+
+        const [result] = await db.execute(
+            `UPDATE project_tasks SET ${updates.join(', ')} WHERE TaskId = ? AND IsDeleted = FALSE`,
+            params
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Change status and progress, recording the change in the history
+    static async setStatus(task, { status, percentComplete, note }, changedBy) {
+        return db.transaction(async (conn) => {
+            await conn.query(
+                `UPDATE project_tasks
+                 SET Status = ?, PercentComplete = ?,
+                     CompletedDate = CASE WHEN ? = 'Done' THEN COALESCE(CompletedDate, NOW()) ELSE NULL END,
+                     UpdatedBy = ?
+                 WHERE TaskId = ?`,
+                [status, percentComplete, status, changedBy, task.TaskId]
+            );
+
+            await conn.query(
+                `INSERT INTO project_task_status_history (TaskId, FromStatus, ToStatus, PercentComplete, Note, ChangedBy)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [task.TaskId, task.Status, status, percentComplete, note || null, changedBy]
+            );
+        });
+    }
+
+    // Soft delete a task; other tasks no longer wait on it
+    static async delete(taskId, deletedBy) {
+        return db.transaction(async (conn) => {
+            const [result] = await conn.query(
+                `UPDATE project_tasks SET IsDeleted = TRUE, UpdatedBy = ? WHERE TaskId = ?`,
+                [deletedBy, taskId]
+            );
+            await conn.query(
+                `DELETE FROM project_task_dependencies WHERE TaskId = ? OR DependsOnTaskId = ?`,
+                [taskId, taskId]
+            );
+            return result.affectedRows > 0;
+        });
+    }
+
+    // Tasks a task waits on
+    static async getDependencies(taskId) {
+        const [rows] = await db.execute(
+            `SELECT t.TaskId, t.Title, t.Status, t.PercentComplete, t.DueDate
+             FROM project_task_dependencies d
+             JOIN project_tasks t ON d.DependsOnTaskId = t.TaskId AND t.IsDeleted = FALSE
+             WHERE d.TaskId = ?
+             ORDER BY t.DueDate IS NULL, t.DueDate, t.TaskId`,
+            [taskId]
+        );
+        return rows;
+    }
+
+    // All dependency edges between the tasks of a project
+    static async getDependencyEdges(projectId) {
+        const [rows] = await db.execute(
+            `SELECT d.TaskId, d.DependsOnTaskId
+             FROM project_task_dependencies d
+             JOIN project_tasks t ON d.TaskId = t.TaskId
+             WHERE t.ProjectId = ? AND t.IsDeleted = FALSE`,
+            [projectId]
+        );
+        return rows;
+    }
+
+    // Replace the tasks a task waits on
+    static async setDependencies(taskId, dependsOnTaskIds) {
+        await db.transaction(async (conn) => {
+            await conn.query('DELETE FROM project_task_dependencies WHERE TaskId = ?', [taskId]);
+
+            if (dependsOnTaskIds.length > 0) {
+                await conn.query(
+                    'INSERT INTO project_task_dependencies (TaskId, DependsOnTaskId) VALUES ?',
+                    [dependsOnTaskIds.map(dependsOnTaskId => [taskId, dependsOnTaskId])]
+                );
+            }
+        });
+    }
+
+    // Status history of a task, newest first
+    static async getHistory(taskId) {
+        const [rows] = await db.execute(
+            `SELECT h.*, u.FullName as ChangedByName
+             FROM project_task_status_history h
+             LEFT JOIN users u ON h.ChangedBy = u.UserId
+             WHERE h.TaskId = ?
+             ORDER BY h.ChangedDate DESC, h.TaskStatusHistoryId DESC`,
+            [taskId]
+        );
+        return rows;
+    }
+}
+
+module.exports = ProjectTask;
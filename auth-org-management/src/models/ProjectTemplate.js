@@ -0,0 +1,102 @@
+const db = require('../config/database');
+
+const parsePlan = (template) => {
+    if (template && typeof template.Plan === 'string') {
+        template.Plan = JSON.parse(template.Plan);
+    }
+    return template;
+};
+
+class ProjectTemplate {
+    // Save a plan as a template
+    static async create({ organizationId, templateName, description, sourceProjectId, plan, createdBy }) {
+        const [result] = await db.execute(
+            `INSERT INTO project_templates (OrganizationId, TemplateName, Description, SourceProjectId, Plan, CreatedBy)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [organizationId || null, templateName, description || null, sourceProjectId || null, JSON.stringify(plan), createdBy]
+        );
+        return result.insertId;
+    }
+
+    // Find a template by ID
+    static async findById(templateId) {
+        const [rows] = await db.execute(
+            `SELECT pt.*, o.OrganizationName, p.ProjectName as SourceProjectName, u.FullName as CreatedByName
+             FROM project_templates pt
+             LEFT JOIN organizations o ON pt.OrganizationId = o.OrganizationId
+             LEFT JOIN projects p ON pt.SourceProjectId = p.ProjectId
+             LEFT JOIN users u ON pt.CreatedBy = u.UserId
+             WHERE pt.ProjectTemplateId = ? AND pt.IsDeleted = FALSE`,
+            [templateId]
+        );
+        return parsePlan(rows[0]);
+    }
+
+    // Find templates, optionally of one organization
+    static async findAll(filters = {}) {
+        let query = `
+            SELECT pt.*, o.OrganizationName, p.ProjectName as SourceProjectName, u.FullName as CreatedByName
+            FROM project_templates pt
+            LEFT JOIN organizations o ON pt.OrganizationId = o.OrganizationId
+            LEFT JOIN projects p ON pt.SourceProjectId = p.ProjectId
+            LEFT JOIN users u ON pt.CreatedBy = u.UserId
+            WHERE pt.IsDeleted = FALSE
+        `;
+        const params = [];
+
+        if (filters.organizationId) {
+            query += ' AND pt.OrganizationId = ?';
+            params.push(filters.organizationId);
+        }
+
+        if (filters.search) {
+            query += ' AND (pt.TemplateName LIKE ? OR pt.Description LIKE ?)';
+            const searchTerm = `%${filters.search}%`;
+            params.push(searchTerm, searchTerm);
+        }
+
+        query += ' ORDER BY pt.TemplateName';
+
+        const [rows] = await db.execute(query, params);
+        return rows.map(parsePlan);
+    }
+
+    // Rename or describe a template
+    static async update(templateId, updateData, updatedBy) {
+        const allowedFields = ['TemplateName', 'Description'];
+
+        const updates = [];
+        const params = [];
+
+        for (const [key, value] of Object.entries(updateData)) {
+            const dbField = key.charAt(0).toUpperCase() + key.slice(1);
+            if (allowedFields.includes(dbField) && value !== undefined) {
+                updates.push(`${dbField} = ?`);
+                params.push(value);
+            }
+        }
+
+        if (updates.length === 0) return false;
+
+        updates.push('UpdatedBy = ?');
+        params.push(updatedBy);
+        params.push(templateId);
+
+        const [result] = await db.execute(
+            `UPDATE project_templates SET ${updates.join(', ')} WHERE ProjectTemplateId = ? AND IsDeleted = FALSE`,
+            params
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Soft delete a template
+    static async delete(templateId, deletedBy) {
+        const [result] = await db.execute(
+            `UPDATE project_templates SET IsDeleted = TRUE, UpdatedBy = ? WHERE ProjectTemplateId = ?`,
+            [deletedBy, templateId]
+        );
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = ProjectTemplate;
@@ -0,0 +1,243 @@
+const db = require('../config/database');
+const ReimbursementLedger = require('./ReimbursementLedger');
+
+// Approved own-money expenses that are not settled or batched yet
+const ELIGIBLE_SPENDS = `
+    FROM project_spends ps
+    JOIN projects p ON ps.ProjectId = p.ProjectId
+    WHERE ps.IsDeleted = FALSE AND ps.Status = 'Approved'
+      AND ps.PaidWithOwnMoney = TRUE AND ps.IsSettled = FALSE
+      AND NOT EXISTS (SELECT 1 FROM reimbursement_batch_spends rbs WHERE rbs.ProjectSpendId = ps.ProjectSpendId)
+`;
+
+class ReimbursementBatch {
+    // Expenses of a volunteer that can go into a new batch, oldest first
+    static async findEligibleSpends(organizationId, payeeUserId) {
+        const [rows] = await db.execute(
+            `SELECT ps.ProjectSpendId, ps.ProjectId, ps.ExpenseName, ps.Amount, ps.SpentDate, p.ProjectName
+             ${ELIGIBLE_SPENDS}
+               AND p.OrganizationId = ? AND ps.CreatedBy = ?
+             ORDER BY ps.SpentDate, ps.ProjectSpendId`,
+            [organizationId, payeeUserId]
+        );
+        return rows;
+    }
+
+    // Create a batch and record each expense as a claim on the ledger
+    static async create({ organizationId, payeeUserId, spends, notes, createdBy }) {
+        const totalAmount = spends.reduce((sum, spend) => sum + Number(spend.Amount), 0);
+
+        return db.transaction(async (conn) => {
+            const [result] = await conn.query(
+                `INSERT INTO reimbursement_batches (OrganizationId, PayeeUserId, TotalAmount, Notes, CreatedBy)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [organizationId, payeeUserId, totalAmount.toFixed(2), notes || null, createdBy]
+            );
+            const batchId = result.insertId;
+
+            for (const spend of spends) {
+                // The unique key on ProjectSpendId stops an expense from joining two batches
+                await conn.query(
+                    `INSERT INTO reimbursement_batch_spends (BatchId, ProjectSpendId, Amount) VALUES (?, ?, ?)`,
+                    [batchId, spend.ProjectSpendId, spend.Amount]
+                );
+                await ReimbursementLedger.append(conn, {
+                    organizationId,
+                    userId: payeeUserId,
+                    entryType: 'Claim',
+                    amount: spend.Amount,
+                    batchId,
+                    projectSpendId: spend.ProjectSpendId,
+                    description: `Expense "${spend.ExpenseName}" in batch #${batchId}`,
+                    createdBy
+                });
+            }
+            return batchId;
+        });
+    }
+
+    // Find batch by ID
+    static async findById(batchId) {
+        const [rows] = await db.execute(
+            `SELECT rb.*,
+                    rb.TotalAmount - rb.PaidAmount as OutstandingAmount,
+                    o.OrganizationName,
+                    u.FullName as PayeeName,
+                    u2.FullName as CreatedByName
+             FROM reimbursement_batches rb
+             LEFT JOIN organizations o ON rb.OrganizationId = o.OrganizationId
+             LEFT JOIN users u ON rb.PayeeUserId = u.UserId
+             LEFT JOIN users u2 ON rb.CreatedBy = u2.UserId
+             WHERE rb.BatchId = ?`,
+            [batchId]
+        );
+        return rows[0];
+    }
+
+    // Find batches with filters, newest first
+    static async findAll(filters = {}) {
+        let query = `
+            SELECT rb.*,
+                   rb.TotalAmount - rb.PaidAmount as OutstandingAmount,
+                   o.OrganizationName,
+                   u.FullName as PayeeName,
+                   (SELECT COUNT(*) FROM reimbursement_batch_spends rbs WHERE rbs.BatchId = rb.BatchId) as SpendCount
+            FROM reimbursement_batches rb
+            LEFT JOIN organizations o ON rb.OrganizationId = o.OrganizationId
+            LEFT JOIN users u ON rb.PayeeUserId = u.UserId
+            WHERE 1 = 1
+        `;
+        const params = [];
+
+        if (filters.organizationId) {
+            query += ' AND rb.OrganizationId = ?';
+            params.push(filters.organizationId);
+        }
+        if (filters.payeeUserId) {
+            query += ' AND rb.PayeeUserId = ?';
+            params.push(filters.payeeUserId);
+        }
+        if (filters.status) {
+            query += ' AND rb.Status = ?';
+            params.push(filters.status);
+        }
+
+        query += ' ORDER BY rb.CreatedDate DESC, rb.BatchId DESC LIMIT ? OFFSET ?';
+        params.push(parseInt(filters.limit) || 50, parseInt(filters.offset) || 0);
+
+        const [rows] = await db.execute(query, params);
+        return rows;
+    }
+
+    // Expenses in a batch, in the order payments settle them
+    static async getSpends(batchId) {
+        const [rows] = await db.execute(
+            `SELECT rbs.Amount, ps.ProjectSpendId, ps.ProjectId, ps.ExpenseName, ps.SpentDate,
+                    ps.IsSettled, ps.SettledDate, p.ProjectName
+             FROM reimbursement_batch_spends rbs
+             JOIN project_spends ps ON rbs.ProjectSpendId = ps.ProjectSpendId
+             LEFT JOIN projects p ON ps.ProjectId = p.ProjectId
+             WHERE rbs.BatchId = ?
+             ORDER BY ps.SpentDate, ps.ProjectSpendId`,
+            [batchId]
+        );
+        return rows;
+    }
+
+    static async getPayments(batchId) {
+        const [rows] = await db.execute(
+            `SELECT rp.*, u.FullName as CreatedByName
+             FROM reimbursement_payments rp
+             LEFT JOIN users u ON rp.CreatedBy = u.UserId
+             WHERE rp.BatchId = ?
+             ORDER BY rp.PaidDate, rp.PaymentId`,
+            [batchId]
+        );
+        return rows;
+    }
+
+    // Record a payout. Expenses the payments made so far cover in full are
+    // settled, oldest first. Returns null when the batch is no longer open or
+    // the payment is more than what is outstanding.
+    static async addPayment(batchId, { amount, payoutMode, payoutReference, paidDate, notes, createdBy }) {
+        return db.transaction(async (conn) => {
+            const [batches] = await conn.query(
+                `SELECT * FROM reimbursement_batches WHERE BatchId = ? FOR UPDATE`,
+                [batchId]
+            );
+            const batch = batches[0];
+            const paidAmount = Number(batch.PaidAmount) + Number(amount);
+
+            if (!['Open', 'PartiallyPaid'].includes(batch.Status) || paidAmount > Number(batch.TotalAmount) + 0.005) {
+                return null;
+            }
+
+            const [result] = await conn.query(
+                `INSERT INTO reimbursement_payments (BatchId, Amount, PayoutMode, PayoutReference, PaidDate, Notes, CreatedBy)
+                 VALUES (?, ?, ?, ?, COALESCE(?, CURDATE()), ?, ?)`,
+                [batchId, amount, payoutMode, payoutReference || null, paidDate || null, notes || null, createdBy]
+            );
+            const paymentId = result.insertId;
+
+            const isPaid = paidAmount >= Number(batch.TotalAmount) - 0.005;
+            await conn.query(
+                `UPDATE reimbursement_batches SET PaidAmount = ?, Status = ? WHERE BatchId = ?`,
+                [paidAmount.toFixed(2), isPaid ? 'Paid' : 'PartiallyPaid', batchId]
+            );
+
+            await ReimbursementLedger.append(conn, {
+                organizationId: batch.OrganizationId,
+                userId: batch.PayeeUserId,
+                entryType: 'Payment',
+                amount: -Number(amount),
+                batchId,
+                paymentId,
+                description: `${payoutMode} payment${payoutReference ? ` ${payoutReference}` : ''} for batch #${batchId}`,
+                createdBy
+            });
+
+            const [spends] = await conn.query(
+                `SELECT rbs.ProjectSpendId, rbs.Amount, ps.IsSettled
+                 FROM reimbursement_batch_spends rbs
+                 JOIN project_spends ps ON rbs.ProjectSpendId = ps.ProjectSpendId
+                 WHERE rbs.BatchId = ?
+                 ORDER BY ps.SpentDate, ps.ProjectSpendId`,
+                [batchId]
+            );
+
+            let covered = 0;
+            const settledSpendIds = [];
+            for (const spend of spends) {
+                covered += Number(spend.Amount);
+                if (covered > paidAmount + 0.005) break;
+                if (spend.IsSettled) continue;
+
+                await conn.query(
+                    `UPDATE project_spends
+                     SET IsSettled = TRUE, SettledBy = ?, SettledDate = NOW(),
+                         SettlementNotes = ?, SettlementAmount = ?, UpdatedBy = ?
+                     WHERE ProjectSpendId = ?`,
+                    [createdBy, `Reimbursement batch #${batchId}`, spend.Amount, createdBy, spend.ProjectSpendId]
+                );
+                settledSpendIds.push(spend.ProjectSpendId);
+            }
+
+            return { paymentId, settledSpendIds };
+        });
+    }
+
+    // Cancel an unpaid batch: its expenses can be batched again and its claims
+    // are reversed on the ledger. Returns false when payments were made already.
+    static async cancel(batchId, cancelledBy) {
+        return db.transaction(async (conn) => {
+            const [batches] = await conn.query(
+                `SELECT * FROM reimbursement_batches WHERE BatchId = ? FOR UPDATE`,
+                [batchId]
+            );
+            const batch = batches[0];
+            if (batch.Status !== 'Open') {
+                return false;
+            }
+
+            await conn.query(
+                `UPDATE reimbursement_batches SET Status = 'Cancelled', CancelledBy = ?, CancelledDate = NOW()
+                 WHERE BatchId = ?`,
+                [cancelledBy, batchId]
+            );
+            await conn.query(`DELETE FROM reimbursement_batch_spends WHERE BatchId = ?`, [batchId]);
+
+            await ReimbursementLedger.append(conn, {
+                organizationId: batch.OrganizationId,
+                userId: batch.PayeeUserId,
+                entryType: 'Reversal',
+                amount: -Number(batch.TotalAmount),
+                batchId,
+                description: `Batch #${batchId} cancelled`,
+                createdBy: cancelledBy
+            });
+            return true;
+        });
+    }
+}
+
+module.exports = ReimbursementBatch;
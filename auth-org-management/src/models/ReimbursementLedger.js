@@ -0,0 +1,105 @@
+const db = require('../config/database');
+
+class ReimbursementLedger {
+    // Add an entry inside a transaction, carrying the volunteer's running balance
+    // forward. Amounts are positive when more is owed to the volunteer.
+    static async append(conn, entry) {
+        const [rows] = await conn.query(
+            `SELECT Balance FROM reimbursement_ledger
+             WHERE OrganizationId = ? AND UserId = ?
+             ORDER BY LedgerEntryId DESC LIMIT 1
+             FOR UPDATE`,
+            [entry.organizationId, entry.userId]
+        );
+        const balance = Number(rows[0]?.Balance || 0) + Number(entry.amount);
+
+        await conn.query(
+            `INSERT INTO reimbursement_ledger (
+                OrganizationId, UserId, EntryType, Amount, Balance,
+                BatchId, ProjectSpendId, PaymentId, Description, CreatedBy
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                entry.organizationId, entry.userId, entry.entryType, entry.amount, balance.toFixed(2),
+                entry.batchId || null, entry.projectSpendId || null, entry.paymentId || null,
+                entry.description || null, entry.createdBy
+            ]
+        );
+        return balance;
+    }
+
+    // What the organization owes each volunteer: the ledger balance for batched
+    // expenses plus approved own-money expenses not in a batch yet. Pass a
+    // userId for a single volunteer.
+    static async getBalances(organizationId, userId = null) {
+        const [rows] = await db.execute(
+            `SELECT u.UserId, u.FullName, u.Email,
+                    COALESCE(l.Balance, 0) as BatchedBalance,
+                    COALESCE(ub.UnbatchedAmount, 0) as UnbatchedAmount,
+                    COALESCE(ub.UnbatchedCount, 0) as UnbatchedCount,
+                    COALESCE(l.Balance, 0) + COALESCE(ub.UnbatchedAmount, 0) as TotalOwed
+             FROM users u
+             LEFT JOIN (
+                 SELECT le.UserId, le.Balance
+                 FROM reimbursement_ledger le
+                 JOIN (
+                     SELECT UserId, MAX(LedgerEntryId) as LedgerEntryId
+                     FROM reimbursement_ledger
+                     WHERE OrganizationId = ?
+                     GROUP BY UserId
+                 ) latest ON latest.LedgerEntryId = le.LedgerEntryId
+             ) l ON l.UserId = u.UserId
+             LEFT JOIN (
+                 SELECT ps.CreatedBy as UserId, SUM(ps.Amount) as UnbatchedAmount, COUNT(*) as UnbatchedCount
+                 FROM project_spends ps
+                 JOIN projects p ON ps.ProjectId = p.ProjectId
+                 WHERE p.OrganizationId = ? AND ps.IsDeleted = FALSE AND ps.Status = 'Approved'
+                   AND ps.PaidWithOwnMoney = TRUE AND ps.IsSettled = FALSE
+                   AND NOT EXISTS (SELECT 1 FROM reimbursement_batch_spends rbs WHERE rbs.ProjectSpendId = ps.ProjectSpendId)
+                 GROUP BY ps.CreatedBy
+             ) ub ON ub.UserId = u.UserId
+             WHERE (l.UserId IS NOT NULL OR ub.UserId IS NOT NULL)
+               ${userId ? 'AND u.UserId = ?' : ''}
+             ORDER BY TotalOwed DESC, u.FullName`,
+            userId ? [organizationId, organizationId, userId] : [organizationId, organizationId]
+        );
+        return rows;
+    }
+
+    // A volunteer's entries in an organization, newest first
+    static async getEntries(organizationId, userId, { limit = 50, offset = 0 } = {}) {
+        const [rows] = await db.execute(
+            `SELECT le.*, rp.PayoutMode, rp.PayoutReference, ps.ExpenseName,
+                    u.FullName as CreatedByName
+             FROM reimbursement_ledger le
+             LEFT JOIN reimbursement_payments rp ON le.PaymentId = rp.PaymentId
+             LEFT JOIN project_spends ps ON le.ProjectSpendId = ps.ProjectSpendId
+             LEFT JOIN users u ON le.CreatedBy = u.UserId
+             WHERE le.OrganizationId = ? AND le.UserId = ?
+             ORDER BY le.LedgerEntryId DESC
+             LIMIT ? OFFSET ?`,
+            [organizationId, userId, parseInt(limit), parseInt(offset)]
+        );
+        return rows;
+    }
+
+    // Organizations in which the volunteer has entries or unbatched claims
+    static async getOrganizationsOfUser(userId) {
+        const [rows] = await db.execute(
+            `SELECT DISTINCT o.OrganizationId, o.OrganizationName
+             FROM organizations o
+             WHERE o.OrganizationId IN (SELECT OrganizationId FROM reimbursement_ledger WHERE UserId = ?)
+                OR o.OrganizationId IN (
+                    SELECT p.OrganizationId
+                    FROM project_spends ps
+                    JOIN projects p ON ps.ProjectId = p.ProjectId
+                    WHERE ps.CreatedBy = ? AND ps.IsDeleted = FALSE AND ps.Status = 'Approved'
+                      AND ps.PaidWithOwnMoney = TRUE AND ps.IsSettled = FALSE
+                )
+             ORDER BY o.OrganizationName`,
+            [userId, userId]
+        );
+        return rows;
+    }
+}
+
+module.exports = ReimbursementLedger;
@@ -0,0 +1,30 @@
+const db = require('../config/database');
+
+class SpendApprovalRule {
+    // The approval steps of an organization, in order
+    static async findByOrganization(organizationId) {
+        const [rows] = await db.execute(
+            `SELECT * FROM spend_approval_rules WHERE OrganizationId = ? ORDER BY StepOrder`,
+            [organizationId]
+        );
+        return rows;
+    }
+
+    // Replace the approval steps of an organization; an empty list restores the default
+    static async replaceForOrganization(organizationId, steps, createdBy) {
+        return db.transaction(async (conn) => {
+            await conn.query(`DELETE FROM spend_approval_rules WHERE OrganizationId = ?`, [organizationId]);
+
+            for (const [index, step] of steps.entries()) {
+                await conn.query(
+                    `INSERT INTO spend_approval_rules (OrganizationId, StepOrder, ApproverType, ApproverRole, MinAmount, CreatedBy)
+                     VALUES (?, ?, ?, ?, ?, ?)`,
+                    [organizationId, index + 1, step.approverType, step.approverRole, step.minAmount || 0, createdBy]
+                );
+            }
+            return steps.length;
+        });
+    }
+}
+
+module.exports = SpendApprovalRule;
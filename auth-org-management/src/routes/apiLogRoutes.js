@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const apiLogController = require('../controllers/apiLogController');
 const { authenticate } = require('../middleware/auth');
-const { requireRole } = require('../middleware/rbac');
+const { requirePermission } = require('../middleware/rbac');
 
 /**
  * @swagger
@@ -19,6 +19,16 @@ const { requireRole } = require('../middleware/rbac');
  *           type: integer
  *         description: Filter by user ID
  *       - in: query
+ *         name: apiKeyId
+ *         schema:
+ *           type: integer
+ *         description: Filter by API key ID (requests made with that key)
+ *       - in: query
+ *         name: impersonated
+ *         schema:
+ *           type: boolean
+ *         description: Only requests made while a SUPER_ADMIN was impersonating
+ *       - in: query
  *         name: method
  *         schema:
  *           type: string
@@ -66,7 +76,7 @@ const { requireRole } = require('../middleware/rbac');
  *       200:
  *         description: List of API logs
  */
-router.get('/', authenticate, requireRole('SUPER_ADMIN', 'ADMIN'), apiLogController.getLogs);
+router.get('/', authenticate, requirePermission('logs.view'), apiLogController.getLogs);
 
 /**
  * @swagger
@@ -91,7 +101,7 @@ router.get('/', authenticate, requireRole('SUPER_ADMIN', 'ADMIN'), apiLogControl
  *       200:
  *         description: API statistics
  */
-router.get('/stats', authenticate, requireRole('SUPER_ADMIN', 'ADMIN'), apiLogController.getStats);
+router.get('/stats', authenticate, requirePermission('logs.view'), apiLogController.getStats);
 
 /**
  * @swagger
@@ -112,7 +122,7 @@ router.get('/stats', authenticate, requireRole('SUPER_ADMIN', 'ADMIN'), apiLogCo
  *       200:
  *         description: Cleanup result
  */
-router.delete('/cleanup', authenticate, requireRole('SUPER_ADMIN'), apiLogController.cleanupLogs);
+router.delete('/cleanup', authenticate, requirePermission('logs.cleanup'), apiLogController.cleanupLogs);
 
 /**
  * @swagger
@@ -134,6 +144,6 @@ router.delete('/cleanup', authenticate, requireRole('SUPER_ADMIN'), apiLogContro
  *       404:
  *         description: Log not found
  */
-router.get('/:id', authenticate, requireRole('SUPER_ADMIN', 'ADMIN'), apiLogController.getLogById);
+router.get('/:id', authenticate, requirePermission('logs.view'), apiLogController.getLogById);
 
 module.exports = router;
@@ -1,9 +1,12 @@
 const express = require('express');
 const passport = require('../config/passport');
 const authController = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
+const impersonationController = require('../controllers/impersonationController');
+const { authenticate, denyImpersonation } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { checkLockout } = require('../middleware/bruteForce');
 const { signupValidation, loginValidation, otpValidation } = require('../middleware/validate');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validate');
 
 const router = express.Router();
@@ -51,6 +54,7 @@ router.post('/signup', signupValidation, authController.signup);
  * /api/auth/verify-otp:
  *   post:
  *     summary: Verify email with OTP
+ *     description: Returns requiresTwoFactor or requiresTwoFactorSetup with a challengeToken instead of tokens when 2FA applies.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -73,8 +77,10 @@ router.post('/signup', signupValidation, authController.signup);
  *                   description: JWT token for authentication
  *       400:
  *         description: Invalid or expired OTP
+ *       429:
+ *         description: Too many wrong OTPs; temporarily locked
  */
-router.post('/verify-otp', otpValidation, authController.verifyEmailOTP);
+router.post('/verify-otp', otpValidation, checkLockout('otp_verify'), authController.verifyEmailOTP);
 
 /**
  * @swagger
@@ -99,11 +105,13 @@ router.post('/verify-otp', otpValidation, authController.verifyEmailOTP);
  *         description: OTP sent successfully
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Resend cooldown active or temporarily locked
  */
 router.post('/resend-otp', [
     body('email').isEmail().withMessage('Please provide a valid email').normalizeEmail(),
     handleValidationErrors
-], authController.resendOTP);
+], checkLockout('otp_send'), authController.resendOTP);
 
 /**
  * @swagger
@@ -135,8 +143,10 @@ router.post('/resend-otp', [
  *         description: Invalid credentials
  *       403:
  *         description: Email not verified or account blocked
+ *       429:
+ *         description: Too many failed attempts; account or IP temporarily locked (locked, retryAfter)
  */
-router.post('/login', loginValidation, authController.login);
+router.post('/login', loginValidation, checkLockout('login'), authController.login);
 
 /**
  * @swagger
@@ -197,10 +207,12 @@ router.get('/google', passport.authenticate('google', {
  *   get:
  *     summary: Google OAuth callback
  *     tags: [Authentication]
- *     description: Handles Google OAuth response and redirects to frontend with token
+ *     description: |
+ *       Handles Google OAuth response and redirects to `/auth/callback?code=...` on the frontend.
+ *       The code is exchanged at POST /api/auth/google/exchange, once and within a minute.
  *     responses:
  *       302:
- *         description: Redirect to frontend with token
+ *         description: Redirect to frontend with a one-time login code
  */
 router.get('/google/callback',
     passport.authenticate('google', {
@@ -210,6 +222,37 @@ router.get('/google/callback',
     authController.googleCallback
 );
 
+/**
+ * @swagger
+ * /api/auth/google/exchange:
+ *   post:
+ *     summary: Exchange the code from the Google OAuth redirect for tokens
+ *     tags: [Authentication]
+ *     description: Returns requiresTwoFactor or requiresTwoFactorSetup with a challengeToken instead of tokens when 2FA applies.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or a 2FA challenge
+ *       401:
+ *         description: Code invalid, expired or already used
+ *       403:
+ *         description: Account blocked or inactive
+ */
+router.post('/google/exchange', [
+    body('code').isString().notEmpty().withMessage('Login code is required'),
+    handleValidationErrors
+], authController.exchangeGoogleCode);
+
 router.get('/google/failure', (req, res) => {
     res.status(401).json({
         success: false,
@@ -261,11 +304,13 @@ router.get('/profile', authenticate, authController.getProfile);
  *     responses:
  *       200:
  *         description: OTP sent if account exists
+ *       429:
+ *         description: Too many requests; temporarily locked
  */
 router.post('/forgot-password', [
     body('email').isEmail().withMessage('Please provide a valid email').normalizeEmail(),
     handleValidationErrors
-], authController.forgotPassword);
+], checkLockout('otp_send'), authController.forgotPassword);
 
 /**
  * @swagger
@@ -299,16 +344,383 @@ router.post('/forgot-password', [
  *         description: Password reset successful
  *       400:
  *         description: Invalid OTP
+ *       429:
+ *         description: Too many wrong OTPs; temporarily locked
  */
 router.post('/reset-password', [
     body('email').isEmail().withMessage('Please provide a valid email').normalizeEmail(),
-    body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
+    body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits').isNumeric(),
     body('newPassword')
         .isLength({ min: 8 })
         .withMessage('Password must be at least 8 characters')
         .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
         .withMessage('Password must contain uppercase, lowercase, and number'),
     handleValidationErrors
-], authController.resetPassword);
+], checkLockout('otp_verify'), authController.resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/phone/signup:
+ *   post:
+ *     summary: Register with a mobile number (no email needed)
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mobileNumber
+ *               - fullName
+ *             properties:
+ *               mobileNumber:
+ *                 type: string
+ *                 example: "9876543210"
+ *               fullName:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: User registered, verification OTP sent via SMS
+ *       400:
+ *         description: Mobile number already registered
+ */
+router.post('/phone/signup', [
+    body('mobileNumber').matches(/^[0-9]{10,15}$/).withMessage('Please provide a valid mobile number'),
+    body('fullName').trim().isLength({ min: 2, max: 100 }).withMessage('Full name must be between 2 and 100 characters'),
+    handleValidationErrors
+], checkLockout('otp_send'), authController.phoneSignup);
+
+/**
+ * @swagger
+ * /api/auth/phone/request-otp:
+ *   post:
+ *     summary: Request a login OTP via SMS
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mobileNumber
+ *             properties:
+ *               mobileNumber:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: OTP sent if an account exists
+ *       429:
+ *         description: Too many requests; temporarily locked
+ */
+router.post('/phone/request-otp', [
+    body('mobileNumber').matches(/^[0-9]{10,15}$/).withMessage('Please provide a valid mobile number'),
+    handleValidationErrors
+], checkLockout('otp_send'), authController.requestPhoneOTP);
+
+/**
+ * @swagger
+ * /api/auth/phone/verify-otp:
+ *   post:
+ *     summary: Login with an SMS OTP
+ *     description: The first successful OTP also verifies the mobile number and activates the account.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mobileNumber
+ *               - otp
+ *             properties:
+ *               mobileNumber:
+ *                 type: string
+ *               otp:
+ *                 type: string
+ *                 minLength: 6
+ *                 maxLength: 6
+ *     responses:
+ *       200:
+ *         description: Login successful (or a two-factor challenge)
+ *       400:
+ *         description: Invalid or expired OTP
+ *       429:
+ *         description: Too many wrong OTPs; temporarily locked
+ */
+router.post('/phone/verify-otp', [
+    body('mobileNumber').matches(/^[0-9]{10,15}$/).withMessage('Please provide a valid mobile number'),
+    body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits').isNumeric(),
+    handleValidationErrors
+], checkLockout('otp_verify'), authController.verifyPhoneOTP);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     tags: [Authentication]
+ *     description: The refresh token is rotated on every call. Reusing an already rotated token revokes every token issued from the same login.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ */
+router.post('/refresh', [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+    handleValidationErrors
+], authController.refreshToken);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout from the current device
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refresh token revoked
+ */
+router.post('/logout', [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+    handleValidationErrors
+], authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Logout from every device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions of the user revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', authenticate, denyImpersonation, authController.logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List own login sessions (one per device)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions; IsCurrent marks the session of this request
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', authenticate, authController.getMySessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one of own devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', authenticate, denyImpersonation, [
+    param('sessionId').isUUID().withMessage('Invalid session ID'),
+    handleValidationErrors
+], authController.revokeMySession);
+
+/**
+ * @swagger
+ * /api/auth/organizations:
+ *   get:
+ *     summary: List the organizations the user can switch between
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Home organization and extra memberships with the role held in each; IsActive marks the one this session acts for
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/organizations', authenticate, authController.getMyOrganizations);
+
+/**
+ * @swagger
+ * /api/auth/switch-organization:
+ *   post:
+ *     summary: Switch the active organization of this session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Returns a new access token carrying the organization and the role held there. The refresh token stays valid and keeps the choice.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - organizationId
+ *             properties:
+ *               organizationId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Organization switched, new access token issued
+ *       403:
+ *         description: Not a member of the organization, or impersonating
+ */
+router.post('/switch-organization', authenticate, denyImpersonation, [
+    body('organizationId').isInt({ min: 1 }).withMessage('Organization ID is required'),
+    handleValidationErrors
+], authController.switchOrganization);
+
+/**
+ * @swagger
+ * /api/auth/impersonate/stop:
+ *   post:
+ *     summary: End the current impersonation
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Call with the impersonation token. Its session is revoked immediately.
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       400:
+ *         description: Not an impersonation token
+ */
+router.post('/impersonate/stop', authenticate, impersonationController.stopImpersonation);
+
+/**
+ * @swagger
+ * /api/auth/impersonate/{userId}:
+ *   post:
+ *     summary: Act as another user (users.impersonate)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Returns a non-refreshable access token for the user that expires after
+ *       IMPERSONATION_EXPIRES_MINUTES (default 30). The token carries both
+ *       identities (`act.sub` is the Super Admin). Requests made with it are
+ *       flagged in the API logs, and the user is notified by email or SMS.
+ *       Password, 2FA and session changes are blocked while impersonating.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Ticket 1234 - volunteer cannot see camp list
+ *     responses:
+ *       200:
+ *         description: Impersonation token issued
+ *       403:
+ *         description: Not a Super Admin, or target is a Super Admin
+ *       404:
+ *         description: User not found
+ */
+router.post('/impersonate/:userId', authenticate, denyImpersonation, requirePermission('users.impersonate'), [
+    param('userId').isInt({ min: 1 }).withMessage('Invalid user ID'),
+    body('reason').optional().trim().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters'),
+    handleValidationErrors
+], impersonationController.impersonate);
+
+/**
+ * @swagger
+ * /api/auth/impersonations:
+ *   get:
+ *     summary: Impersonation audit trail (users.impersonate)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: Filter by impersonated user
+ *       - in: query
+ *         name: impersonatorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Impersonations with status and number of requests made
+ */
+router.get('/impersonations', authenticate, requirePermission('users.impersonate'), impersonationController.getImpersonations);
 
 module.exports = router;
@@ -116,6 +116,7 @@ router.get('/:id', authenticate, param('id').isInt(), controller.getById);
  * /api/beneficiary-donations/{id}:
  *   put:
  *     summary: Update donation
+ *     description: Creators while Pending or InProgress; approvers (donations.manage) unless Distributed or Completed. Only approvers set Distributed, Completed or Cancelled.
  *     tags: [Beneficiary Donations]
  *     security: [{ bearerAuth: [] }]
  *     parameters: [{ in: path, name: id, required: true, schema: { type: integer } }]
@@ -129,6 +130,7 @@ router.put('/:id', authenticate, param('id').isInt(), controller.update);
  * /api/beneficiary-donations/{id}:
  *   delete:
  *     summary: Delete donation
+ *     description: Creators while Pending or InProgress; approvers (donations.manage) unless Distributed or Completed.
  *     tags: [Beneficiary Donations]
  *     security: [{ bearerAuth: [] }]
  *     parameters: [{ in: path, name: id, required: true, schema: { type: integer } }]
@@ -137,12 +139,26 @@ router.put('/:id', authenticate, param('id').isInt(), controller.update);
  */
 router.delete('/:id', authenticate, param('id').isInt(), controller.delete);
 
+/**
+ * @swagger
+ * /api/beneficiary-donations/{id}/reopen:
+ *   post:
+ *     summary: Reopen a distributed, completed or cancelled donation (requires donations.manage)
+ *     tags: [Beneficiary Donations]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters: [{ in: path, name: id, required: true, schema: { type: integer } }]
+ *     responses:
+ *       200: { description: Back to Pending }
+ */
+router.post('/:id/reopen', authenticate, param('id').isInt(), controller.reopen);
+
 // Media endpoints
 /**
  * @swagger
  * /api/beneficiary-donations/{id}/images:
  *   post:
  *     summary: Upload images
+ *     description: Creators while Pending or InProgress; approvers (donations.manage) unless Distributed or Completed.
  *     tags: [Beneficiary Donations]
  *     security: [{ bearerAuth: [] }]
  *     parameters: [{ in: path, name: id, required: true, schema: { type: integer } }]
@@ -163,6 +179,7 @@ router.post('/:id/images', authenticate, imageUpload.array('images', 10), contro
  * /api/beneficiary-donations/{id}/videos:
  *   post:
  *     summary: Upload videos
+ *     description: Creators while Pending or InProgress; approvers (donations.manage) unless Distributed or Completed.
  *     tags: [Beneficiary Donations]
  *     security: [{ bearerAuth: [] }]
  *     parameters: [{ in: path, name: id, required: true, schema: { type: integer } }]
@@ -189,6 +206,7 @@ router.get('/:id/media', authenticate, controller.getMedia);
  * /api/beneficiary-donations/{id}/media/{mediaId}:
  *   delete:
  *     summary: Delete media
+ *     description: Creators while Pending or InProgress; approvers (donations.manage) unless Distributed or Completed.
  *     tags: [Beneficiary Donations]
  *     security: [{ bearerAuth: [] }]
  *     responses:
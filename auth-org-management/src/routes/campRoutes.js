@@ -2,6 +2,7 @@ const express = require('express');
 const campController = require('../controllers/campController');
 const { authenticate } = require('../middleware/auth');
 const { body, param } = require('express-validator');
+const { nearbyValidation, areaValidation } = require('../middleware/validate');
 const multer = require('multer');
 const path = require('path');
 
@@ -144,6 +145,107 @@ router.post('/', authenticate, campValidation, campController.createCamp);
  */
 router.get('/', authenticate, campController.getAllCamps);
 
+/**
+ * @swagger
+ * /api/camps/nearby:
+ *   get:
+ *     summary: Camps within a radius of a point, nearest first
+ *     tags: [Camps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: latitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *           example: 19.076
+ *       - in: query
+ *         name: longitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *           example: 72.8777
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 25
+ *           maximum: 500
+ *       - in: query
+ *         name: upcoming
+ *         description: Only Planned or Ongoing camps that have not ended; pass false for all camps
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *       - in: query
+ *         name: campType
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Camps with DistanceKm
+ *       400:
+ *         description: Invalid coordinates
+ */
+router.get('/nearby', authenticate, nearbyValidation, campController.getNearbyCamps);
+
+/**
+ * @swagger
+ * /api/camps/in-area:
+ *   get:
+ *     summary: Camps inside a map area
+ *     description: Pass latitude and longitude as well to sort by distance from that point.
+ *     tags: [Camps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: north
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: south
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: east
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: west
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: latitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: longitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: upcoming
+ *         description: Only Planned or Ongoing camps that have not ended; pass false for all camps
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *       - in: query
+ *         name: campType
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Camps, with DistanceKm when a point is given
+ *       400:
+ *         description: Invalid map area
+ */
+router.get('/in-area', authenticate, areaValidation, campController.getCampsInArea);
+
 /**
  * @swagger
  * /api/camps/project/{projectId}:
@@ -209,6 +311,7 @@ router.get('/:id', authenticate, param('id').isInt(), campController.getCampById
  * /api/camps/{id}:
  *   put:
  *     summary: Update camp
+ *     description: Creators while Planned or Ongoing; approvers (camps.manage) unless Completed or Cancelled.
  *     tags: [Camps]
  *     security:
  *       - bearerAuth: []
@@ -224,11 +327,32 @@ router.get('/:id', authenticate, param('id').isInt(), campController.getCampById
  */
 router.put('/:id', authenticate, param('id').isInt(), campController.updateCamp);
 
+/**
+ * @swagger
+ * /api/camps/{id}/reopen:
+ *   post:
+ *     summary: Reopen a completed or cancelled camp (requires camps.manage)
+ *     tags: [Camps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Camp back to Ongoing
+ */
+router.post('/:id/reopen', authenticate, param('id').isInt(), campController.reopenCamp);
+
 /**
  * @swagger
  * /api/camps/{id}/attendance:
  *   patch:
  *     summary: Update camp attendance
+ *     description: Creators while Planned, Ongoing or Completed; approvers (camps.manage) unless Cancelled.
  *     tags: [Camps]
  *     security:
  *       - bearerAuth: []
@@ -259,6 +383,7 @@ router.patch('/:id/attendance', authenticate, param('id').isInt(), campControlle
  * /api/camps/{id}:
  *   delete:
  *     summary: Delete camp
+ *     description: Same rules as updating a camp.
  *     tags: [Camps]
  *     security:
  *       - bearerAuth: []
@@ -281,6 +406,7 @@ router.delete('/:id', authenticate, param('id').isInt(), campController.deleteCa
  * /api/camps/{id}/images:
  *   post:
  *     summary: Upload images to camp
+ *     description: Creators while Planned or Ongoing; approvers (camps.manage) unless Completed or Cancelled.
  *     tags: [Camp Media]
  *     security:
  *       - bearerAuth: []
@@ -314,6 +440,7 @@ router.post('/:id/images', authenticate, param('id').isInt(), imageUpload.array(
  * /api/camps/{id}/videos:
  *   post:
  *     summary: Upload videos to camp
+ *     description: Creators while Planned or Ongoing; approvers (camps.manage) unless Completed or Cancelled.
  *     tags: [Camp Media]
  *     security:
  *       - bearerAuth: []
@@ -406,7 +533,8 @@ router.get('/:id/videos', authenticate, param('id').isInt(), campController.getV
  * @swagger
  * /api/camps/{id}/media/{mediaId}:
  *   put:
- *     summary: Update media (caption, order)
+ *     summary: Update media (caption, order, shown on the public microsite)
+ *     description: Creators while Planned, Ongoing or Completed; approvers (camps.manage) unless Cancelled.
  *     tags: [Camp Media]
  *     security:
  *       - bearerAuth: []
@@ -431,6 +559,9 @@ router.get('/:id/videos', authenticate, param('id').isInt(), campController.getV
  *                 type: string
  *               displayOrder:
  *                 type: integer
+ *               isPublic:
+ *                 type: boolean
+ *                 description: Show on the project's public microsite once the camp is completed
  *     responses:
  *       200:
  *         description: Media updated
@@ -442,6 +573,7 @@ router.put('/:id/media/:mediaId', authenticate, campController.updateMedia);
  * /api/camps/{id}/media/{mediaId}:
  *   delete:
  *     summary: Delete media
+ *     description: Creators while Planned or Ongoing; approvers (camps.manage) unless Completed or Cancelled.
  *     tags: [Camp Media]
  *     security:
  *       - bearerAuth: []
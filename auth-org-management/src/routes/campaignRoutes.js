@@ -1,7 +1,7 @@
 const express = require('express');
 const campaignController = require('../controllers/campaignController');
 const { authenticate } = require('../middleware/auth');
-const { requireAdmin } = require('../middleware/rbac');
+const { requirePermission } = require('../middleware/rbac');
 const { body, param } = require('express-validator');
 
 const router = express.Router();
@@ -252,6 +252,6 @@ router.put('/:id', authenticate, param('id').isInt(), campaignController.updateC
  *       200:
  *         description: Campaign deleted
  */
-router.delete('/:id', authenticate, requireAdmin, param('id').isInt(), campaignController.deleteCampaign);
+router.delete('/:id', authenticate, requirePermission('campaigns.delete'), param('id').isInt(), campaignController.deleteCampaign);
 
 module.exports = router;
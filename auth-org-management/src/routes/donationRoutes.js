@@ -1,7 +1,7 @@
 const express = require('express');
 const donationController = require('../controllers/donationController');
 const { authenticate } = require('../middleware/auth');
-const { requireAdmin } = require('../middleware/rbac');
+const { requirePermission } = require('../middleware/rbac');
 const { body, param } = require('express-validator');
 
 const router = express.Router();
@@ -176,7 +176,7 @@ router.post('/razorpay/verify', donationController.verifyRazorpayPayment);
  *       201:
  *         description: Offline donation recorded
  */
-router.post('/offline', authenticate, requireAdmin, offlineDonationValidation, donationController.createOfflineDonation);
+router.post('/offline', authenticate, requirePermission('donations.manage'), offlineDonationValidation, donationController.createOfflineDonation);
 
 // ==================== General Donation Operations ====================
 
@@ -314,7 +314,7 @@ router.get('/:id', authenticate, param('id').isInt(), donationController.getDona
  * @swagger
  * /api/donations/{id}:
  *   put:
- *     summary: Update donation (Admin only)
+ *     summary: Update donation (donations.manage)
  *     tags: [Donations]
  *     security:
  *       - bearerAuth: []
@@ -328,13 +328,13 @@ router.get('/:id', authenticate, param('id').isInt(), donationController.getDona
  *       200:
  *         description: Donation updated
  */
-router.put('/:id', authenticate, requireAdmin, param('id').isInt(), donationController.updateDonation);
+router.put('/:id', authenticate, requirePermission('donations.manage'), param('id').isInt(), donationController.updateDonation);
 
 /**
  * @swagger
  * /api/donations/{id}:
  *   delete:
- *     summary: Delete donation (Admin only)
+ *     summary: Delete donation (donations.manage)
  *     tags: [Donations]
  *     security:
  *       - bearerAuth: []
@@ -348,6 +348,6 @@ router.put('/:id', authenticate, requireAdmin, param('id').isInt(), donationCont
  *       200:
  *         description: Donation deleted
  */
-router.delete('/:id', authenticate, requireAdmin, param('id').isInt(), donationController.deleteDonation);
+router.delete('/:id', authenticate, requirePermission('donations.manage'), param('id').isInt(), donationController.deleteDonation);
 
 module.exports = router;
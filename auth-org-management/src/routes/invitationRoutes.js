@@ -0,0 +1,87 @@
+const express = require('express');
+const invitationController = require('../controllers/invitationController');
+const { handleValidationErrors } = require('../middleware/validate');
+const { body, param } = require('express-validator');
+
+const router = express.Router();
+
+const tokenValidation = param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid invitation link');
+
+/**
+ * @swagger
+ * /api/invitations/{token}:
+ *   get:
+ *     summary: Get the organization and role an invitation link is for
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation details; accountExists tells whether to ask for the existing password
+ *       404:
+ *         description: Invitation is invalid, used, revoked or expired
+ */
+router.get('/:token', [tokenValidation, handleValidationErrors], invitationController.getInvitationByToken);
+
+/**
+ * @swagger
+ * /api/invitations/{token}/accept:
+ *   post:
+ *     summary: Accept an invitation and log in
+ *     tags: [Invitations]
+ *     description: |
+ *       Send either a Google ID token for the invited email, or a password.
+ *       New accounts need fullName and a password; existing accounts confirm
+ *       their current password. The user joins the organization with the
+ *       invited role (an existing higher role is kept). Returns the same
+ *       response as login, including a two-factor challenge when required.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               googleToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invitation accepted; tokens issued
+ *       400:
+ *         description: Missing credentials or account belongs to another organization
+ *       401:
+ *         description: Wrong password or Google account
+ *       404:
+ *         description: Invitation is invalid, used, revoked or expired
+ *       429:
+ *         description: Too many failed attempts; temporarily locked
+ */
+router.post('/:token/accept', [
+    tokenValidation,
+    body('fullName').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Full name must be between 2 and 100 characters'),
+    body('password')
+        .if(body('fullName').exists())
+        .if(body('googleToken').not().exists())
+        .isLength({ min: 8 })
+        .withMessage('Password must be at least 8 characters')
+        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+        .withMessage('Password must contain uppercase, lowercase, and number'),
+    body('googleToken').optional().isString(),
+    handleValidationErrors
+], invitationController.acceptInvitation);
+
+module.exports = router;
@@ -1,8 +1,15 @@
 const express = require('express');
 const orgController = require('../controllers/orgController');
+const invitationController = require('../controllers/invitationController');
+const apiKeyController = require('../controllers/apiKeyController');
+const activityController = require('../controllers/activityController');
+const spendApprovalController = require('../controllers/spendApprovalController');
+const { API_KEY_SCOPES } = require('../services/apiKeyService');
+const { APPROVER_TYPES } = require('../services/spendApprovalService');
 const { authenticate } = require('../middleware/auth');
-const { requireAdmin, requireOrgManager, requireOrgAccess } = require('../middleware/rbac');
-const { organizationValidation, idParamValidation } = require('../middleware/validate');
+const { requirePermission, requireOrgAccess } = require('../middleware/rbac');
+const { organizationValidation, idParamValidation, handleValidationErrors } = require('../middleware/validate');
+const { body, param, query } = require('express-validator');
 
 const router = express.Router();
 
@@ -35,6 +42,20 @@ router.use(authenticate);
  */
 router.get('/types', orgController.getOrganizationTypes);
 
+/**
+ * @swagger
+ * /api/organizations/api-key-scopes:
+ *   get:
+ *     summary: List the scopes an API key can be granted
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scopes with the methods and paths each one allows
+ */
+router.get('/api-key-scopes', requirePermission('api_keys.manage'), apiKeyController.getScopes);
+
 /**
  * @swagger
  * /api/organizations:
@@ -148,11 +169,132 @@ router.get('/:id', idParamValidation, orgController.getOrganizationById);
  */
 router.get('/:id/members', idParamValidation, orgController.getOrganizationMembers);
 
+/**
+ * @swagger
+ * /api/organizations/{id}/activity:
+ *   get:
+ *     summary: Activity feed of an organization's projects
+ *     description: Newest first. Event types are spend.submitted, spend.approved, spend.rejected, donation.received, camp.completed, permission.approved, media.uploaded, sponsor.added. Pass nextCursor as cursor for the next page; it is null on the last page. Only events of projects you can see are listed.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cursor
+ *         description: nextCursor of the previous page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: eventTypes
+ *         description: Comma-separated event types, e.g. spend.submitted,spend.approved
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Activities with nextCursor
+ *       404:
+ *         description: Organization not found
+ */
+router.get('/:id/activity', [
+    param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+    query('cursor').optional().isInt({ min: 1 }).withMessage('Invalid cursor'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    handleValidationErrors
+], activityController.getOrganizationActivity);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/members:
+ *   post:
+ *     summary: Add an existing user to the organization with a role held there (requires organizations.manage)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     description: The user keeps their home organization and switches to this one with /api/auth/switch-organization.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - roleId
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *               roleId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Member added (or role changed)
+ *       400:
+ *         description: Already the user's home organization
+ *       403:
+ *         description: Other organization or role above your own
+ *       404:
+ *         description: Organization, role or user not found
+ */
+router.post('/:id/members', requirePermission('organizations.manage'), [
+    param('id').isInt().withMessage('Invalid organization ID'),
+    body('userId').isInt({ min: 1 }).withMessage('User ID is required'),
+    body('roleId').isInt({ min: 1 }).withMessage('Role ID is required'),
+    handleValidationErrors
+], orgController.addOrganizationMember);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove an extra member from the organization (requires organizations.manage)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Member removed; their sessions acting for the organization fall back to their home organization
+ *       404:
+ *         description: Member not found
+ */
+router.delete('/:id/members/:userId', requirePermission('organizations.manage'), [
+    param('id').isInt().withMessage('Invalid organization ID'),
+    param('userId').isInt().withMessage('Invalid user ID'),
+    handleValidationErrors
+], orgController.removeOrganizationMember);
+
 /**
  * @swagger
  * /api/organizations:
  *   post:
- *     summary: Create organization (Admin or Org Admin)
+ *     summary: Create organization (organizations.manage)
  *     tags: [Organizations]
  *     security:
  *       - bearerAuth: []
@@ -195,7 +337,7 @@ router.get('/:id/members', idParamValidation, orgController.getOrganizationMembe
  *       201:
  *         description: Organization created
  */
-router.post('/', requireOrgManager, organizationValidation, orgController.createOrganization);
+router.post('/', requirePermission('organizations.manage'), organizationValidation, orgController.createOrganization);
 
 /**
  * @swagger
@@ -251,13 +393,13 @@ router.post('/', requireOrgManager, organizationValidation, orgController.create
  *       404:
  *         description: Organization not found
  */
-router.put('/:id', requireOrgManager, idParamValidation, orgController.updateOrganization);
+router.put('/:id', requirePermission('organizations.manage'), idParamValidation, orgController.updateOrganization);
 
 /**
  * @swagger
  * /api/organizations/{id}:
  *   delete:
- *     summary: Delete organization (Admin only)
+ *     summary: Delete organization (organizations.delete)
  *     tags: [Organizations]
  *     security:
  *       - bearerAuth: []
@@ -275,6 +417,376 @@ router.put('/:id', requireOrgManager, idParamValidation, orgController.updateOrg
  *       404:
  *         description: Organization not found
  */
-router.delete('/:id', requireAdmin, idParamValidation, orgController.deleteOrganization);
+router.delete('/:id', requirePermission('organizations.delete'), idParamValidation, orgController.deleteOrganization);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/invitations:
+ *   post:
+ *     summary: Invite a user to the organization with a pre-assigned role
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Emails a single-use link that expires after INVITATION_EXPIRY_DAYS (default 7).
+ *       Org Admins can only invite to their own organization, and nobody can invite
+ *       to a role above their own.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - roleId
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               roleId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Already a member, or a pending invitation exists
+ *       403:
+ *         description: Role above the inviter's, or another organization
+ *       404:
+ *         description: Organization or role not found
+ */
+router.post('/:id/invitations', requirePermission('invitations.manage'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+    body('email').isEmail().withMessage('Please provide a valid email').normalizeEmail(),
+    body('roleId').isInt({ min: 1 }).withMessage('Role ID is required'),
+    handleValidationErrors
+], invitationController.createInvitation);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/invitations:
+ *   get:
+ *     summary: List the organization's invitations
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Accepted, Revoked, Expired]
+ *     responses:
+ *       200:
+ *         description: List of invitations
+ */
+router.get('/:id/invitations', requirePermission('invitations.manage'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+    query('status').optional().isIn(['Pending', 'Accepted', 'Revoked', 'Expired']).withMessage('Invalid status'),
+    handleValidationErrors
+], invitationController.getInvitations);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/invitations/{invitationId}/resend:
+ *   post:
+ *     summary: Resend a pending or expired invitation
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Issues a new link and expiry; the previous link stops working.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       400:
+ *         description: Invitation already accepted or revoked
+ *       404:
+ *         description: Invitation not found
+ */
+router.post('/:id/invitations/:invitationId/resend', requirePermission('invitations.manage'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+    param('invitationId').isInt({ min: 1 }).withMessage('Invalid invitation ID'),
+    handleValidationErrors
+], invitationController.resendInvitation);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: Pending invitation not found
+ */
+router.delete('/:id/invitations/:invitationId', requirePermission('invitations.manage'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+    param('invitationId').isInt({ min: 1 }).withMessage('Invalid invitation ID'),
+    handleValidationErrors
+], invitationController.revokeInvitation);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/api-keys:
+ *   post:
+ *     summary: Create an API key for scripts and integrations
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       The key is returned once. Send it as `X-API-Key: <key>` or
+ *       `Authorization: Bearer <key>`. A key can only call the endpoints its
+ *       scopes cover, and its requests are logged under the key.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Accounting export
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [donations:read]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       404:
+ *         description: Organization not found
+ */
+router.post('/:id/api-keys', requirePermission('api_keys.manage'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+    body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').isIn(Object.keys(API_KEY_SCOPES)).withMessage('Invalid scope'),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date')
+        .custom((value) => new Date(value) > new Date()).withMessage('Expiry date must be in the future'),
+    handleValidationErrors
+], apiKeyController.createKey);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/api-keys:
+ *   get:
+ *     summary: List the organization's API keys
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Keys with prefix, scopes, status and last use
+ */
+router.get('/:id/api-keys', requirePermission('api_keys.manage'), idParamValidation, apiKeyController.getKeys);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/api-keys/{keyId}/rotate:
+ *   post:
+ *     summary: Replace an API key with a new one
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     description: The old key keeps working for API_KEY_ROTATION_GRACE_HOURS (default 24).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: New key issued
+ *       404:
+ *         description: Active API key not found
+ */
+router.post('/:id/api-keys/:keyId/rotate', requirePermission('api_keys.manage'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+    param('keyId').isInt({ min: 1 }).withMessage('Invalid API key ID'),
+    handleValidationErrors
+], apiKeyController.rotateKey);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: Active API key not found
+ */
+router.delete('/:id/api-keys/:keyId', requirePermission('api_keys.manage'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+    param('keyId').isInt({ min: 1 }).withMessage('Invalid API key ID'),
+    handleValidationErrors
+], apiKeyController.revokeKey);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/spend-approval-rules:
+ *   get:
+ *     summary: Expense approval steps of the organization (requires organizations.manage)
+ *     description: |
+ *       usesDefault is true when the organization has no steps, in which case any holder of
+ *       spends.approve approves an expense in one step.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Approval steps in order
+ *       404:
+ *         description: Organization not found
+ */
+router.get('/:id/spend-approval-rules', requirePermission('organizations.manage'), idParamValidation,
+    spendApprovalController.getRules);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/spend-approval-rules:
+ *   put:
+ *     summary: Replace the expense approval steps of the organization (requires organizations.manage)
+ *     description: |
+ *       Steps are decided in the order given. A step applies to expenses of at least minAmount, so
+ *       the first one must start at 0 and each later one at a higher amount. approverRole is a
+ *       project role (Lead, Treasurer, FieldVolunteer, Viewer) for ProjectRole steps and the code
+ *       of an active role such as ORG_ADMIN for OrganizationRole steps. Send an empty list to go back to the single default step.
+ *       Expenses already waiting keep the steps they started with.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - steps
+ *             properties:
+ *               steps:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     approverType:
+ *                       type: string
+ *                       enum: [ProjectRole, OrganizationRole]
+ *                     approverRole:
+ *                       type: string
+ *                     minAmount:
+ *                       type: number
+ *                 example:
+ *                   - { approverType: ProjectRole, approverRole: Lead, minAmount: 0 }
+ *                   - { approverType: ProjectRole, approverRole: Treasurer, minAmount: 5000 }
+ *                   - { approverType: OrganizationRole, approverRole: ORG_ADMIN, minAmount: 50000.01 }
+ *     responses:
+ *       200:
+ *         description: Approval steps saved
+ *       400:
+ *         description: Invalid steps
+ *       404:
+ *         description: Organization not found
+ */
+router.put('/:id/spend-approval-rules', requirePermission('organizations.manage'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+    body('steps').isArray({ max: 10 }).withMessage('Steps must be a list of at most 10 steps'),
+    body('steps.*.approverType').isIn(APPROVER_TYPES).withMessage(`Approver type must be one of: ${APPROVER_TYPES.join(', ')}`),
+    body('steps.*.approverRole').trim().notEmpty().isLength({ max: 50 }).withMessage('Approver role is required'),
+    body('steps.*.minAmount').optional().isFloat({ min: 0 }).withMessage('Minimum amount must be 0 or more'),
+    handleValidationErrors
+], spendApprovalController.replaceRules);
 
 module.exports = router;
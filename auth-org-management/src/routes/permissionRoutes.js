@@ -0,0 +1,53 @@
+const express = require('express');
+const permissionController = require('../controllers/permissionController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/permissions:
+ *   get:
+ *     summary: List all permissions that can be granted to roles
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission codes grouped by module
+ */
+router.get('/', requirePermission('roles.view'), permissionController.getPermissions);
+
+/**
+ * @swagger
+ * /api/permissions/matrix:
+ *   get:
+ *     summary: Get the permissions of every role
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active roles, each with its permission codes
+ */
+router.get('/matrix', requirePermission('roles.view'), permissionController.getMatrix);
+
+/**
+ * @swagger
+ * /api/permissions/me:
+ *   get:
+ *     summary: Get the current user's permissions
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role code and permission codes of the current user
+ */
+router.get('/me', permissionController.getMyPermissions);
+
+module.exports = router;
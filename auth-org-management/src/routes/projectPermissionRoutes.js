@@ -1,7 +1,7 @@
 const express = require('express');
 const permissionController = require('../controllers/projectPermissionController');
 const { authenticate } = require('../middleware/auth');
-const { requireAdmin } = require('../middleware/rbac');
+const { requirePermission } = require('../middleware/rbac');
 const { body, param } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
@@ -255,7 +255,7 @@ router.post('/:id/submit', authenticate, param('id').isInt(), permissionControll
  *       200:
  *         description: Permission approved
  */
-router.post('/:id/approve', authenticate, requireAdmin, param('id').isInt(), permissionController.approvePermission);
+router.post('/:id/approve', authenticate, requirePermission('project_permissions.approve'), param('id').isInt(), permissionController.approvePermission);
 
 /**
  * @swagger
@@ -275,7 +275,7 @@ router.post('/:id/approve', authenticate, requireAdmin, param('id').isInt(), per
  *       200:
  *         description: Permission rejected
  */
-router.post('/:id/reject', authenticate, requireAdmin, param('id').isInt(), permissionController.rejectPermission);
+router.post('/:id/reject', authenticate, requirePermission('project_permissions.approve'), param('id').isInt(), permissionController.rejectPermission);
 
 // ==================== Documents ====================
 
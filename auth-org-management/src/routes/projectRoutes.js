@@ -1,7 +1,16 @@
 const express = require('express');
 const projectController = require('../controllers/projectController');
+const projectMemberController = require('../controllers/projectMemberController');
+const projectBudgetController = require('../controllers/projectBudgetController');
+const projectTaskController = require('../controllers/projectTaskController');
+const projectTemplateController = require('../controllers/projectTemplateController');
+const projectImpactController = require('../controllers/projectImpactController');
+const activityController = require('../controllers/activityController');
+const { PROJECT_ROLES } = require('../services/projectAccessService');
+const { PROJECT_STATUSES, INITIAL_STATUSES } = require('../services/projectLifecycleService');
+const { INDICATOR_SOURCES, REPORT_INTERVALS } = require('../services/impactService');
 const { authenticate } = require('../middleware/auth');
-const { requireAdmin, requireOrgAccess } = require('../middleware/rbac');
+const { nearbyValidation, areaValidation } = require('../middleware/validate');
 const { body, param, query } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
@@ -38,7 +47,44 @@ const projectValidation = [
     body('projectName').notEmpty().withMessage('Project name is required'),
     body('startDate').optional().isDate().withMessage('Invalid start date'),
     body('endDate').optional().isDate().withMessage('Invalid end date'),
-    body('status').optional().isIn(['Planned', 'Ongoing', 'Completed']).withMessage('Invalid status')
+    body('status').optional().isIn(INITIAL_STATUSES).withMessage('A new project is Planned or Ongoing'),
+    body('organizationId').optional().isInt({ min: 1 }).withMessage('Invalid organization')
+];
+
+const memberRoleValidation = body('projectRole').isIn(Object.keys(PROJECT_ROLES)).withMessage('Invalid project role');
+
+const budgetHeadValidation = [
+    body('headName').optional().trim().notEmpty().isLength({ max: 150 }).withMessage('Head name is required'),
+    body('plannedAmount').optional().isFloat({ min: 0 }).withMessage('Planned amount must be a positive number'),
+    body('reason').optional().isLength({ max: 500 }).withMessage('Reason is too long')
+];
+
+const milestoneValidation = [
+    body('title').optional().trim().notEmpty().withMessage('Title is required'),
+    body('dueDate').optional({ nullable: true }).isDate().withMessage('Invalid due date'),
+    body('status').optional().isIn(['Open', 'Completed']).withMessage('Invalid milestone status')
+];
+
+const taskValidation = [
+    body('title').optional().trim().notEmpty().withMessage('Title is required'),
+    body('milestoneId').optional({ nullable: true }).isInt().withMessage('Invalid milestone'),
+    body('assignedToUserId').optional({ nullable: true }).isInt().withMessage('Invalid assignee'),
+    body('startDate').optional({ nullable: true }).isDate().withMessage('Invalid start date'),
+    body('dueDate').optional({ nullable: true }).isDate().withMessage('Invalid due date'),
+    body('dependsOn').optional().isArray().withMessage('dependsOn must be a list of task IDs'),
+    body('dependsOn.*').isInt().withMessage('dependsOn must be a list of task IDs')
+];
+
+const taskStatuses = ['Todo', 'InProgress', 'Blocked', 'Done', 'Cancelled'];
+
+const indicatorValidation = [
+    body('indicatorName').optional().trim().notEmpty().isLength({ max: 150 }).withMessage('Indicator name is required'),
+    body('unit').optional().trim().notEmpty().isLength({ max: 50 }).withMessage('Unit is required'),
+    body('targetValue').optional().isFloat({ min: 0 }).withMessage('Target must be a positive number'),
+    body('source').optional().isIn(INDICATOR_SOURCES).withMessage('Invalid indicator source'),
+    body('sourceFilter').optional({ nullable: true }).isLength({ max: 100 }).withMessage('Source filter is too long'),
+    body('isPublic').optional().isBoolean().withMessage('isPublic must be true or false'),
+    body('displayOrder').optional().isInt().withMessage('Display order must be a number')
 ];
 
 /**
@@ -84,10 +130,19 @@ const projectValidation = [
  *                 type: number
  *               status:
  *                 type: string
- *                 enum: [Planned, Ongoing, Completed]
+ *                 enum: [Planned, Ongoing]
+ *               organizationId:
+ *                 type: integer
+ *                 description: Required for projects.all holders; everyone else creates in their own organization
  *     responses:
  *       201:
  *         description: Project created successfully
+ *       400:
+ *         description: Validation failed, or organizationId missing for a projects.all holder
+ *       403:
+ *         description: organizationId of another organization
+ *       404:
+ *         description: Organization not found
  */
 router.post('/', authenticate, projectValidation, projectController.createProject);
 
@@ -104,7 +159,7 @@ router.post('/', authenticate, projectValidation, projectController.createProjec
  *         name: status
  *         schema:
  *           type: string
- *           enum: [Planned, Ongoing, Completed]
+ *           enum: [Planned, Ongoing, OnHold, Completed, Cancelled, Closed]
  *       - in: query
  *         name: search
  *         schema:
@@ -137,6 +192,109 @@ router.get('/', authenticate, projectController.getAllProjects);
  */
 router.get('/stats', authenticate, projectController.getProjectStats);
 
+/**
+ * @swagger
+ * /api/projects/nearby:
+ *   get:
+ *     summary: Projects within a radius of a point, nearest first
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: latitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *           example: 19.076
+ *       - in: query
+ *         name: longitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *           example: 72.8777
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 25
+ *           maximum: 500
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Projects with DistanceKm
+ *       400:
+ *         description: Invalid coordinates
+ */
+router.get('/nearby', authenticate, nearbyValidation, projectController.getNearbyProjects);
+
+/**
+ * @swagger
+ * /api/projects/in-area:
+ *   get:
+ *     summary: Projects inside a map area
+ *     description: Pass latitude and longitude as well to sort by distance from that point.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: north
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: south
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: east
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: west
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: latitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: longitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Projects, with DistanceKm when a point is given
+ *       400:
+ *         description: Invalid map area
+ */
+router.get('/in-area', authenticate, areaValidation, projectController.getProjectsInArea);
+
+/**
+ * @swagger
+ * /api/projects/member-roles:
+ *   get:
+ *     summary: List project roles and what each allows
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Project roles (Lead, Treasurer, FieldVolunteer, Viewer) with their actions
+ */
+router.get('/member-roles', authenticate, projectMemberController.getProjectRoles);
+
 /**
  * @swagger
  * /api/projects/{id}:
@@ -183,14 +341,101 @@ router.get('/:id', authenticate, param('id').isInt(), projectController.getProje
  *                 type: string
  *               status:
  *                 type: string
- *                 enum: [Planned, Ongoing, Completed]
+ *                 enum: [Planned, Ongoing, OnHold, Completed, Cancelled, Closed]
+ *                 description: Follows the same transition rules as POST /api/projects/{id}/status
+ *               statusReason:
+ *                 type: string
  *               isActive:
  *                 type: boolean
+ *               slug:
+ *                 type: string
+ *                 description: Address of the public microsite, /api/public/projects/{slug}
+ *                 example: winter-blanket-drive-2026
+ *               isPublic:
+ *                 type: boolean
+ *                 description: Publish the project microsite
  *     responses:
  *       200:
  *         description: Project updated successfully
+ *       400:
+ *         description: Status transition not allowed or slug already in use
+ *       409:
+ *         description: The status changed since it was checked
+ */
+router.put('/:id', authenticate, [
+    param('id').isInt(),
+    body('status').optional().isIn(PROJECT_STATUSES).withMessage('Invalid status'),
+    body('slug').optional().isLength({ min: 3, max: 150 }).matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+        .withMessage('Slug must be 3 to 150 lowercase letters, digits and single hyphens'),
+    body('isPublic').optional().isBoolean().withMessage('isPublic must be true or false')
+], projectController.updateProject);
+
+/**
+ * @swagger
+ * /api/projects/{id}/status:
+ *   post:
+ *     summary: Move a project to another status (project lead)
+ *     description: |
+ *       Allowed transitions: Planned to Ongoing, OnHold or Cancelled; Ongoing to OnHold, Completed or Cancelled;
+ *       OnHold to Ongoing or Cancelled; Completed to Ongoing or Closed; Cancelled to Closed. Closed is final.
+ *       OnHold and Cancelled need a reason. Closing needs every expense approved or rejected, own-money
+ *       expenses settled, no pending ground permissions and no active campaigns; otherwise the response lists the blockers.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Planned, Ongoing, OnHold, Completed, Cancelled, Closed]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *       400:
+ *         description: Transition not allowed or closing blockers
+ *       409:
+ *         description: The status changed since it was checked
+ */
+router.post('/:id/status', authenticate, [
+    param('id').isInt(),
+    body('status').isIn(PROJECT_STATUSES).withMessage('Invalid status'),
+    body('reason').optional().isLength({ max: 500 }).withMessage('Reason is too long')
+], projectController.changeStatus);
+
+/**
+ * @swagger
+ * /api/projects/{id}/status-history:
+ *   get:
+ *     summary: Status transitions of a project with actor, reason and time
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transitions, newest first
  */
-router.put('/:id', authenticate, param('id').isInt(), projectController.updateProject);
+router.get('/:id/status-history', authenticate, param('id').isInt(), projectController.getStatusHistory);
 
 /**
  * @swagger
@@ -241,4 +486,1161 @@ router.delete('/:id', authenticate, param('id').isInt(), projectController.delet
  */
 router.post('/:id/banner', authenticate, param('id').isInt(), upload.single('banner'), projectController.uploadBanner);
 
+/**
+ * @swagger
+ * /api/projects/{id}/members:
+ *   get:
+ *     summary: List project members and their project roles
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Project members
+ *       403:
+ *         description: No access to the project
+ */
+router.get('/:id/members', authenticate, param('id').isInt(), projectMemberController.getMembers);
+
+/**
+ * @swagger
+ * /api/projects/{id}/members:
+ *   post:
+ *     summary: Add a member to a project (project lead)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - projectRole
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *               projectRole:
+ *                 type: string
+ *                 enum: [Lead, Treasurer, FieldVolunteer, Viewer]
+ *     responses:
+ *       201:
+ *         description: Member added
+ *       200:
+ *         description: Already a member; role updated
+ *       404:
+ *         description: Project or user not found
+ */
+router.post('/:id/members', authenticate, [
+    param('id').isInt(),
+    body('userId').isInt({ min: 1 }).withMessage('Valid user ID is required'),
+    memberRoleValidation
+], projectMemberController.addMember);
+
+/**
+ * @swagger
+ * /api/projects/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's project role (project lead)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - projectRole
+ *             properties:
+ *               projectRole:
+ *                 type: string
+ *                 enum: [Lead, Treasurer, FieldVolunteer, Viewer]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Would leave the project without a lead
+ */
+router.put('/:id/members/:userId', authenticate, [
+    param('id').isInt(),
+    param('userId').isInt(),
+    memberRoleValidation
+], projectMemberController.updateMember);
+
+/**
+ * @swagger
+ * /api/projects/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a project (project lead)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: Would leave the project without a lead
+ */
+router.delete('/:id/members/:userId', authenticate, param('id').isInt(), param('userId').isInt(), projectMemberController.removeMember);
+
+/**
+ * @swagger
+ * /api/projects/{id}/budget:
+ *   get:
+ *     summary: Budget vs actual report of a project
+ *     description: Planned, committed (pending), approved and remaining amounts per budget head, expenses not tagged to a head, totals and over-budget warnings.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Budget report
+ */
+router.get('/:id/budget', authenticate, param('id').isInt(), projectBudgetController.getBudget);
+
+/**
+ * @swagger
+ * /api/projects/{id}/budget/heads:
+ *   post:
+ *     summary: Add a budget head to a project (project lead)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - headName
+ *               - plannedAmount
+ *             properties:
+ *               headName:
+ *                 type: string
+ *                 example: Medical supplies
+ *               description:
+ *                 type: string
+ *               plannedAmount:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Budget head added
+ *       400:
+ *         description: Validation error or duplicate name
+ */
+router.post('/:id/budget/heads', authenticate, [
+    param('id').isInt(),
+    body('headName').exists().withMessage('Head name is required'),
+    body('plannedAmount').exists().withMessage('Planned amount is required'),
+    ...budgetHeadValidation
+], projectBudgetController.createHead);
+
+/**
+ * @swagger
+ * /api/projects/{id}/budget/heads/{headId}:
+ *   put:
+ *     summary: Update or revise a budget head (project lead)
+ *     description: A new planned amount is recorded as a revision together with the reason.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: headId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               headName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               plannedAmount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Budget head updated
+ *       404:
+ *         description: Budget head not found
+ */
+router.put('/:id/budget/heads/:headId', authenticate, [
+    param('id').isInt(),
+    param('headId').isInt(),
+    ...budgetHeadValidation
+], projectBudgetController.updateHead);
+
+/**
+ * @swagger
+ * /api/projects/{id}/budget/heads/{headId}:
+ *   delete:
+ *     summary: Delete a budget head (project lead)
+ *     description: Expenses booked against the head become unallocated.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: headId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Budget head deleted
+ */
+router.delete('/:id/budget/heads/:headId', authenticate, param('id').isInt(), param('headId').isInt(), projectBudgetController.deleteHead);
+
+/**
+ * @swagger
+ * /api/projects/{id}/budget/heads/{headId}/revisions:
+ *   get:
+ *     summary: Revisions of a budget head's planned amount
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: headId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revisions, newest first
+ */
+router.get('/:id/budget/heads/:headId/revisions', authenticate, param('id').isInt(), param('headId').isInt(), projectBudgetController.getRevisions);
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones:
+ *   get:
+ *     summary: Milestones of a project with the progress of their tasks
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Milestones in due date order
+ */
+router.get('/:id/milestones', authenticate, param('id').isInt(), projectTaskController.getMilestones);
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones:
+ *   post:
+ *     summary: Add a milestone (project lead)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Milestone added
+ */
+router.post('/:id/milestones', authenticate, [
+    param('id').isInt(),
+    body('title').exists().withMessage('Title is required'),
+    ...milestoneValidation
+], projectTaskController.createMilestone);
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones/{milestoneId}:
+ *   put:
+ *     summary: Update a milestone (project lead)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: milestoneId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               status:
+ *                 type: string
+ *                 enum: [Open, Completed]
+ *     responses:
+ *       200:
+ *         description: Milestone updated
+ */
+router.put('/:id/milestones/:milestoneId', authenticate, [
+    param('id').isInt(),
+    param('milestoneId').isInt(),
+    ...milestoneValidation
+], projectTaskController.updateMilestone);
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones/{milestoneId}:
+ *   delete:
+ *     summary: Delete a milestone (project lead)
+ *     description: Its tasks stay on the project without a milestone.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: milestoneId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Milestone deleted
+ */
+router.delete('/:id/milestones/:milestoneId', authenticate, param('id').isInt(), param('milestoneId').isInt(), projectTaskController.deleteMilestone);
+
+/**
+ * @swagger
+ * /api/projects/{id}/tasks:
+ *   get:
+ *     summary: Tasks of a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: milestoneId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Todo, InProgress, Blocked, Done, Cancelled]
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tasks in due date order
+ */
+router.get('/:id/tasks', authenticate, param('id').isInt(), projectTaskController.getTasks);
+
+/**
+ * @swagger
+ * /api/projects/{id}/tasks:
+ *   post:
+ *     summary: Add a task (project lead)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               milestoneId:
+ *                 type: integer
+ *               assignedToUserId:
+ *                 type: integer
+ *                 description: Must be a member of the project
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               dependsOn:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Tasks of the project that must be done first
+ *     responses:
+ *       201:
+ *         description: Task added
+ */
+router.post('/:id/tasks', authenticate, [
+    param('id').isInt(),
+    body('title').exists().withMessage('Title is required'),
+    ...taskValidation
+], projectTaskController.createTask);
+
+/**
+ * @swagger
+ * /api/projects/{id}/tasks/{taskId}:
+ *   get:
+ *     summary: Get a task with its dependencies and status history
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Task details
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/tasks/:taskId', authenticate, param('id').isInt(), param('taskId').isInt(), projectTaskController.getTaskById);
+
+/**
+ * @swagger
+ * /api/projects/{id}/tasks/{taskId}:
+ *   put:
+ *     summary: Update a task's details and dependencies (project lead)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               milestoneId:
+ *                 type: integer
+ *                 nullable: true
+ *               assignedToUserId:
+ *                 type: integer
+ *                 nullable: true
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               dependsOn:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Replaces the current dependencies
+ *     responses:
+ *       200:
+ *         description: Task updated
+ *       400:
+ *         description: Validation error or dependency cycle
+ */
+router.put('/:id/tasks/:taskId', authenticate, [
+    param('id').isInt(),
+    param('taskId').isInt(),
+    ...taskValidation
+], projectTaskController.updateTask);
+
+/**
+ * @swagger
+ * /api/projects/{id}/tasks/{taskId}/status:
+ *   patch:
+ *     summary: Change a task's status and progress (assignee or project lead)
+ *     description: A task cannot move to InProgress or Done while a task it depends on is not done. Every change is kept in the status history.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Todo, InProgress, Blocked, Done, Cancelled]
+ *               percentComplete:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       400:
+ *         description: Waiting on other tasks
+ */
+router.patch('/:id/tasks/:taskId/status', authenticate, [
+    param('id').isInt(),
+    param('taskId').isInt(),
+    body('status').optional().isIn(taskStatuses).withMessage('Invalid task status'),
+    body('percentComplete').optional().isInt({ min: 0, max: 100 }).withMessage('Percent complete must be between 0 and 100'),
+    body('note').optional().isLength({ max: 500 }).withMessage('Note is too long')
+], projectTaskController.updateTaskStatus);
+
+/**
+ * @swagger
+ * /api/projects/{id}/tasks/{taskId}:
+ *   delete:
+ *     summary: Delete a task (project lead)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Task deleted
+ */
+router.delete('/:id/tasks/:taskId', authenticate, param('id').isInt(), param('taskId').isInt(), projectTaskController.deleteTask);
+
+/**
+ * @swagger
+ * /api/projects/{id}/timeline:
+ *   get:
+ *     summary: One schedule of a project
+ *     description: Milestones, tasks, camps, campaigns and ground permission due dates merged and sorted by date. Each item has ItemType, ItemId, Title, StartDate, EndDate and Status.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Timeline items
+ */
+router.get('/:id/timeline', authenticate, [
+    param('id').isInt(),
+    query('from').optional().isDate(),
+    query('to').optional().isDate()
+], projectTaskController.getTimeline);
+
+/**
+ * @swagger
+ * /api/projects/{id}/indicators:
+ *   get:
+ *     summary: Impact indicators of a project with progress so far
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Indicators with Achieved, PercentOfTarget and Remaining
+ */
+router.get('/:id/indicators', authenticate, param('id').isInt(), projectImpactController.getIndicators);
+
+/**
+ * @swagger
+ * /api/projects/{id}/indicators:
+ *   post:
+ *     summary: Add an impact indicator (project lead)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - indicatorName
+ *               - unit
+ *             properties:
+ *               indicatorName:
+ *                 type: string
+ *                 example: Children enrolled
+ *               description:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *                 example: children
+ *               targetValue:
+ *                 type: number
+ *                 example: 500
+ *               source:
+ *                 type: string
+ *                 enum: [Manual, CampAttendance, BeneficiaryDistributions]
+ *                 description: Manual readings, attendance of completed camps, or one per distributed beneficiary donation
+ *               sourceFilter:
+ *                 type: string
+ *                 description: Only camps of this CampType, or beneficiary donations of this DonationType
+ *               isPublic:
+ *                 type: boolean
+ *                 description: Show on the public microsite (default true)
+ *               displayOrder:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Indicator created
+ *       400:
+ *         description: Validation failed or name already used in this project
+ */
+router.post('/:id/indicators', authenticate, [
+    param('id').isInt(),
+    body('indicatorName').trim().notEmpty().withMessage('Indicator name is required'),
+    body('unit').trim().notEmpty().withMessage('Unit is required'),
+    ...indicatorValidation
+], projectImpactController.createIndicator);
+
+/**
+ * @swagger
+ * /api/projects/{id}/indicators/{indicatorId}:
+ *   put:
+ *     summary: Update an impact indicator (project lead)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: indicatorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               indicatorName:
+ *                 type: string
+ *                 example: Children enrolled
+ *               description:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *                 example: children
+ *               targetValue:
+ *                 type: number
+ *                 example: 500
+ *               source:
+ *                 type: string
+ *                 enum: [Manual, CampAttendance, BeneficiaryDistributions]
+ *                 description: Manual readings, attendance of completed camps, or one per distributed beneficiary donation
+ *               sourceFilter:
+ *                 type: string
+ *                 description: Only camps of this CampType, or beneficiary donations of this DonationType
+ *               isPublic:
+ *                 type: boolean
+ *                 description: Show on the public microsite (default true)
+ *               displayOrder:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Indicator updated
+ */
+router.put('/:id/indicators/:indicatorId', authenticate, [
+    param('id').isInt(),
+    param('indicatorId').isInt(),
+    ...indicatorValidation
+], projectImpactController.updateIndicator);
+
+/**
+ * @swagger
+ * /api/projects/{id}/indicators/{indicatorId}:
+ *   delete:
+ *     summary: Delete an impact indicator (project lead)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: indicatorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Indicator deleted
+ */
+router.delete('/:id/indicators/:indicatorId', authenticate, param('id').isInt(), param('indicatorId').isInt(), projectImpactController.deleteIndicator);
+
+/**
+ * @swagger
+ * /api/projects/{id}/indicators/{indicatorId}/readings:
+ *   get:
+ *     summary: Readings of an indicator
+ *     description: Entered readings for Manual indicators; otherwise one per completed camp (its attendance) or per distributed beneficiary donation.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: indicatorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Readings in date order
+ */
+router.get('/:id/indicators/:indicatorId/readings', authenticate, [
+    param('id').isInt(),
+    param('indicatorId').isInt(),
+    query('from').optional().isDate(),
+    query('to').optional().isDate()
+], projectImpactController.getReadings);
+
+/**
+ * @swagger
+ * /api/projects/{id}/indicators/{indicatorId}/readings:
+ *   post:
+ *     summary: Record what a Manual indicator achieved in a period (lead or field volunteer)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: indicatorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - readingDate
+ *               - value
+ *             properties:
+ *               readingDate:
+ *                 type: string
+ *                 format: date
+ *               value:
+ *                 type: number
+ *                 example: 120
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Reading recorded
+ *       400:
+ *         description: The indicator is derived from camps or beneficiary donations
+ */
+router.post('/:id/indicators/:indicatorId/readings', authenticate, [
+    param('id').isInt(),
+    param('indicatorId').isInt(),
+    body('readingDate').isDate().withMessage('Reading date is required'),
+    body('value').isFloat({ min: 0 }).withMessage('Value must be a positive number'),
+    body('notes').optional().isLength({ max: 500 }).withMessage('Notes are too long')
+], projectImpactController.addReading);
+
+/**
+ * @swagger
+ * /api/projects/{id}/indicators/{indicatorId}/readings/{readingId}:
+ *   delete:
+ *     summary: Delete a reading (whoever entered it or the project lead)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: indicatorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: readingId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reading deleted
+ */
+router.delete('/:id/indicators/:indicatorId/readings/:readingId', authenticate, [
+    param('id').isInt(),
+    param('indicatorId').isInt(),
+    param('readingId').isInt()
+], projectImpactController.deleteReading);
+
+/**
+ * @swagger
+ * /api/projects/{id}/impact:
+ *   get:
+ *     summary: Progress of every impact indicator against its target over time
+ *     description: Per period, what each indicator achieved, the running total and the percent of target reached. Readings before from still count towards the running total (OpeningValue).
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [week, month, quarter, year]
+ *           default: month
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Impact report
+ */
+router.get('/:id/impact', authenticate, [
+    param('id').isInt(),
+    query('interval').optional().isIn(REPORT_INTERVALS).withMessage('Invalid interval'),
+    query('from').optional().isDate(),
+    query('to').optional().isDate()
+], projectImpactController.getImpactReport);
+
+/**
+ * @swagger
+ * /api/projects/{id}/activity:
+ *   get:
+ *     summary: Activity feed of a project
+ *     description: Newest first. Event types are spend.submitted, spend.approved, spend.rejected, donation.received, camp.completed, permission.approved, media.uploaded, sponsor.added. Pass nextCursor as cursor for the next page; it is null on the last page.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cursor
+ *         description: nextCursor of the previous page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: eventTypes
+ *         description: Comma-separated event types, e.g. spend.submitted,spend.approved
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Activities with nextCursor
+ */
+router.get('/:id/activity', authenticate, [
+    param('id').isInt(),
+    query('cursor').optional().isInt({ min: 1 }).withMessage('Invalid cursor'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], activityController.getProjectActivity);
+
+/**
+ * @swagger
+ * /api/projects/{id}/clone:
+ *   post:
+ *     summary: Clone a project
+ *     description: Copies the description, budget heads, ground permission checklist, camp plans and campaigns (as drafts) into a new Planned project of your organization, with dates shifted to the new start date. Donations, expenses and media are not copied. You lead the new project.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               projectName:
+ *                 type: string
+ *                 description: Defaults to the source name with "(copy)"
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *     responses:
+ *       201:
+ *         description: Project cloned
+ */
+router.post('/:id/clone', authenticate, [
+    param('id').isInt(),
+    body('projectName').optional().trim().notEmpty().withMessage('Project name cannot be empty'),
+    body('startDate').optional().isDate().withMessage('Invalid start date')
+], projectTemplateController.cloneProject);
+
+/**
+ * @swagger
+ * /api/projects/{id}/template:
+ *   post:
+ *     summary: Save a project as a template of its organization (project lead)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - templateName
+ *             properties:
+ *               templateName:
+ *                 type: string
+ *                 example: Winter blanket drive
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Template saved
+ */
+router.post('/:id/template', authenticate, [
+    param('id').isInt(),
+    body('templateName').trim().notEmpty().withMessage('Template name is required')
+], projectTemplateController.saveAsTemplate);
+
 module.exports = router;
@@ -1,7 +1,6 @@
 const express = require('express');
 const projectSpendController = require('../controllers/projectSpendController');
 const { authenticate } = require('../middleware/auth');
-const { requireAdmin, requireOrgAccess } = require('../middleware/rbac');
 const { body, param, query } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
@@ -35,6 +34,7 @@ const upload = multer({
 // Validation middleware
 const spendValidation = [
     body('projectId').isInt().withMessage('Project ID is required'),
+    body('budgetHeadId').optional({ nullable: true }).isInt().withMessage('Invalid budget head'),
     body('expenseName').notEmpty().withMessage('Expense name is required'),
     body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
     body('paymentMode').optional().isIn(['Cash', 'Bank Transfer', 'UPI', 'Cheque', 'Card', 'Other']).withMessage('Invalid payment mode'),
@@ -63,6 +63,9 @@ const spendValidation = [
  *             properties:
  *               projectId:
  *                 type: integer
+ *               budgetHeadId:
+ *                 type: integer
+ *                 description: Budget head of the project the expense is booked against
  *               expenseName:
  *                 type: string
  *               expenseDescription:
@@ -84,7 +87,7 @@ const spendValidation = [
  *                 format: date
  *     responses:
  *       201:
- *         description: Expense recorded successfully
+ *         description: Expense recorded successfully; data.warnings lists over-budget heads and untagged expenses
  */
 router.post('/', authenticate, spendValidation, projectSpendController.createSpend);
 
@@ -163,6 +166,10 @@ router.get('/unsettled', authenticate, projectSpendController.getUnsettledSpends
  *           type: string
  *           enum: [Pending, Approved, Rejected]
  *       - in: query
+ *         name: budgetHeadId
+ *         schema:
+ *           type: integer
+ *       - in: query
  *         name: paymentMode
  *         schema:
  *           type: string
@@ -209,6 +216,7 @@ router.get('/:id', authenticate, param('id').isInt(), projectSpendController.get
  * /api/project-spends/{id}:
  *   put:
  *     summary: Update an expense
+ *     description: Creators while Pending; approvers (spends.approve) unless Approved. Settled expenses cannot be changed.
  *     tags: [Project Spends]
  *     security:
  *       - bearerAuth: []
@@ -224,6 +232,9 @@ router.get('/:id', authenticate, param('id').isInt(), projectSpendController.get
  *           schema:
  *             type: object
  *             properties:
+ *               budgetHeadId:
+ *                 type: integer
+ *                 nullable: true
  *               expenseName:
  *                 type: string
  *               amount:
@@ -234,13 +245,27 @@ router.get('/:id', authenticate, param('id').isInt(), projectSpendController.get
  *       200:
  *         description: Expense updated successfully
  */
-router.put('/:id', authenticate, param('id').isInt(), projectSpendController.updateSpend);
+router.put('/:id', authenticate, [
+    param('id').isInt(),
+    body('budgetHeadId').optional({ nullable: true }).isInt().withMessage('Invalid budget head')
+], projectSpendController.updateSpend);
+
+const decisionValidation = [
+    param('id').isInt(),
+    body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment must be at most 1000 characters')
+];
 
 /**
  * @swagger
  * /api/project-spends/{id}/approve:
  *   post:
- *     summary: Approve an expense
+ *     summary: Approve the next step of an expense
+ *     description: |
+ *       Expenses go through the approval steps of their organization that apply to their amount,
+ *       one after the other (see GET /api/organizations/{id}/spend-approval-rules). Each step is
+ *       decided by its project role or organization role, or by a spends.approve holder when the
+ *       organization has no steps. Whoever recorded the expense cannot decide it, and nobody
+ *       decides two steps of the same expense. The expense is Approved with its last step.
  *     tags: [Project Spends]
  *     security:
  *       - bearerAuth: []
@@ -250,17 +275,32 @@ router.put('/:id', authenticate, param('id').isInt(), projectSpendController.upd
  *         required: true
  *         schema:
  *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Expense approved successfully
+ *         description: Step approved, with the expense and its approval steps
+ *       400:
+ *         description: Expense already processed
+ *       403:
+ *         description: The step is not yours to decide
+ *       409:
+ *         description: Someone else decided the step first
  */
-router.post('/:id/approve', authenticate, requireAdmin, param('id').isInt(), projectSpendController.approveSpend);
+router.post('/:id/approve', authenticate, decisionValidation, projectSpendController.approveSpend);
 
 /**
  * @swagger
  * /api/project-spends/{id}/reject:
  *   post:
- *     summary: Reject an expense
+ *     summary: Reject an expense at its next step
+ *     description: Whoever may approve the next step may reject it instead, which rejects the expense.
  *     tags: [Project Spends]
  *     security:
  *       - bearerAuth: []
@@ -270,17 +310,52 @@ router.post('/:id/approve', authenticate, requireAdmin, param('id').isInt(), pro
  *         required: true
  *         schema:
  *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Expense rejected
+ *       400:
+ *         description: Expense already processed
+ *       403:
+ *         description: The step is not yours to decide
+ */
+router.post('/:id/reject', authenticate, decisionValidation, projectSpendController.rejectSpend);
+
+/**
+ * @swagger
+ * /api/project-spends/{id}/reopen:
+ *   post:
+ *     summary: Reopen an approved or rejected expense (requires spends.approve)
+ *     tags: [Project Spends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Expense back to Pending
+ *       400:
+ *         description: Already pending, or settled
  */
-router.post('/:id/reject', authenticate, requireAdmin, param('id').isInt(), projectSpendController.rejectSpend);
+router.post('/:id/reopen', authenticate, param('id').isInt(), projectSpendController.reopenSpend);
 
 /**
  * @swagger
  * /api/project-spends/{id}:
  *   delete:
  *     summary: Delete an expense
+ *     description: Same rules as updating an expense.
  *     tags: [Project Spends]
  *     security:
  *       - bearerAuth: []
@@ -330,6 +405,7 @@ router.post('/:id/bill', authenticate, param('id').isInt(), upload.single('bill'
  * /api/project-spends/{id}/settle:
  *   post:
  *     summary: Settle an expense (mark as reimbursed)
+ *     description: Your own expenses, or any with spends.approve or reimbursements.manage. Expenses in a reimbursement batch are settled by the batch's payments instead.
  *     tags: [Project Spends]
  *     security:
  *       - bearerAuth: []
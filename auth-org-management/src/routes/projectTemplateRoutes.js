@@ -0,0 +1,144 @@
+const express = require('express');
+const projectTemplateController = require('../controllers/projectTemplateController');
+const { authenticate } = require('../middleware/auth');
+const { body, param } = require('express-validator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/project-templates:
+ *   get:
+ *     summary: Project templates of your organization
+ *     description: Save one with POST /api/projects/{id}/template.
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Templates with how many budget heads, permissions, camps and campaigns they hold
+ */
+router.get('/', authenticate, projectTemplateController.getTemplates);
+
+/**
+ * @swagger
+ * /api/project-templates/{templateId}:
+ *   get:
+ *     summary: Get a template with its plan
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Template details
+ *       404:
+ *         description: Template not found
+ */
+router.get('/:templateId', authenticate, param('templateId').isInt(), projectTemplateController.getTemplateById);
+
+/**
+ * @swagger
+ * /api/project-templates/{templateId}:
+ *   put:
+ *     summary: Rename or describe a template (creator or organization admin)
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               templateName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Template updated
+ */
+router.put('/:templateId', authenticate, [
+    param('templateId').isInt(),
+    body('templateName').optional().trim().notEmpty().withMessage('Template name cannot be empty')
+], projectTemplateController.updateTemplate);
+
+/**
+ * @swagger
+ * /api/project-templates/{templateId}:
+ *   delete:
+ *     summary: Delete a template (creator or organization admin)
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ */
+router.delete('/:templateId', authenticate, param('templateId').isInt(), projectTemplateController.deleteTemplate);
+
+/**
+ * @swagger
+ * /api/project-templates/{templateId}/projects:
+ *   post:
+ *     summary: Start a new project from a template
+ *     description: Creates a Planned project in your organization with the template's budget heads, ground permissions, camps and campaign drafts laid out from the start date. You lead the new project.
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - projectName
+ *             properties:
+ *               projectName:
+ *                 type: string
+ *                 example: Winter blanket drive 2026
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *     responses:
+ *       201:
+ *         description: Project created
+ */
+router.post('/:templateId/projects', authenticate, [
+    param('templateId').isInt(),
+    body('projectName').trim().notEmpty().withMessage('Project name is required'),
+    body('startDate').optional().isDate().withMessage('Invalid start date')
+], projectTemplateController.createProjectFromTemplate);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const publicController = require('../controllers/publicController');
+const { handleValidationErrors } = require('../middleware/validate');
+const { param } = require('express-validator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/public/projects/{slug}:
+ *   get:
+ *     summary: Public microsite of a project (no auth required)
+ *     description: |
+ *       Only for projects published with isPublic. Combines the banner and objective, active public
+ *       campaigns with their progress, public sponsors, completed camps with the media picked for the
+ *       microsite, what reached beneficiaries per donation type, approved expenses per budget head and
+ *       the progress of public impact indicators.
+ *       Contact details, bills, beneficiary names and internal fields are left out.
+ *       Cached for 5 minutes.
+ *     tags: [Public]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: winter-blanket-drive-2026-12
+ *     responses:
+ *       200:
+ *         description: Project microsite
+ *       404:
+ *         description: Project not found or not published
+ */
+router.get('/projects/:slug', [
+    param('slug').isLength({ max: 150 }).matches(/^[a-z0-9-]+$/).withMessage('Invalid project address'),
+    handleValidationErrors
+], publicController.getProjectMicrosite);
+
+module.exports = router;
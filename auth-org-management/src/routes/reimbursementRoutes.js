@@ -0,0 +1,326 @@
+const express = require('express');
+const reimbursementController = require('../controllers/reimbursementController');
+const { PAYOUT_MODES, BATCH_STATUSES } = require('../services/reimbursementService');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { handleValidationErrors } = require('../middleware/validate');
+const { body, param, query } = require('express-validator');
+
+const router = express.Router();
+
+const batchIdValidation = [
+    param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+    handleValidationErrors
+];
+
+/**
+ * @swagger
+ * /api/reimbursements/me:
+ *   get:
+ *     summary: Own reimbursement balances and recent ledger entries, per organization
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: What each organization owes you
+ */
+router.get('/me', authenticate, reimbursementController.getMyReimbursements);
+
+/**
+ * @swagger
+ * /api/reimbursements/balances:
+ *   get:
+ *     summary: What the organization owes each volunteer (requires reimbursements.manage)
+ *     description: |
+ *       BatchedBalance is the ledger balance of expenses in batches less what was paid out.
+ *       UnbatchedAmount is approved own-money expenses not in a batch yet. TotalOwed adds both.
+ *       organizationId defaults to your own organization.
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: organizationId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Balances, largest first
+ */
+router.get('/balances', authenticate, requirePermission('reimbursements.manage'), [
+    query('organizationId').optional().isInt({ min: 1 }),
+    handleValidationErrors
+], reimbursementController.getBalances);
+
+/**
+ * @swagger
+ * /api/reimbursements/balances/{userId}:
+ *   get:
+ *     summary: A volunteer's balance and ledger entries (requires reimbursements.manage)
+ *     description: Entries are newest first. Each carries the running Balance after it.
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: organizationId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Balance and ledger entries
+ */
+router.get('/balances/:userId', authenticate, requirePermission('reimbursements.manage'), [
+    param('userId').isInt({ min: 1 }).withMessage('Invalid user ID'),
+    query('organizationId').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('offset').optional().isInt({ min: 0 }),
+    handleValidationErrors
+], reimbursementController.getLedger);
+
+/**
+ * @swagger
+ * /api/reimbursements/eligible-spends:
+ *   get:
+ *     summary: A volunteer's expenses that can go into a new batch (requires reimbursements.manage)
+ *     description: Approved expenses paid with own money that are not settled or in a batch, oldest first.
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: payeeUserId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: organizationId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Expenses with their total
+ */
+router.get('/eligible-spends', authenticate, requirePermission('reimbursements.manage'), [
+    query('payeeUserId').isInt({ min: 1 }).withMessage('Payee user ID is required'),
+    query('organizationId').optional().isInt({ min: 1 }),
+    handleValidationErrors
+], reimbursementController.getEligibleSpends);
+
+/**
+ * @swagger
+ * /api/reimbursements/batches:
+ *   get:
+ *     summary: Reimbursement batches of the organization (requires reimbursements.manage)
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: organizationId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: payeeUserId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Open, PartiallyPaid, Paid, Cancelled]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Batches, newest first
+ */
+router.get('/batches', authenticate, requirePermission('reimbursements.manage'), [
+    query('organizationId').optional().isInt({ min: 1 }),
+    query('payeeUserId').optional().isInt({ min: 1 }),
+    query('status').optional().isIn(BATCH_STATUSES).withMessage(`Status must be one of: ${BATCH_STATUSES.join(', ')}`),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('offset').optional().isInt({ min: 0 }),
+    handleValidationErrors
+], reimbursementController.getBatches);
+
+/**
+ * @swagger
+ * /api/reimbursements/batches:
+ *   post:
+ *     summary: Batch a volunteer's approved own-money expenses for reimbursement (requires reimbursements.manage)
+ *     description: |
+ *       Without spendIds, every expense the volunteer is waiting to be reimbursed for goes in.
+ *       Each expense is added to the volunteer's ledger as a claim. Batched expenses cannot be
+ *       reopened or settled one by one.
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - payeeUserId
+ *             properties:
+ *               payeeUserId:
+ *                 type: integer
+ *               spendIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               organizationId:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Batch created
+ *       400:
+ *         description: No expenses to batch, or some cannot be batched
+ *       409:
+ *         description: An expense was batched by someone else meanwhile
+ */
+router.post('/batches', authenticate, requirePermission('reimbursements.manage'), [
+    body('payeeUserId').isInt({ min: 1 }).withMessage('Payee user ID is required').toInt(),
+    body('spendIds').optional().isArray({ min: 1 }).withMessage('Spend IDs must be a non-empty list'),
+    body('spendIds.*').isInt({ min: 1 }).withMessage('Invalid spend ID'),
+    body('organizationId').optional().isInt({ min: 1 }),
+    body('notes').optional().trim().isLength({ max: 1000 }),
+    handleValidationErrors
+], reimbursementController.createBatch);
+
+/**
+ * @swagger
+ * /api/reimbursements/batches/{id}:
+ *   get:
+ *     summary: A batch with its expenses and payments (requires reimbursements.manage)
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Batch details
+ *       404:
+ *         description: Batch not found
+ */
+router.get('/batches/:id', authenticate, requirePermission('reimbursements.manage'), batchIdValidation,
+    reimbursementController.getBatchById);
+
+/**
+ * @swagger
+ * /api/reimbursements/batches/{id}/payments:
+ *   post:
+ *     summary: Record a payout against a batch (requires reimbursements.manage)
+ *     description: |
+ *       A payment can cover part of what is outstanding; the batch is then PartiallyPaid and the
+ *       expenses the payments cover in full, oldest first, are settled. The batch is Paid and all
+ *       its expenses settled once the payments reach its total. You cannot pay a batch of your own.
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - payoutMode
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               payoutMode:
+ *                 type: string
+ *                 enum: [Cash, Bank Transfer, UPI, Cheque, Other]
+ *               payoutReference:
+ *                 type: string
+ *                 example: UPI ref 4123987765
+ *               paidDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded
+ *       400:
+ *         description: More than outstanding, or the batch is not open
+ *       403:
+ *         description: The batch is yours
+ */
+router.post('/batches/:id/payments', authenticate, requirePermission('reimbursements.manage'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be more than 0'),
+    body('payoutMode').isIn(PAYOUT_MODES).withMessage(`Payout mode must be one of: ${PAYOUT_MODES.join(', ')}`),
+    body('payoutReference').optional().trim().isLength({ max: 100 }),
+    body('paidDate').optional().isISO8601().withMessage('Invalid paid date'),
+    body('notes').optional().trim().isLength({ max: 1000 }),
+    handleValidationErrors
+], reimbursementController.addPayment);
+
+/**
+ * @swagger
+ * /api/reimbursements/batches/{id}/cancel:
+ *   post:
+ *     summary: Cancel a batch without payments (requires reimbursements.manage)
+ *     description: Its expenses can be batched again, and its claims are reversed on the ledger.
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Batch cancelled
+ *       400:
+ *         description: Payments were made already
+ */
+router.post('/batches/:id/cancel', authenticate, requirePermission('reimbursements.manage'), batchIdValidation,
+    reimbursementController.cancelBatch);
+
+module.exports = router;
@@ -1,8 +1,10 @@
 const express = require('express');
 const roleController = require('../controllers/roleController');
+const permissionController = require('../controllers/permissionController');
 const { authenticate } = require('../middleware/auth');
-const { requireAdmin, requireSuperAdmin } = require('../middleware/rbac');
-const { roleValidation, idParamValidation } = require('../middleware/validate');
+const { requirePermission } = require('../middleware/rbac');
+const { roleValidation, idParamValidation, handleValidationErrors } = require('../middleware/validate');
+const { body } = require('express-validator');
 
 const router = express.Router();
 
@@ -38,7 +40,7 @@ router.use(authenticate);
  *                   items:
  *                     $ref: '#/components/schemas/Role'
  */
-router.get('/', requireAdmin, roleController.getAllRoles);
+router.get('/', requirePermission('roles.view'), roleController.getAllRoles);
 
 /**
  * @swagger
@@ -60,13 +62,13 @@ router.get('/', requireAdmin, roleController.getAllRoles);
  *       404:
  *         description: Role not found
  */
-router.get('/:id', requireAdmin, idParamValidation, roleController.getRoleById);
+router.get('/:id', requirePermission('roles.view'), idParamValidation, roleController.getRoleById);
 
 /**
  * @swagger
  * /api/roles:
  *   post:
- *     summary: Create a new role (Super Admin only)
+ *     summary: Create a new role (roles.manage)
  *     tags: [Roles]
  *     security:
  *       - bearerAuth: []
@@ -97,13 +99,13 @@ router.get('/:id', requireAdmin, idParamValidation, roleController.getRoleById);
  *       403:
  *         description: Super Admin access required
  */
-router.post('/', requireSuperAdmin, roleValidation, roleController.createRole);
+router.post('/', requirePermission('roles.manage'), roleValidation, roleController.createRole);
 
 /**
  * @swagger
  * /api/roles/{id}:
  *   put:
- *     summary: Update role (Super Admin only)
+ *     summary: Update role (roles.manage)
  *     tags: [Roles]
  *     security:
  *       - bearerAuth: []
@@ -133,13 +135,13 @@ router.post('/', requireSuperAdmin, roleValidation, roleController.createRole);
  *       404:
  *         description: Role not found
  */
-router.put('/:id', requireSuperAdmin, idParamValidation, roleController.updateRole);
+router.put('/:id', requirePermission('roles.manage'), idParamValidation, roleController.updateRole);
 
 /**
  * @swagger
  * /api/roles/{id}:
  *   delete:
- *     summary: Delete role (Super Admin only)
+ *     summary: Delete role (roles.manage)
  *     tags: [Roles]
  *     security:
  *       - bearerAuth: []
@@ -157,6 +159,70 @@ router.put('/:id', requireSuperAdmin, idParamValidation, roleController.updateRo
  *       404:
  *         description: Role not found
  */
-router.delete('/:id', requireSuperAdmin, idParamValidation, roleController.deleteRole);
+router.delete('/:id', requirePermission('roles.manage'), idParamValidation, roleController.deleteRole);
+
+/**
+ * @swagger
+ * /api/roles/{id}/permissions:
+ *   get:
+ *     summary: Get the permissions granted to a role
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Role with its permission codes
+ *       404:
+ *         description: Role not found
+ */
+router.get('/:id/permissions', requirePermission('roles.view'), idParamValidation, permissionController.getRolePermissionList);
+
+/**
+ * @swagger
+ * /api/roles/{id}/permissions:
+ *   put:
+ *     summary: Replace the permissions granted to a role (permissions.manage)
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [projects.view, spends.approve]
+ *     responses:
+ *       200:
+ *         description: Permissions updated
+ *       400:
+ *         description: Unknown permission code, or the role is Super Admin
+ *       404:
+ *         description: Role not found
+ */
+router.put('/:id/permissions', requirePermission('permissions.manage'), idParamValidation, [
+    body('permissions').isArray().withMessage('Permissions must be an array'),
+    body('permissions.*').isString().trim().notEmpty().withMessage('Invalid permission code'),
+    handleValidationErrors
+], permissionController.updateRolePermissions);
 
 module.exports = router;
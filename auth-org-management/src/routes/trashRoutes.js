@@ -0,0 +1,156 @@
+const express = require('express');
+const trashController = require('../controllers/trashController');
+const { TRASH_TYPES } = require('../services/trashService');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { handleValidationErrors } = require('../middleware/validate');
+const { param, query } = require('express-validator');
+
+const router = express.Router();
+
+const TYPES = Object.keys(TRASH_TYPES);
+
+const recordValidation = [
+    param('type').isIn(TYPES).withMessage(`Type must be one of: ${TYPES.join(', ')}`),
+    param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+    handleValidationErrors
+];
+
+/**
+ * @swagger
+ * /api/trash:
+ *   get:
+ *     summary: Deleted records (requires trash.manage)
+ *     description: |
+ *       Deleted projects, camps, campaigns, donations, expenses, sponsors, beneficiary donations and
+ *       media of the projects you can see, most recently deleted first. PurgeDate is when the record
+ *       will be removed for good.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [project, camp, campaign, donation, spend, sponsor, beneficiary_donation, camp_media, sponsor_media, beneficiary_media]
+ *       - in: query
+ *         name: organizationId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Deleted records with the total count
+ */
+router.get('/', authenticate, requirePermission('trash.manage'), [
+    query('type').optional().isIn(TYPES).withMessage(`Type must be one of: ${TYPES.join(', ')}`),
+    query('organizationId').optional().isInt({ min: 1 }),
+    query('projectId').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('offset').optional().isInt({ min: 0 }),
+    handleValidationErrors
+], trashController.getTrash);
+
+/**
+ * @swagger
+ * /api/trash/purge:
+ *   delete:
+ *     summary: Permanently delete old records from the trash (requires trash.purge)
+ *     description: |
+ *       Runs the retention purge now. Records other records still point to, such as a project with
+ *       camps that are not deleted, are kept and counted under kept.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         description: Purge records deleted more than this many days ago (defaults to TRASH_RETENTION_DAYS)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purged and kept counts per type
+ */
+router.delete('/purge', authenticate, requirePermission('trash.purge'), [
+    query('days').optional().isInt({ min: 0 }).withMessage('Days must be 0 or more'),
+    handleValidationErrors
+], trashController.purgeTrash);
+
+/**
+ * @swagger
+ * /api/trash/{type}/{id}/restore-preview:
+ *   get:
+ *     summary: What restoring a record brings back (requires trash.manage)
+ *     description: |
+ *       Lists the record and the deleted records it belongs to, which are restored with it (a camp
+ *       of a deleted project brings the project back). For each, related shows how many of its
+ *       records become visible again and how many stay in the trash, such as the donations of a
+ *       deleted campaign.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Records that would be restored
+ *       404:
+ *         description: Deleted record not found
+ */
+router.get('/:type/:id/restore-preview', authenticate, requirePermission('trash.manage'), recordValidation,
+    trashController.getRestorePreview);
+
+/**
+ * @swagger
+ * /api/trash/{type}/{id}/restore:
+ *   post:
+ *     summary: Restore a record with the deleted records it belongs to (requires trash.manage)
+ *     description: Restoring a completed donation adds it back to its campaign's collected amount.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Restored records
+ *       404:
+ *         description: Deleted record not found
+ */
+router.post('/:type/:id/restore', authenticate, requirePermission('trash.manage'), recordValidation,
+    trashController.restoreRecord);
+
+module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const twoFactorController = require('../controllers/twoFactorController');
+const { authenticate, denyImpersonation } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { authenticateOrSetupChallenge } = require('../middleware/twoFactor');
+const { checkLockout } = require('../middleware/bruteForce');
+const { body, param } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validate');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get own two-factor status
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether 2FA is enabled, required for the user's role, and recovery codes left
+ */
+router.get('/', authenticate, twoFactorController.getStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start authenticator-app enrollment
+ *     description: |
+ *       Returns a new secret and an otpauth:// URI to render as a QR code.
+ *       Call with a Bearer token, or with the challengeToken returned by login
+ *       when the user's role requires 2FA that is not set up yet.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *       400:
+ *         description: Already enabled
+ */
+router.post('/setup', authenticateOrSetupChallenge, denyImpersonation, twoFactorController.setup);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a code and get recovery codes
+ *     description: With a setup challengeToken this also completes the login and returns tokens.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled; recovery codes are shown only once
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+router.post('/enable', [
+    body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+    handleValidationErrors
+], authenticateOrSetupChallenge, denyImpersonation, twoFactorController.enable);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Second login step
+ *     description: Exchange the challengeToken from login and an authenticator or recovery code for tokens.
+ *     tags: [Two-Factor Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit authenticator code or a recovery code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       429:
+ *         description: Too many failed attempts; temporarily locked
+ */
+router.post('/verify', [
+    body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+    body('code').isString().trim().notEmpty().withMessage('Code is required'),
+    handleValidationErrors
+], checkLockout('2fa_verify'), twoFactorController.verifyLogin);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       403:
+ *         description: 2FA is required for the user's role
+ */
+router.post('/disable', authenticate, denyImpersonation, [
+    body('code').isString().trim().notEmpty().withMessage('Code is required'),
+    handleValidationErrors
+], twoFactorController.disable);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Generate a new set of recovery codes
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes; previous ones are invalidated
+ */
+router.post('/recovery-codes', authenticate, denyImpersonation, [
+    body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+    handleValidationErrors
+], twoFactorController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/auth/2fa/policies:
+ *   get:
+ *     summary: Get 2FA enforcement for every role (two_factor.policies)
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: One entry per role in the role hierarchy
+ */
+router.get('/policies', authenticate, requirePermission('two_factor.policies'), twoFactorController.getPolicies);
+
+/**
+ * @swagger
+ * /api/auth/2fa/policies/{roleCode}:
+ *   put:
+ *     summary: Require or stop requiring 2FA for a role (two_factor.policies)
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - required
+ *             properties:
+ *               required:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       404:
+ *         description: Role not found
+ */
+router.put('/policies/:roleCode', authenticate, requirePermission('two_factor.policies'), [
+    param('roleCode').isString().notEmpty(),
+    body('required').isBoolean().withMessage('required must be true or false').toBoolean(),
+    handleValidationErrors
+], twoFactorController.updatePolicy);
+
+module.exports = router;
@@ -1,9 +1,9 @@
 const express = require('express');
 const userController = require('../controllers/userController');
-const { authenticate } = require('../middleware/auth');
-const { requireAdmin, requireSuperAdmin } = require('../middleware/rbac');
+const { authenticate, denyImpersonation } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
 const { idParamValidation } = require('../middleware/validate');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validate');
 
 const router = express.Router();
@@ -87,7 +87,7 @@ router.get('/search-by-phone', userController.searchUserByPhone);
  *       403:
  *         description: Admin access required
  */
-router.get('/', requireAdmin, userController.getAllUsers);
+router.get('/', requirePermission('users.manage'), userController.getAllUsers);
 
 /**
  * @swagger
@@ -109,13 +109,13 @@ router.get('/', requireAdmin, userController.getAllUsers);
  *       404:
  *         description: User not found
  */
-router.get('/:id', requireAdmin, idParamValidation, userController.getUserById);
+router.get('/:id', requirePermission('users.manage'), idParamValidation, userController.getUserById);
 
 /**
  * @swagger
  * /api/users:
  *   post:
- *     summary: Create a new user (Admin only)
+ *     summary: Create a new user (users.manage)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -155,7 +155,7 @@ router.get('/:id', requireAdmin, idParamValidation, userController.getUserById);
  *       400:
  *         description: Email or username already exists
  */
-router.post('/', requireAdmin, [
+router.post('/', requirePermission('users.manage'), [
     body('email').isEmail().normalizeEmail(),
     body('password').isLength({ min: 8 }),
     body('fullName').trim().isLength({ min: 2, max: 100 }),
@@ -193,7 +193,7 @@ router.post('/', requireAdmin, [
  *       404:
  *         description: User or role not found
  */
-router.put('/:id/role', requireAdmin, [
+router.put('/:id/role', requirePermission('users.manage'), [
     ...idParamValidation.slice(0, -1),
     body('roleId').isInt({ min: 1 }).withMessage('Valid roleId is required'),
     handleValidationErrors
@@ -229,7 +229,7 @@ router.put('/:id/role', requireAdmin, [
  *       200:
  *         description: Status updated
  */
-router.patch('/:id/status', requireAdmin, [
+router.patch('/:id/status', requirePermission('users.manage'), [
     ...idParamValidation.slice(0, -1),
     body('status').isIn(['Active', 'Inactive', 'Blocked']).withMessage('Invalid status'),
     handleValidationErrors
@@ -263,7 +263,65 @@ router.patch('/:id/status', requireAdmin, [
  *       200:
  *         description: Organization assigned
  */
-router.put('/:id/organization', requireAdmin, idParamValidation, userController.assignOrganization);
+router.put('/:id/organization', requirePermission('users.manage'), idParamValidation, userController.assignOrganization);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's login sessions (one per device)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: List of sessions with device, user agent, IP and last-seen time
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/sessions', requirePermission('users.manage'), idParamValidation, userController.getUserSessions);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a user's session (signs that device out)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/:id/sessions/:sessionId', requirePermission('users.manage'), [
+    ...idParamValidation.slice(0, -1),
+    param('sessionId').isUUID().withMessage('Invalid session ID'),
+    handleValidationErrors
+], userController.revokeUserSession);
 
 /**
  * @swagger
@@ -325,7 +383,7 @@ router.put('/profile', [
  *       400:
  *         description: Current password incorrect
  */
-router.post('/change-password', [
+router.post('/change-password', denyImpersonation, [
     body('currentPassword').notEmpty().withMessage('Current password is required'),
     body('newPassword')
         .isLength({ min: 8 })
@@ -0,0 +1,41 @@
+const ActivityEvent = require('../models/ActivityEvent');
+
+// Domain events shown in the project and organization activity feeds
+const ACTIVITY_EVENTS = {
+    SPEND_SUBMITTED: 'spend.submitted',
+    SPEND_APPROVED: 'spend.approved',
+    SPEND_REJECTED: 'spend.rejected',
+    DONATION_RECEIVED: 'donation.received',
+    CAMP_COMPLETED: 'camp.completed',
+    PERMISSION_APPROVED: 'permission.approved',
+    MEDIA_UPLOADED: 'media.uploaded',
+    SPONSOR_ADDED: 'sponsor.added'
+};
+
+const formatAmount = (amount) => Number(amount || 0).toFixed(2);
+
+// Record an event in the feed. The feed is a side record: a failure here is
+// logged and never fails the request that caused the event.
+const recordActivity = async ({ projectId, eventType, entityType, entityId, summary, metadata, actor }) => {
+    try {
+        if (!projectId) return;
+
+        await ActivityEvent.create({
+            projectId,
+            eventType,
+            entityType,
+            entityId,
+            summary,
+            metadata,
+            actorUserId: actor ? actor.UserId : null
+        });
+    } catch (error) {
+        console.error('Record activity error:', error);
+    }
+};
+
+module.exports = {
+    ACTIVITY_EVENTS,
+    formatAmount,
+    recordActivity
+};
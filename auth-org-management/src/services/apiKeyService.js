@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { query, queryOne, transaction } = require('../config/database');
+const { getClientIp } = require('../middleware/apiLogger');
+const config = require('../config');
+
+const KEY_PREFIX = 'dnk_';
+
+// What each scope lets a key call. Keys are refused everywhere else, even
+// on routes that only require authentication.
+const API_KEY_SCOPES = {
+    'donations:read': { methods: ['GET'], paths: ['/api/donations'] },
+    'campaigns:read': { methods: ['GET'], paths: ['/api/campaigns'] }
+};
+
+// Same hashing as refresh tokens; kept local because tokenService depends on the auth middleware
+const hashToken = (key) => {
+    return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+const isApiKey = (value) => typeof value === 'string' && value.startsWith(KEY_PREFIX);
+
+// The key itself is only returned once, at creation or rotation
+const generateApiKey = () => {
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+    return { key, keyPrefix: key.substring(0, KEY_PREFIX.length + 8) };
+};
+
+const parseScopes = (scopes) => {
+    return typeof scopes === 'string' ? JSON.parse(scopes) : scopes || [];
+};
+
+// Whether any of the key's scopes covers this request
+const hasScopeFor = (scopes, req) => {
+    const path = (req.originalUrl || req.url).split('?')[0];
+
+    return parseScopes(scopes).some((scope) => {
+        const rule = API_KEY_SCOPES[scope];
+        return rule && rule.methods.includes(req.method) &&
+            rule.paths.some((p) => path === p || path.startsWith(p + '/'));
+    });
+};
+
+// Find a usable key (not revoked, not expired, organization still active)
+const findActiveApiKey = async (key) => {
+    return queryOne(
+        `SELECT k.*, o.OrganizationName
+         FROM api_keys k
+         JOIN organizations o ON k.OrganizationId = o.OrganizationId
+         WHERE k.KeyHash = ? AND k.RevokedAt IS NULL
+               AND (k.ExpiresAt IS NULL OR k.ExpiresAt > NOW())
+               AND o.IsDeleted = FALSE AND o.IsActive = TRUE`,
+        [hashToken(key)]
+    );
+};
+
+// Record key usage (at most once a minute)
+const touchApiKey = async (apiKeyId, req) => {
+    await query(
+        `UPDATE api_keys SET LastUsedAt = NOW(), LastUsedIp = ?
+         WHERE ApiKeyId = ? AND (LastUsedAt IS NULL OR LastUsedAt < DATE_SUB(NOW(), INTERVAL 1 MINUTE))`,
+        [getClientIp(req), apiKeyId]
+    );
+};
+
+// Stand-in for req.user on requests made with a key
+const buildKeyPrincipal = (apiKey) => ({
+    UserId: null,
+    FullName: apiKey.Name,
+    Email: null,
+    RoleId: null,
+    RoleName: 'API Key',
+    RoleCode: 'API_KEY',
+    OrganizationId: apiKey.OrganizationId,
+    Status: 'Active',
+    ApiKeyId: apiKey.ApiKeyId,
+    Scopes: parseScopes(apiKey.Scopes)
+});
+
+const createApiKey = async (organizationId, { name, scopes, expiresAt }, createdBy) => {
+    const { key, keyPrefix } = generateApiKey();
+
+    const result = await query(
+        `INSERT INTO api_keys (OrganizationId, Name, KeyPrefix, KeyHash, Scopes, ExpiresAt, CreatedBy)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [organizationId, name, keyPrefix, hashToken(key), JSON.stringify(scopes), expiresAt || null, createdBy]
+    );
+
+    return { apiKeyId: result.insertId, key, keyPrefix };
+};
+
+const listApiKeys = async (organizationId) => {
+    const keys = await query(
+        `SELECT k.ApiKeyId, k.Name, k.KeyPrefix, k.Scopes, k.ExpiresAt, k.LastUsedAt, k.LastUsedIp,
+                k.RotatedFromId, k.CreatedBy, u.FullName as CreatedByName, k.CreatedAt, k.RevokedAt,
+                CASE
+                    WHEN k.RevokedAt IS NOT NULL THEN 'Revoked'
+                    WHEN k.ExpiresAt IS NOT NULL AND k.ExpiresAt <= NOW() THEN 'Expired'
+                    ELSE 'Active'
+                END as Status
+         FROM api_keys k
+         LEFT JOIN users u ON k.CreatedBy = u.UserId
+         WHERE k.OrganizationId = ?
+         ORDER BY k.CreatedAt DESC`,
+        [organizationId]
+    );
+
+    return keys.map((k) => ({ ...k, Scopes: parseScopes(k.Scopes) }));
+};
+
+const findApiKey = async (apiKeyId, organizationId) => {
+    return queryOne(
+        'SELECT * FROM api_keys WHERE ApiKeyId = ? AND OrganizationId = ?',
+        [apiKeyId, organizationId]
+    );
+};
+
+const revokeApiKey = async (apiKeyId, organizationId, revokedBy) => {
+    const result = await query(
+        `UPDATE api_keys SET RevokedAt = NOW(), RevokedBy = ?
+         WHERE ApiKeyId = ? AND OrganizationId = ? AND RevokedAt IS NULL`,
+        [revokedBy, apiKeyId, organizationId]
+    );
+    return result.affectedRows > 0;
+};
+
+// Replace a key with a new one carrying the same name, scopes and expiry.
+// The old key keeps working for the grace period so callers can switch over.
+const rotateApiKey = async (oldKey, createdBy) => {
+    const { key, keyPrefix } = generateApiKey();
+    const graceEnds = new Date(Date.now() + config.apiKeys.rotationGraceHours * 60 * 60 * 1000);
+    const previousKeyExpiresAt = oldKey.ExpiresAt && oldKey.ExpiresAt < graceEnds ? oldKey.ExpiresAt : graceEnds;
+
+    const apiKeyId = await transaction(async (conn) => {
+        const [result] = await conn.query(
+            `INSERT INTO api_keys (OrganizationId, Name, KeyPrefix, KeyHash, Scopes, ExpiresAt, RotatedFromId, CreatedBy)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                oldKey.OrganizationId, oldKey.Name, keyPrefix, hashToken(key),
+                JSON.stringify(parseScopes(oldKey.Scopes)), oldKey.ExpiresAt, oldKey.ApiKeyId, createdBy
+            ]
+        );
+
+        await conn.query(
+            'UPDATE api_keys SET ExpiresAt = ? WHERE ApiKeyId = ?',
+            [previousKeyExpiresAt, oldKey.ApiKeyId]
+        );
+
+        return result.insertId;
+    });
+
+    return { apiKeyId, key, keyPrefix, previousKeyExpiresAt };
+};
+
+module.exports = {
+    API_KEY_SCOPES,
+    isApiKey,
+    hasScopeFor,
+    findActiveApiKey,
+    touchApiKey,
+    buildKeyPrincipal,
+    createApiKey,
+    listApiKeys,
+    findApiKey,
+    revokeApiKey,
+    rotateApiKey
+};
@@ -0,0 +1,113 @@
+const { query, queryOne } = require('../config/database');
+const { getClientIp } = require('../middleware/apiLogger');
+const config = require('../config');
+
+// Attempts are counted against the client IP and, when known, the account
+// (email or mobile number). Handlers that identify the account some other
+// way set req.attemptAccount.
+const getAttemptKeys = (req) => {
+    const keys = [{ type: 'ip', value: getClientIp(req) || 'unknown' }];
+    const account = req.attemptAccount || req.body?.email || req.body?.mobileNumber;
+
+    if (account) {
+        keys.push({ type: 'account', value: String(account).toLowerCase().substring(0, 100) });
+    }
+
+    return keys;
+};
+
+const maxAttemptsFor = (keyType) => {
+    return keyType === 'ip' ? config.bruteForce.maxIpAttempts : config.bruteForce.maxAccountAttempts;
+};
+
+// Seconds left on the longest active lockout for this request (0 when not locked)
+const getLockout = async (scope, req) => {
+    let retryAfter = 0;
+
+    for (const key of getAttemptKeys(req)) {
+        const row = await queryOne(
+            `SELECT TIMESTAMPDIFF(SECOND, NOW(), LockedUntil) AS SecondsLeft
+             FROM auth_attempts
+             WHERE Scope = ? AND KeyType = ? AND KeyValue = ? AND LockedUntil > NOW()`,
+            [scope, key.type, key.value]
+        );
+
+        if (row) {
+            retryAfter = Math.max(retryAfter, row.SecondsLeft);
+        }
+    }
+
+    return retryAfter;
+};
+
+// Count an attempt. A key that reaches its limit within the window is locked,
+// and every further lockout doubles in length. Returns the seconds of any
+// lockout this attempt started (0 if none).
+const recordAttempt = async (scope, req) => {
+    const { windowMinutes, lockoutMinutes, maxLockoutMinutes } = config.bruteForce;
+    let retryAfter = 0;
+
+    for (const key of getAttemptKeys(req)) {
+        await query(
+            `INSERT INTO auth_attempts (Scope, KeyType, KeyValue, AttemptCount, WindowStartedAt)
+             VALUES (?, ?, ?, 1, NOW())
+             ON DUPLICATE KEY UPDATE
+                AttemptCount = IF(WindowStartedAt < DATE_SUB(NOW(), INTERVAL ? MINUTE), 1, AttemptCount + 1),
+                WindowStartedAt = IF(WindowStartedAt < DATE_SUB(NOW(), INTERVAL ? MINUTE), NOW(), WindowStartedAt)`,
+            [scope, key.type, key.value, windowMinutes, windowMinutes]
+        );
+
+        const row = await queryOne(
+            'SELECT Id, AttemptCount, LockoutCount FROM auth_attempts WHERE Scope = ? AND KeyType = ? AND KeyValue = ?',
+            [scope, key.type, key.value]
+        );
+
+        if (row && row.AttemptCount >= maxAttemptsFor(key.type)) {
+            const minutes = Math.min(lockoutMinutes * Math.pow(2, row.LockoutCount), maxLockoutMinutes);
+
+            await query(
+                `UPDATE auth_attempts
+                 SET LockedUntil = DATE_ADD(NOW(), INTERVAL ? MINUTE), LockoutCount = LockoutCount + 1,
+                     AttemptCount = 0, WindowStartedAt = NOW()
+                 WHERE Id = ?`,
+                [minutes, row.Id]
+            );
+
+            console.warn(`Brute-force lockout: ${scope} ${key.type} ${key.value} locked for ${minutes} min`);
+            retryAfter = Math.max(retryAfter, minutes * 60);
+        }
+    }
+
+    return retryAfter;
+};
+
+// Reset the account counters after a successful attempt.
+// IP counters are left alone so one valid account cannot unlock an attacking IP.
+const clearAttempts = async (scope, req) => {
+    const account = getAttemptKeys(req).find((key) => key.type === 'account');
+
+    if (account) {
+        await query(
+            "DELETE FROM auth_attempts WHERE Scope = ? AND KeyType = 'account' AND KeyValue = ?",
+            [scope, account.value]
+        );
+    }
+};
+
+// Clean up counters with no recent activity (can be called periodically)
+const cleanupAuthAttempts = async () => {
+    const result = await query(
+        `DELETE FROM auth_attempts
+         WHERE UpdatedAt < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+           AND (LockedUntil IS NULL OR LockedUntil < NOW())`,
+        [config.bruteForce.maxLockoutMinutes]
+    );
+    return result.affectedRows;
+};
+
+module.exports = {
+    getLockout,
+    recordAttempt,
+    clearAttempts,
+    cleanupAuthAttempts
+};
@@ -0,0 +1,114 @@
+const { hasAnyPermission } = require('./permissionService');
+
+// Who may change a record, by resource. Project access (projectAccessService)
+// decides whether someone works on the project at all; these rules decide what
+// they may do with a given record there:
+//  - creators may edit or delete their record while it is in an editable status
+//  - locked statuses freeze the record for everyone until an approver reopens it
+//  - approvers may edit or delete anything that is not locked, and only they
+//    may move a record into an approver-only status or reopen it
+//  - lockExceptions names actions that stay open in some locked statuses
+const POLICIES = {
+    spend: {
+        name: 'Expense',
+        statusField: 'Status',
+        statusKey: 'status',
+        editableStatuses: ['Pending'],
+        lockedStatuses: ['Approved'],
+        approverOnlyStatuses: ['Approved', 'Rejected'],
+        reopenStatus: 'Pending',
+        approverPermissions: ['spends.approve'],
+        // Reimbursed or batched expenses stay as they are, even for approvers
+        isFinal: (spend) => !!spend.IsSettled || !!spend.ReimbursementBatchId
+    },
+    camp: {
+        name: 'Camp',
+        statusField: 'CampStatus',
+        statusKey: 'campStatus',
+        editableStatuses: ['Planned', 'Ongoing'],
+        lockedStatuses: ['Completed', 'Cancelled'],
+        approverOnlyStatuses: [],
+        reopenStatus: 'Ongoing',
+        approverPermissions: ['camps.manage'],
+        // Attendance is known once a camp is over, and CampAttendance
+        // indicators read it from completed camps. Captions and which photos
+        // the public microsite shows (isPublic) are settled after it too.
+        lockExceptions: { attendance: ['Completed'], mediaDetails: ['Completed'] }
+    },
+    beneficiaryDonation: {
+        name: 'Beneficiary donation',
+        statusField: 'Status',
+        statusKey: 'status',
+        editableStatuses: ['Pending', 'InProgress'],
+        lockedStatuses: ['Distributed', 'Completed'],
+        approverOnlyStatuses: ['Distributed', 'Completed', 'Cancelled'],
+        reopenStatus: 'Pending',
+        approverPermissions: ['donations.manage']
+    }
+};
+
+const isApprover = async (user, resource) => {
+    return hasAnyPermission(user, POLICIES[resource].approverPermissions);
+};
+
+// Why the user may not perform the action ('edit', 'delete', 'reopen', or one
+// of the policy's lockExceptions) on the record, as { status, message }; null
+// when allowed. `changes` is the request body of an edit, checked for status
+// changes.
+const checkPolicy = async (user, resource, action, record, changes = {}) => {
+    const policy = POLICIES[resource];
+    const status = record[policy.statusField];
+    const approver = await isApprover(user, resource);
+
+    if (policy.isFinal && policy.isFinal(record)) {
+        return { status: 400, message: `${policy.name} can no longer be changed` };
+    }
+
+    if (action === 'reopen') {
+        if (!approver) {
+            return { status: 403, message: `Only approvers can reopen this ${policy.name.toLowerCase()}` };
+        }
+        if (policy.editableStatuses.includes(status)) {
+            return { status: 400, message: `${policy.name} is already open` };
+        }
+        return null;
+    }
+
+    const excepted = (policy.lockExceptions?.[action] || []).includes(status);
+
+    if (policy.lockedStatuses.includes(status) && !excepted) {
+        return { status: 400, message: `${policy.name} is ${status.toLowerCase()} and locked. Reopen it first` };
+    }
+
+    if (!approver) {
+        if (record.CreatedBy !== user.UserId) {
+            return { status: 403, message: `Only the creator or an approver can change this ${policy.name.toLowerCase()}` };
+        }
+        if (!policy.editableStatuses.includes(status) && !excepted) {
+            return { status: 400, message: `${policy.name} can only be changed while ${policy.editableStatuses.join(' or ')}` };
+        }
+        if (action === 'edit' && policy.approverOnlyStatuses.includes(changes[policy.statusKey])) {
+            return { status: 403, message: `Only approvers can set the status to ${changes[policy.statusKey]}` };
+        }
+    }
+
+    return null;
+};
+
+// Sends the error and returns true when the policy does not allow the action
+const denyByPolicy = async (req, res, resource, action, record) => {
+    const denial = await checkPolicy(req.user, resource, action, record, req.body || {});
+    if (!denial) {
+        return false;
+    }
+
+    res.status(denial.status).json({ success: false, message: denial.message });
+    return true;
+};
+
+module.exports = {
+    POLICIES,
+    isApprover,
+    checkPolicy,
+    denyByPolicy
+};
@@ -95,8 +95,48 @@ const sendWelcomeEmail = async (email, fullName) => {
     });
 };
 
+// Send organization invitation email
+const sendInvitationEmail = async (email, { organizationName, roleName, inviterName, link }) => {
+    return sendEmail({
+        to: email,
+        subject: `You're invited to join ${organizationName}`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+                <h2 style="color: #333; text-align: center;">Join ${organizationName}</h2>
+                <p style="color: #666; font-size: 16px;">${inviterName || 'An administrator'} has invited you to join <strong>${organizationName}</strong> as <strong>${roleName}</strong>.</p>
+                <div style="text-align: center; margin: 30px 0;">
+                    <a href="${link}" style="background-color: #4CAF50; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-size: 16px;">Accept Invitation</a>
+                </div>
+                <p style="color: #666; font-size: 14px;">This invitation will expire in ${config.invitations.expiryDays} days.</p>
+                <p style="color: #999; font-size: 12px;">If you weren't expecting this, you can ignore this email.</p>
+            </div>
+        `,
+        text: `${inviterName || 'An administrator'} has invited you to join ${organizationName} as ${roleName}. Accept: ${link}`
+    });
+};
+
+// Tell a user that support signed in as them
+const sendImpersonationNoticeEmail = async (email, { impersonatorName, reason, expiresAt }) => {
+    return sendEmail({
+        to: email,
+        subject: 'A support administrator accessed your account',
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+                <h2 style="color: #333; text-align: center;">Account Access Notice</h2>
+                <p style="color: #666; font-size: 16px;"><strong>${impersonatorName}</strong> from support has signed in to your account to see what you see.</p>
+                ${reason ? `<p style="color: #666; font-size: 16px;">Reason: ${reason}</p>` : ''}
+                <p style="color: #666; font-size: 14px;">This access ends automatically at ${expiresAt.toUTCString()}.</p>
+                <p style="color: #999; font-size: 12px;">If you did not ask for help, please contact support.</p>
+            </div>
+        `,
+        text: `${impersonatorName} from support has signed in to your account.${reason ? ` Reason: ${reason}.` : ''} Access ends at ${expiresAt.toUTCString()}.`
+    });
+};
+
 module.exports = {
     sendEmail,
     sendOTPEmail,
-    sendWelcomeEmail
+    sendWelcomeEmail,
+    sendInvitationEmail,
+    sendImpersonationNoticeEmail
 };
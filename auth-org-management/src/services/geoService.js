@@ -0,0 +1,71 @@
+// Radius and map-area searches over the GeoPoint columns of projects and camps
+// (migrations/geo_search.sql). The area check goes through the SPATIAL index;
+// the exact distance is then computed on the sphere.
+
+const KM_PER_DEGREE = 111.32;
+
+// Bounding box around a point, wide enough to hold the whole radius
+const radiusArea = ({ latitude, longitude, radiusKm }) => {
+    const latitudeDelta = radiusKm / KM_PER_DEGREE;
+    const longitudeDelta = radiusKm / (KM_PER_DEGREE * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+
+    return {
+        south: Math.max(latitude - latitudeDelta, -90),
+        north: Math.min(latitude + latitudeDelta, 90),
+        west: Math.max(longitude - longitudeDelta, -180),
+        east: Math.min(longitude + longitudeDelta, 180)
+    };
+};
+
+const areaPolygon = ({ south, west, north, east }) => {
+    return `POLYGON((${west} ${south}, ${east} ${south}, ${east} ${north}, ${west} ${north}, ${west} ${south}))`;
+};
+
+// Rows with coordinates whose point lies inside the area
+const areaClause = (area, table) => ({
+    sql: ` AND ${table}.Latitude IS NOT NULL AND ${table}.Longitude IS NOT NULL
+           AND MBRContains(ST_GeomFromText(?, 4326, 'axis-order=long-lat'), ${table}.GeoPoint)`,
+    params: [areaPolygon(area)]
+});
+
+// Distance in km between a row's point and the given point
+const distanceColumn = (point, table) => ({
+    sql: `ROUND(ST_Distance_Sphere(${table}.GeoPoint, ST_GeomFromText(?, 4326, 'axis-order=long-lat')) / 1000, 2)`,
+    params: [`POINT(${point.longitude} ${point.latitude})`]
+});
+
+const number = (value) => (value === undefined || value === '' ? undefined : parseFloat(value));
+
+// Geo filter for a radius search: latitude, longitude and radiusKm
+const nearbyQuery = (query, defaultRadiusKm = 25) => {
+    const point = { latitude: number(query.latitude), longitude: number(query.longitude) };
+    const radiusKm = number(query.radiusKm) || defaultRadiusKm;
+
+    return { point, area: radiusArea({ ...point, radiusKm }), radiusKm };
+};
+
+// Geo filter for a map area: north, south, east and west, sorted by distance
+// from latitude/longitude when given
+const areaQuery = (query) => {
+    const latitude = number(query.latitude);
+    const longitude = number(query.longitude);
+
+    return {
+        point: latitude !== undefined && longitude !== undefined ? { latitude, longitude } : null,
+        area: {
+            north: number(query.north),
+            south: number(query.south),
+            east: number(query.east),
+            west: number(query.west)
+        },
+        radiusKm: null
+    };
+};
+
+module.exports = {
+    radiusArea,
+    areaClause,
+    distanceColumn,
+    nearbyQuery,
+    areaQuery
+};
@@ -0,0 +1,22 @@
+const { OAuth2Client } = require('google-auth-library');
+const config = require('../config');
+
+const client = new OAuth2Client(config.google.clientId);
+
+// Verify a Google ID token from the web or mobile apps and return its payload
+const verifyGoogleIdToken = async (idToken) => {
+    const ticket = await client.verifyIdToken({
+        idToken,
+        audience: [
+            config.google.clientId,
+            process.env.GOOGLE_ANDROID_CLIENT_ID,
+            process.env.GOOGLE_IOS_CLIENT_ID,
+            process.env.GOOGLE_WEB_CLIENT_ID
+        ]
+    });
+    return ticket.getPayload();
+};
+
+module.exports = {
+    verifyGoogleIdToken
+};
@@ -0,0 +1,85 @@
+// Impact indicators (migrations/project_impact.sql): where their readings come
+// from and how progress against the target is reported over time.
+
+const INDICATOR_SOURCES = ['Manual', 'CampAttendance', 'BeneficiaryDistributions'];
+
+const REPORT_INTERVALS = ['week', 'month', 'quarter', 'year'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Period a YYYY-MM-DD reading falls in; weeks are named by their Monday
+const periodOf = (readingDate, interval) => {
+    const [year, month, day] = readingDate.split('-').map(Number);
+
+    switch (interval) {
+        case 'year':
+            return String(year);
+        case 'quarter':
+            return `${year}-Q${Math.ceil(month / 3)}`;
+        case 'week': {
+            const date = new Date(Date.UTC(year, month - 1, day));
+            date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+            return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+        }
+        default:
+            return `${year}-${pad(month)}`;
+    }
+};
+
+const percentOf = (value, target) => target > 0 ? round(value / target * 100) : null;
+
+// Progress of one indicator: the total against the target, and per period what
+// was achieved, the running total and how far along the target that is.
+// Readings before `from` are left out of the periods but still count towards the running total.
+const buildIndicatorReport = (indicator, readings, { interval = 'month', from } = {}) => {
+    const target = Number(indicator.TargetValue || 0);
+
+    let cumulative = 0;
+    const byPeriod = new Map();
+    for (const reading of readings) {
+        if (from && reading.ReadingDate < from) {
+            cumulative += reading.Value;
+            continue;
+        }
+        const period = periodOf(reading.ReadingDate, interval);
+        byPeriod.set(period, (byPeriod.get(period) || 0) + reading.Value);
+    }
+
+    const openingValue = round(cumulative);
+    const series = [...byPeriod.entries()].map(([period, value]) => {
+        cumulative += value;
+        return {
+            period,
+            value: round(value),
+            cumulative: round(cumulative),
+            percentOfTarget: percentOf(cumulative, target)
+        };
+    });
+
+    const achieved = round(cumulative);
+
+    return {
+        IndicatorId: indicator.IndicatorId,
+        IndicatorName: indicator.IndicatorName,
+        Description: indicator.Description,
+        Unit: indicator.Unit,
+        Source: indicator.Source,
+        SourceFilter: indicator.SourceFilter,
+        TargetValue: target,
+        Achieved: achieved,
+        PercentOfTarget: percentOf(achieved, target),
+        OpeningValue: openingValue,
+        Remaining: target > 0 ? round(Math.max(target - achieved, 0)) : null,
+        ReadingCount: readings.length,
+        LastReadingDate: readings.length ? readings[readings.length - 1].ReadingDate : null,
+        series
+    };
+};
+
+module.exports = {
+    INDICATOR_SOURCES,
+    REPORT_INTERVALS,
+    buildIndicatorReport
+};
@@ -0,0 +1,97 @@
+const { query, queryOne } = require('../config/database');
+const { createSession, revokeSession, getDeviceInfo } = require('./sessionService');
+const { signToken } = require('./jwtKeyService');
+const config = require('../config');
+
+// Impersonation tokens are ordinary access tokens for the target user plus
+// an `act` claim naming the real user (RFC 8693) and the impersonation id.
+// They cannot be refreshed; the impersonation ends when they expire.
+const startImpersonation = async (impersonator, target, reason, req) => {
+    const sessionId = await createSession(target.UserId, req, `Support: ${impersonator.FullName}`.substring(0, 100));
+    const expiresAt = new Date(Date.now() + config.impersonation.expiresMinutes * 60 * 1000);
+
+    const result = await query(
+        `INSERT INTO impersonations (ImpersonatorId, TargetUserId, SessionId, Reason, IpAddress, ExpiresAt)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [impersonator.UserId, target.UserId, sessionId, reason || null, getDeviceInfo(req).ipAddress, expiresAt]
+    );
+
+    const token = signToken(
+        {
+            userId: target.UserId,
+            email: target.Email,
+            roleId: target.RoleId,
+            roleCode: target.RoleCode,
+            sid: sessionId,
+            act: { sub: impersonator.UserId },
+            imp: result.insertId
+        },
+        { expiresIn: config.impersonation.expiresMinutes * 60 }
+    );
+
+    return { impersonationId: result.insertId, token, expiresAt };
+};
+
+// The impersonator behind a live impersonation, or null once it has ended
+const findActiveImpersonation = async (impersonationId, impersonatorId) => {
+    return queryOne(
+        `SELECT i.ImpersonationId, i.SessionId, i.ExpiresAt,
+                u.UserId, u.FullName, u.Email
+         FROM impersonations i
+         JOIN users u ON i.ImpersonatorId = u.UserId
+         JOIN roles r ON u.RoleId = r.RoleId
+         WHERE i.ImpersonationId = ? AND i.ImpersonatorId = ?
+               AND i.EndedAt IS NULL AND i.ExpiresAt > NOW()
+               AND u.Status = 'Active' AND r.RoleCode = 'SUPER_ADMIN'`,
+        [impersonationId, impersonatorId]
+    );
+};
+
+const endImpersonation = async (impersonation) => {
+    await query(
+        'UPDATE impersonations SET EndedAt = NOW() WHERE ImpersonationId = ? AND EndedAt IS NULL',
+        [impersonation.ImpersonationId]
+    );
+    await revokeSession(impersonation.SessionId, 'impersonation_ended', impersonation.UserId);
+};
+
+const listImpersonations = async ({ impersonatorId, targetUserId, limit = 50, offset = 0 } = {}) => {
+    let sql = `SELECT i.ImpersonationId, i.ImpersonatorId, a.FullName as ImpersonatorName,
+                      i.TargetUserId, t.FullName as TargetName, t.Email as TargetEmail,
+                      i.Reason, i.IpAddress, i.StartedAt, i.ExpiresAt, i.EndedAt,
+                      CASE
+                          WHEN i.EndedAt IS NOT NULL THEN 'Ended'
+                          WHEN i.ExpiresAt <= NOW() THEN 'Expired'
+                          ELSE 'Active'
+                      END as Status,
+                      (SELECT COUNT(*) FROM api_logs l
+                       WHERE l.ImpersonatorId = i.ImpersonatorId AND l.UserId = i.TargetUserId
+                             AND l.CreatedAt BETWEEN i.StartedAt AND COALESCE(i.EndedAt, i.ExpiresAt)) as RequestCount
+               FROM impersonations i
+               JOIN users a ON i.ImpersonatorId = a.UserId
+               JOIN users t ON i.TargetUserId = t.UserId
+               WHERE 1=1`;
+    const params = [];
+
+    if (impersonatorId) {
+        sql += ' AND i.ImpersonatorId = ?';
+        params.push(impersonatorId);
+    }
+
+    if (targetUserId) {
+        sql += ' AND i.TargetUserId = ?';
+        params.push(targetUserId);
+    }
+
+    sql += ' ORDER BY i.StartedAt DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit) || 50, parseInt(offset) || 0);
+
+    return query(sql, params);
+};
+
+module.exports = {
+    startImpersonation,
+    findActiveImpersonation,
+    endImpersonation,
+    listImpersonations
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+const DEFAULT_SECRET = 'default-secret-change-me';
+
+// Signing keys are PEM private keys (RSA or EC P-256) in config.jwt.keysDir,
+// one per file; the file name is the key id (kid). The active key signs new
+// tokens and every key in the directory still verifies, so a key can be
+// rotated by adding a new file, switching JWT_ACTIVE_KID and removing the old
+// file once its tokens have expired.
+
+let keyStore = null;
+
+const algorithmFor = (privateKey) => {
+    if (privateKey.asymmetricKeyType === 'rsa') {
+        return 'RS256';
+    }
+    if (privateKey.asymmetricKeyType === 'ec' && privateKey.asymmetricKeyDetails?.namedCurve === 'prime256v1') {
+        return 'ES256';
+    }
+    return null;
+};
+
+// Development only: create a key so the server works out of the box
+const generateDevelopmentKey = (keysDir) => {
+    const kid = `dev-${new Date().toISOString().slice(0, 10)}`;
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+    fs.mkdirSync(keysDir, { recursive: true });
+    fs.writeFileSync(
+        path.join(keysDir, `${kid}.pem`),
+        privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        { mode: 0o600 }
+    );
+
+    console.log(`🔑 Generated development JWT signing key ${kid} in ${keysDir}`);
+};
+
+const readKeys = (keysDir) => {
+    if (!fs.existsSync(keysDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(keysDir)
+        .filter((file) => file.endsWith('.pem'))
+        .sort()
+        .map((file) => {
+            const kid = path.basename(file, '.pem');
+            const privateKey = crypto.createPrivateKey(fs.readFileSync(path.join(keysDir, file)));
+            const algorithm = algorithmFor(privateKey);
+
+            if (!algorithm) {
+                throw new Error(`JWT key ${kid} must be an RSA or EC P-256 private key`);
+            }
+
+            return { kid, algorithm, privateKey, publicKey: crypto.createPublicKey(privateKey) };
+        });
+};
+
+// Load keys once; the active key is JWT_ACTIVE_KID or the last file by name
+const loadKeys = () => {
+    if (keyStore) {
+        return keyStore;
+    }
+
+    const keysDir = path.resolve(config.jwt.keysDir);
+    let keys = readKeys(keysDir);
+
+    if (keys.length === 0) {
+        if (config.server.nodeEnv === 'production') {
+            throw new Error(`No JWT signing keys found in ${keysDir}`);
+        }
+        generateDevelopmentKey(keysDir);
+        keys = readKeys(keysDir);
+    }
+
+    const active = config.jwt.activeKid
+        ? keys.find((key) => key.kid === config.jwt.activeKid)
+        : keys[keys.length - 1];
+
+    if (!active) {
+        throw new Error(`Active JWT key ${config.jwt.activeKid} not found in ${keysDir}`);
+    }
+
+    keyStore = { keys: new Map(keys.map((key) => [key.kid, key])), active };
+    return keyStore;
+};
+
+// Fail fast on startup instead of on the first login
+const assertSigningConfig = () => {
+    if (config.server.nodeEnv === 'production' && config.jwt.secret === DEFAULT_SECRET) {
+        throw new Error('JWT_SECRET is still the default value. Set it before running in production.');
+    }
+    loadKeys();
+};
+
+const signToken = (payload, options = {}) => {
+    const { active } = loadKeys();
+
+    return jwt.sign(payload, active.privateKey, {
+        ...options,
+        algorithm: active.algorithm,
+        keyid: active.kid
+    });
+};
+
+// Throws the usual jsonwebtoken errors (TokenExpiredError, JsonWebTokenError)
+const verifyToken = (token, options = {}) => {
+    const decoded = jwt.decode(token, { complete: true });
+
+    if (!decoded) {
+        throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    // HS256 tokens issued before the switch stay valid until they expire
+    if (!decoded.header.kid) {
+        if (config.jwt.secret === DEFAULT_SECRET) {
+            throw new jwt.JsonWebTokenError('invalid signature');
+        }
+        return jwt.verify(token, config.jwt.secret, { ...options, algorithms: ['HS256'] });
+    }
+
+    const key = loadKeys().keys.get(decoded.header.kid);
+
+    if (!key) {
+        throw new jwt.JsonWebTokenError('unknown key id');
+    }
+
+    return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.algorithm] });
+};
+
+// Public keys for /.well-known/jwks.json
+const getJwks = () => {
+    const { keys } = loadKeys();
+
+    return {
+        keys: [...keys.values()].map((key) => ({
+            ...key.publicKey.export({ format: 'jwk' }),
+            kid: key.kid,
+            alg: key.algorithm,
+            use: 'sig'
+        }))
+    };
+};
+
+module.exports = {
+    assertSigningConfig,
+    signToken,
+    verifyToken,
+    getJwks
+};
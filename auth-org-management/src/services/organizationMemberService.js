@@ -0,0 +1,142 @@
+const { query, queryOne } = require('../config/database');
+
+// Organizations a user can act for: the home organization (users.OrganizationId,
+// with the account role) followed by the ones they are an extra member of
+const listUserOrganizations = async (userId) => {
+    return query(
+        `SELECT o.OrganizationId, o.OrganizationName, o.OrganizationType,
+                r.RoleId, r.RoleName, r.RoleCode, TRUE as IsHome
+         FROM users u
+         JOIN organizations o ON u.OrganizationId = o.OrganizationId AND o.IsDeleted = FALSE
+         LEFT JOIN roles r ON u.RoleId = r.RoleId
+         WHERE u.UserId = ?
+         UNION ALL
+         SELECT o.OrganizationId, o.OrganizationName, o.OrganizationType,
+                r.RoleId, r.RoleName, r.RoleCode, FALSE as IsHome
+         FROM organization_members om
+         JOIN users u ON om.UserId = u.UserId
+         JOIN organizations o ON om.OrganizationId = o.OrganizationId AND o.IsDeleted = FALSE
+         JOIN roles r ON om.RoleId = r.RoleId
+         WHERE om.UserId = ? AND NOT (om.OrganizationId <=> u.OrganizationId)
+         ORDER BY IsHome DESC, OrganizationName`,
+        [userId, userId]
+    );
+};
+
+// A user's extra membership of an organization (with the role held there)
+const findMembership = async (userId, organizationId) => {
+    return queryOne(
+        `SELECT om.OrganizationMemberId, om.OrganizationId, om.UserId, om.RoleId,
+                r.RoleName, r.RoleCode
+         FROM organization_members om
+         JOIN organizations o ON om.OrganizationId = o.OrganizationId AND o.IsDeleted = FALSE
+         JOIN roles r ON om.RoleId = r.RoleId
+         WHERE om.UserId = ? AND om.OrganizationId = ?`,
+        [userId, organizationId]
+    );
+};
+
+// Whether the user holds the role in the organization, as their home
+// organization or as an extra membership
+const hasOrganizationRole = async (userId, organizationId, roleCode) => {
+    const membership = await queryOne(
+        `SELECT u.UserId
+         FROM users u
+         JOIN roles r ON u.RoleId = r.RoleId
+         WHERE u.UserId = ? AND u.OrganizationId = ? AND r.RoleCode = ?
+         UNION ALL
+         SELECT om.UserId
+         FROM organization_members om
+         JOIN roles r ON om.RoleId = r.RoleId
+         WHERE om.UserId = ? AND om.OrganizationId = ? AND r.RoleCode = ?`,
+        [userId, organizationId, roleCode, userId, organizationId, roleCode]
+    );
+    return Boolean(membership);
+};
+
+// Users holding the role in the organization, as their home organization or
+// as an extra membership
+const listOrganizationRoleHolders = async (organizationId, roleCode) => {
+    const rows = await query(
+        `SELECT u.UserId
+         FROM users u
+         JOIN roles r ON u.RoleId = r.RoleId
+         WHERE u.OrganizationId = ? AND r.RoleCode = ?
+         UNION
+         SELECT om.UserId
+         FROM organization_members om
+         JOIN roles r ON om.RoleId = r.RoleId
+         WHERE om.OrganizationId = ? AND r.RoleCode = ?`,
+        [organizationId, roleCode, organizationId, roleCode]
+    );
+    return rows.map(row => row.UserId);
+};
+
+// Swap the user's organization and role for those of the session's active
+// organization. Falls back to the home organization once the membership is gone.
+const applyActiveOrganization = async (user, organizationId) => {
+    if (!organizationId || organizationId === user.OrganizationId) {
+        return user;
+    }
+
+    const membership = await findMembership(user.UserId, organizationId);
+    if (!membership) {
+        return user;
+    }
+
+    return {
+        ...user,
+        HomeOrganizationId: user.OrganizationId,
+        OrganizationId: membership.OrganizationId,
+        RoleId: membership.RoleId,
+        RoleName: membership.RoleName,
+        RoleCode: membership.RoleCode
+    };
+};
+
+// Remember which organization a session acts for (null = home organization)
+const setActiveOrganization = async (sessionId, organizationId) => {
+    await query(
+        'UPDATE user_sessions SET ActiveOrganizationId = ? WHERE SessionId = ?',
+        [organizationId, sessionId]
+    );
+};
+
+// The active organization of a session, if one was chosen
+const getActiveOrganization = async (sessionId) => {
+    const session = await queryOne(
+        'SELECT ActiveOrganizationId FROM user_sessions WHERE SessionId = ?',
+        [sessionId]
+    );
+    return session ? session.ActiveOrganizationId : null;
+};
+
+// Add an extra member, or change the role of an existing one
+const addMember = async (organizationId, userId, roleId, addedBy) => {
+    await query(
+        `INSERT INTO organization_members (OrganizationId, UserId, RoleId, AddedBy)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE RoleId = VALUES(RoleId)`,
+        [organizationId, userId, roleId, addedBy]
+    );
+};
+
+const removeMember = async (organizationId, userId) => {
+    const result = await query(
+        'DELETE FROM organization_members WHERE OrganizationId = ? AND UserId = ?',
+        [organizationId, userId]
+    );
+    return result.affectedRows > 0;
+};
+
+module.exports = {
+    listUserOrganizations,
+    findMembership,
+    hasOrganizationRole,
+    listOrganizationRoleHolders,
+    applyActiveOrganization,
+    setActiveOrganization,
+    getActiveOrganization,
+    addMember,
+    removeMember
+};
@@ -7,39 +7,76 @@ const generateOTP = () => {
     return crypto.randomInt(100000, 999999).toString();
 };
 
-// Create and store OTP
-const createOTP = async (email, purpose = 'email_verification') => {
+// Phone OTPs are addressed to a mobile number, all others to an email
+const PHONE_PURPOSES = ['phone_verification', 'phone_login'];
+
+const recipientColumn = (purpose) => {
+    return PHONE_PURPOSES.includes(purpose) ? 'MobileNumber' : 'Email';
+};
+
+// Create and store OTP for an email or mobile number (depending on purpose)
+const createOTP = async (recipient, purpose = 'email_verification') => {
     const otp = generateOTP();
     const expiresAt = new Date(Date.now() + config.otp.expiryMinutes * 60 * 1000);
+    const column = recipientColumn(purpose);
 
-    // Invalidate any existing unused OTPs for this email and purpose
+    // Invalidate any existing unused OTPs for this recipient and purpose
     await query(
-        'UPDATE otp_tokens SET IsUsed = TRUE WHERE Email = ? AND Purpose = ? AND IsUsed = FALSE',
-        [email, purpose]
+        `UPDATE otp_tokens SET IsUsed = TRUE WHERE ${column} = ? AND Purpose = ? AND IsUsed = FALSE`,
+        [recipient, purpose]
     );
 
     // Create new OTP
     await query(
-        'INSERT INTO otp_tokens (Email, OTP, Purpose, ExpiresAt) VALUES (?, ?, ?, ?)',
-        [email, otp, purpose, expiresAt]
+        `INSERT INTO otp_tokens (${column}, OTP, Purpose, ExpiresAt) VALUES (?, ?, ?, ?)`,
+        [recipient, otp, purpose, expiresAt]
     );
 
     return otp;
 };
 
-// Verify OTP
-const verifyOTP = async (email, otp, purpose = 'email_verification') => {
+// Verify OTP. Each OTP allows a limited number of wrong guesses before it is burned.
+const verifyOTP = async (recipient, otp, purpose = 'email_verification') => {
     const otpRecord = await queryOne(
         `SELECT * FROM otp_tokens 
-         WHERE Email = ? AND OTP = ? AND Purpose = ? AND IsUsed = FALSE AND ExpiresAt > NOW()
+         WHERE ${recipientColumn(purpose)} = ? AND Purpose = ? AND IsUsed = FALSE AND ExpiresAt > NOW()
          ORDER BY CreatedAt DESC LIMIT 1`,
-        [email, otp, purpose]
+        [recipient, purpose]
     );
 
     if (!otpRecord) {
         return { valid: false, message: 'Invalid or expired OTP' };
     }
 
+    // Compare bytes, not characters: timingSafeEqual throws on buffers of
+    // different lengths, which multibyte input would otherwise reach
+    const expected = Buffer.from(otpRecord.OTP);
+    const given = Buffer.from(String(otp));
+    const isMatch = expected.length === given.length && crypto.timingSafeEqual(expected, given);
+
+    if (!isMatch) {
+        const attempts = otpRecord.Attempts + 1;
+
+        await query(
+            'UPDATE otp_tokens SET Attempts = Attempts + 1, IsUsed = (Attempts >= ?) WHERE Id = ?',
+            [config.otp.maxAttempts, otpRecord.Id]
+        );
+
+        if (attempts >= config.otp.maxAttempts) {
+            return {
+                valid: false,
+                message: 'Too many incorrect attempts. Please request a new OTP',
+                attemptsExceeded: true
+            };
+        }
+
+        return {
+            valid: false,
+            message: 'Invalid or expired OTP',
+            attemptsLeft: config.otp.maxAttempts - attempts
+        };
+    }
+
     // Mark OTP as used
     await query(
         'UPDATE otp_tokens SET IsUsed = TRUE WHERE Id = ?',
@@ -49,13 +86,29 @@ const verifyOTP = async (email, otp, purpose = 'email_verification') => {
     return { valid: true, message: 'OTP verified successfully' };
 };
 
+// Seconds left before another OTP may be sent (0 when allowed)
+const getResendCooldown = async (recipient, purpose = 'email_verification') => {
+    const lastOTP = await queryOne(
+        `SELECT TIMESTAMPDIFF(SECOND, CreatedAt, NOW()) AS Age FROM otp_tokens 
+         WHERE ${recipientColumn(purpose)} = ? AND Purpose = ?
+         ORDER BY CreatedAt DESC LIMIT 1`,
+        [recipient, purpose]
+    );
+
+    if (!lastOTP) {
+        return 0;
+    }
+
+    return Math.max(0, config.otp.resendCooldownSeconds - lastOTP.Age);
+};
+
 // Check if OTP exists and not expired (without marking as used)
-const checkOTPExists = async (email, purpose = 'email_verification') => {
+const checkOTPExists = async (recipient, purpose = 'email_verification') => {
     const otpRecord = await queryOne(
         `SELECT * FROM otp_tokens 
-         WHERE Email = ? AND Purpose = ? AND IsUsed = FALSE AND ExpiresAt > NOW()
+         WHERE ${recipientColumn(purpose)} = ? AND Purpose = ? AND IsUsed = FALSE AND ExpiresAt > NOW()
          ORDER BY CreatedAt DESC LIMIT 1`,
-        [email, purpose]
+        [recipient, purpose]
     );
 
     return !!otpRecord;
@@ -73,6 +126,7 @@ module.exports = {
     generateOTP,
     createOTP,
     verifyOTP,
+    getResendCooldown,
     checkOTPExists,
     cleanupExpiredOTPs
 };
@@ -0,0 +1,149 @@
+const { query, transaction } = require('../config/database');
+
+// Permission codes granted to each role are cached per process. Edits made
+// through this service clear the cache right away; other instances pick them
+// up once their entry expires.
+const CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+const clearPermissionCache = () => {
+    roleCache.clear();
+};
+
+const listPermissions = async () => {
+    return query(
+        'SELECT PermissionId, PermissionCode, Module, Description FROM permissions ORDER BY Module, PermissionCode'
+    );
+};
+
+// Codes granted to a role (cached)
+const getRolePermissions = async (roleId) => {
+    const cached = roleCache.get(roleId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.codes;
+    }
+
+    const rows = await query(
+        `SELECT p.PermissionCode
+         FROM role_permissions rp
+         JOIN permissions p ON rp.PermissionId = p.PermissionId
+         WHERE rp.RoleId = ?`,
+        [roleId]
+    );
+
+    const codes = new Set(rows.map((row) => row.PermissionCode));
+    roleCache.set(roleId, { codes, expiresAt: Date.now() + CACHE_TTL_MS });
+    return codes;
+};
+
+// Every permission the user holds; Super Admin holds all of them
+const getUserPermissions = async (user) => {
+    if (user.RoleCode === 'SUPER_ADMIN') {
+        const permissions = await listPermissions();
+        return permissions.map((permission) => permission.PermissionCode);
+    }
+    if (!user.RoleId) {
+        return [];
+    }
+    return [...await getRolePermissions(user.RoleId)];
+};
+
+// Whether the user holds at least one of the given permissions
+const hasAnyPermission = async (user, codes) => {
+    if (user.RoleCode === 'SUPER_ADMIN') {
+        return true;
+    }
+    if (!user.RoleId) {
+        return false;
+    }
+
+    const granted = await getRolePermissions(user.RoleId);
+    return codes.some((code) => granted.has(code));
+};
+
+// Whether the user holds every permission granted to the role, so that
+// handing the role out gives nobody more than the user has
+const holdsRolePermissions = async (user, roleId) => {
+    if (user.RoleCode === 'SUPER_ADMIN') {
+        return true;
+    }
+
+    const granted = await getRolePermissions(roleId);
+    const held = user.RoleId ? await getRolePermissions(user.RoleId) : new Set();
+    return [...granted].every((code) => held.has(code));
+};
+
+// Holders of projects.all act on every organization; everyone else only on
+// the organization of their session, whatever else their role is granted
+const canAccessAllOrganizations = (user) => {
+    return hasAnyPermission(user, ['projects.all']);
+};
+
+const canAccessOrganization = async (user, organizationId) => {
+    if (await canAccessAllOrganizations(user)) {
+        return true;
+    }
+    return Boolean(user.OrganizationId) && user.OrganizationId === parseInt(organizationId);
+};
+
+// Grants for every active role, for the admin matrix
+const getPermissionMatrix = async () => {
+    const roles = await query(
+        `SELECT RoleId, RoleName, RoleCode FROM roles
+         WHERE IsDeleted = FALSE AND IsActive = TRUE ORDER BY RoleName`
+    );
+    const grants = await query(
+        `SELECT rp.RoleId, p.PermissionCode
+         FROM role_permissions rp
+         JOIN permissions p ON rp.PermissionId = p.PermissionId`
+    );
+    const allCodes = (await listPermissions()).map((permission) => permission.PermissionCode);
+
+    return roles.map((role) => ({
+        ...role,
+        permissions: role.RoleCode === 'SUPER_ADMIN'
+            ? allCodes
+            : grants.filter((grant) => grant.RoleId === role.RoleId).map((grant) => grant.PermissionCode)
+    }));
+};
+
+// Replace a role's grants. Returns the codes that do not exist, without saving, if any.
+const setRolePermissions = async (roleId, codes, grantedBy) => {
+    const uniqueCodes = [...new Set(codes)];
+    const permissions = uniqueCodes.length > 0
+        ? await query('SELECT PermissionId, PermissionCode FROM permissions WHERE PermissionCode IN (?)', [uniqueCodes])
+        : [];
+
+    const known = new Set(permissions.map((permission) => permission.PermissionCode));
+    const unknownCodes = uniqueCodes.filter((code) => !known.has(code));
+    if (unknownCodes.length > 0) {
+        return { unknownCodes };
+    }
+
+    await transaction(async (conn) => {
+        await conn.query('DELETE FROM role_permissions WHERE RoleId = ?', [roleId]);
+
+        if (permissions.length > 0) {
+            await conn.query(
+                'INSERT INTO role_permissions (RoleId, PermissionId, GrantedBy) VALUES ?',
+                [permissions.map((permission) => [roleId, permission.PermissionId, grantedBy])]
+            );
+        }
+    });
+
+    roleCache.delete(roleId);
+    return { unknownCodes: [] };
+};
+
+module.exports = {
+    listPermissions,
+    getRolePermissions,
+    getUserPermissions,
+    hasAnyPermission,
+    holdsRolePermissions,
+    canAccessAllOrganizations,
+    canAccessOrganization,
+    getPermissionMatrix,
+    setRolePermissions,
+    clearPermissionCache
+};
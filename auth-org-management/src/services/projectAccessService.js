@@ -0,0 +1,129 @@
+const { queryOne } = require('../config/database');
+const { hasAnyPermission } = require('./permissionService');
+
+// What each project role allows on its project
+const PROJECT_ROLES = {
+    Lead: ['view', 'edit', 'members', 'camps', 'spends', 'ground_permissions', 'impact'],
+    Treasurer: ['view', 'spends'],
+    FieldVolunteer: ['view', 'camps', 'spends', 'ground_permissions', 'impact'],
+    Viewer: ['view']
+};
+
+// Tenant scoping for everything that hangs off a project (camps, expenses,
+// ground permissions, campaigns, donations, sponsors, beneficiary donations).
+// Every model findAll takes the scope through filters.scope and every by-id
+// handler goes through denyProjectAccess, so rows of another organization are
+// never listed and look like they do not exist. A query without a scope fails
+// instead of returning everything; reaching every organization takes UNSCOPED.
+
+// The scope of users who see every project, and of public pages that pick
+// their rows by other means
+const UNSCOPED = Object.freeze({ unscoped: true });
+
+// Which projects a user reaches: all of them (UNSCOPED), those of their
+// organization, those they are a member of, or a mix. The projects.all
+// permission (SUPER_ADMIN, ADMIN) is the only way to see across organizations.
+const getProjectScope = async (user) => {
+    if (await hasAnyPermission(user, ['projects.all'])) {
+        return UNSCOPED;
+    }
+
+    // API keys act for their organization only
+    if (user.ApiKeyId) {
+        return { userId: null, organizationId: user.OrganizationId };
+    }
+
+    const byOrganization = user.OrganizationId && await hasAnyPermission(user, ['projects.organization']);
+
+    return {
+        userId: user.UserId,
+        organizationId: byOrganization ? user.OrganizationId : null
+    };
+};
+
+// SQL condition limiting rows to a project scope, for the models' findAll filters
+const projectScopeClause = (scope, projectColumn = 'p.ProjectId') => {
+    if (!scope) {
+        throw new Error('Project scope is required. Pass UNSCOPED to reach every organization.');
+    }
+    if (scope.unscoped) {
+        return { sql: '', params: [] };
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (scope.organizationId) {
+        conditions.push(`${projectColumn} IN (SELECT ProjectId FROM projects WHERE OrganizationId = ?)`);
+        params.push(scope.organizationId);
+    }
+    if (scope.userId) {
+        conditions.push(`${projectColumn} IN (SELECT ProjectId FROM project_members WHERE UserId = ?)`);
+        params.push(scope.userId);
+    }
+
+    if (conditions.length === 0) {
+        return { sql: ' AND FALSE', params: [] };
+    }
+
+    return { sql: ` AND (${conditions.join(' OR ')})`, params };
+};
+
+// The actions ('view', 'spends', ...) the user may perform on a project;
+// empty when the project is outside their scope
+const getProjectActions = async (user, projectId) => {
+    const allActions = [...new Set(Object.values(PROJECT_ROLES).flat())];
+
+    const scope = await getProjectScope(user);
+    if (scope.unscoped) {
+        return allActions;
+    }
+
+    const project = await queryOne(
+        `SELECT p.OrganizationId, pm.ProjectRole
+         FROM projects p
+         LEFT JOIN project_members pm ON pm.ProjectId = p.ProjectId AND pm.UserId = ?
+         WHERE p.ProjectId = ? AND p.IsDeleted = FALSE`,
+        [scope.userId, projectId]
+    );
+
+    if (!project) {
+        return [];
+    }
+    if (scope.organizationId && project.OrganizationId === scope.organizationId) {
+        return allActions;
+    }
+    return project.ProjectRole ? PROJECT_ROLES[project.ProjectRole] : [];
+};
+
+// Whether the user may perform an action on a project
+const canAccessProject = async (user, projectId, action) => {
+    return (await getProjectActions(user, projectId)).includes(action);
+};
+
+// Sends an error and returns true when the user may not perform the action:
+// 404 when the project (and so the resource) is outside their scope, 403 when
+// they can see it but not do this
+const denyProjectAccess = async (req, res, projectId, action, notFoundMessage = 'Project not found') => {
+    const actions = await getProjectActions(req.user, projectId);
+    if (actions.includes(action)) {
+        return false;
+    }
+
+    if (actions.length === 0) {
+        res.status(404).json({ success: false, message: notFoundMessage });
+    } else {
+        res.status(403).json({ success: false, message: 'Access denied' });
+    }
+    return true;
+};
+
+module.exports = {
+    PROJECT_ROLES,
+    UNSCOPED,
+    getProjectScope,
+    projectScopeClause,
+    getProjectActions,
+    canAccessProject,
+    denyProjectAccess
+};
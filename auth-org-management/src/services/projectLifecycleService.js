@@ -0,0 +1,85 @@
+const { queryOne } = require('../config/database');
+
+// Statuses a project can move to from each status. Closed is final.
+const PROJECT_TRANSITIONS = {
+    Planned: ['Ongoing', 'OnHold', 'Cancelled'],
+    Ongoing: ['OnHold', 'Completed', 'Cancelled'],
+    OnHold: ['Ongoing', 'Cancelled'],
+    Completed: ['Ongoing', 'Closed'],
+    Cancelled: ['Closed'],
+    Closed: []
+};
+
+const PROJECT_STATUSES = Object.keys(PROJECT_TRANSITIONS);
+
+// Statuses a new project may start in
+const INITIAL_STATUSES = ['Planned', 'Ongoing'];
+
+// Statuses that need a reason
+const REASON_REQUIRED = ['OnHold', 'Cancelled'];
+
+// What still has to be done before the project can be closed
+const getClosingBlockers = async (projectId) => {
+    const counts = await queryOne(
+        `SELECT
+            (SELECT COUNT(*) FROM project_spends
+             WHERE ProjectId = ? AND IsDeleted = FALSE AND Status = 'Pending') as pendingSpends,
+            (SELECT COUNT(*) FROM project_spends
+             WHERE ProjectId = ? AND IsDeleted = FALSE AND Status != 'Rejected'
+               AND PaidWithOwnMoney = TRUE AND IsSettled = FALSE) as unsettledSpends,
+            (SELECT COUNT(*) FROM project_ground_permissions
+             WHERE ProjectId = ? AND IsDeleted = FALSE AND Status IN ('Pending', 'InProgress', 'Submitted')) as pendingPermissions,
+            (SELECT COUNT(*) FROM campaigns
+             WHERE ProjectId = ? AND IsDeleted = FALSE AND CampaignStatus IN ('Active', 'Paused')) as activeCampaigns`,
+        [projectId, projectId, projectId, projectId]
+    );
+
+    const blockers = [];
+    if (counts.pendingSpends > 0) {
+        blockers.push(`${counts.pendingSpends} expense(s) are still pending approval`);
+    }
+    if (counts.unsettledSpends > 0) {
+        blockers.push(`${counts.unsettledSpends} expense(s) paid with own money are not settled`);
+    }
+    if (counts.pendingPermissions > 0) {
+        blockers.push(`${counts.pendingPermissions} ground permission(s) are still pending`);
+    }
+    if (counts.activeCampaigns > 0) {
+        blockers.push(`${counts.activeCampaigns} campaign(s) are still active`);
+    }
+    return blockers;
+};
+
+// Why the project cannot move to the status, as { message, blockers? }; null when it can
+const checkTransition = async (project, toStatus, reason) => {
+    const allowed = PROJECT_TRANSITIONS[project.Status] || [];
+
+    if (!allowed.includes(toStatus)) {
+        return {
+            message: allowed.length > 0
+                ? `A ${project.Status} project can only move to ${allowed.join(', ')}`
+                : `A ${project.Status} project can no longer change status`
+        };
+    }
+
+    if (REASON_REQUIRED.includes(toStatus) && !reason) {
+        return { message: `A reason is required to set the project ${toStatus}` };
+    }
+
+    if (toStatus === 'Closed') {
+        const blockers = await getClosingBlockers(project.ProjectId);
+        if (blockers.length > 0) {
+            return { message: 'Project cannot be closed yet', blockers };
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    PROJECT_TRANSITIONS,
+    PROJECT_STATUSES,
+    INITIAL_STATUSES,
+    getClosingBlockers,
+    checkTransition
+};
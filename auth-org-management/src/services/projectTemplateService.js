@@ -0,0 +1,231 @@
+const { query, queryOne, transaction } = require('../config/database');
+const { assignProjectSlug } = require('./publicProjectService');
+
+// Plans (saved templates and clones) describe a project without its history:
+// description, budget heads, ground permission checklist, camp plans and
+// campaign drafts. Donations, expenses and media are never part of a plan.
+// Dates are kept relative to the project start so a plan can be laid out
+// again from any start date.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const startOfDay = (value) => {
+    const date = new Date(value);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+const offsetDays = (value, anchor) => value ? Math.round((startOfDay(value) - anchor) / DAY_MS) : null;
+const offsetMinutes = (value, anchor) => value ? Math.round((new Date(value) - anchor) / 60000) : null;
+
+const toDateString = (anchor, days) => {
+    if (days === null || days === undefined) return null;
+    const date = new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + days);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const toDateTimeString = (anchor, minutes) => {
+    if (minutes === null || minutes === undefined) return null;
+    const date = new Date(anchor.getTime() + minutes * 60000);
+    return `${toDateString(date, 0)} ${pad(date.getHours())}:${pad(date.getMinutes())}:00`;
+};
+
+// Describe an existing project as a plan
+const buildPlan = async (projectId) => {
+    const project = await queryOne(
+        `SELECT * FROM projects WHERE ProjectId = ? AND IsDeleted = FALSE`,
+        [projectId]
+    );
+    if (!project) return null;
+
+    const anchor = startOfDay(project.StartDate || project.CreatedDate);
+
+    const budgetHeads = await query(
+        `SELECT HeadName, Description, PlannedAmount
+         FROM project_budget_heads
+         WHERE ProjectId = ? AND IsDeleted = FALSE
+         ORDER BY HeadName`,
+        [projectId]
+    );
+
+    const groundPermissions = await query(
+        `SELECT PermissionType, Description, DueDate
+         FROM project_ground_permissions
+         WHERE ProjectId = ? AND IsDeleted = FALSE
+         ORDER BY DueDate IS NULL, DueDate, ProjectPermissionId`,
+        [projectId]
+    );
+
+    const camps = await query(
+        `SELECT CampName, CampDescription, CampType, CampAddress, CampPincode, CampState, CampCity,
+                PeopleExpected, RegistrationFormLink, Latitude, Longitude, CampStartDate, CampEndDate
+         FROM camps
+         WHERE ProjectId = ? AND IsDeleted = FALSE
+         ORDER BY CampStartDate IS NULL, CampStartDate, CampId`,
+        [projectId]
+    );
+
+    const campaigns = await query(
+        `SELECT CampaignName, CampaignType, Description, TargetAmount, IsPublic, RazorpayEnabled, StartDate, EndDate
+         FROM campaigns
+         WHERE ProjectId = ? AND IsDeleted = FALSE
+         ORDER BY StartDate IS NULL, StartDate, CampaignId`,
+        [projectId]
+    );
+
+    return {
+        version: 1,
+        project: {
+            projectName: project.ProjectName,
+            projectTitle: project.ProjectTitle,
+            projectDescription: project.ProjectDescription,
+            objective: project.Objective,
+            location: project.Location,
+            latitude: project.Latitude,
+            longitude: project.Longitude,
+            startTime: project.StartTime,
+            endTime: project.EndTime,
+            durationDays: offsetDays(project.EndDate, anchor)
+        },
+        budgetHeads: budgetHeads.map(head => ({
+            headName: head.HeadName,
+            description: head.Description,
+            plannedAmount: head.PlannedAmount
+        })),
+        groundPermissions: groundPermissions.map(permission => ({
+            permissionType: permission.PermissionType,
+            description: permission.Description,
+            dueOffsetDays: offsetDays(permission.DueDate, anchor)
+        })),
+        camps: camps.map(camp => ({
+            campName: camp.CampName,
+            campDescription: camp.CampDescription,
+            campType: camp.CampType,
+            campAddress: camp.CampAddress,
+            campPincode: camp.CampPincode,
+            campState: camp.CampState,
+            campCity: camp.CampCity,
+            peopleExpected: camp.PeopleExpected,
+            registrationFormLink: camp.RegistrationFormLink,
+            latitude: camp.Latitude,
+            longitude: camp.Longitude,
+            startOffsetMinutes: offsetMinutes(camp.CampStartDate, anchor),
+            endOffsetMinutes: offsetMinutes(camp.CampEndDate, anchor)
+        })),
+        campaigns: campaigns.map(campaign => ({
+            campaignName: campaign.CampaignName,
+            campaignType: campaign.CampaignType,
+            description: campaign.Description,
+            targetAmount: campaign.TargetAmount,
+            isPublic: !!campaign.IsPublic,
+            razorpayEnabled: !!campaign.RazorpayEnabled,
+            startOffsetDays: offsetDays(campaign.StartDate, anchor),
+            endOffsetDays: offsetDays(campaign.EndDate, anchor)
+        }))
+    };
+};
+
+// Create a Planned project from a plan, starting on startDate (YYYY-MM-DD, default today).
+// The creator leads it; camps are Planned, campaigns Draft and permissions Pending.
+const createProjectFromPlan = async (plan, { projectName, startDate, organizationId, createdBy, reason }) => {
+    const anchor = startDate ? startOfDay(`${startDate}T00:00:00`) : startOfDay(Date.now());
+    const details = plan.project || {};
+
+    return transaction(async (conn) => {
+        const [result] = await conn.query(
+            `INSERT INTO projects (
+                ProjectName, ProjectTitle, ProjectDescription, Objective,
+                StartDate, StartTime, EndDate, EndTime,
+                Location, Latitude, Longitude, Status, OrganizationId, CreatedBy
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'Planned', ?, ?)`,
+            [
+                projectName || details.projectName, details.projectTitle || null,
+                details.projectDescription || null, details.objective || null,
+                toDateString(anchor, 0), details.startTime || null,
+                toDateString(anchor, details.durationDays), details.endTime || null,
+                details.location || null, details.latitude || null, details.longitude || null,
+                organizationId || null, createdBy
+            ]
+        );
+        const projectId = result.insertId;
+
+        await assignProjectSlug(conn, projectName || details.projectName, projectId);
+
+        await conn.query(
+            `INSERT INTO project_status_history (ProjectId, ToStatus, Reason, ChangedBy) VALUES (?, 'Planned', ?, ?)`,
+            [projectId, reason || null, createdBy]
+        );
+
+        await conn.query(
+            `INSERT INTO project_members (ProjectId, UserId, ProjectRole, AddedBy) VALUES (?, ?, 'Lead', ?)`,
+            [projectId, createdBy, createdBy]
+        );
+
+        for (const head of plan.budgetHeads || []) {
+            await conn.query(
+                `INSERT INTO project_budget_heads (ProjectId, HeadName, Description, PlannedAmount, CreatedBy)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [projectId, head.headName, head.description || null, head.plannedAmount || 0, createdBy]
+            );
+        }
+
+        for (const permission of plan.groundPermissions || []) {
+            await conn.query(
+                `INSERT INTO project_ground_permissions (ProjectId, PermissionType, Description, DueDate, CreatedBy)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [projectId, permission.permissionType, permission.description || null,
+                    toDateString(anchor, permission.dueOffsetDays), createdBy]
+            );
+        }
+
+        for (const camp of plan.camps || []) {
+            await conn.query(
+                `INSERT INTO camps (
+                    ProjectId, CampName, CampDescription, CampType, CampAddress, CampPincode, CampState, CampCity,
+                    PeopleExpected, RegistrationFormLink, Latitude, Longitude, CampStartDate, CampEndDate, CreatedBy
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    projectId, camp.campName, camp.campDescription || null, camp.campType || null,
+                    camp.campAddress || null, camp.campPincode || null, camp.campState || null, camp.campCity || null,
+                    camp.peopleExpected || 0, camp.registrationFormLink || null, camp.latitude || null, camp.longitude || null,
+                    toDateTimeString(anchor, camp.startOffsetMinutes), toDateTimeString(anchor, camp.endOffsetMinutes),
+                    createdBy
+                ]
+            );
+        }
+
+        const codeBase = Date.now().toString(36).toUpperCase();
+        for (const [index, campaign] of (plan.campaigns || []).entries()) {
+            await conn.query(
+                `INSERT INTO campaigns (
+                    ProjectId, CampaignName, CampaignCode, CampaignType, ImageUrls, VideoUrls, Description,
+                    TargetAmount, StartDate, EndDate, CampaignStatus, IsPublic, RazorpayEnabled, CreatedBy
+                ) VALUES (?, ?, ?, ?, '[]', '[]', ?, ?, ?, ?, 'Draft', ?, ?, ?)`,
+                [
+                    projectId, campaign.campaignName, `CAMP-${codeBase}-${index + 1}`,
+                    campaign.campaignType || 'FUNDRAISING', campaign.description || null,
+                    campaign.targetAmount || 0,
+                    toDateString(anchor, campaign.startOffsetDays), toDateString(anchor, campaign.endOffsetDays),
+                    campaign.isPublic !== false, campaign.razorpayEnabled !== false, createdBy
+                ]
+            );
+        }
+
+        return projectId;
+    });
+};
+
+// How much a plan contains, for listings and responses
+const summarizePlan = (plan) => ({
+    budgetHeads: (plan.budgetHeads || []).length,
+    groundPermissions: (plan.groundPermissions || []).length,
+    camps: (plan.camps || []).length,
+    campaigns: (plan.campaigns || []).length
+});
+
+module.exports = {
+    buildPlan,
+    createProjectFromPlan,
+    summarizePlan
+};
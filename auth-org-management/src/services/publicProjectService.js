@@ -0,0 +1,152 @@
+const Camp = require('../models/Camp');
+const Campaign = require('../models/Campaign');
+const ProjectSponsor = require('../models/ProjectSponsor');
+const ProjectBudget = require('../models/ProjectBudget');
+const BeneficiaryDonation = require('../models/BeneficiaryDonation');
+const ProjectIndicator = require('../models/ProjectIndicator');
+const { buildIndicatorReport } = require('./impactService');
+const { UNSCOPED } = require('./projectAccessService');
+
+// The public microsite of a project (GET /api/public/projects/:slug). Every
+// record is copied through a whitelist of fields, so contact details, bills,
+// beneficiary names and audit columns never leave the server even when new
+// columns are added to the tables.
+
+const PUBLIC_FIELDS = {
+    project: [
+        'ProjectName', 'ProjectTitle', 'ProjectDescription', 'Objective', 'BannerUrl', 'Slug',
+        'StartDate', 'EndDate', 'Location', 'Latitude', 'Longitude', 'Status',
+        'OrganizationName', 'OrganizationType', 'OrganizationCity'
+    ],
+    campaign: [
+        'CampaignId', 'CampaignName', 'CampaignCode', 'CampaignType', 'Description',
+        'ImageUrls', 'VideoUrls', 'TargetAmount', 'CollectedAmount', 'StartDate', 'EndDate', 'DonationCount'
+    ],
+    sponsor: ['SponsorType', 'SponsorshipType', 'SponsorWebsite', 'SponsorLogo', 'Purpose', 'DisplayOrder'],
+    camp: [
+        'CampId', 'CampName', 'CampDescription', 'CampType', 'CampCity', 'CampState',
+        'CampStartDate', 'CampEndDate', 'PeopleAttended'
+    ],
+    media: ['MediaType', 'MediaUrl', 'ThumbnailUrl', 'Caption'],
+    indicator: ['IndicatorName', 'Description', 'Unit', 'TargetValue', 'Achieved', 'PercentOfTarget', 'series']
+};
+
+const pick = (record, fields) => Object.fromEntries(fields.map(field => [field, record[field] ?? null]));
+
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// "<name>-<id>": readable, and unique without a lookup
+const projectSlug = (projectName, projectId) => {
+    const name = String(projectName || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, 120)
+        .replace(/^-+|-+$/g, '');
+    return name ? `${name}-${projectId}` : `project-${projectId}`;
+};
+
+// Set a new project's slug, inside the transaction creating it. Another
+// project (deleted ones too) may already use "<name>-<id>" as a custom slug,
+// so a number is appended until the unique index accepts it.
+const assignProjectSlug = async (conn, projectName, projectId) => {
+    const base = projectSlug(projectName, projectId);
+
+    for (let attempt = 1; ; attempt++) {
+        const slug = attempt === 1 ? base : `${base}-${attempt}`;
+        try {
+            await conn.query('UPDATE projects SET Slug = ? WHERE ProjectId = ?', [slug, projectId]);
+            return slug;
+        } catch (error) {
+            if (error.code !== 'ER_DUP_ENTRY' || attempt >= 20) throw error;
+        }
+    }
+};
+
+const campaignProgress = (campaign) => {
+    const target = toAmount(campaign.TargetAmount);
+    const collected = toAmount(campaign.CollectedAmount);
+
+    return {
+        ...pick(campaign, PUBLIC_FIELDS.campaign),
+        ProgressPercent: target > 0 ? Math.min(Math.round(collected / target * 100), 100) : null
+    };
+};
+
+// Sponsors are shown by the name they sponsor under, never by their contact details
+const publicSponsor = (sponsor) => ({
+    SponsorName: sponsor.SponsorName || sponsor.OrganizationName || sponsor.SponsorUserName || null,
+    ...pick(sponsor, PUBLIC_FIELDS.sponsor)
+});
+
+// Approved expenses per budget head; expenses without a head are reported as "Other"
+const spendsByCategory = (report) => {
+    const categories = report.heads
+        .filter(head => head.ApprovedAmount > 0)
+        .map(head => ({ Category: head.HeadName, ApprovedAmount: head.ApprovedAmount }));
+
+    if (report.unallocated.ApprovedAmount > 0) {
+        categories.push({ Category: 'Other', ApprovedAmount: report.unallocated.ApprovedAmount });
+    }
+
+    return {
+        categories,
+        totalApproved: toAmount(categories.reduce((sum, category) => sum + category.ApprovedAmount, 0))
+    };
+};
+
+// Progress of the indicators marked public, month by month
+const publicImpact = async (projectId) => {
+    const indicators = await ProjectIndicator.findByProjectId(projectId, { isPublic: true });
+
+    const impact = [];
+    for (const indicator of indicators) {
+        const report = buildIndicatorReport(indicator, await ProjectIndicator.getReadings(indicator));
+        impact.push(pick(report, PUBLIC_FIELDS.indicator));
+    }
+    return impact;
+};
+
+// Everything the microsite shows for a published project
+const buildMicrosite = async (project) => {
+    const projectId = project.ProjectId;
+
+    const [campaigns, sponsors, camps, media, distributions, budget, impact] = await Promise.all([
+        Campaign.getPublicCampaigns({ projectId }),
+        ProjectSponsor.getPublicSponsors(projectId),
+        Camp.findAll({ projectId, campStatus: 'Completed', scope: UNSCOPED }),
+        Camp.getPublicMedia(projectId),
+        BeneficiaryDonation.getDistributionTotals(projectId),
+        ProjectBudget.getReport(projectId),
+        publicImpact(projectId)
+    ]);
+
+    const distributionLines = distributions.map(line => ({
+        DonationType: line.DonationType,
+        DonationCount: Number(line.DonationCount),
+        TotalAmount: toAmount(line.TotalAmount)
+    }));
+
+    return {
+        project: pick(project, PUBLIC_FIELDS.project),
+        campaigns: campaigns.map(campaignProgress),
+        sponsors: sponsors.map(publicSponsor),
+        camps: camps.map(camp => ({
+            ...pick(camp, PUBLIC_FIELDS.camp),
+            media: media.filter(item => item.CampId === camp.CampId).map(item => pick(item, PUBLIC_FIELDS.media))
+        })),
+        beneficiaryDistributions: {
+            byType: distributionLines,
+            totalCount: distributionLines.reduce((sum, line) => sum + line.DonationCount, 0),
+            totalAmount: toAmount(distributionLines.reduce((sum, line) => sum + line.TotalAmount, 0))
+        },
+        spends: spendsByCategory(budget),
+        impact
+    };
+};
+
+module.exports = {
+    PUBLIC_FIELDS,
+    projectSlug,
+    assignProjectSlug,
+    buildMicrosite
+};
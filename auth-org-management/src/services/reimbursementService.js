@@ -0,0 +1,35 @@
+const { canAccessOrganization } = require('./permissionService');
+
+// Reimbursement batches (migrations/reimbursements.sql) are kept per
+// organization. Users who see every project (projects.all) work on any
+// organization; everyone else with reimbursements.manage on their own.
+
+const PAYOUT_MODES = ['Cash', 'Bank Transfer', 'UPI', 'Cheque', 'Other'];
+
+const BATCH_STATUSES = ['Open', 'PartiallyPaid', 'Paid', 'Cancelled'];
+
+const canManageOrganization = canAccessOrganization;
+
+// The organization a request works on, from ?organizationId / body.organizationId
+// or the user's own. Sends an error and returns null when there is none or it
+// is someone else's.
+const resolveOrganization = async (req, res, requestedId) => {
+    const organizationId = parseInt(requestedId) || req.user.OrganizationId;
+
+    if (!organizationId) {
+        res.status(400).json({ success: false, message: 'organizationId is required' });
+        return null;
+    }
+    if (!(await canManageOrganization(req.user, organizationId))) {
+        res.status(403).json({ success: false, message: 'You can only manage reimbursements of your own organization' });
+        return null;
+    }
+    return organizationId;
+};
+
+module.exports = {
+    PAYOUT_MODES,
+    BATCH_STATUSES,
+    canManageOrganization,
+    resolveOrganization
+};
@@ -0,0 +1,112 @@
+const { v4: uuidv4 } = require('uuid');
+const { query, queryOne } = require('../config/database');
+const { getClientIp } = require('../middleware/apiLogger');
+
+// Device details recorded with a session
+const getDeviceInfo = (req) => {
+    if (!req) {
+        return { deviceName: null, userAgent: null, ipAddress: null };
+    }
+
+    const deviceName = req.body?.deviceName || req.headers['x-device-name'] || null;
+
+    return {
+        deviceName: deviceName ? String(deviceName).substring(0, 100) : null,
+        userAgent: req.headers['user-agent']?.substring(0, 500) || null,
+        ipAddress: getClientIp(req)
+    };
+};
+
+// Start a session for a new login (deviceName overrides the one sent by the client)
+const createSession = async (userId, req, deviceName = null) => {
+    const sessionId = uuidv4();
+    const device = getDeviceInfo(req);
+    const { userAgent, ipAddress } = device;
+    deviceName = deviceName || device.deviceName;
+
+    await query(
+        `INSERT INTO user_sessions (SessionId, UserId, DeviceName, UserAgent, IpAddress, CreatedAt, LastSeenAt)
+         VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
+        [sessionId, userId, deviceName, userAgent, ipAddress]
+    );
+
+    return sessionId;
+};
+
+// Find a live session
+const findActiveSession = async (sessionId, userId) => {
+    return queryOne(
+        'SELECT * FROM user_sessions WHERE SessionId = ? AND UserId = ? AND RevokedAt IS NULL',
+        [sessionId, userId]
+    );
+};
+
+// Record activity on a session (at most once a minute)
+const touchSession = async (sessionId, req) => {
+    const { userAgent, ipAddress } = getDeviceInfo(req);
+
+    await query(
+        `UPDATE user_sessions SET LastSeenAt = NOW(), IpAddress = ?, UserAgent = COALESCE(?, UserAgent)
+         WHERE SessionId = ? AND RevokedAt IS NULL
+           AND LastSeenAt < DATE_SUB(NOW(), INTERVAL 1 MINUTE)`,
+        [ipAddress, userAgent, sessionId]
+    );
+};
+
+// List sessions of a user, most recently used first
+const listSessions = async (userId, { includeRevoked = false } = {}) => {
+    let sql = `SELECT SessionId, DeviceName, UserAgent, IpAddress, CreatedAt, LastSeenAt,
+                      RevokedAt, RevokedReason
+               FROM user_sessions
+               WHERE UserId = ?`;
+
+    if (!includeRevoked) {
+        sql += ' AND RevokedAt IS NULL';
+    }
+
+    sql += ' ORDER BY LastSeenAt DESC';
+
+    return query(sql, [userId]);
+};
+
+// Revoke a session and every refresh token issued for it
+const revokeSession = async (sessionId, reason, revokedBy = null) => {
+    const result = await query(
+        `UPDATE user_sessions SET RevokedAt = NOW(), RevokedReason = ?, RevokedBy = ?
+         WHERE SessionId = ? AND RevokedAt IS NULL`,
+        [reason, revokedBy, sessionId]
+    );
+
+    await query(
+        'UPDATE refresh_tokens SET RevokedAt = NOW(), RevokedReason = ? WHERE FamilyId = ? AND RevokedAt IS NULL',
+        [reason, sessionId]
+    );
+
+    return result.affectedRows > 0;
+};
+
+// Revoke every session of a user
+const revokeAllSessions = async (userId, reason, revokedBy = null) => {
+    const result = await query(
+        `UPDATE user_sessions SET RevokedAt = NOW(), RevokedReason = ?, RevokedBy = ?
+         WHERE UserId = ? AND RevokedAt IS NULL`,
+        [reason, revokedBy, userId]
+    );
+
+    await query(
+        'UPDATE refresh_tokens SET RevokedAt = NOW(), RevokedReason = ? WHERE UserId = ? AND RevokedAt IS NULL',
+        [reason, userId]
+    );
+
+    return result.affectedRows;
+};
+
+module.exports = {
+    getDeviceInfo,
+    createSession,
+    findActiveSession,
+    touchSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+};
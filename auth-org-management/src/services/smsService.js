@@ -0,0 +1,79 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+
+// SMS providers implement send({ to, message }) and resolve to
+// { success, messageId } or { success: false, error }.
+// Pick one with SMS_PROVIDER; a gateway (MSG91, Twilio, ...) can be added
+// with registerProvider() without touching the callers.
+
+// Development: print messages to the server console
+const consoleProvider = {
+    send: async ({ to, message }) => {
+        console.log(`📱 SMS to ${to}: ${message}`);
+        return { success: true, messageId: `console-${Date.now()}` };
+    }
+};
+
+// Development: append messages to a file (one JSON object per line)
+const fileProvider = {
+    send: async ({ to, message }) => {
+        const filePath = path.resolve(config.sms.filePath);
+        const messageId = `file-${Date.now()}`;
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(
+            filePath,
+            JSON.stringify({ messageId, to, message, sentAt: new Date().toISOString() }) + '\n'
+        );
+
+        return { success: true, messageId };
+    }
+};
+
+const providers = {
+    console: consoleProvider,
+    file: fileProvider
+};
+
+const registerProvider = (name, provider) => {
+    providers[name] = provider;
+};
+
+// Send SMS
+const sendSMS = async (to, message) => {
+    const provider = providers[config.sms.provider];
+
+    if (!provider) {
+        console.error(`SMS sending failed: unknown provider "${config.sms.provider}"`);
+        return { success: false, error: 'Unknown SMS provider' };
+    }
+
+    try {
+        const result = await provider.send({ to, message, senderId: config.sms.senderId });
+        console.log('SMS sent:', result.messageId);
+        return result;
+    } catch (error) {
+        console.error('SMS sending failed:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+// Send OTP SMS
+const sendOTPSMS = async (mobileNumber, otp, purpose = 'phone_login') => {
+    const actions = {
+        phone_verification: 'verify your mobile number',
+        phone_login: 'log in'
+    };
+
+    const message = `${otp} is your OTP to ${actions[purpose] || 'continue'}. ` +
+        `It expires in ${config.otp.expiryMinutes} minutes. Do not share it with anyone.`;
+
+    return sendSMS(mobileNumber, message);
+};
+
+module.exports = {
+    registerProvider,
+    sendSMS,
+    sendOTPSMS
+};
@@ -0,0 +1,214 @@
+const { query } = require('../config/database');
+const ProjectSpend = require('../models/ProjectSpend');
+const ProjectMember = require('../models/ProjectMember');
+const SpendApprovalRule = require('../models/SpendApprovalRule');
+const { PROJECT_ROLES } = require('./projectAccessService');
+const { hasAnyPermission } = require('./permissionService');
+const { hasOrganizationRole, listOrganizationRoleHolders } = require('./organizationMemberService');
+
+// Approval chains for expenses (migrations/spend_approvals.sql). An
+// organization lists its steps in order; each applies to expenses of at least
+// MinAmount and is decided by a project role or a role held in the organization.
+// Steps are decided one after the other, by a different person each time and
+// never by whoever recorded the expense. A step nobody else can decide (say the
+// project Lead step of an expense the only Lead recorded) goes to the
+// spends.approve holders instead.
+
+const APPROVER_TYPES = ['ProjectRole', 'OrganizationRole'];
+
+// Organizations without rules keep the single step of before
+const DEFAULT_STEPS = [{ ApproverType: 'Permission', ApproverRole: 'spends.approve', MinAmount: 0 }];
+
+// Who decides a step that has no approver left by its own rule
+const FALLBACK_STEP = { ApproverType: 'Permission', ApproverRole: 'spends.approve' };
+
+// Why a list of steps cannot be saved; null when it can. Every step must be
+// one someone can decide, or expenses reaching it would stay Pending for good.
+const checkRules = async (steps) => {
+    if (steps.length === 0) {
+        return null;
+    }
+    if (Number(steps[0].minAmount || 0) !== 0) {
+        return 'The first step must apply to every amount (minAmount 0)';
+    }
+
+    for (let i = 1; i < steps.length; i++) {
+        if (Number(steps[i].minAmount || 0) <= Number(steps[i - 1].minAmount || 0)) {
+            return `Step ${i + 1} must start at a higher minAmount than step ${i}`;
+        }
+    }
+
+    for (const [i, step] of steps.entries()) {
+        if (step.approverType === 'ProjectRole' && !PROJECT_ROLES[step.approverRole]) {
+            return `Unknown project role ${step.approverRole}. Use one of ${Object.keys(PROJECT_ROLES).join(', ')}`;
+        }
+
+        // Nobody may decide two steps, so a repeated approver could never pass both
+        const earlier = steps.findIndex(other =>
+            other.approverType === step.approverType && other.approverRole === step.approverRole);
+        if (earlier < i) {
+            return `Step ${i + 1} has the same approver as step ${earlier + 1}`;
+        }
+    }
+
+    const roleCodes = [...new Set(steps
+        .filter(step => step.approverType === 'OrganizationRole')
+        .map(step => step.approverRole))];
+
+    if (roleCodes.length > 0) {
+        const roles = await query(
+            `SELECT RoleCode FROM roles
+             WHERE RoleCode IN (${roleCodes.map(() => '?').join(', ')}) AND IsActive = TRUE AND IsDeleted = FALSE`,
+            roleCodes
+        );
+        const unknown = roleCodes.filter(code => !roles.some(role => role.RoleCode === code));
+        if (unknown.length > 0) {
+            return `Unknown role ${unknown.join(', ')}`;
+        }
+    }
+    return null;
+};
+
+// The steps an expense of this amount goes through
+const buildSteps = async (organizationId, amount) => {
+    const rules = organizationId ? await SpendApprovalRule.findByOrganization(organizationId) : [];
+
+    return (rules.length > 0 ? rules : DEFAULT_STEPS)
+        .filter(rule => Number(amount) >= Number(rule.MinAmount))
+        .map((rule, index) => ({
+            stepOrder: index + 1,
+            approverType: rule.ApproverType,
+            approverRole: rule.ApproverRole
+        }));
+};
+
+// Start the expense's approval over, from the rules and its current amount
+const restartChain = async (spend) => {
+    await ProjectSpend.startApprovalSteps(spend.ProjectSpendId, await buildSteps(spend.OrganizationId, spend.Amount));
+};
+
+// The approval steps of an expense. Pending expenses recorded before chains
+// existed get theirs on first use.
+const getChain = async (spend) => {
+    const steps = await ProjectSpend.getApprovalSteps(spend.ProjectSpendId);
+    if (steps.length > 0 || spend.Status !== 'Pending') {
+        return steps;
+    }
+
+    await restartChain(spend);
+    return ProjectSpend.getApprovalSteps(spend.ProjectSpendId);
+};
+
+// Who decides a step, for messages
+const describeApprover = (step) => {
+    switch (step.ApproverType) {
+        case 'ProjectRole':
+            return `the project ${step.ApproverRole}`;
+        case 'OrganizationRole':
+            return `an ${step.ApproverRole} of the organization`;
+        default:
+            return 'an expense approver';
+    }
+};
+
+const canDecideStep = async (user, spend, step) => {
+    switch (step.ApproverType) {
+        case 'ProjectRole': {
+            const member = await ProjectMember.find(spend.ProjectId, user.UserId);
+            return Boolean(member) && member.ProjectRole === step.ApproverRole;
+        }
+        case 'OrganizationRole':
+            return hasOrganizationRole(user.UserId, spend.OrganizationId, step.ApproverRole);
+        default:
+            return hasAnyPermission(user, [step.ApproverRole]);
+    }
+};
+
+// Users who may decide a step by its rule; null for permission steps, which
+// anyone can be granted
+const listStepApprovers = async (spend, step) => {
+    switch (step.ApproverType) {
+        case 'ProjectRole': {
+            const members = await ProjectMember.findByProjectId(spend.ProjectId);
+            return members
+                .filter(member => member.ProjectRole === step.ApproverRole)
+                .map(member => member.UserId);
+        }
+        case 'OrganizationRole':
+            return listOrganizationRoleHolders(spend.OrganizationId, step.ApproverRole);
+        default:
+            return null;
+    }
+};
+
+// The step to decide next, or FALLBACK_STEP in its place when only the
+// expense's creator or deciders of earlier steps hold its role
+const currentApprover = async (spend, steps) => {
+    const step = steps.find(item => !item.Decision);
+    if (!step) {
+        return null;
+    }
+
+    const approvers = await listStepApprovers(spend, step);
+    if (!approvers) {
+        return step;
+    }
+
+    const excluded = [spend.CreatedBy, ...steps.map(item => item.DecidedBy)];
+    if (approvers.some(userId => !excluded.includes(userId))) {
+        return step;
+    }
+    return { ...FALLBACK_STEP, StepOrder: step.StepOrder };
+};
+
+// Why the user may not decide the expense's next step, as { status, message };
+// null when they may
+const checkDecision = async (user, spend, steps) => {
+    const step = spend.Status === 'Pending' ? await currentApprover(spend, steps) : null;
+    if (!step) {
+        return { status: 400, message: 'Expense has already been processed' };
+    }
+
+    if (spend.CreatedBy === user.UserId) {
+        return { status: 403, message: 'You cannot approve or reject your own expense' };
+    }
+    if (steps.some(item => item.DecidedBy === user.UserId)) {
+        return { status: 403, message: 'You have already approved an earlier step of this expense' };
+    }
+    if (!(await canDecideStep(user, spend, step))) {
+        return { status: 403, message: `Step ${step.StepOrder} of this expense is for ${describeApprover(step)}` };
+    }
+    return null;
+};
+
+// Record the user's decision on the next step; returns the expense status
+// afterwards, or null when someone else decided the step first
+const decide = async (user, spend, steps, decision, comment) => {
+    const step = steps.find(item => !item.Decision);
+    const isLastStep = step === steps[steps.length - 1];
+
+    const decided = await ProjectSpend.decideApprovalStep(step, {
+        decision,
+        comment,
+        decidedBy: user.UserId,
+        isLastStep
+    });
+    if (!decided) {
+        return null;
+    }
+
+    if (decision === 'Rejected') return 'Rejected';
+    return isLastStep ? 'Approved' : 'Pending';
+};
+
+module.exports = {
+    APPROVER_TYPES,
+    checkRules,
+    buildSteps,
+    restartChain,
+    getChain,
+    describeApprover,
+    currentApprover,
+    checkDecision,
+    decide
+};
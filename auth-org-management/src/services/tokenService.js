@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { query, queryOne, transaction } = require('../config/database');
+const { generateToken } = require('../middleware/auth');
+const { createSession, touchSession, revokeSession } = require('./sessionService');
+const { applyActiveOrganization, getActiveOrganization } = require('./organizationMemberService');
+const config = require('../config');
+
+// Refresh tokens are opaque random strings; only their hash is stored
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const generateRefreshToken = () => {
+    return crypto.randomBytes(48).toString('hex');
+};
+
+const refreshExpiry = () => {
+    return new Date(Date.now() + config.jwt.refreshExpiresDays * 24 * 60 * 60 * 1000);
+};
+
+// Store a refresh token in the given family
+const storeRefreshToken = async (userId, familyId, conn = null) => {
+    const refreshToken = generateRefreshToken();
+    const sql = 'INSERT INTO refresh_tokens (UserId, Token, FamilyId, ExpiresAt) VALUES (?, ?, ?, ?)';
+    const params = [userId, hashToken(refreshToken), familyId, refreshExpiry()];
+
+    let insertId;
+    if (conn) {
+        const [result] = await conn.query(sql, params);
+        insertId = result.insertId;
+    } else {
+        const result = await query(sql, params);
+        insertId = result.insertId;
+    }
+
+    return { id: insertId, refreshToken };
+};
+
+// Issue an access token and start a new session (a new login).
+// The session id doubles as the refresh token family id.
+const issueTokens = async (user, req = null) => {
+    const sessionId = await createSession(user.UserId, req);
+    const { refreshToken } = await storeRefreshToken(user.UserId, sessionId);
+
+    return {
+        token: generateToken(user, sessionId),
+        refreshToken,
+        sessionId
+    };
+};
+
+// Exchange a refresh token for a new access/refresh token pair.
+// Returns { valid: false, message } when the token cannot be used.
+const rotateRefreshToken = async (refreshToken, req = null) => {
+    const record = await queryOne(
+        'SELECT * FROM refresh_tokens WHERE Token = ?',
+        [hashToken(refreshToken)]
+    );
+
+    if (!record) {
+        return { valid: false, message: 'Invalid refresh token.' };
+    }
+
+    // A rotated token showing up again means it was copied; cut off the whole session
+    if (record.RevokedAt) {
+        if (record.RevokedReason === 'rotated') {
+            await revokeSession(record.FamilyId, 'reuse_detected');
+            console.warn(`Refresh token reuse detected for user ${record.UserId}, session ${record.FamilyId} revoked`);
+        }
+        return { valid: false, message: 'Refresh token has been revoked.' };
+    }
+
+    if (new Date(record.ExpiresAt) <= new Date()) {
+        return { valid: false, message: 'Refresh token has expired.' };
+    }
+
+    let user = await queryOne(
+        `SELECT u.*, r.RoleName, r.RoleCode
+         FROM users u
+         LEFT JOIN roles r ON u.RoleId = r.RoleId
+         WHERE u.UserId = ? AND u.Status = 'Active'`,
+        [record.UserId]
+    );
+
+    if (!user) {
+        await revokeSession(record.FamilyId, 'logout');
+        return { valid: false, message: 'User not found or inactive.' };
+    }
+
+    // Keep acting for the organization the session switched to
+    user = await applyActiveOrganization(user, await getActiveOrganization(record.FamilyId));
+
+    const rotated = await transaction(async (conn) => {
+        // Guard against two concurrent refreshes with the same token
+        const [revoke] = await conn.query(
+            `UPDATE refresh_tokens SET RevokedAt = NOW(), RevokedReason = 'rotated'
+             WHERE Id = ? AND RevokedAt IS NULL`,
+            [record.Id]
+        );
+
+        if (revoke.affectedRows === 0) {
+            return null;
+        }
+
+        const next = await storeRefreshToken(user.UserId, record.FamilyId, conn);
+
+        await conn.query(
+            'UPDATE refresh_tokens SET ReplacedById = ? WHERE Id = ?',
+            [next.id, record.Id]
+        );
+
+        return next;
+    });
+
+    if (!rotated) {
+        await revokeSession(record.FamilyId, 'reuse_detected');
+        return { valid: false, message: 'Refresh token has been revoked.' };
+    }
+
+    await touchSession(record.FamilyId, req);
+
+    return {
+        valid: true,
+        user,
+        token: generateToken(user, record.FamilyId),
+        refreshToken: rotated.refreshToken
+    };
+};
+
+// End the session a refresh token belongs to (logout on one device)
+const revokeRefreshToken = async (refreshToken, reason = 'logout') => {
+    const record = await queryOne(
+        'SELECT Id, UserId, FamilyId FROM refresh_tokens WHERE Token = ?',
+        [hashToken(refreshToken)]
+    );
+
+    if (!record) {
+        return null;
+    }
+
+    await revokeSession(record.FamilyId, reason);
+    return record;
+};
+
+// One-time code the Google OAuth callback redirects to the frontend with.
+// Tokens in a redirect URL end up in browser history, logs and Referer headers;
+// the frontend exchanges the code for them instead.
+const createLoginCode = async (userId) => {
+    const code = crypto.randomBytes(32).toString('hex');
+    await query(
+        'INSERT INTO oauth_login_codes (UserId, CodeHash, ExpiresAt) VALUES (?, ?, ?)',
+        [userId, hashToken(code), new Date(Date.now() + config.google.loginCodeExpiresSeconds * 1000)]
+    );
+    return code;
+};
+
+// The user a login code was issued to, marking it used.
+// Returns null when the code is unknown, expired or already used.
+const redeemLoginCode = async (code) => {
+    const codeHash = hashToken(code);
+    const result = await query(
+        `UPDATE oauth_login_codes SET UsedAt = NOW()
+         WHERE CodeHash = ? AND UsedAt IS NULL AND ExpiresAt > NOW()`,
+        [codeHash]
+    );
+    if (result.affectedRows === 0) {
+        return null;
+    }
+
+    const record = await queryOne('SELECT UserId FROM oauth_login_codes WHERE CodeHash = ?', [codeHash]);
+    return record.UserId;
+};
+
+// Clean up expired refresh tokens (can be called periodically)
+const cleanupExpiredRefreshTokens = async () => {
+    const result = await query('DELETE FROM refresh_tokens WHERE ExpiresAt < NOW()');
+    return result.affectedRows;
+};
+
+module.exports = {
+    hashToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    createLoginCode,
+    redeemLoginCode,
+    cleanupExpiredRefreshTokens
+};
@@ -0,0 +1,406 @@
+const { query, queryOne, transaction } = require('../config/database');
+const { projectScopeClause } = require('./projectAccessService');
+const config = require('../config');
+
+// Soft-deleted records (migrations/trash_bin.sql) that can be listed, restored
+// and purged. For each type: its table and key, how to name it and find its
+// project, the records it belongs to (restored along with it, or it would stay
+// out of sight), the records that belong to it (counted in the restore preview)
+// and the rows that are removed with it when it is purged. Owned rows are
+// deleted in order, children before their parents; `through` reaches rows of
+// a child table, and `orderBy` deletes replies before the comments they answer.
+// Tables with ON DELETE CASCADE are not listed. Media tables have no UpdatedBy
+// column, so they are not `audited`.
+const TRASH_TYPES = {
+    project: {
+        table: 'projects',
+        idColumn: 'ProjectId',
+        nameSql: 't.ProjectName',
+        projectSql: 't.ProjectId',
+        audited: true,
+        parents: [],
+        children: [
+            { type: 'camp', column: 'ProjectId' },
+            { type: 'campaign', column: 'ProjectId' },
+            { type: 'spend', column: 'ProjectId' },
+            { type: 'sponsor', column: 'ProjectId' },
+            { type: 'beneficiary_donation', column: 'ProjectId' }
+        ],
+        ownedRows: [
+            { table: 'activity_events', column: 'ProjectId' },
+            { table: 'project_tasks', column: 'ProjectId' },
+            { table: 'project_milestones', column: 'ProjectId' },
+            { table: 'project_budget_heads', column: 'ProjectId' },
+            {
+                table: 'project_indicator_readings',
+                column: 'IndicatorId',
+                through: { table: 'project_indicators', idColumn: 'IndicatorId', column: 'ProjectId' }
+            },
+            { table: 'project_indicators', column: 'ProjectId' },
+            {
+                table: 'project_permission_comments',
+                column: 'ProjectPermissionId',
+                through: { table: 'project_ground_permissions', idColumn: 'ProjectPermissionId', column: 'ProjectId' },
+                orderBy: 'CommentId DESC'
+            },
+            {
+                table: 'project_permission_documents',
+                column: 'ProjectPermissionId',
+                through: { table: 'project_ground_permissions', idColumn: 'ProjectPermissionId', column: 'ProjectId' }
+            },
+            {
+                table: 'assigned_project_permissions',
+                column: 'ProjectPermissionId',
+                through: { table: 'project_ground_permissions', idColumn: 'ProjectPermissionId', column: 'ProjectId' }
+            },
+            { table: 'assigned_project_permissions', column: 'ProjectId' },
+            { table: 'project_ground_permissions', column: 'ProjectId' }
+        ]
+    },
+    camp: {
+        table: 'camps',
+        idColumn: 'CampId',
+        nameSql: 't.CampName',
+        projectSql: 't.ProjectId',
+        audited: true,
+        parents: [{ type: 'project', column: 'ProjectId' }],
+        children: [{ type: 'camp_media', column: 'CampId' }],
+        ownedRows: [{ table: 'camp_media', column: 'CampId' }]
+    },
+    campaign: {
+        table: 'campaigns',
+        idColumn: 'CampaignId',
+        nameSql: 't.CampaignName',
+        projectSql: 't.ProjectId',
+        audited: true,
+        parents: [{ type: 'project', column: 'ProjectId' }],
+        children: [{ type: 'donation', column: 'CampaignId' }],
+        ownedRows: []
+    },
+    donation: {
+        table: 'donations',
+        idColumn: 'DonationId',
+        nameSql: "CONCAT(t.DonorName, ' (', t.Currency, ' ', t.Amount, ')')",
+        projectSql: 'COALESCE(t.ProjectId, (SELECT ProjectId FROM campaigns WHERE CampaignId = t.CampaignId))',
+        audited: true,
+        parents: [
+            { type: 'campaign', column: 'CampaignId' },
+            { type: 'project', column: 'ProjectId' }
+        ],
+        children: [],
+        ownedRows: []
+    },
+    spend: {
+        table: 'project_spends',
+        idColumn: 'ProjectSpendId',
+        nameSql: 't.ExpenseName',
+        projectSql: 't.ProjectId',
+        audited: true,
+        parents: [{ type: 'project', column: 'ProjectId' }],
+        children: [],
+        ownedRows: []
+    },
+    sponsor: {
+        table: 'project_sponsors',
+        idColumn: 'ProjectSponsorId',
+        nameSql: `COALESCE(t.SponsorName,
+            (SELECT OrganizationName FROM organizations WHERE OrganizationId = t.OrganizationId),
+            (SELECT FullName FROM users WHERE UserId = t.SponsorId))`,
+        projectSql: 't.ProjectId',
+        audited: true,
+        parents: [{ type: 'project', column: 'ProjectId' }],
+        children: [{ type: 'sponsor_media', column: 'ProjectSponsorId' }],
+        ownedRows: [{ table: 'project_sponsor_media', column: 'ProjectSponsorId' }]
+    },
+    beneficiary_donation: {
+        table: 'beneficiary_donations',
+        idColumn: 'BeneficiaryDonationId',
+        nameSql: 't.Title',
+        projectSql: 't.ProjectId',
+        audited: true,
+        parents: [{ type: 'project', column: 'ProjectId' }],
+        children: [{ type: 'beneficiary_media', column: 'BeneficiaryDonationId' }],
+        ownedRows: [{ table: 'beneficiary_donation_media', column: 'BeneficiaryDonationId' }]
+    },
+    camp_media: {
+        table: 'camp_media',
+        idColumn: 'MediaId',
+        nameSql: 'COALESCE(t.Caption, t.FileName, t.MediaUrl)',
+        projectSql: '(SELECT ProjectId FROM camps WHERE CampId = t.CampId)',
+        audited: false,
+        parents: [{ type: 'camp', column: 'CampId' }],
+        children: [],
+        ownedRows: []
+    },
+    sponsor_media: {
+        table: 'project_sponsor_media',
+        idColumn: 'MediaId',
+        nameSql: 'COALESCE(t.Caption, t.FileName, t.MediaUrl)',
+        projectSql: '(SELECT ProjectId FROM project_sponsors WHERE ProjectSponsorId = t.ProjectSponsorId)',
+        audited: false,
+        parents: [{ type: 'sponsor', column: 'ProjectSponsorId' }],
+        children: [],
+        ownedRows: []
+    },
+    beneficiary_media: {
+        table: 'beneficiary_donation_media',
+        idColumn: 'MediaId',
+        nameSql: 'COALESCE(t.Caption, t.FileName, t.MediaUrl)',
+        projectSql: '(SELECT ProjectId FROM beneficiary_donations WHERE BeneficiaryDonationId = t.BeneficiaryDonationId)',
+        audited: false,
+        parents: [{ type: 'beneficiary_donation', column: 'BeneficiaryDonationId' }],
+        children: [],
+        ownedRows: []
+    }
+};
+
+// Records go before the records they belong to, so a project can be purged in
+// the same run as its expired camps, campaigns and expenses
+const PURGE_ORDER = [
+    'camp_media', 'sponsor_media', 'beneficiary_media',
+    'donation', 'spend', 'camp', 'sponsor', 'beneficiary_donation',
+    'campaign', 'project'
+];
+
+// Deleted records, most recently deleted first, within the user's project scope
+const listTrash = async ({ type, organizationId, projectId, scope, limit = 50, offset = 0 }) => {
+    const types = type ? [type] : Object.keys(TRASH_TYPES);
+
+    const records = types.map(key => {
+        const trashType = TRASH_TYPES[key];
+        return `SELECT '${key}' as Type, t.${trashType.idColumn} as Id, ${trashType.nameSql} as Name,
+                       ${trashType.projectSql} as ProjectId, t.DeletedBy, t.DeletedDate
+                FROM ${trashType.table} t
+                WHERE t.IsDeleted = TRUE`;
+    });
+
+    let from = `
+        FROM (${records.join(' UNION ALL ')}) trash
+        LEFT JOIN projects p ON trash.ProjectId = p.ProjectId
+        LEFT JOIN users u ON trash.DeletedBy = u.UserId
+        WHERE 1 = 1
+    `;
+    const params = [];
+
+    const scopeClause = projectScopeClause(scope, 'trash.ProjectId');
+    from += scopeClause.sql;
+    params.push(...scopeClause.params);
+
+    if (organizationId) {
+        from += ' AND p.OrganizationId = ?';
+        params.push(organizationId);
+    }
+
+    if (projectId) {
+        from += ' AND trash.ProjectId = ?';
+        params.push(projectId);
+    }
+
+    const rows = await query(
+        `SELECT trash.*, p.ProjectName, p.OrganizationId, u.FullName as DeletedByName,
+                DATE_ADD(trash.DeletedDate, INTERVAL ? DAY) as PurgeDate
+         ${from}
+         ORDER BY trash.DeletedDate DESC, trash.Type, trash.Id
+         LIMIT ? OFFSET ?`,
+        [config.trash.retentionDays, ...params, parseInt(limit), parseInt(offset)]
+    );
+
+    const { total } = await queryOne(`SELECT COUNT(*) as total ${from}`, params);
+
+    return { records: rows, total: Number(total) };
+};
+
+// A record of any type, deleted or not
+const findRecord = async (type, id) => {
+    const trashType = TRASH_TYPES[type];
+    const row = await queryOne(
+        `SELECT t.*, ${trashType.nameSql} as TrashName, ${trashType.projectSql} as TrashProjectId
+         FROM ${trashType.table} t
+         WHERE t.${trashType.idColumn} = ?`,
+        [id]
+    );
+    if (!row) return null;
+
+    return {
+        type,
+        id: row[trashType.idColumn],
+        name: row.TrashName,
+        projectId: row.TrashProjectId,
+        isDeleted: Boolean(row.IsDeleted),
+        row
+    };
+};
+
+const isInScope = async (scope, projectId) => {
+    if (scope.unscoped) return true;
+
+    const scopeClause = projectScopeClause(scope, 'p.ProjectId');
+    const project = await queryOne(
+        `SELECT p.ProjectId FROM projects p WHERE p.ProjectId = ?${scopeClause.sql}`,
+        [projectId, ...scopeClause.params]
+    );
+    return Boolean(project);
+};
+
+// For each type of record belonging to this one: how many come back into sight
+// with it and how many stay in the trash
+const countRelated = async (record) => {
+    const related = [];
+    for (const child of TRASH_TYPES[record.type].children) {
+        const counts = await queryOne(
+            `SELECT COALESCE(SUM(IsDeleted = FALSE), 0) as visibleAgain, COALESCE(SUM(IsDeleted = TRUE), 0) as stayInTrash
+             FROM ${TRASH_TYPES[child.type].table}
+             WHERE ${child.column} = ?`,
+            [record.id]
+        );
+        related.push({
+            type: child.type,
+            visibleAgain: Number(counts.visibleAgain),
+            stayInTrash: Number(counts.stayInTrash)
+        });
+    }
+    return related;
+};
+
+// What restoring a deleted record involves: the record and the deleted records
+// it belongs to, outermost first. Null when the record is not in the trash or
+// is outside the user's scope.
+const buildRestorePlan = async (type, id, scope) => {
+    const record = await findRecord(type, id);
+    if (!record || !record.isDeleted || !(await isInScope(scope, record.projectId))) {
+        return null;
+    }
+
+    const records = [];
+    const seen = new Set();
+
+    const collect = async (item) => {
+        const key = `${item.type}:${item.id}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        for (const parent of TRASH_TYPES[item.type].parents) {
+            const parentId = item.row[parent.column];
+            if (!parentId) continue;
+
+            const parentRecord = await findRecord(parent.type, parentId);
+            if (parentRecord && parentRecord.isDeleted) {
+                await collect(parentRecord);
+            }
+        }
+        records.push(item);
+    };
+    await collect(record);
+
+    for (const item of records) {
+        item.related = await countRelated(item);
+    }
+
+    return { record, records };
+};
+
+// The plan as shown to the user
+const describeRestorePlan = (plan) => ({
+    record: { type: plan.record.type, id: plan.record.id, name: plan.record.name },
+    restores: plan.records.map(item => ({
+        type: item.type,
+        id: item.id,
+        name: item.name,
+        deletedDate: item.row.DeletedDate,
+        related: item.related
+    }))
+});
+
+// Restore everything in the plan in one go
+const restore = async (plan, restoredBy) => {
+    await transaction(async (conn) => {
+        for (const item of plan.records) {
+            const trashType = TRASH_TYPES[item.type];
+
+            await conn.query(
+                `UPDATE ${trashType.table}
+                 SET IsDeleted = FALSE, DeletedBy = NULL, DeletedDate = NULL${trashType.audited ? ', UpdatedBy = ?' : ''}
+                 WHERE ${trashType.idColumn} = ?`,
+                trashType.audited ? [restoredBy, item.id] : [item.id]
+            );
+
+            // Deleting a completed donation took it off its campaign's collected amount
+            if (item.type === 'donation' && item.row.Status === 'Completed') {
+                await conn.query(
+                    'UPDATE campaigns SET CollectedAmount = CollectedAmount + ? WHERE CampaignId = ?',
+                    [item.row.Amount, item.row.CampaignId]
+                );
+            }
+        }
+    });
+};
+
+// DELETE for one ownedRows entry, taking the purged record's id
+const ownedRowsDeleteSql = (owned) => {
+    const where = owned.through
+        ? `${owned.column} IN (SELECT ${owned.through.idColumn} FROM ${owned.through.table} WHERE ${owned.through.column} = ?)`
+        : `${owned.column} = ?`;
+    return `DELETE FROM ${owned.table} WHERE ${where}${owned.orderBy ? ` ORDER BY ${owned.orderBy}` : ''}`;
+};
+
+// Hard-delete records that have been in the trash longer than retentionDays.
+// A record other rows still point to (a project with live camps, a campaign
+// with donations) is kept until those are gone.
+const purgeExpiredTrash = async (retentionDays = config.trash.retentionDays) => {
+    const purged = {};
+    const kept = {};
+
+    for (const type of PURGE_ORDER) {
+        const trashType = TRASH_TYPES[type];
+        const expired = await query(
+            `SELECT ${trashType.idColumn} as Id FROM ${trashType.table}
+             WHERE IsDeleted = TRUE AND DeletedDate < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+            [retentionDays]
+        );
+
+        for (const { Id } of expired) {
+            try {
+                await transaction(async (conn) => {
+                    for (const owned of trashType.ownedRows) {
+                        await conn.query(ownedRowsDeleteSql(owned), [Id]);
+                    }
+                    await conn.query(`DELETE FROM ${trashType.table} WHERE ${trashType.idColumn} = ?`, [Id]);
+                });
+                purged[type] = (purged[type] || 0) + 1;
+            } catch (error) {
+                if (error.code !== 'ER_ROW_IS_REFERENCED_2') throw error;
+                kept[type] = (kept[type] || 0) + 1;
+            }
+        }
+    }
+
+    const purgedCount = Object.values(purged).reduce((sum, count) => sum + count, 0);
+    return { purged, kept, purgedCount };
+};
+
+// Purge expired records at startup and then every purgeIntervalHours
+const startPurgeJob = () => {
+    const run = async () => {
+        try {
+            const { purgedCount } = await purgeExpiredTrash();
+            if (purgedCount > 0) {
+                console.log(`🗑️  Purged ${purgedCount} record(s) deleted more than ${config.trash.retentionDays} days ago`);
+            }
+        } catch (error) {
+            console.error('Trash purge error:', error);
+        }
+    };
+
+    run();
+    return setInterval(run, config.trash.purgeIntervalHours * 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+    TRASH_TYPES,
+    listTrash,
+    buildRestorePlan,
+    describeRestorePlan,
+    restore,
+    purgeExpiredTrash,
+    startPurgeJob
+};
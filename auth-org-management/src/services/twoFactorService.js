@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { query, queryOne, transaction } = require('../config/database');
+const { hashToken } = require('./tokenService');
+const { verifyCode } = require('./totpService');
+const { signToken, verifyToken } = require('./jwtKeyService');
+const { roleHierarchy } = require('../middleware/rbac');
+const config = require('../config');
+
+// Challenge tokens only prove the first factor; the audience keeps them
+// from ever being accepted as access tokens.
+const CHALLENGE_AUDIENCE = '2fa_challenge';
+
+// purpose: 'login' (enter a code) or 'setup' (enroll before first login)
+const createChallengeToken = (user, purpose) => {
+    return signToken(
+        { userId: user.UserId, purpose },
+        { expiresIn: config.twoFactor.challengeExpiresIn, audience: CHALLENGE_AUDIENCE }
+    );
+};
+
+// Returns the decoded challenge, or null if invalid, expired or for another purpose
+const verifyChallengeToken = (token, purpose) => {
+    try {
+        const decoded = verifyToken(token, { audience: CHALLENGE_AUDIENCE });
+        return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const isTwoFactorRequired = async (roleCode) => {
+    if (!roleCode) {
+        return false;
+    }
+
+    const policy = await queryOne(
+        'SELECT IsRequired FROM two_factor_policies WHERE RoleCode = ?',
+        [roleCode]
+    );
+    return !!policy?.IsRequired;
+};
+
+// Decide whether a login needs a second step.
+// Returns null when the user can be signed in straight away.
+const getLoginChallenge = async (user) => {
+    if (user.TwoFactorEnabled) {
+        return {
+            requiresTwoFactor: true,
+            challengeToken: createChallengeToken(user, 'login')
+        };
+    }
+
+    if (await isTwoFactorRequired(user.RoleCode)) {
+        return {
+            requiresTwoFactorSetup: true,
+            challengeToken: createChallengeToken(user, 'setup')
+        };
+    }
+
+    return null;
+};
+
+// Check an authenticator code against the user's secret.
+// A code is accepted once; replaying it within its window fails.
+const verifyTotpForUser = async (user, code) => {
+    if (!user.TwoFactorSecret) {
+        return false;
+    }
+
+    const step = verifyCode(user.TwoFactorSecret, code);
+    if (step === null) {
+        return false;
+    }
+
+    const result = await query(
+        `UPDATE users SET TwoFactorLastStep = ?
+         WHERE UserId = ? AND (TwoFactorLastStep IS NULL OR TwoFactorLastStep < ?)`,
+        [step, user.UserId, step]
+    );
+    return result.affectedRows > 0;
+};
+
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase();
+
+// Burn a recovery code
+const useRecoveryCode = async (userId, code) => {
+    const result = await query(
+        `UPDATE two_factor_recovery_codes SET UsedAt = NOW()
+         WHERE UserId = ? AND CodeHash = ? AND UsedAt IS NULL
+         LIMIT 1`,
+        [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+    return result.affectedRows > 0;
+};
+
+// Second factor for an enrolled user: an authenticator code or a recovery code
+const verifySecondFactor = async (user, code) => {
+    if (!user.TwoFactorEnabled) {
+        return { valid: false };
+    }
+
+    if (await verifyTotpForUser(user, code)) {
+        return { valid: true, method: 'totp' };
+    }
+
+    if (await useRecoveryCode(user.UserId, code)) {
+        return { valid: true, method: 'recovery_code' };
+    }
+
+    return { valid: false };
+};
+
+// Replace a user's recovery codes. The plain codes are returned once and never stored.
+const generateRecoveryCodes = async (userId) => {
+    const codes = Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await transaction(async (conn) => {
+        await conn.query('DELETE FROM two_factor_recovery_codes WHERE UserId = ?', [userId]);
+        for (const code of codes) {
+            await conn.query(
+                'INSERT INTO two_factor_recovery_codes (UserId, CodeHash) VALUES (?, ?)',
+                [userId, hashToken(code)]
+            );
+        }
+    });
+
+    return codes;
+};
+
+const countRecoveryCodes = async (userId) => {
+    const row = await queryOne(
+        'SELECT COUNT(*) AS Remaining FROM two_factor_recovery_codes WHERE UserId = ? AND UsedAt IS NULL',
+        [userId]
+    );
+    return row.Remaining;
+};
+
+// Policy for every role in the hierarchy (roles without a row are not enforced)
+const listPolicies = async () => {
+    const rows = await query('SELECT RoleCode, IsRequired, UpdatedBy, UpdatedAt FROM two_factor_policies');
+    const byRole = new Map(rows.map((row) => [row.RoleCode, row]));
+
+    return Object.keys(roleHierarchy).map((roleCode) => ({
+        RoleCode: roleCode,
+        IsRequired: !!byRole.get(roleCode)?.IsRequired,
+        UpdatedBy: byRole.get(roleCode)?.UpdatedBy || null,
+        UpdatedAt: byRole.get(roleCode)?.UpdatedAt || null
+    }));
+};
+
+const setPolicy = async (roleCode, isRequired, updatedBy) => {
+    await query(
+        `INSERT INTO two_factor_policies (RoleCode, IsRequired, UpdatedBy) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE IsRequired = VALUES(IsRequired), UpdatedBy = VALUES(UpdatedBy)`,
+        [roleCode, isRequired, updatedBy]
+    );
+};
+
+module.exports = {
+    createChallengeToken,
+    verifyChallengeToken,
+    isTwoFactorRequired,
+    getLoginChallenge,
+    verifyTotpForUser,
+    verifySecondFactor,
+    generateRecoveryCodes,
+    countRecoveryCodes,
+    listPolicies,
+    setPolicy
+};
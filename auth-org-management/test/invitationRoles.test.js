@@ -0,0 +1,98 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Inviting someone or adding them as a member hands them a role. Custom roles
+// have no rank, so the user must hold every permission the role grants. Only config/database is
+// replaced, by the organization, roles and grants below.
+
+const ORGANIZATION = 1;
+
+const ROLES = {
+    STAFF: { RoleId: 4, RoleCode: 'STAFF', permissions: ['invitations.manage'] },
+    MANAGER: { RoleId: 5, RoleCode: 'MANAGER', permissions: ['invitations.manage', 'users.manage'] },
+    // A custom role more powerful than the Staff inviting into it
+    AUDITOR: { RoleId: 9, RoleCode: 'AUDITOR', permissions: ['users.manage'] }
+};
+
+const staff = { UserId: 1, RoleId: 4, RoleCode: 'STAFF', OrganizationId: ORGANIZATION };
+const manager = { UserId: 2, RoleId: 5, RoleCode: 'MANAGER', OrganizationId: ORGANIZATION };
+
+const fakeQuery = async (rawSql, params = []) => {
+    const sql = rawSql.replace(/\s+/g, ' ');
+
+    if (sql.includes('FROM role_permissions')) {
+        const role = Object.values(ROLES).find(candidate => candidate.RoleId === params[0]);
+        return (role ? role.permissions : []).map(code => ({ PermissionCode: code }));
+    }
+    if (sql.includes('FROM organizations')) {
+        return [{ OrganizationId: ORGANIZATION, OrganizationName: 'A' }];
+    }
+    if (sql.includes('FROM roles WHERE RoleId = ?')) {
+        const role = Object.values(ROLES).find(candidate => candidate.RoleId === params[0]);
+        return role ? [{ RoleId: role.RoleId, RoleName: role.RoleCode, RoleCode: role.RoleCode }] : [];
+    }
+    return [];
+};
+
+const database = require('../src/config/database');
+database.query = fakeQuery;
+database.queryOne = async (sql, params) => (await fakeQuery(sql, params))[0] || null;
+database.execute = async (sql, params) => [await fakeQuery(sql, params)];
+
+const { holdsRolePermissions } = require('../src/services/permissionService');
+const invitationController = require('../src/controllers/invitationController');
+const orgController = require('../src/controllers/orgController');
+
+const call = async (handler, user, { params = {}, body = {} } = {}) => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    await handler({ user, params, body }, res);
+    return res;
+};
+
+describe('handing out custom roles', () => {
+    before(() => {
+        console.error = () => {};
+    });
+
+    it('refuses a role granting permissions the inviter lacks', async () => {
+        const res = await call(invitationController.createInvitation, staff, {
+            params: { id: String(ORGANIZATION) },
+            body: { email: 'new@example.com', roleId: ROLES.AUDITOR.RoleId }
+        });
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.message, 'You cannot invite users to a role with permissions you do not hold.');
+    });
+
+    it('refuses to add a member with a role granting permissions the user lacks', async () => {
+        const res = await call(orgController.addOrganizationMember, staff, {
+            params: { id: String(ORGANIZATION) },
+            body: { userId: 7, roleId: ROLES.AUDITOR.RoleId }
+        });
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.message, 'You cannot assign a role with permissions you do not hold.');
+    });
+
+    it('lets users hand out roles whose permissions they all hold', async () => {
+        assert.equal(await holdsRolePermissions(manager, ROLES.AUDITOR.RoleId), true);
+        assert.equal(await holdsRolePermissions(staff, ROLES.STAFF.RoleId), true);
+    });
+
+    it('lets Super Admin hand out any role', async () => {
+        const superAdmin = { UserId: 3, RoleId: 1, RoleCode: 'SUPER_ADMIN', OrganizationId: null };
+
+        assert.equal(await holdsRolePermissions(superAdmin, ROLES.AUDITOR.RoleId), true);
+    });
+});
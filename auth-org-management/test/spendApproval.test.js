@@ -0,0 +1,105 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Approval chains must never leave an expense that nobody may decide. Only
+// config/database is replaced: project members and role grants come from the
+// fixtures below.
+
+const PROJECT = 10;
+const ORGANIZATION = 1;
+
+const ROLES = {
+    ADMIN: { RoleId: 2, permissions: ['spends.approve'] },
+    STAFF: { RoleId: 4, permissions: [] }
+};
+
+const lead = { UserId: 1, RoleId: 4, RoleCode: 'STAFF', OrganizationId: ORGANIZATION };
+const otherLead = { UserId: 3, RoleId: 4, RoleCode: 'STAFF', OrganizationId: ORGANIZATION };
+const admin = { UserId: 2, RoleId: 2, RoleCode: 'ADMIN', OrganizationId: null };
+
+let members = [];
+
+const fakeQuery = async (rawSql, params = []) => {
+    const sql = rawSql.replace(/\s+/g, ' ');
+
+    if (sql.includes('FROM role_permissions')) {
+        const role = Object.values(ROLES).find(candidate => candidate.RoleId === params[0]);
+        return (role ? role.permissions : []).map(code => ({ PermissionCode: code }));
+    }
+    if (sql.includes('FROM project_members pm')) {
+        return members
+            .filter(member => member.ProjectId === Number(params[0]))
+            .filter(member => !sql.includes('pm.UserId = ?') || member.UserId === Number(params[1]))
+            .map(member => ({ ...member }));
+    }
+    return [];
+};
+
+const database = require('../src/config/database');
+database.query = fakeQuery;
+database.queryOne = async (sql, params) => (await fakeQuery(sql, params))[0] || null;
+database.execute = async (sql, params) => [await fakeQuery(sql, params)];
+
+const { checkRules, checkDecision } = require('../src/services/spendApprovalService');
+
+const spendBy = (user) => ({
+    ProjectSpendId: 17,
+    ProjectId: PROJECT,
+    OrganizationId: ORGANIZATION,
+    CreatedBy: user.UserId,
+    Status: 'Pending'
+});
+
+const leadStep = () => [{ StepOrder: 1, ApproverType: 'ProjectRole', ApproverRole: 'Lead', Decision: null }];
+
+describe('checkRules', () => {
+    it('refuses a chain that names the same approver twice', async () => {
+        const problem = await checkRules([
+            { approverType: 'ProjectRole', approverRole: 'Lead', minAmount: 0 },
+            { approverType: 'ProjectRole', approverRole: 'Lead', minAmount: 5000 }
+        ]);
+
+        assert.equal(problem, 'Step 2 has the same approver as step 1');
+    });
+
+    it('accepts a chain with a different approver per step', async () => {
+        const problem = await checkRules([
+            { approverType: 'ProjectRole', approverRole: 'Lead', minAmount: 0 },
+            { approverType: 'ProjectRole', approverRole: 'Treasurer', minAmount: 5000 }
+        ]);
+
+        assert.equal(problem, null);
+    });
+});
+
+describe('checkDecision', () => {
+    beforeEach(() => {
+        members = [{ ProjectId: PROJECT, UserId: lead.UserId, ProjectRole: 'Lead' }];
+    });
+
+    it('hands the step of an expense the only lead recorded to spends.approve holders', async () => {
+        assert.equal(await checkDecision(admin, spendBy(lead), leadStep()), null);
+    });
+
+    it('still refuses the lead their own expense', async () => {
+        const denial = await checkDecision(lead, spendBy(lead), leadStep());
+
+        assert.equal(denial.status, 403);
+    });
+
+    it('refuses users who are neither the step\'s role nor a fallback approver', async () => {
+        members.push({ ProjectId: PROJECT, UserId: otherLead.UserId, ProjectRole: 'Viewer' });
+
+        const denial = await checkDecision(otherLead, spendBy(lead), leadStep());
+
+        assert.equal(denial.status, 403);
+        assert.equal(denial.message, 'Step 1 of this expense is for an expense approver');
+    });
+
+    it('keeps the step for the project role while someone else holds it', async () => {
+        members.push({ ProjectId: PROJECT, UserId: otherLead.UserId, ProjectRole: 'Lead' });
+
+        assert.equal(await checkDecision(otherLead, spendBy(lead), leadStep()), null);
+        assert.equal((await checkDecision(admin, spendBy(lead), leadStep())).status, 403);
+    });
+});
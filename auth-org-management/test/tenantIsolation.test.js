@@ -0,0 +1,317 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Razorpay is set up when donationController loads
+process.env.RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || 'rzp_test_key';
+process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'rzp_test_secret';
+
+// An Org Admin of organization A must not reach anything of organization B,
+// through lists or by id. The controllers, models and scope SQL are the real
+// ones; only config/database is replaced, by fixture rows that honour the
+// project scope subqueries found in the SQL. A list query that is not scoped
+// returns every row, so a missing scope shows up as a leak.
+
+const ORG_A = 1;
+const ORG_B = 2;
+const PROJECT_A = 10;
+const PROJECT_B = 20;
+
+const ROLES = {
+    ORG_ADMIN: { RoleId: 3, permissions: ['projects.organization'] },
+    ADMIN: { RoleId: 2, permissions: ['projects.all'] },
+    // A role other than Org Admin that manages organizations
+    ORG_MANAGER: { RoleId: 5, permissions: ['organizations.manage', 'invitations.manage', 'api_keys.manage'] }
+};
+
+const orgAdminOfA = { UserId: 100, RoleId: 3, RoleCode: 'ORG_ADMIN', OrganizationId: ORG_A };
+const adminUser = { UserId: 200, RoleId: 2, RoleCode: 'ADMIN', OrganizationId: null };
+const managerOfA = { UserId: 300, RoleId: 5, RoleCode: 'STAFF', OrganizationId: ORG_A };
+
+const ORGANIZATIONS = [
+    { OrganizationId: ORG_A, OrganizationName: 'A' },
+    { OrganizationId: ORG_B, OrganizationName: 'B' }
+];
+
+// Table, the alias its models select it as, its key, and one row per organization
+const FIXTURES = {
+    projects: { alias: 'p', idColumn: 'ProjectId', rows: [
+        { ProjectId: PROJECT_A, OrganizationId: ORG_A, ProjectName: 'A' },
+        { ProjectId: PROJECT_B, OrganizationId: ORG_B, ProjectName: 'B' }
+    ] },
+    camps: { alias: 'c', idColumn: 'CampId', rows: [
+        { CampId: 11, ProjectId: PROJECT_A, CampStatus: 'Planned' },
+        { CampId: 21, ProjectId: PROJECT_B, CampStatus: 'Planned' }
+    ] },
+    campaigns: { alias: 'c', idColumn: 'CampaignId', rows: [
+        { CampaignId: 12, ProjectId: PROJECT_A },
+        { CampaignId: 22, ProjectId: PROJECT_B }
+    ] },
+    donations: { alias: 'd', idColumn: 'DonationId', rows: [
+        { DonationId: 13, ProjectId: PROJECT_A, CampaignId: 12 },
+        { DonationId: 23, ProjectId: null, CampaignId: 22, CampaignProjectId: PROJECT_B }
+    ] },
+    beneficiary_donations: { alias: 'bd', idColumn: 'BeneficiaryDonationId', rows: [
+        { BeneficiaryDonationId: 14, ProjectId: PROJECT_A, Status: 'Pending' },
+        { BeneficiaryDonationId: 24, ProjectId: PROJECT_B, Status: 'Pending' }
+    ] },
+    project_sponsors: { alias: 'ps', idColumn: 'ProjectSponsorId', rows: [
+        { ProjectSponsorId: 15, ProjectId: PROJECT_A },
+        { ProjectSponsorId: 25, ProjectId: PROJECT_B }
+    ] },
+    project_ground_permissions: { alias: 'pgp', idColumn: 'ProjectPermissionId', rows: [
+        { ProjectPermissionId: 16, ProjectId: PROJECT_A },
+        { ProjectPermissionId: 26, ProjectId: PROJECT_B }
+    ] },
+    project_spends: { alias: 'ps', idColumn: 'ProjectSpendId', rows: [
+        { ProjectSpendId: 17, ProjectId: PROJECT_A, Status: 'Approved' },
+        { ProjectSpendId: 27, ProjectId: PROJECT_B, Status: 'Approved' }
+    ] }
+};
+
+const organizationOf = (projectId) => {
+    return FIXTURES.projects.rows.find(project => project.ProjectId === projectId)?.OrganizationId;
+};
+
+const rowProjectId = (row) => row.ProjectId || row.CampaignProjectId;
+
+// The value bound to the first placeholder after `marker` in the SQL
+const paramAfter = (sql, params, marker) => {
+    const at = sql.indexOf(marker);
+    if (at === -1) return undefined;
+    const index = (sql.slice(0, at + marker.length).match(/\?/g) || []).length;
+    return params[index];
+};
+
+const fakeQuery = async (rawSql, params = []) => {
+    const sql = rawSql.replace(/\s+/g, ' ');
+
+    if (sql.includes('FROM role_permissions')) {
+        const role = Object.values(ROLES).find(candidate => candidate.RoleId === params[0]);
+        return (role ? role.permissions : []).map(code => ({ PermissionCode: code }));
+    }
+
+    if (sql.includes('FROM organizations ')) {
+        const organizationId = paramAfter(sql, params, 'OrganizationId = ');
+        const rows = ORGANIZATIONS
+            .filter(organization => organizationId === undefined || organization.OrganizationId === Number(organizationId))
+            .map(organization => ({ ...organization }));
+        return sql.includes('COUNT(*)') ? [{ total: rows.length }] : rows;
+    }
+
+    const main = Object.entries(FIXTURES)
+        .map(([table, fixture]) => ({ table, fixture, at: sql.indexOf(`FROM ${table} ${fixture.alias} `) }))
+        .filter(candidate => candidate.at !== -1)
+        .sort((a, b) => a.at - b.at)[0];
+    if (!main) {
+        return sql.includes('COUNT(*) as count') ? [{ count: 0 }] : [];
+    }
+
+    const { alias, idColumn } = main.fixture;
+    // Copies, as models change the rows they get back
+    const rows = main.fixture.rows.map(row => ({ ...row }));
+
+    const id = paramAfter(sql, params, `${alias}.${idColumn} = `);
+    if (id !== undefined) {
+        return rows.filter(row => row[idColumn] === Number(id));
+    }
+
+    // A list: keep the rows the scope clause lets through
+    if (sql.includes(' AND FALSE')) {
+        return [];
+    }
+    const organizationId = paramAfter(sql, params, 'SELECT ProjectId FROM projects WHERE OrganizationId = ');
+    const memberId = paramAfter(sql, params, 'SELECT ProjectId FROM project_members WHERE UserId = ');
+    if (organizationId === undefined && memberId === undefined) {
+        return rows;
+    }
+    return rows.filter(row => organizationOf(rowProjectId(row)) === organizationId);
+};
+
+const database = require('../src/config/database');
+database.query = fakeQuery;
+database.queryOne = async (sql, params) => (await fakeQuery(sql, params))[0] || null;
+database.execute = async (sql, params) => [await fakeQuery(sql, params)];
+
+const { projectScopeClause, UNSCOPED } = require('../src/services/projectAccessService');
+const campController = require('../src/controllers/campController');
+const campaignController = require('../src/controllers/campaignController');
+const donationController = require('../src/controllers/donationController');
+const beneficiaryDonationController = require('../src/controllers/beneficiaryDonationController');
+const projectSponsorController = require('../src/controllers/projectSponsorController');
+const projectPermissionController = require('../src/controllers/projectPermissionController');
+const projectSpendController = require('../src/controllers/projectSpendController');
+const orgController = require('../src/controllers/orgController');
+const invitationController = require('../src/controllers/invitationController');
+const apiKeyController = require('../src/controllers/apiKeyController');
+const spendApprovalController = require('../src/controllers/spendApprovalController');
+
+// Run a handler with a fake request and collect the response
+const call = async (handler, user, { params = {}, query = {}, body = {} } = {}) => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    await handler({ user, params, query, body }, res);
+    return res;
+};
+
+// Each resource: its list handler and the key of the list in the response,
+// its by-id handler, and its org A and org B ids
+const RESOURCES = [
+    { name: 'camps', list: campController.getAllCamps, key: 'camps',
+        byId: campController.getCampById, idColumn: 'CampId', ownId: 11, otherId: 21 },
+    { name: 'campaigns', list: campaignController.getAllCampaigns, key: 'campaigns',
+        byId: campaignController.getCampaignById, idColumn: 'CampaignId', ownId: 12, otherId: 22 },
+    { name: 'donations', list: donationController.getAllDonations, key: 'donations',
+        byId: donationController.getDonationById, idColumn: 'DonationId', ownId: 13, otherId: 23 },
+    { name: 'beneficiary donations', list: beneficiaryDonationController.getAll, key: 'donations',
+        byId: beneficiaryDonationController.getById, idColumn: 'BeneficiaryDonationId', ownId: 14, otherId: 24 },
+    { name: 'sponsors', list: projectSponsorController.getAll, key: 'sponsors',
+        byId: projectSponsorController.getById, idColumn: 'ProjectSponsorId', ownId: 15, otherId: 25 },
+    { name: 'project permissions', list: projectPermissionController.getAllPermissions, key: 'permissions',
+        byId: projectPermissionController.getPermissionById, idColumn: 'ProjectPermissionId', ownId: 16, otherId: 26 },
+    { name: 'spends', list: projectSpendController.getAllSpends, key: 'spends',
+        byId: projectSpendController.getSpendById, idColumn: 'ProjectSpendId', ownId: 17, otherId: 27 }
+];
+
+// Lists of one project or campaign, answered with 404 outside the scope
+const PROJECT_LISTS = [
+    { name: 'camps of a project', handler: campController.getCampsByProject, params: { projectId: PROJECT_B } },
+    { name: 'spends of a project', handler: projectSpendController.getSpendsByProject, params: { projectId: PROJECT_B } },
+    { name: 'permissions of a project', handler: projectPermissionController.getPermissionsByProject, params: { projectId: PROJECT_B } },
+    { name: 'donations of a campaign', handler: donationController.getDonationsByCampaign, params: { campaignId: 22 } }
+];
+
+describe('tenant isolation', () => {
+    before(() => {
+        // Handlers log the errors they answer 500 with; keep the output readable
+        console.error = () => {};
+    });
+
+    for (const resource of RESOURCES) {
+        describe(resource.name, () => {
+            it('lists only the Org Admin\'s own organization', async () => {
+                const res = await call(resource.list, orgAdminOfA);
+
+                assert.equal(res.statusCode, 200);
+                assert.deepEqual(res.body.data[resource.key].map(row => row[resource.idColumn]), [resource.ownId]);
+            });
+
+            it('answers 404 for a record of another organization', async () => {
+                const res = await call(resource.byId, orgAdminOfA, { params: { id: String(resource.otherId) } });
+
+                assert.equal(res.statusCode, 404);
+                assert.equal(res.body.success, false);
+            });
+
+            it('returns a record of the Org Admin\'s own organization', async () => {
+                const res = await call(resource.byId, orgAdminOfA, { params: { id: String(resource.ownId) } });
+
+                assert.equal(res.statusCode, 200);
+            });
+
+            it('lists every organization for projects.all', async () => {
+                const res = await call(resource.list, adminUser);
+
+                assert.equal(res.statusCode, 200);
+                assert.deepEqual(
+                    res.body.data[resource.key].map(row => row[resource.idColumn]),
+                    [resource.ownId, resource.otherId]
+                );
+            });
+
+            it('returns a record of any organization for projects.all', async () => {
+                const res = await call(resource.byId, adminUser, { params: { id: String(resource.otherId) } });
+
+                assert.equal(res.statusCode, 200);
+            });
+        });
+    }
+
+    for (const list of PROJECT_LISTS) {
+        it(`answers 404 for the ${list.name} of another organization`, async () => {
+            const res = await call(list.handler, orgAdminOfA, { params: list.params });
+
+            assert.equal(res.statusCode, 404);
+        });
+    }
+});
+
+// Organization screens, called for organization B by a role of organization A
+// that is granted the permission the route asks for
+const ORGANIZATION_HANDLERS = [
+    { name: 'view an organization', handler: orgController.getOrganizationById },
+    { name: 'update an organization', handler: orgController.updateOrganization },
+    { name: 'list members', handler: orgController.getOrganizationMembers },
+    { name: 'add a member', handler: orgController.addOrganizationMember, body: { userId: 300, roleId: 5 } },
+    { name: 'remove a member', handler: orgController.removeOrganizationMember, params: { userId: '300' } },
+    { name: 'invite someone', handler: invitationController.createInvitation, body: { email: 'x@example.com', roleId: 5 } },
+    { name: 'list invitations', handler: invitationController.getInvitations },
+    { name: 'resend an invitation', handler: invitationController.resendInvitation, params: { invitationId: '1' } },
+    { name: 'revoke an invitation', handler: invitationController.revokeInvitation, params: { invitationId: '1' } },
+    { name: 'create an API key', handler: apiKeyController.createKey, body: { name: 'key', scopes: [] } },
+    { name: 'list API keys', handler: apiKeyController.getKeys },
+    { name: 'rotate an API key', handler: apiKeyController.rotateKey, params: { keyId: '1' } },
+    { name: 'revoke an API key', handler: apiKeyController.revokeKey, params: { keyId: '1' } },
+    { name: 'view the expense approval steps', handler: spendApprovalController.getRules },
+    { name: 'replace the expense approval steps', handler: spendApprovalController.replaceRules, body: { steps: [] } }
+];
+
+describe('organization management', () => {
+    before(() => {
+        console.error = () => {};
+    });
+
+    for (const action of ORGANIZATION_HANDLERS) {
+        it(`refuses to ${action.name} of another organization without projects.all`, async () => {
+            const res = await call(action.handler, managerOfA, {
+                params: { id: String(ORG_B), ...action.params },
+                body: action.body
+            });
+
+            assert.equal(res.statusCode, 403);
+        });
+    }
+
+    it('lists only the user\'s own organization without projects.all', async () => {
+        const res = await call(orgController.getAllOrganizations, managerOfA);
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body.data.organizations.map(organization => organization.OrganizationId), [ORG_A]);
+    });
+
+    it('returns the user\'s own organization', async () => {
+        const res = await call(orgController.getOrganizationById, managerOfA, { params: { id: String(ORG_A) } });
+
+        assert.equal(res.statusCode, 200);
+    });
+
+    it('returns any organization for projects.all', async () => {
+        const res = await call(orgController.getOrganizationById, adminUser, { params: { id: String(ORG_B) } });
+
+        assert.equal(res.statusCode, 200);
+    });
+});
+
+describe('projectScopeClause', () => {
+    it('refuses to build a query without a scope', () => {
+        assert.throws(() => projectScopeClause(undefined, 'c.ProjectId'), /scope is required/);
+        assert.throws(() => projectScopeClause(null, 'c.ProjectId'), /scope is required/);
+    });
+
+    it('adds nothing for UNSCOPED', () => {
+        assert.deepEqual(projectScopeClause(UNSCOPED, 'c.ProjectId'), { sql: '', params: [] });
+    });
+
+    it('matches nothing for a scope without an organization or user', () => {
+        assert.deepEqual(projectScopeClause({ userId: null, organizationId: null }), { sql: ' AND FALSE', params: [] });
+    });
+});
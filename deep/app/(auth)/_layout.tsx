@@ -17,6 +17,8 @@ export default function AuthLayout() {
             <Stack.Screen name="login" />
             <Stack.Screen name="signup" />
             <Stack.Screen name="verify-otp" />
+            <Stack.Screen name="two-factor" />
+            <Stack.Screen name="phone-login" />
             <Stack.Screen name="forgot-password" />
         </Stack>
     );
@@ -50,7 +50,11 @@ export default function LoginScreen() {
         setLoading(true);
         try {
             const result = await googleLogin(token);
-            if (result.success) {
+            if (result.requiresTwoFactor) {
+                router.push({ pathname: '/(auth)/two-factor', params: { challengeToken: result.challengeToken } });
+            } else if (result.requiresTwoFactorSetup) {
+                Alert.alert('Two-Factor Setup Required', result.message);
+            } else if (result.success) {
                 router.replace('/(tabs)');
             } else {
                 Alert.alert('Google Login Failed', result.message);
@@ -77,10 +81,16 @@ export default function LoginScreen() {
         setLoading(true);
         try {
             const result = await login(email, password);
-            if (result.success) {
+            if (result.requiresTwoFactor) {
+                router.push({ pathname: '/(auth)/two-factor', params: { challengeToken: result.challengeToken } });
+            } else if (result.requiresTwoFactorSetup) {
+                Alert.alert('Two-Factor Setup Required', result.message);
+            } else if (result.success) {
                 router.replace('/(tabs)');
             } else if (result.requiresVerification) {
                 router.push({ pathname: '/(auth)/verify-otp', params: { email } });
+            } else if (result.locked) {
+                Alert.alert('Account Temporarily Locked', result.message);
             } else {
                 Alert.alert('Login Failed', result.message);
             }
@@ -171,6 +181,16 @@ export default function LoginScreen() {
                         fullWidth
                         icon={<Ionicons name="logo-google" size={20} color={colors.primary} />}
                     />
+
+                    {/* Mobile Number Login */}
+                    <Button
+                        title="Continue with Mobile Number"
+                        variant="outline"
+                        onPress={() => router.push('/(auth)/phone-login')}
+                        fullWidth
+                        style={{ marginTop: 12 }}
+                        icon={<Ionicons name="phone-portrait-outline" size={20} color={colors.primary} />}
+                    />
                 </View>
 
                 {/* Footer */}
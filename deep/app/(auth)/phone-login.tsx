@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TouchableOpacity,
+    Alert,
+    KeyboardAvoidingView,
+    Platform,
+} from 'react-native';
+import { router } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { Colors } from '@/constants/theme';
+import { Button, Input, OTPInput } from '@/components/ui';
+import { useAuth } from '@/context/AuthContext';
+import { authService } from '@/services/auth';
+
+export default function PhoneLoginScreen() {
+    const colorScheme = useColorScheme();
+    const colors = Colors[colorScheme ?? 'light'];
+    const { verifyPhoneOTP } = useAuth();
+
+    const [step, setStep] = useState<'phone' | 'otp'>('phone');
+    const [isSignup, setIsSignup] = useState(false);
+    const [mobileNumber, setMobileNumber] = useState('');
+    const [fullName, setFullName] = useState('');
+    const [otp, setOtp] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [countdown, setCountdown] = useState(0);
+    const [errors, setErrors] = useState<Record<string, string>>({});
+
+    useEffect(() => {
+        if (countdown > 0) {
+            const timer = setTimeout(() => setCountdown(countdown - 1), 1000);
+            return () => clearTimeout(timer);
+        }
+    }, [countdown]);
+
+    const handleSendOTP = async () => {
+        const newErrors: Record<string, string> = {};
+        if (!/^[0-9]{10,15}$/.test(mobileNumber)) {
+            newErrors.mobileNumber = 'Please enter a valid mobile number';
+        }
+        if (isSignup && fullName.trim().length < 2) {
+            newErrors.fullName = 'Please enter your full name';
+        }
+        if (Object.keys(newErrors).length > 0) {
+            setErrors(newErrors);
+            return;
+        }
+
+        setLoading(true);
+        try {
+            if (isSignup) {
+                await authService.phoneSignup(mobileNumber, fullName.trim());
+            } else {
+                await authService.requestPhoneOTP(mobileNumber);
+            }
+            setStep('otp');
+            setCountdown(60);
+        } catch (err: any) {
+            Alert.alert('Error', err.response?.data?.message || 'Failed to send OTP. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleResend = async () => {
+        try {
+            await authService.requestPhoneOTP(mobileNumber);
+            Alert.alert('OTP Sent', 'A new code has been sent to your mobile number.');
+            setCountdown(60);
+        } catch (err: any) {
+            Alert.alert('Error', err.response?.data?.message || 'Failed to resend OTP. Please try again.');
+        }
+    };
+
+    const handleVerify = async () => {
+        if (otp.length !== 6) {
+            setErrors({ otp: 'Please enter all 6 digits' });
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const result = await verifyPhoneOTP(mobileNumber, otp);
+            if (result.requiresTwoFactor) {
+                router.push({ pathname: '/(auth)/two-factor', params: { challengeToken: result.challengeToken } });
+            } else if (result.requiresTwoFactorSetup) {
+                Alert.alert('Two-Factor Setup Required', result.message);
+            } else if (result.success) {
+                router.replace('/(tabs)');
+            } else if (result.locked) {
+                Alert.alert('Account Temporarily Locked', result.message);
+            } else {
+                setErrors({ otp: result.message });
+                setOtp('');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <KeyboardAvoidingView
+            behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+            style={[styles.container, { backgroundColor: colors.background }]}
+        >
+            {/* Back Button */}
+            <TouchableOpacity
+                style={styles.backButton}
+                onPress={() => (step === 'otp' ? setStep('phone') : router.back())}
+            >
+                <Ionicons name="arrow-back" size={24} color={colors.text} />
+            </TouchableOpacity>
+
+            {/* Header */}
+            <View style={styles.header}>
+                <View style={[styles.iconContainer, { backgroundColor: colors.primary + '15' }]}>
+                    <Ionicons
+                        name={step === 'phone' ? 'phone-portrait-outline' : 'chatbox-ellipses-outline'}
+                        size={48}
+                        color={colors.primary}
+                    />
+                </View>
+                <Text style={[styles.title, { color: colors.text }]}>
+                    {step === 'otp' ? 'Enter Code' : isSignup ? 'Sign Up with Mobile' : 'Login with Mobile'}
+                </Text>
+                <Text style={[styles.subtitle, { color: colors.textSecondary }]}>
+                    {step === 'phone'
+                        ? 'We\'ll send you a one-time code by SMS'
+                        : `Enter the code sent to ${mobileNumber}`}
+                </Text>
+            </View>
+
+            {/* Forms */}
+            {step === 'phone' ? (
+                <View style={styles.form}>
+                    {isSignup && (
+                        <Input
+                            label="Full Name"
+                            placeholder="Enter your full name"
+                            leftIcon="person-outline"
+                            value={fullName}
+                            onChangeText={(v) => {
+                                setFullName(v);
+                                if (errors.fullName) setErrors((prev) => ({ ...prev, fullName: '' }));
+                            }}
+                            error={errors.fullName}
+                        />
+                    )}
+                    <Input
+                        label="Mobile Number"
+                        placeholder="Enter your mobile number"
+                        leftIcon="call-outline"
+                        keyboardType="phone-pad"
+                        maxLength={15}
+                        value={mobileNumber}
+                        onChangeText={(v) => {
+                            setMobileNumber(v.replace(/[^0-9]/g, ''));
+                            if (errors.mobileNumber) setErrors((prev) => ({ ...prev, mobileNumber: '' }));
+                        }}
+                        error={errors.mobileNumber}
+                    />
+                    <Button
+                        title="Send OTP"
+                        onPress={handleSendOTP}
+                        loading={loading}
+                        fullWidth
+                        style={{ marginTop: 8 }}
+                    />
+                    <TouchableOpacity
+                        style={styles.switchMode}
+                        onPress={() => {
+                            setIsSignup(!isSignup);
+                            setErrors({});
+                        }}
+                    >
+                        <Text style={[styles.switchModeText, { color: colors.primary }]}>
+                            {isSignup ? 'Already registered? Login' : 'New here? Sign up with your mobile number'}
+                        </Text>
+                    </TouchableOpacity>
+                </View>
+            ) : (
+                <View style={styles.form}>
+                    <View style={styles.otpContainer}>
+                        <OTPInput
+                            value={otp}
+                            onChange={(value) => {
+                                setOtp(value);
+                                if (errors.otp) setErrors({});
+                            }}
+                            error={errors.otp}
+                        />
+                    </View>
+                    <Button
+                        title="Verify & Continue"
+                        onPress={handleVerify}
+                        loading={loading}
+                        disabled={otp.length !== 6}
+                        fullWidth
+                        style={{ marginTop: 32 }}
+                    />
+                    <View style={styles.resendContainer}>
+                        {countdown > 0 ? (
+                            <Text style={[styles.resendText, { color: colors.textMuted }]}>
+                                Resend in {countdown}s
+                            </Text>
+                        ) : (
+                            <TouchableOpacity onPress={handleResend}>
+                                <Text style={[styles.switchModeText, { color: colors.primary }]}>Resend Code</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                </View>
+            )}
+        </KeyboardAvoidingView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        paddingHorizontal: 24,
+        paddingTop: 50,
+    },
+    backButton: {
+        width: 40,
+        height: 40,
+        alignItems: 'center',
+        justifyContent: 'center',
+        marginBottom: 24,
+    },
+    header: {
+        alignItems: 'center',
+        marginBottom: 40,
+    },
+    iconContainer: {
+        width: 96,
+        height: 96,
+        borderRadius: 48,
+        alignItems: 'center',
+        justifyContent: 'center',
+        marginBottom: 24,
+    },
+    title: {
+        fontSize: 28,
+        fontWeight: '700',
+        marginBottom: 12,
+    },
+    subtitle: {
+        fontSize: 16,
+        textAlign: 'center',
+    },
+    form: {
+        marginBottom: 24,
+    },
+    otpContainer: {
+        alignItems: 'center',
+    },
+    switchMode: {
+        alignItems: 'center',
+        marginTop: 24,
+    },
+    switchModeText: {
+        fontSize: 14,
+        fontWeight: '600',
+    },
+    resendContainer: {
+        alignItems: 'center',
+        marginTop: 32,
+    },
+    resendText: {
+        fontSize: 14,
+    },
+});
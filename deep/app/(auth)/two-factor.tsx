@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TouchableOpacity,
+    Alert,
+    KeyboardAvoidingView,
+    Platform,
+} from 'react-native';
+import { router, useLocalSearchParams } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { Colors } from '@/constants/theme';
+import { Button, Input, OTPInput } from '@/components/ui';
+import { useAuth } from '@/context/AuthContext';
+
+export default function TwoFactorScreen() {
+    const colorScheme = useColorScheme();
+    const colors = Colors[colorScheme ?? 'light'];
+    const { verifyTwoFactor } = useAuth();
+    const { challengeToken } = useLocalSearchParams<{ challengeToken: string }>();
+
+    const [code, setCode] = useState('');
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const isComplete = useRecoveryCode ? code.trim().length > 0 : code.length === 6;
+
+    const handleVerify = async () => {
+        if (!isComplete) {
+            setError(useRecoveryCode ? 'Please enter a recovery code' : 'Please enter all 6 digits');
+            return;
+        }
+
+        setLoading(true);
+        setError('');
+        try {
+            const result = await verifyTwoFactor(challengeToken!, code.trim());
+            if (result.success) {
+                router.replace('/(tabs)');
+            } else if (result.locked) {
+                Alert.alert('Account Temporarily Locked', result.message);
+                router.back();
+            } else {
+                setError(result.message);
+                setCode('');
+            }
+        } catch {
+            setError('Verification failed. Please try again.');
+            setCode('');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const toggleRecoveryCode = () => {
+        setUseRecoveryCode(!useRecoveryCode);
+        setCode('');
+        setError('');
+    };
+
+    return (
+        <KeyboardAvoidingView
+            behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+            style={[styles.container, { backgroundColor: colors.background }]}
+        >
+            {/* Back Button */}
+            <TouchableOpacity
+                style={styles.backButton}
+                onPress={() => router.back()}
+            >
+                <Ionicons name="arrow-back" size={24} color={colors.text} />
+            </TouchableOpacity>
+
+            {/* Header */}
+            <View style={styles.header}>
+                <View style={[styles.iconContainer, { backgroundColor: colors.primary + '15' }]}>
+                    <Ionicons name="key-outline" size={48} color={colors.primary} />
+                </View>
+                <Text style={[styles.title, { color: colors.text }]}>Two-Factor Authentication</Text>
+                <Text style={[styles.subtitle, { color: colors.textSecondary }]}>
+                    {useRecoveryCode
+                        ? 'Enter one of your recovery codes'
+                        : 'Enter the 6-digit code from your authenticator app'}
+                </Text>
+            </View>
+
+            {/* Code Input */}
+            <View style={useRecoveryCode ? undefined : styles.codeContainer}>
+                {useRecoveryCode ? (
+                    <Input
+                        placeholder="xxxxx-xxxxx"
+                        leftIcon="document-lock-outline"
+                        autoCapitalize="none"
+                        autoCorrect={false}
+                        value={code}
+                        onChangeText={(value) => {
+                            setCode(value);
+                            if (error) setError('');
+                        }}
+                        error={error}
+                    />
+                ) : (
+                    <OTPInput
+                        value={code}
+                        onChange={(value) => {
+                            setCode(value);
+                            if (error) setError('');
+                        }}
+                        error={error}
+                    />
+                )}
+            </View>
+
+            {/* Verify Button */}
+            <Button
+                title="Verify"
+                onPress={handleVerify}
+                loading={loading}
+                disabled={!isComplete}
+                fullWidth
+                style={{ marginTop: 32 }}
+            />
+
+            {/* Recovery code toggle */}
+            <TouchableOpacity style={styles.toggleContainer} onPress={toggleRecoveryCode}>
+                <Text style={[styles.toggleLink, { color: colors.primary }]}>
+                    {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code instead'}
+                </Text>
+            </TouchableOpacity>
+        </KeyboardAvoidingView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        paddingHorizontal: 24,
+        paddingTop: 50,
+    },
+    backButton: {
+        width: 40,
+        height: 40,
+        alignItems: 'center',
+        justifyContent: 'center',
+        marginBottom: 24,
+    },
+    header: {
+        alignItems: 'center',
+        marginBottom: 40,
+    },
+    iconContainer: {
+        width: 96,
+        height: 96,
+        borderRadius: 48,
+        alignItems: 'center',
+        justifyContent: 'center',
+        marginBottom: 24,
+    },
+    title: {
+        fontSize: 28,
+        fontWeight: '700',
+        marginBottom: 12,
+        textAlign: 'center',
+    },
+    subtitle: {
+        fontSize: 16,
+        textAlign: 'center',
+    },
+    codeContainer: {
+        alignItems: 'center',
+    },
+    toggleContainer: {
+        alignItems: 'center',
+        marginTop: 32,
+    },
+    toggleLink: {
+        fontSize: 14,
+        fontWeight: '600',
+    },
+});
@@ -1,132 +1,136 @@
+import { View } from 'react-native';
 import { Tabs } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { useColorScheme } from '@/hooks/use-color-scheme';
 import { Colors } from '@/constants/theme';
 import { useAuth } from '@/context/AuthContext';
-import { isAdmin, canView } from '@/utils/permissions';
+import { canManage, canView } from '@/utils/permissions';
+import { ImpersonationBanner } from '@/components/impersonation-banner';
 
 export default function TabLayout() {
   const colorScheme = useColorScheme();
   const colors = Colors[colorScheme ?? 'light'];
-  const { user } = useAuth();
+  const { permissions } = useAuth();
 
-  const roleCode = user?.roleCode || '';
-  const userIsAdmin = isAdmin(roleCode);
-  const canViewProjects = canView(roleCode, 'projects');
-  const canViewCampaigns = canView(roleCode, 'campaigns');
-  const canManageOrgs = userIsAdmin || roleCode === 'ORG_ADMIN';
+  const canViewProjects = canView(permissions, 'projects');
+  const canViewCampaigns = canView(permissions, 'campaigns');
+  const canViewOrgs = canView(permissions, 'organizations');
+  const canManageUsers = canManage(permissions, 'users');
 
   return (
-    <Tabs
-      screenOptions={{
-        tabBarActiveTintColor: colors.tabIconSelected,
-        tabBarInactiveTintColor: colors.tabIconDefault,
-        tabBarStyle: {
-          backgroundColor: colors.card,
-          borderTopColor: colors.border,
-          paddingBottom: 8,
-          paddingTop: 8,
-          height: 64,
-        },
-        tabBarLabelStyle: {
-          fontSize: 11,
-          fontWeight: '500',
-        },
-        headerStyle: {
-          backgroundColor: colors.background,
-        },
-        headerTitleStyle: {
-          fontWeight: '600',
-          color: colors.text,
-        },
-        headerShadowVisible: false,
-      }}
-    >
-      <Tabs.Screen
-        name="index"
-        options={{
-          title: 'Home',
-          tabBarIcon: ({ color, focused }: { color: string; focused: boolean }) => (
-            <Ionicons
-              name={focused ? 'home' : 'home-outline'}
-              size={24}
-              color={color}
-            />
-          ),
+    <View style={{ flex: 1 }}>
+      <Tabs
+        screenOptions={{
+          tabBarActiveTintColor: colors.tabIconSelected,
+          tabBarInactiveTintColor: colors.tabIconDefault,
+          tabBarStyle: {
+            backgroundColor: colors.card,
+            borderTopColor: colors.border,
+            paddingBottom: 8,
+            paddingTop: 8,
+            height: 64,
+          },
+          tabBarLabelStyle: {
+            fontSize: 11,
+            fontWeight: '500',
+          },
+          headerStyle: {
+            backgroundColor: colors.background,
+          },
+          headerTitleStyle: {
+            fontWeight: '600',
+            color: colors.text,
+          },
+          headerShadowVisible: false,
         }}
-      />
-      <Tabs.Screen
-        name="projects"
-        options={{
-          title: 'Projects',
-          tabBarIcon: ({ color, focused }: { color: string; focused: boolean }) => (
-            <Ionicons
-              name={focused ? 'folder' : 'folder-outline'}
-              size={24}
-              color={color}
-            />
-          ),
-          href: canViewProjects ? undefined : null,
-        }}
-      />
-      <Tabs.Screen
-        name="campaigns"
-        options={{
-          title: 'Campaigns',
-          tabBarIcon: ({ color, focused }: { color: string; focused: boolean }) => (
-            <Ionicons
-              name={focused ? 'heart' : 'heart-outline'}
-              size={24}
-              color={color}
-            />
-          ),
-          href: canViewCampaigns ? undefined : null,
-        }}
-      />
-      <Tabs.Screen
-        name="organizations"
-        options={{
-          title: 'Orgs',
-          tabBarIcon: ({ color, focused }: { color: string; focused: boolean }) => (
-            <Ionicons
-              name={focused ? 'business' : 'business-outline'}
-              size={24}
-              color={color}
-            />
-          ),
-          href: canManageOrgs ? undefined : null,
-        }}
-      />
-      <Tabs.Screen
-        name="users"
-        options={{
-          title: 'Users',
-          tabBarIcon: ({ color, focused }: { color: string; focused: boolean }) => (
-            <Ionicons
-              name={focused ? 'people' : 'people-outline'}
-              size={24}
-              color={color}
-            />
-          ),
-          href: userIsAdmin ? undefined : null,
-        }}
-      />
-      <Tabs.Screen
-        name="profile"
-        options={{
-          title: 'Profile',
-          tabBarIcon: ({ color, focused }: { color: string; focused: boolean }) => (
-            <Ionicons
-              name={focused ? 'person' : 'person-outline'}
-              size={24}
-              color={color}
-            />
-          ),
-        }}
-      />
-      {/* Hidden screens */}
-      <Tabs.Screen name="explore" options={{ href: null }} />
-    </Tabs>
+      >
+        <Tabs.Screen
+          name="index"
+          options={{
+            title: 'Home',
+            tabBarIcon: ({ color, focused }: { color: string; focused: boolean }) => (
+              <Ionicons
+                name={focused ? 'home' : 'home-outline'}
+                size={24}
+                color={color}
+              />
+            ),
+          }}
+        />
+        <Tabs.Screen
+          name="projects"
+          options={{
+            title: 'Projects',
+            tabBarIcon: ({ color, focused }: { color: string; focused: boolean }) => (
+              <Ionicons
+                name={focused ? 'folder' : 'folder-outline'}
+                size={24}
+                color={color}
+              />
+            ),
+            href: canViewProjects ? undefined : null,
+          }}
+        />
+        <Tabs.Screen
+          name="campaigns"
+          options={{
+            title: 'Campaigns',
+            tabBarIcon: ({ color, focused }: { color: string; focused: boolean }) => (
+              <Ionicons
+                name={focused ? 'heart' : 'heart-outline'}
+                size={24}
+                color={color}
+              />
+            ),
+            href: canViewCampaigns ? undefined : null,
+          }}
+        />
+        <Tabs.Screen
+          name="organizations"
+          options={{
+            title: 'Orgs',
+            tabBarIcon: ({ color, focused }: { color: string; focused: boolean }) => (
+              <Ionicons
+                name={focused ? 'business' : 'business-outline'}
+                size={24}
+                color={color}
+              />
+            ),
+            href: canViewOrgs ? undefined : null,
+          }}
+        />
+        <Tabs.Screen
+          name="users"
+          options={{
+            title: 'Users',
+            tabBarIcon: ({ color, focused }: { color: string; focused: boolean }) => (
+              <Ionicons
+                name={focused ? 'people' : 'people-outline'}
+                size={24}
+                color={color}
+              />
+            ),
+            href: canManageUsers ? undefined : null,
+          }}
+        />
+        <Tabs.Screen
+          name="profile"
+          options={{
+            title: 'Profile',
+            tabBarIcon: ({ color, focused }: { color: string; focused: boolean }) => (
+              <Ionicons
+                name={focused ? 'person' : 'person-outline'}
+                size={24}
+                color={color}
+              />
+            ),
+          }}
+        />
+        {/* Hidden screens */}
+        <Tabs.Screen name="explore" options={{ href: null }} />
+      </Tabs>
+      <ImpersonationBanner />
+    </View>
   );
 }
 
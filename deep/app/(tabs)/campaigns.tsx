@@ -14,19 +14,19 @@ import { useColorScheme } from '@/hooks/use-color-scheme';
 import { Colors } from '@/constants/theme';
 import { useAuth } from '@/context/AuthContext';
 import { campaignService, Campaign } from '@/services/campaignService';
-import { isAdmin } from '@/utils/permissions';
+import { canManage } from '@/utils/permissions';
 
 export default function CampaignsScreen() {
     const colorScheme = useColorScheme();
     const colors = Colors[colorScheme ?? 'light'];
     const router = useRouter();
-    const { user } = useAuth();
+    const { permissions } = useAuth();
 
     const [campaigns, setCampaigns] = useState<Campaign[]>([]);
     const [loading, setLoading] = useState(true);
     const [refreshing, setRefreshing] = useState(false);
 
-    const canCreate = isAdmin(user?.roleCode || '');
+    const canCreate = canManage(permissions, 'campaigns');
 
     const fetchCampaigns = useCallback(async () => {
         try {
@@ -1,10 +1,11 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   ScrollView,
   TouchableOpacity,
+  ActivityIndicator,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { router } from 'expo-router';
@@ -12,15 +13,56 @@ import { useColorScheme } from '@/hooks/use-color-scheme';
 import { Colors } from '@/constants/theme';
 import { useAuth } from '@/context/AuthContext';
 import { Avatar, Badge, Card } from '@/components/ui';
-import { isAdmin, canView } from '@/utils/permissions';
+import { canManage, canView } from '@/utils/permissions';
+import { projectService, ActivityEvent } from '@/services/projectService';
+
+const ACTIVITY_ICONS: Record<string, { icon: string; color: string }> = {
+  'spend.submitted': { icon: 'receipt-outline', color: '#F59E0B' },
+  'spend.approved': { icon: 'checkmark-circle-outline', color: '#10B981' },
+  'spend.rejected': { icon: 'close-circle-outline', color: '#EF4444' },
+  'donation.received': { icon: 'heart-outline', color: '#EC4899' },
+  'camp.completed': { icon: 'flag-outline', color: '#6366F1' },
+  'permission.approved': { icon: 'document-text-outline', color: '#0EA5E9' },
+  'media.uploaded': { icon: 'images-outline', color: '#8B5CF6' },
+  'sponsor.added': { icon: 'ribbon-outline', color: '#F97316' },
+};
+
+const formatActivityDate = (date: string) =>
+  new Date(date).toLocaleString('en-IN', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' });
 
 export default function HomeScreen() {
   const colorScheme = useColorScheme();
   const colors = Colors[colorScheme ?? 'light'];
-  const { user } = useAuth();
+  const { user, permissions } = useAuth();
+
+  const canManageUsers = canManage(permissions, 'users');
+
+  const [activities, setActivities] = useState<ActivityEvent[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loadingActivity, setLoadingActivity] = useState(false);
+
+  const organizationId = user?.organizationId;
+
+  const fetchActivity = useCallback(async (cursor?: string | null) => {
+    if (!organizationId) return;
+
+    setLoadingActivity(true);
+    try {
+      const page = await projectService.getOrganizationActivity(organizationId, cursor);
+      setActivities((current) => (cursor ? [...current, ...page.activities] : page.activities));
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Failed to fetch activity:', error);
+    } finally {
+      setLoadingActivity(false);
+    }
+  }, [organizationId]);
 
-  const roleCode = user?.roleCode || '';
-  const userIsAdmin = isAdmin(roleCode);
+  useEffect(() => {
+    setActivities([]);
+    setNextCursor(null);
+    fetchActivity();
+  }, [fetchActivity]);
 
   const quickActions = [
     {
@@ -28,28 +70,28 @@ export default function HomeScreen() {
       label: 'Projects',
       color: '#6366F1',
       onPress: () => router.push('/(tabs)/projects'),
-      visible: canView(roleCode, 'projects'),
+      visible: canView(permissions, 'projects'),
     },
     {
       icon: 'heart-outline',
       label: 'Campaigns',
       color: '#EC4899',
       onPress: () => router.push('/(tabs)/campaigns'),
-      visible: canView(roleCode, 'campaigns'),
+      visible: canView(permissions, 'campaigns'),
     },
     {
       icon: 'business-outline',
       label: 'Organizations',
       color: '#10B981',
       onPress: () => router.push('/(tabs)/organizations'),
-      visible: userIsAdmin || roleCode === 'ORG_ADMIN',
+      visible: canView(permissions, 'organizations'),
     },
     {
       icon: 'people-outline',
       label: 'Users',
       color: '#3B82F6',
       onPress: () => router.push('/(tabs)/users'),
-      visible: userIsAdmin,
+      visible: canManageUsers,
     },
     {
       icon: 'person-outline',
@@ -85,26 +127,6 @@ export default function HomeScreen() {
         </View>
       </View>
 
-      {/* Stats Cards */}
-      {userIsAdmin && (
-        <View style={styles.statsContainer}>
-          <Card variant="elevated" style={{ ...styles.statCard, flex: 1 }}>
-            <View style={[styles.statIcon, { backgroundColor: '#10B98120' }]}>
-              <Ionicons name="business" size={24} color="#10B981" />
-            </View>
-            <Text style={[styles.statValue, { color: colors.text }]}>2</Text>
-            <Text style={[styles.statLabel, { color: colors.textSecondary }]}>Organizations</Text>
-          </Card>
-          <Card variant="elevated" style={{ ...styles.statCard, flex: 1 }}>
-            <View style={[styles.statIcon, { backgroundColor: '#3B82F620' }]}>
-              <Ionicons name="people" size={24} color="#3B82F6" />
-            </View>
-            <Text style={[styles.statValue, { color: colors.text }]}>6</Text>
-            <Text style={[styles.statLabel, { color: colors.textSecondary }]}>Total Users</Text>
-          </Card>
-        </View>
-      )}
-
       {/* Quick Actions */}
       <View style={styles.section}>
         <Text style={[styles.sectionTitle, { color: colors.text }]}>Quick Actions</Text>
@@ -148,16 +170,66 @@ export default function HomeScreen() {
         </View>
       )}
 
-      {/* Recent Activity Placeholder */}
+      {/* Recent Activity */}
       <View style={styles.section}>
         <Text style={[styles.sectionTitle, { color: colors.text }]}>Recent Activity</Text>
         <Card>
-          <View style={styles.emptyActivity}>
-            <Ionicons name="time-outline" size={40} color={colors.textMuted} />
-            <Text style={[styles.emptyText, { color: colors.textSecondary }]}>
-              No recent activity
-            </Text>
-          </View>
+          {activities.length === 0 ? (
+            <View style={styles.emptyActivity}>
+              {loadingActivity ? (
+                <ActivityIndicator color={colors.primary} />
+              ) : (
+                <>
+                  <Ionicons name="time-outline" size={40} color={colors.textMuted} />
+                  <Text style={[styles.emptyText, { color: colors.textSecondary }]}>
+                    No recent activity
+                  </Text>
+                </>
+              )}
+            </View>
+          ) : (
+            <>
+              {activities.map((activity, index) => {
+                const style = ACTIVITY_ICONS[activity.EventType] || { icon: 'ellipse-outline', color: colors.primary };
+                return (
+                  <TouchableOpacity
+                    key={activity.ActivityId}
+                    style={[
+                      styles.activityRow,
+                      index > 0 && { borderTopWidth: 1, borderTopColor: colors.border },
+                    ]}
+                    onPress={() => router.push(`/project/${activity.ProjectId}`)}
+                    activeOpacity={0.7}
+                  >
+                    <View style={[styles.activityIcon, { backgroundColor: style.color + '15' }]}>
+                      <Ionicons name={style.icon as any} size={20} color={style.color} />
+                    </View>
+                    <View style={styles.activityInfo}>
+                      <Text style={[styles.activitySummary, { color: colors.text }]}>{activity.Summary}</Text>
+                      <Text style={[styles.activityMeta, { color: colors.textSecondary }]}>
+                        {activity.ProjectName}
+                        {activity.ActorName ? ` · ${activity.ActorName}` : ''}
+                        {` · ${formatActivityDate(activity.CreatedDate)}`}
+                      </Text>
+                    </View>
+                  </TouchableOpacity>
+                );
+              })}
+              {nextCursor && (
+                <TouchableOpacity
+                  style={styles.loadMore}
+                  onPress={() => fetchActivity(nextCursor)}
+                  disabled={loadingActivity}
+                >
+                  {loadingActivity ? (
+                    <ActivityIndicator color={colors.primary} />
+                  ) : (
+                    <Text style={[styles.loadMoreText, { color: colors.primary }]}>Load more</Text>
+                  )}
+                </TouchableOpacity>
+              )}
+            </>
+          )}
         </Card>
       </View>
     </ScrollView>
@@ -193,32 +265,6 @@ const styles = StyleSheet.create({
   headerBadge: {
     marginTop: 16,
   },
-  statsContainer: {
-    flexDirection: 'row',
-    paddingHorizontal: 16,
-    marginTop: -20,
-    gap: 12,
-  },
-  statCard: {
-    alignItems: 'center',
-    paddingVertical: 20,
-  },
-  statIcon: {
-    width: 48,
-    height: 48,
-    borderRadius: 14,
-    alignItems: 'center',
-    justifyContent: 'center',
-    marginBottom: 12,
-  },
-  statValue: {
-    fontSize: 28,
-    fontWeight: '700',
-  },
-  statLabel: {
-    fontSize: 13,
-    marginTop: 4,
-  },
   section: {
     padding: 16,
     paddingTop: 24,
@@ -283,4 +329,36 @@ const styles = StyleSheet.create({
     fontSize: 14,
     marginTop: 12,
   },
+  activityRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  activityIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 12,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  activityInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  activitySummary: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  activityMeta: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  loadMore: {
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  loadMoreText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
 });
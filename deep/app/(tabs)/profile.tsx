@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import {
     View,
     Text,
@@ -6,17 +6,37 @@ import {
     ScrollView,
     TouchableOpacity,
     Alert,
+    ActivityIndicator,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useColorScheme } from '@/hooks/use-color-scheme';
 import { Colors } from '@/constants/theme';
 import { useAuth } from '@/context/AuthContext';
 import { Avatar, Badge, Card } from '@/components/ui';
+import { authService, UserOrganization } from '@/services/auth';
 
 export default function ProfileScreen() {
     const colorScheme = useColorScheme();
     const colors = Colors[colorScheme ?? 'light'];
-    const { user, logout } = useAuth();
+    const { user, token, logout, switchOrganization } = useAuth();
+    const [organizations, setOrganizations] = useState<UserOrganization[]>([]);
+    const [switchingTo, setSwitchingTo] = useState<number | null>(null);
+
+    // Reload after a switch so the active marker follows the new token
+    useEffect(() => {
+        if (!token) return;
+        authService.getOrganizations().then(setOrganizations);
+    }, [token]);
+
+    const handleSwitchOrganization = async (organization: UserOrganization) => {
+        if (organization.IsActive || switchingTo) return;
+        setSwitchingTo(organization.OrganizationId);
+        const result = await switchOrganization(organization.OrganizationId);
+        setSwitchingTo(null);
+        if (!result.success) {
+            Alert.alert('Error', result.message);
+        }
+    };
 
     const handleLogout = () => {
         Alert.alert('Logout', 'Are you sure you want to logout?', [
@@ -84,6 +104,40 @@ export default function ProfileScreen() {
                 </View>
             </Card>
 
+            {/* Organization Switcher */}
+            {organizations.length > 1 && (
+                <Card variant="elevated" style={styles.infoCard}>
+                    <Text style={[styles.sectionTitle, { color: colors.text }]}>Switch Organization</Text>
+                    {organizations.map((organization, index) => (
+                        <View key={organization.OrganizationId}>
+                            {index > 0 && <View style={[styles.divider, { backgroundColor: colors.border }]} />}
+                            <TouchableOpacity
+                                style={styles.infoRow}
+                                onPress={() => handleSwitchOrganization(organization)}
+                                disabled={organization.IsActive || switchingTo !== null}
+                                activeOpacity={0.7}
+                            >
+                                <View style={styles.infoContent}>
+                                    <Text style={[styles.infoValue, { color: colors.text }]}>
+                                        {organization.OrganizationName}
+                                    </Text>
+                                    <Text style={[styles.infoLabel, { color: colors.textMuted }]}>
+                                        {organization.RoleName}{organization.IsHome ? ' · Home' : ''}
+                                    </Text>
+                                </View>
+                                {switchingTo === organization.OrganizationId ? (
+                                    <ActivityIndicator size="small" color={colors.primary} />
+                                ) : organization.IsActive ? (
+                                    <Ionicons name="checkmark-circle" size={22} color={colors.success} />
+                                ) : (
+                                    <Ionicons name="swap-horizontal-outline" size={20} color={colors.textMuted} />
+                                )}
+                            </TouchableOpacity>
+                        </View>
+                    ))}
+                </Card>
+            )}
+
             {/* Menu Items */}
             <View style={styles.menuSection}>
                 {menuItems.map((item, index) => (
@@ -171,6 +225,11 @@ const styles = StyleSheet.create({
         fontSize: 15,
         fontWeight: '500',
     },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        marginBottom: 12,
+    },
     divider: {
         height: 1,
         marginVertical: 14,
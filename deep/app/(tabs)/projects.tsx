@@ -17,7 +17,7 @@ import { useColorScheme } from '@/hooks/use-color-scheme';
 import { Colors } from '@/constants/theme';
 import { useAuth } from '@/context/AuthContext';
 import { projectService, Project } from '@/services/projectService';
-import { isAdmin } from '@/utils/permissions';
+import { canManage } from '@/utils/permissions';
 import { LinearGradient } from 'expo-linear-gradient';
 
 const { width } = Dimensions.get('window');
@@ -38,7 +38,7 @@ export default function ProjectsScreen() {
     const colorScheme = useColorScheme();
     const colors = Colors[colorScheme ?? 'light'];
     const router = useRouter();
-    const { user } = useAuth();
+    const { permissions } = useAuth();
     const isDark = colorScheme === 'dark';
 
     const [projects, setProjects] = useState<Project[]>([]);
@@ -48,7 +48,7 @@ export default function ProjectsScreen() {
     const [statusFilter, setStatusFilter] = useState<string | null>(null);
     const [viewMode, setViewMode] = useState<'grid' | 'list'>('grid');
 
-    const canCreate = isAdmin(user?.roleCode || '');
+    const canCreate = canManage(permissions, 'projects');
 
     const fetchProjects = useCallback(async () => {
         try {
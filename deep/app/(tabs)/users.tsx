@@ -8,12 +8,16 @@ import {
     RefreshControl,
     ActivityIndicator,
     TextInput,
+    Alert,
 } from 'react-native';
+import { router } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { useColorScheme } from '@/hooks/use-color-scheme';
 import { Colors, RoleColors } from '@/constants/theme';
 import { Avatar, Badge, Card } from '@/components/ui';
 import { userService } from '@/services/data';
+import { useAuth } from '@/context/AuthContext';
+import { hasPermission } from '@/utils/permissions';
 
 interface User {
     userId: number;
@@ -29,6 +33,7 @@ interface User {
 export default function UsersScreen() {
     const colorScheme = useColorScheme();
     const colors = Colors[colorScheme ?? 'light'];
+    const { user: currentUser, permissions, startImpersonation } = useAuth();
 
     const [users, setUsers] = useState<User[]>([]);
     const [loading, setLoading] = useState(true);
@@ -63,6 +68,32 @@ export default function UsersScreen() {
         fetchUsers();
     };
 
+    // Support staff can see the app exactly as another user does
+    const canImpersonate = (item: User) =>
+        hasPermission(permissions, 'users.impersonate') &&
+        item.roleCode !== 'SUPER_ADMIN' &&
+        item.status === 'Active' &&
+        item.userId !== currentUser?.userId;
+
+    const handleMore = (item: User) => {
+        if (!canImpersonate(item)) return;
+
+        Alert.alert(item.fullName, `${item.fullName} will be notified that support viewed their account.`, [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'View as this user',
+                onPress: async () => {
+                    const result = await startImpersonation(item.userId, 'Support view from the app');
+                    if (result.success) {
+                        router.replace('/(tabs)');
+                    } else {
+                        Alert.alert('Error', result.message);
+                    }
+                },
+            },
+        ]);
+    };
+
     const getStatusVariant = (status: string): 'success' | 'warning' | 'error' => {
         switch (status) {
             case 'Active':
@@ -102,7 +133,7 @@ export default function UsersScreen() {
                             />
                         </View>
                     </View>
-                    <TouchableOpacity style={styles.moreButton}>
+                    <TouchableOpacity style={styles.moreButton} onPress={() => handleMore(item)}>
                         <Ionicons name="ellipsis-vertical" size={20} color={colors.textMuted} />
                     </TouchableOpacity>
                 </View>
@@ -22,7 +22,7 @@ import { useColorScheme } from '@/hooks/use-color-scheme';
 import { Colors } from '@/constants/theme';
 import { useAuth } from '@/context/AuthContext';
 import { projectService, Camp } from '@/services/projectService';
-import { isAdmin } from '@/utils/permissions';
+import { canManage } from '@/utils/permissions';
 import * as ImagePicker from 'expo-image-picker';
 import api from '@/services/api';
 import DateTimePicker from '@react-native-community/datetimepicker';
@@ -49,7 +49,7 @@ export default function CampDetailScreen() {
     const { id } = useLocalSearchParams<{ id: string }>();
     const colorScheme = useColorScheme();
     const colors = Colors[colorScheme ?? 'light'];
-    const { user } = useAuth();
+    const { permissions } = useAuth();
 
     const [camp, setCamp] = useState<Camp | null>(null);
     const [images, setImages] = useState<MediaItem[]>([]);
@@ -93,7 +93,7 @@ export default function CampDetailScreen() {
     const [selectedMedia, setSelectedMedia] = useState<MediaItem | null>(null);
     const [selectedAssets, setSelectedAssets] = useState<any[]>([]);
 
-    const canEdit = isAdmin(user?.roleCode || '');
+    const canEdit = canManage(permissions, 'camps');
 
     const fetchData = async () => {
         try {
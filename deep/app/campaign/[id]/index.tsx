@@ -15,7 +15,7 @@ import { useColorScheme } from '@/hooks/use-color-scheme';
 import { Colors } from '@/constants/theme';
 import { useAuth } from '@/context/AuthContext';
 import { campaignService, Campaign } from '@/services/campaignService';
-import { isAdmin } from '@/utils/permissions';
+import { canManage } from '@/utils/permissions';
 
 const { width } = Dimensions.get('window');
 
@@ -24,12 +24,12 @@ export default function CampaignDetailScreen() {
     const colorScheme = useColorScheme();
     const colors = Colors[colorScheme ?? 'light'];
     const router = useRouter();
-    const { user } = useAuth();
+    const { permissions } = useAuth();
 
     const [campaign, setCampaign] = useState<Campaign | null>(null);
     const [loading, setLoading] = useState(true);
 
-    const canEdit = isAdmin(user?.roleCode || '');
+    const canEdit = canManage(permissions, 'campaigns');
 
     useEffect(() => {
         fetchCampaign();
@@ -20,7 +20,7 @@ import { useColorScheme } from '@/hooks/use-color-scheme';
 import { Colors } from '@/constants/theme';
 import { useAuth } from '@/context/AuthContext';
 import { projectService, Project, Camp, Sponsor, ProjectSpend } from '@/services/projectService';
-import { isAdmin } from '@/utils/permissions';
+import { canManage } from '@/utils/permissions';
 import api from '@/services/api';
 import DateTimePicker from '@react-native-community/datetimepicker';
 
@@ -32,7 +32,9 @@ const STATUS_COLORS: Record<string, { bg: string; text: string }> = {
     Planning: { bg: '#FEF3C7', text: '#92400E' },
     Planned: { bg: '#FEF3C7', text: '#92400E' },
     Completed: { bg: '#DBEAFE', text: '#1E40AF' },
-    'On Hold': { bg: '#FEE2E2', text: '#991B1B' },
+    OnHold: { bg: '#FEE2E2', text: '#991B1B' },
+    Cancelled: { bg: '#F3F4F6', text: '#4B5563' },
+    Closed: { bg: '#E5E7EB', text: '#374151' },
 };
 
 export default function ProjectDetailScreen() {
@@ -40,7 +42,7 @@ export default function ProjectDetailScreen() {
     const colorScheme = useColorScheme();
     const colors = Colors[colorScheme ?? 'light'];
     const router = useRouter();
-    const { user } = useAuth();
+    const { user, permissions } = useAuth();
 
     const [project, setProject] = useState<Project | null>(null);
     const [camps, setCamps] = useState<Camp[]>([]);
@@ -72,6 +74,7 @@ export default function ProjectDetailScreen() {
         objective: '',
         location: '',
         status: '',
+        statusReason: '',
     });
     const [campForm, setCampForm] = useState({
         campName: '',
@@ -115,7 +118,7 @@ export default function ProjectDetailScreen() {
     const [settleForm, setSettleForm] = useState({ notes: '', amount: '' });
     const [selectedSpendId, setSelectedSpendId] = useState<number | null>(null);
 
-    const canEdit = isAdmin(user?.roleCode || '');
+    const canEdit = canManage(permissions, 'projects');
 
     const fetchData = async () => {
         try {
@@ -127,6 +130,7 @@ export default function ProjectDetailScreen() {
                 objective: projectData?.Objective || '',
                 location: projectData?.Location || '',
                 status: projectData?.Status || '',
+                statusReason: '',
             });
 
             const campsData = await projectService.getCamps(Number(id));
@@ -196,12 +200,15 @@ export default function ProjectDetailScreen() {
                 objective: projectForm.objective,
                 location: projectForm.location,
                 status: projectForm.status,
+                statusReason: projectForm.statusReason || undefined,
             });
             Alert.alert('Success', 'Project updated successfully');
             setEditProjectModal(false);
             fetchData();
-        } catch (error) {
-            Alert.alert('Error', 'Failed to update project');
+        } catch (error: any) {
+            const blockers: string[] = error.response?.data?.blockers || [];
+            const message = error.response?.data?.message || 'Failed to update project';
+            Alert.alert('Error', [message, ...blockers].join('\n'));
         } finally {
             setSaving(false);
         }
@@ -753,7 +760,8 @@ export default function ProjectDetailScreen() {
                     {renderInput('Description', projectForm.projectDescription, (v) => setProjectForm({ ...projectForm, projectDescription: v }), 'Enter description', { multiline: true })}
                     {renderInput('Objective', projectForm.objective, (v) => setProjectForm({ ...projectForm, objective: v }), 'Enter objective', { multiline: true })}
                     {renderInput('Location', projectForm.location, (v) => setProjectForm({ ...projectForm, location: v }), 'Enter location')}
-                    {renderOptions('Status', ['Planned', 'Ongoing', 'Completed', 'On Hold'], projectForm.status, (v) => setProjectForm({ ...projectForm, status: v }))}
+                    {project && renderOptions('Status', [project.Status, ...(project.AllowedStatuses || [])], projectForm.status, (v) => setProjectForm({ ...projectForm, status: v }))}
+                    {project && projectForm.status !== project.Status && renderInput('Reason', projectForm.statusReason, (v) => setProjectForm({ ...projectForm, statusReason: v }), 'Why is the status changing?')}
                 </>
             ))}
 
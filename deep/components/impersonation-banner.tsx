@@ -0,0 +1,60 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { Colors } from '@/constants/theme';
+import { useAuth } from '@/context/AuthContext';
+
+// Shown while a Super Admin is viewing the app as another user
+export function ImpersonationBanner() {
+    const colorScheme = useColorScheme();
+    const colors = Colors[colorScheme ?? 'light'];
+    const { user, impersonation, stopImpersonation } = useAuth();
+
+    if (!impersonation) return null;
+
+    return (
+        <View style={[styles.banner, { backgroundColor: colors.warning }]}>
+            <Ionicons name="eye-outline" size={18} color={colors.textInverse} />
+            <Text style={[styles.text, { color: colors.textInverse }]} numberOfLines={1}>
+                Viewing as {user?.fullName}
+            </Text>
+            <TouchableOpacity
+                style={[styles.exitButton, { borderColor: colors.textInverse }]}
+                onPress={stopImpersonation}
+            >
+                <Text style={[styles.exitText, { color: colors.textInverse }]}>Exit</Text>
+            </TouchableOpacity>
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    banner: {
+        position: 'absolute',
+        left: 16,
+        right: 16,
+        bottom: 76,
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        paddingVertical: 10,
+        paddingHorizontal: 14,
+        borderRadius: 12,
+    },
+    text: {
+        flex: 1,
+        fontSize: 14,
+        fontWeight: '600',
+    },
+    exitButton: {
+        paddingVertical: 4,
+        paddingHorizontal: 12,
+        borderRadius: 8,
+        borderWidth: 1,
+    },
+    exitText: {
+        fontSize: 13,
+        fontWeight: '600',
+    },
+});
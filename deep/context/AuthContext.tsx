@@ -1,17 +1,34 @@
 import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
-import { authService, User } from '../services/auth';
+import { authService, User, Impersonation } from '../services/auth';
+
+interface LoginResult {
+    success: boolean;
+    message: string;
+    requiresVerification?: boolean;
+    requiresTwoFactor?: boolean;
+    requiresTwoFactorSetup?: boolean;
+    challengeToken?: string;
+    locked?: boolean;
+}
 
 interface AuthContextType {
     user: User | null;
     token: string | null;
     isLoading: boolean;
     isAuthenticated: boolean;
-    login: (email: string, password: string) => Promise<{ success: boolean; message: string; requiresVerification?: boolean }>;
-    googleLogin: (token: string) => Promise<{ success: boolean; message: string }>;
+    impersonation: Impersonation | null;
+    permissions: string[];
+    login: (email: string, password: string) => Promise<LoginResult>;
+    googleLogin: (token: string) => Promise<LoginResult>;
+    verifyPhoneOTP: (mobileNumber: string, otp: string) => Promise<LoginResult>;
+    verifyTwoFactor: (challengeToken: string, code: string) => Promise<{ success: boolean; message: string; locked?: boolean }>;
     signup: (data: { email: string; password: string; fullName: string; mobileNumber?: string }) => Promise<{ success: boolean; message: string }>;
     verifyOTP: (email: string, otp: string) => Promise<{ success: boolean; message: string }>;
     logout: () => Promise<void>;
     refreshUser: () => Promise<void>;
+    startImpersonation: (userId: number, reason?: string) => Promise<{ success: boolean; message: string }>;
+    stopImpersonation: () => Promise<void>;
+    switchOrganization: (organizationId: number) => Promise<{ success: boolean; message: string }>;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
@@ -20,15 +37,48 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     const [user, setUser] = useState<User | null>(null);
     const [token, setToken] = useState<string | null>(null);
     const [isLoading, setIsLoading] = useState(true);
+    const [impersonation, setImpersonation] = useState<Impersonation | null>(null);
+    const [permissions, setPermissions] = useState<string[]>([]);
 
     // Check for existing auth on mount
     useEffect(() => {
         checkAuth();
     }, []);
 
+    // Load the permission matrix for whoever the token belongs to
+    useEffect(() => {
+        if (!token) {
+            setPermissions([]);
+            return;
+        }
+        let cancelled = false;
+        authService.getPermissions().then((codes) => {
+            if (!cancelled) setPermissions(codes);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [token]);
+
+    // Switch back to the admin account when the impersonation token expires
+    useEffect(() => {
+        if (!impersonation) return;
+        const timer = setTimeout(() => {
+            stopImpersonation();
+        }, Math.max(new Date(impersonation.expiresAt).getTime() - Date.now(), 0));
+        return () => clearTimeout(timer);
+    }, [impersonation]);
+
     const checkAuth = async () => {
         try {
-            const stored = await authService.getStoredAuth();
+            let stored = await authService.getStoredAuth();
+            const storedImpersonation = await authService.getImpersonation();
+            if (storedImpersonation && (!stored.token || new Date(storedImpersonation.expiresAt) <= new Date())) {
+                await authService.stopImpersonation();
+                stored = await authService.getStoredAuth();
+            } else {
+                setImpersonation(storedImpersonation);
+            }
             if (stored.token && stored.user) {
                 setToken(stored.token);
                 setUser(stored.user);
@@ -48,20 +98,24 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     const login = async (email: string, password: string) => {
         try {
             const response = await authService.login({ email, password });
-            if (response.success && response.data) {
+            if (response.success && response.data?.token) {
                 setToken(response.data.token);
                 setUser(response.data.user);
             }
             return {
                 success: response.success,
                 message: response.message,
-                requiresVerification: response.requiresVerification
+                requiresVerification: response.requiresVerification,
+                requiresTwoFactor: response.requiresTwoFactor,
+                requiresTwoFactorSetup: response.requiresTwoFactorSetup,
+                challengeToken: response.data?.challengeToken
             };
         } catch (error: any) {
             return {
                 success: false,
                 message: error.response?.data?.message || 'Login failed',
-                requiresVerification: error.response?.data?.requiresVerification
+                requiresVerification: error.response?.data?.requiresVerification,
+                locked: error.response?.data?.locked
             };
         }
     };
@@ -69,13 +123,16 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     const googleLogin = async (token: string) => {
         try {
             const response = await authService.googleLogin(token);
-            if (response.success && response.data) {
+            if (response.success && response.data?.token) {
                 setToken(response.data.token);
                 setUser(response.data.user);
             }
             return {
                 success: response.success,
-                message: response.message
+                message: response.message,
+                requiresTwoFactor: response.requiresTwoFactor,
+                requiresTwoFactorSetup: response.requiresTwoFactorSetup,
+                challengeToken: response.data?.challengeToken
             };
         } catch (error: any) {
             return {
@@ -85,6 +142,46 @@ export function AuthProvider({ children }: { children: ReactNode }) {
         }
     };
 
+    const verifyPhoneOTP = async (mobileNumber: string, otp: string) => {
+        try {
+            const response = await authService.verifyPhoneOTP(mobileNumber, otp);
+            if (response.success && response.data?.token) {
+                setToken(response.data.token);
+                setUser(response.data.user);
+            }
+            return {
+                success: response.success,
+                message: response.message,
+                requiresTwoFactor: response.requiresTwoFactor,
+                requiresTwoFactorSetup: response.requiresTwoFactorSetup,
+                challengeToken: response.data?.challengeToken
+            };
+        } catch (error: any) {
+            return {
+                success: false,
+                message: error.response?.data?.message || 'Verification failed',
+                locked: error.response?.data?.locked
+            };
+        }
+    };
+
+    const verifyTwoFactor = async (challengeToken: string, code: string) => {
+        try {
+            const response = await authService.verifyTwoFactor(challengeToken, code);
+            if (response.success && response.data?.token) {
+                setToken(response.data.token);
+                setUser(response.data.user);
+            }
+            return { success: response.success, message: response.message };
+        } catch (error: any) {
+            return {
+                success: false,
+                message: error.response?.data?.message || 'Verification failed',
+                locked: error.response?.data?.locked
+            };
+        }
+    };
+
     const signup = async (data: { email: string; password: string; fullName: string; mobileNumber?: string }) => {
         try {
             const response = await authService.signup(data);
@@ -107,7 +204,43 @@ export function AuthProvider({ children }: { children: ReactNode }) {
         }
     };
 
+    const startImpersonation = async (userId: number, reason?: string) => {
+        try {
+            const result = await authService.impersonate(userId, reason);
+            setToken(result.token);
+            setUser(result.user);
+            setImpersonation(result.impersonation);
+            return { success: true, message: `Viewing the app as ${result.user.fullName}` };
+        } catch (error: any) {
+            return { success: false, message: error.response?.data?.message || 'Failed to impersonate user' };
+        }
+    };
+
+    const stopImpersonation = async () => {
+        const adminUser = await authService.stopImpersonation();
+        const stored = await authService.getStoredAuth();
+        setImpersonation(null);
+        setToken(stored.token);
+        setUser(adminUser);
+    };
+
+    const switchOrganization = async (organizationId: number) => {
+        try {
+            const result = await authService.switchOrganization(organizationId);
+            setToken(result.token);
+            setUser(result.user);
+            return { success: true, message: `Now working in ${result.user.organizationName}` };
+        } catch (error: any) {
+            return { success: false, message: error.response?.data?.message || 'Failed to switch organization' };
+        }
+    };
+
     const logout = async () => {
+        // Logging out while impersonating returns to the admin account
+        if (impersonation) {
+            await stopImpersonation();
+            return;
+        }
         await authService.logout();
         setUser(null);
         setToken(null);
@@ -127,12 +260,19 @@ export function AuthProvider({ children }: { children: ReactNode }) {
                 token,
                 isLoading,
                 isAuthenticated: !!token && !!user,
+                impersonation,
+                permissions,
                 login,
                 googleLogin,
+                verifyPhoneOTP,
+                verifyTwoFactor,
                 signup,
                 verifyOTP,
                 logout,
                 refreshUser,
+                startImpersonation,
+                stopImpersonation,
+                switchOrganization,
             }}
         >
             {children}
@@ -1,5 +1,6 @@
 import axios, { AxiosInstance, InternalAxiosRequestConfig } from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import Constants from 'expo-constants';
 
 const API_BASE_URL = 'http://72.60.202.106:3001/api';
 
@@ -8,13 +9,41 @@ const api: AxiosInstance = axios.create({
     baseURL: API_BASE_URL,
     timeout: 10000,
     headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        // Shown in the server's session list so users can tell their devices apart
+        ...(Constants.deviceName ? { 'X-Device-Name': Constants.deviceName } : {}),
     },
 });
 
 // Token storage keys
 export const TOKEN_KEY = '@auth_token';
+export const REFRESH_TOKEN_KEY = '@refresh_token';
 export const USER_KEY = '@user_data';
+// Set while a Super Admin is viewing the app as another user
+export const IMPERSONATION_KEY = '@impersonation';
+
+// Shared so that parallel 401s trigger a single refresh
+let refreshPromise: Promise<string | null> | null = null;
+
+// Exchange the stored refresh token for a new token pair
+async function refreshAccessToken(): Promise<string | null> {
+    const refreshToken = await AsyncStorage.getItem(REFRESH_TOKEN_KEY);
+    if (!refreshToken) return null;
+
+    try {
+        // Plain axios so the refresh call does not go through the interceptors below
+        const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+        const data = response.data?.data;
+        if (!data?.token) return null;
+
+        await AsyncStorage.setItem(TOKEN_KEY, data.token);
+        await AsyncStorage.setItem(REFRESH_TOKEN_KEY, data.refreshToken);
+        return data.token;
+    } catch (error) {
+        console.error('Error refreshing token:', error);
+        return null;
+    }
+}
 
 // Request interceptor - add auth token
 api.interceptors.request.use(
@@ -32,13 +61,29 @@ api.interceptors.request.use(
     (error) => Promise.reject(error)
 );
 
-// Response interceptor - handle errors
+// Response interceptor - refresh expired access tokens, handle errors
 api.interceptors.response.use(
     (response) => response,
     async (error) => {
-        if (error.response?.status === 401) {
-            // Token expired - clear storage
-            await AsyncStorage.multiRemove([TOKEN_KEY, USER_KEY]);
+        const original = error.config;
+
+        if (error.response?.status === 401 && original && !original._retry) {
+            original._retry = true;
+
+            if (!refreshPromise) {
+                refreshPromise = refreshAccessToken().finally(() => {
+                    refreshPromise = null;
+                });
+            }
+
+            const token = await refreshPromise;
+            if (token) {
+                original.headers.Authorization = `Bearer ${token}`;
+                return api(original);
+            }
+
+            // Refresh failed - session is over, clear storage
+            await AsyncStorage.multiRemove([TOKEN_KEY, REFRESH_TOKEN_KEY, USER_KEY]);
         }
         return Promise.reject(error);
     }
@@ -1,4 +1,4 @@
-import api, { TOKEN_KEY, USER_KEY } from './api';
+import api, { TOKEN_KEY, REFRESH_TOKEN_KEY, USER_KEY, IMPERSONATION_KEY } from './api';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 // Types
@@ -14,6 +14,27 @@ export interface User {
     organizationName?: string;
 }
 
+// An organization the user can act for, with the role held there
+export interface UserOrganization {
+    OrganizationId: number;
+    OrganizationName: string;
+    OrganizationType?: string;
+    RoleId: number;
+    RoleName: string;
+    RoleCode: string;
+    IsHome: boolean;
+    IsActive: boolean;
+}
+
+export interface Impersonation {
+    impersonator: {
+        userId: number;
+        fullName: string;
+        email: string;
+    };
+    expiresAt: string;
+}
+
 export interface LoginCredentials {
     email: string;
     password: string;
@@ -32,9 +53,15 @@ export interface AuthResponse {
     message: string;
     data?: {
         token: string;
+        refreshToken: string;
         user: User;
+        challengeToken?: string;
     };
     requiresVerification?: boolean;
+    requiresTwoFactor?: boolean;
+    requiresTwoFactorSetup?: boolean;
+    locked?: boolean;
+    retryAfter?: number;
 }
 
 // Auth Service Functions
@@ -49,7 +76,7 @@ export const authService = {
     async verifyOTP(email: string, otp: string): Promise<AuthResponse> {
         const response = await api.post('/auth/verify-otp', { email, otp });
         if (response.data.success && response.data.data?.token) {
-            await this.storeAuthData(response.data.data.token, response.data.data.user);
+            await this.storeAuthData(response.data.data.token, response.data.data.refreshToken, response.data.data.user);
         }
         return response.data;
     },
@@ -68,7 +95,7 @@ export const authService = {
             console.log('📥 Google Login Response:', JSON.stringify(response.data, null, 2));
 
             if (response.data.success && response.data.data?.token) {
-                await this.storeAuthData(response.data.data.token, response.data.data.user);
+                await this.storeAuthData(response.data.data.token, response.data.data.refreshToken, response.data.data.user);
             }
             return response.data;
         } catch (error: any) {
@@ -92,7 +119,7 @@ export const authService = {
 
             if (response.data.success && response.data.data?.token) {
                 console.log('✅ Login successful, storing auth data...');
-                await this.storeAuthData(response.data.data.token, response.data.data.user);
+                await this.storeAuthData(response.data.data.token, response.data.data.refreshToken, response.data.data.user);
             } else {
                 console.log('❌ Login failed:', response.data.message);
             }
@@ -107,16 +134,76 @@ export const authService = {
         }
     },
 
+    // Signup with mobile number only
+    async phoneSignup(mobileNumber: string, fullName: string): Promise<AuthResponse> {
+        const response = await api.post('/auth/phone/signup', { mobileNumber, fullName });
+        return response.data;
+    },
+
+    // Request login OTP via SMS
+    async requestPhoneOTP(mobileNumber: string): Promise<AuthResponse> {
+        const response = await api.post('/auth/phone/request-otp', { mobileNumber });
+        return response.data;
+    },
+
+    // Login with SMS OTP
+    async verifyPhoneOTP(mobileNumber: string, otp: string): Promise<AuthResponse> {
+        const response = await api.post('/auth/phone/verify-otp', { mobileNumber, otp });
+        if (response.data.success && response.data.data?.token) {
+            await this.storeAuthData(response.data.data.token, response.data.data.refreshToken, response.data.data.user);
+        }
+        return response.data;
+    },
+
+    // Second login step for accounts with two-factor authentication
+    async verifyTwoFactor(challengeToken: string, code: string): Promise<AuthResponse> {
+        const response = await api.post('/auth/2fa/verify', { challengeToken, code });
+        if (response.data.success && response.data.data?.token) {
+            await this.storeAuthData(response.data.data.token, response.data.data.refreshToken, response.data.data.user);
+        }
+        return response.data;
+    },
+
     // Get profile
     async getProfile(): Promise<User | null> {
         try {
             const response = await api.get('/auth/profile');
             return response.data.data;
-        } catch (error) {
+        } catch {
             return null;
         }
     },
 
+    // Get the permission codes granted to the current user's role
+    async getPermissions(): Promise<string[]> {
+        try {
+            const response = await api.get('/permissions/me');
+            return response.data.data.permissions;
+        } catch {
+            return [];
+        }
+    },
+
+    // Organizations the user belongs to
+    async getOrganizations(): Promise<UserOrganization[]> {
+        try {
+            const response = await api.get('/auth/organizations');
+            return response.data.data;
+        } catch {
+            return [];
+        }
+    },
+
+    // Act for another organization on this device. Only the access token is
+    // replaced; the refresh token keeps the choice on the server.
+    async switchOrganization(organizationId: number): Promise<{ token: string; user: User }> {
+        const response = await api.post('/auth/switch-organization', { organizationId });
+        const { token, user } = response.data.data;
+        await AsyncStorage.setItem(TOKEN_KEY, token);
+        await AsyncStorage.setItem(USER_KEY, JSON.stringify(user));
+        return { token, user };
+    },
+
     // Forgot password
     async forgotPassword(email: string): Promise<AuthResponse> {
         const response = await api.post('/auth/forgot-password', { email });
@@ -129,9 +216,65 @@ export const authService = {
         return response.data;
     },
 
+    // View the app as another user (Super Admin). The admin's own tokens are
+    // kept aside and restored by stopImpersonation.
+    async impersonate(userId: number, reason?: string): Promise<{ token: string; user: User; impersonation: Impersonation }> {
+        const response = await api.post(`/auth/impersonate/${userId}`, { reason });
+        const { token, user, impersonator, expiresAt } = response.data.data;
+
+        const [adminToken, adminRefreshToken, adminUser] = await Promise.all([
+            AsyncStorage.getItem(TOKEN_KEY),
+            AsyncStorage.getItem(REFRESH_TOKEN_KEY),
+            AsyncStorage.getItem(USER_KEY),
+        ]);
+
+        const impersonation: Impersonation = { impersonator, expiresAt };
+        await AsyncStorage.setItem(IMPERSONATION_KEY, JSON.stringify({
+            ...impersonation,
+            admin: { token: adminToken, refreshToken: adminRefreshToken, user: adminUser },
+        }));
+
+        // Impersonation tokens cannot be refreshed
+        await AsyncStorage.removeItem(REFRESH_TOKEN_KEY);
+        await AsyncStorage.setItem(TOKEN_KEY, token);
+        await AsyncStorage.setItem(USER_KEY, JSON.stringify(user));
+
+        return { token, user, impersonation };
+    },
+
+    async getImpersonation(): Promise<Impersonation | null> {
+        const stored = await AsyncStorage.getItem(IMPERSONATION_KEY);
+        if (!stored) return null;
+        const { impersonator, expiresAt } = JSON.parse(stored);
+        return { impersonator, expiresAt };
+    },
+
+    // End impersonation and switch back to the admin's own account
+    async stopImpersonation(): Promise<User | null> {
+        const stored = await AsyncStorage.getItem(IMPERSONATION_KEY);
+        if (!stored) return null;
+
+        try {
+            await api.post('/auth/impersonate/stop');
+        } catch {
+            // Already expired or ended on the server
+        }
+
+        const { admin } = JSON.parse(stored);
+        await AsyncStorage.removeItem(IMPERSONATION_KEY);
+        if (!admin.token || !admin.user) {
+            await AsyncStorage.multiRemove([TOKEN_KEY, REFRESH_TOKEN_KEY, USER_KEY]);
+            return null;
+        }
+
+        await this.storeAuthData(admin.token, admin.refreshToken, JSON.parse(admin.user));
+        return JSON.parse(admin.user);
+    },
+
     // Store auth data
-    async storeAuthData(token: string, user: User): Promise<void> {
+    async storeAuthData(token: string, refreshToken: string, user: User): Promise<void> {
         await AsyncStorage.setItem(TOKEN_KEY, token);
+        await AsyncStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
         await AsyncStorage.setItem(USER_KEY, JSON.stringify(user));
     },
 
@@ -145,8 +288,16 @@ export const authService = {
         };
     },
 
-    // Logout
+    // Logout (this device)
     async logout(): Promise<void> {
-        await AsyncStorage.multiRemove([TOKEN_KEY, USER_KEY]);
+        const refreshToken = await AsyncStorage.getItem(REFRESH_TOKEN_KEY);
+        if (refreshToken) {
+            try {
+                await api.post('/auth/logout', { refreshToken });
+            } catch (error) {
+                console.error('Logout request failed:', error);
+            }
+        }
+        await AsyncStorage.multiRemove([TOKEN_KEY, REFRESH_TOKEN_KEY, USER_KEY]);
     },
 };
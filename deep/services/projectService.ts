@@ -21,6 +21,7 @@ export interface Project {
     EndDate?: string;
     EndTime?: string;
     Status: string;
+    AllowedStatuses?: string[];
     BannerImage?: string;
     BannerUrl?: string;
     OrganizationName?: string;
@@ -46,6 +47,8 @@ export interface Camp {
     Longitude?: number;
     ImageCount?: number;
     VideoCount?: number;
+    ProjectName?: string;
+    DistanceKm?: number;
 }
 
 export interface Sponsor {
@@ -103,6 +106,40 @@ export interface ProjectSpend {
     SettlementAmount?: number;
 }
 
+export interface SpendApprovalStep {
+    SpendApprovalId: number;
+    StepOrder: number;
+    ApproverType: 'ProjectRole' | 'OrganizationRole' | 'Permission';
+    ApproverRole: string;
+    Decision: 'Approved' | 'Rejected' | null;
+    Comment?: string;
+    DecidedBy?: number;
+    DecidedByName?: string;
+    DecidedDate?: string;
+}
+
+// An entry of the activity feed of a project or organization
+export interface ActivityEvent {
+    ActivityId: number;
+    ProjectId: number;
+    ProjectName: string;
+    OrganizationId: number;
+    EventType: string;
+    EntityType: string;
+    EntityId?: number;
+    Summary: string;
+    Metadata?: Record<string, any>;
+    ActorUserId?: number;
+    ActorName?: string;
+    CreatedDate: string;
+}
+
+// One page of activity; pass nextCursor back to get the next one (null on the last page)
+export interface ActivityPage {
+    activities: ActivityEvent[];
+    nextCursor: string | null;
+}
+
 // Project Service
 export const projectService = {
     // Get all projects
@@ -145,12 +182,35 @@ export const projectService = {
         await api.delete(`/projects/${id}`);
     },
 
+    // ==================== Activity ====================
+    async getActivity(projectId: number, cursor?: string | null): Promise<ActivityPage> {
+        const response = await api.get(`/projects/${projectId}/activity`, { params: { cursor: cursor || undefined } });
+        return response.data.data;
+    },
+
+    async getOrganizationActivity(organizationId: number, cursor?: string | null): Promise<ActivityPage> {
+        const response = await api.get(`/organizations/${organizationId}/activity`, { params: { cursor: cursor || undefined } });
+        return response.data.data;
+    },
+
     // ==================== Camps ====================
     async getCamps(projectId: number): Promise<{ camps: Camp[]; stats: any }> {
         const response = await api.get(`/camps/project/${projectId}`);
         return response.data.data;
     },
 
+    // Upcoming camps within radiusKm of a point, nearest first
+    async getNearbyCamps(latitude: number, longitude: number, radiusKm: number = 25): Promise<Camp[]> {
+        const params = new URLSearchParams({
+            latitude: latitude.toString(),
+            longitude: longitude.toString(),
+            radiusKm: radiusKm.toString(),
+        });
+
+        const response = await api.get(`/camps/nearby?${params}`);
+        return response.data.data?.camps || [];
+    },
+
     async getCampById(id: number): Promise<{ camp: Camp; images: any[]; videos: any[] }> {
         const response = await api.get(`/camps/${id}`);
         return response.data.data;
@@ -260,8 +320,19 @@ export const projectService = {
         await api.delete(`/project-spends/${id}`);
     },
 
-    async approveSpend(id: number): Promise<void> {
-        await api.post(`/project-spends/${id}/approve`);
+    async getSpendApprovals(id: number): Promise<SpendApprovalStep[]> {
+        const response = await api.get(`/project-spends/${id}`);
+        return response.data.data?.approvals || [];
+    },
+
+    // Decides the expense's next approval step; it is Approved with the last one
+    async approveSpend(id: number, comment?: string): Promise<SpendApprovalStep[]> {
+        const response = await api.post(`/project-spends/${id}/approve`, { comment });
+        return response.data.data?.approvals || [];
+    },
+
+    async rejectSpend(id: number, comment?: string): Promise<void> {
+        await api.post(`/project-spends/${id}/reject`, { comment });
     },
 
     async settleSpend(id: number, data: { settlementNotes?: string; settlementAmount?: number }): Promise<void> {